@@ -0,0 +1,253 @@
+const SQLTokenizer = require('./sqlTokenizer');
+
+// An identifier in masked code: [bracketed], "quoted", `backticked` or a plain word
+const NAME = '(?:\\[[^\\]]*\\]|"[^"]*"|`[^`]*`|[\\w#@$]+)';
+const QUALIFIED_NAME = `${NAME}(?:\\s*\\.\\s*${NAME})*`;
+
+// SET options that only affect SQL Server session behaviour and are dropped
+const SESSION_OPTIONS = ['ANSI_NULLS', 'QUOTED_IDENTIFIER', 'ANSI_PADDING', 'ANSI_WARNINGS', 'ANSI_NULL_DFLT_ON',
+    'ANSI_NULL_DFLT_OFF', 'ANSI_DEFAULTS', 'ARITHABORT', 'ARITHIGNORE', 'CONCAT_NULL_YIELDS_NULL',
+    'NUMERIC_ROUNDABORT', 'NOCOUNT', 'XACT_ABORT', 'CURSOR_CLOSE_ON_COMMIT', 'FMTONLY', 'NOEXEC', 'PARSEONLY',
+    'FORCEPLAN', 'SHOWPLAN_ALL', 'SHOWPLAN_TEXT', 'SHOWPLAN_XML', 'STATISTICS\\s+(?:IO|TIME|XML|PROFILE)'];
+
+// SET statements rewritten or removed, applied in order to masked code
+const SESSION_STATEMENTS = [
+    // SET ANSI_NULLS ON, SET ANSI_NULLS, QUOTED_IDENTIFIER ON
+    {
+        pattern: new RegExp(`\\bSET\\s+(?:${SESSION_OPTIONS.join('|')})(?:\\s*,\\s*(?:${SESSION_OPTIONS.join('|')}))*\\s+(?:ON|OFF)\\b[ \\t]*;?`, 'gi'),
+        replacement: ''
+    },
+    // MySQL accepts explicit values for AUTO_INCREMENT columns without a toggle
+    {
+        pattern: new RegExp(`\\bSET\\s+IDENTITY_INSERT\\s+${QUALIFIED_NAME}\\s+(?:ON|OFF)\\b[ \\t]*;?`, 'gi'),
+        replacement: ''
+    },
+    // SET DATEFORMAT dmy, SET DATEFIRST 1, SET LANGUAGE us_english, SET TEXTSIZE n, SET DEADLOCK_PRIORITY LOW
+    {
+        pattern: /\bSET\s+(?:DATEFORMAT|DATEFIRST|LANGUAGE|TEXTSIZE|DEADLOCK_PRIORITY|CONTEXT_INFO)\s+[\w@-]+[ \t]*;?/gi,
+        replacement: ''
+    },
+    {
+        pattern: /\bSET\s+IMPLICIT_TRANSACTIONS\s+(ON|OFF)\b[ \t]*;?/gi,
+        replacement: (match, value) => `SET autocommit = ${value.toUpperCase() === 'ON' ? 0 : 1};`
+    },
+    // SET LOCK_TIMEOUT is in milliseconds, -1 waits forever
+    {
+        pattern: /\bSET\s+LOCK_TIMEOUT\s+(-?\d+)[ \t]*;?/gi,
+        replacement: (match, value) => (parseInt(value) < 0 ? '' : `SET innodb_lock_wait_timeout = ${Math.max(1, Math.ceil(parseInt(value) / 1000))};`)
+    }
+];
+
+// Statement delimiter used around procedures, functions and triggers, whose bodies contain ';'
+const ROUTINE_DELIMITER = '$$';
+
+class BatchConverter {
+    /**
+     * @param {object} options - { targetDatabase } database that USE statements switch to;
+     *   USE statements are removed when it is not set
+     */
+    constructor(options = {}) {
+        this.tokenizer = new SQLTokenizer();
+        this.targetDatabase = options.targetDatabase || null;
+    }
+
+    /**
+     * Convert batch separators and session statements in masked SQL code
+     * @param {string} code - SQL code with literals and comments masked
+     * @param {Array<object>} literals - Masked tokens, used to tell comments from strings
+     * @param {Array<object>} warnings - List that receives { rule, message, severity, code, offset } for
+     *   GO repeat counts, which are dropped
+     * @returns {string} - Code with GO replaced by statement terminators
+     */
+    convert(code, literals, warnings = []) {
+        let converted = code;
+
+        SESSION_STATEMENTS.forEach(({ pattern, replacement }) => {
+            converted = this.replaceStatement(converted, pattern, replacement);
+        });
+
+        // USE [Db] switches to the target database, or goes away
+        converted = this.replaceStatement(converted, new RegExp(`\\bUSE\\s+(?!HINT\\b|PLAN\\b)${NAME}[ \\t]*;?`, 'gi'),
+            () => (this.targetDatabase ? `USE \`${this.targetDatabase}\`;` : ''));
+
+        return this.convertBatchSeparators(converted, literals, warnings);
+    }
+
+    /**
+     * Replace statements matched by a pattern; a statement alone on its line takes the line with it
+     */
+    replaceStatement(code, pattern, replacement) {
+        // An optional group never matches an empty string, so the indent is always captured and
+        // the line start is checked by offset
+        return code.replace(new RegExp(`([ \\t]*)${pattern.source}([ \\t]*(?:\\r?\\n|$))?`, pattern.flags + 'm'), (...args) => {
+            const match = args[0];
+            const indent = args[1];
+            const lineEnd = args[args.length - 3];
+            const offset = args[args.length - 2];
+            const body = match.slice(indent.length, match.length - (lineEnd || '').length);
+            const text = typeof replacement === 'function'
+                ? body.replace(new RegExp(pattern.source, pattern.flags.replace('g', '')), replacement)
+                : replacement;
+
+            const wholeLine = (offset === 0 || code[offset - 1] === '\n') &&
+                (lineEnd !== undefined || offset + match.length === code.length);
+            if (text === '' && wholeLine) {
+                return '';
+            }
+            return indent + text + (lineEnd || '');
+        });
+    }
+
+    /**
+     * Replace GO batch separators with statement terminators
+     * @param {string} code - Masked SQL code
+     * @param {Array<object>} literals - Masked tokens
+     * @param {Array<object>} warnings - List that receives dropped GO repeat counts
+     * @returns {string} - Code without GO lines, every statement ending with a semicolon
+     *
+     * The end of the input also ends a batch. Batches holding a procedure, function,
+     * trigger or view, or control flow, are only terminated at their end; procedures,
+     * functions and triggers are wrapped in DELIMITER lines so they load as one statement.
+     */
+    convertBatchSeparators(code, literals, warnings = []) {
+        const tokens = this.tokenizer.tokenize(code);
+        const codeTokens = new Set(this.tokenizer.codeTokens(code, literals).map(token => token.start));
+        const edits = [];
+        let batch = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (!codeTokens.has(token.start)) continue;
+
+            const separator = this.readBatchSeparator(tokens, i);
+            if (!separator) {
+                batch.push(token);
+                continue;
+            }
+
+            if (separator.count !== null && separator.count > 1) {
+                warnings.push({
+                    rule: 'go-repeat',
+                    message: `GO ${separator.count} runs its batch ${separator.count} times; MySQL has no repeat count, so the batch is converted once`,
+                    severity: 'warning',
+                    code,
+                    offset: token.start
+                });
+            }
+
+            this.terminateStatements(batch, edits);
+            edits.push({ start: separator.start, end: separator.end, text: '' });
+            batch = [];
+            i = separator.lastIndex;
+        }
+        this.terminateStatements(batch, edits);
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Add a semicolon after every statement of a batch that lacks one
+     * @param {Array<object>} tokens - Code tokens of the batch (no whitespace or comments)
+     * @param {Array<object>} edits - Edit list to append insertions to
+     */
+    terminateStatements(tokens, edits) {
+        if (tokens.length === 0) return;
+
+        const upper = (index) => this.tokenizer.upperWord(tokens[index]);
+        const first = upper(0) === 'CREATE' && upper(1) === 'OR' ? 3 : 1;
+        const isModule = ['CREATE', 'ALTER'].includes(upper(0)) &&
+            ['PROC', 'PROCEDURE', 'FUNCTION', 'TRIGGER', 'VIEW'].includes(upper(first));
+        const hasControlFlow = this.tokenizer.hasControlFlow(tokens);
+
+        if (isModule && upper(first) !== 'VIEW') {
+            const last = tokens[tokens.length - 1];
+            const end = last.start + last.value.length;
+            edits.push({ start: tokens[0].start, end: tokens[0].start, text: `DELIMITER ${ROUTINE_DELIMITER}\n` });
+            edits.push({
+                start: last.value === ';' ? last.start : end,
+                end,
+                text: `${ROUTINE_DELIMITER}\nDELIMITER ;`
+            });
+            return;
+        }
+
+        const ends = [];
+        if (isModule || hasControlFlow) {
+            ends.push(tokens.length - 1);
+        } else {
+            for (let i = 0; i < tokens.length; i = ends[ends.length - 1] + 1) {
+                ends.push(this.tokenizer.findStatementEnd(tokens, i));
+            }
+        }
+
+        ends.forEach(index => {
+            const token = tokens[index];
+            if (token.value !== ';') {
+                const offset = token.start + token.value.length;
+                edits.push({ start: offset, end: offset, text: ';' });
+            }
+        });
+    }
+
+    /**
+     * Recognize a GO [count] line starting at the given token
+     * @returns {object|null} - { start, end, lastIndex, count } covering the whole line, with the
+     *   repeat count or null, or null when the line is not a separator
+     */
+    readBatchSeparator(tokens, index) {
+        const token = tokens[index];
+        if (token.type !== 'word' || token.value.toUpperCase() !== 'GO') return null;
+
+        // GO must be the first thing on its line
+        const before = tokens[index - 1];
+        if (before && !(before.type === 'whitespace' && before.value.includes('\n'))) return null;
+        const lineStart = before ? before.start + before.value.lastIndexOf('\n') + 1 : token.start;
+
+        // ... followed only by an optional repeat count and comment
+        let j = index + 1;
+        const skip = (type) => {
+            if (tokens[j] && tokens[j].type === type && !tokens[j].value.includes('\n')) j++;
+        };
+        skip('whitespace');
+        const count = tokens[j] && tokens[j].type === 'number' ? parseInt(tokens[j].value) : null;
+        skip('number');
+        skip('whitespace');
+        skip('masked');
+        skip('whitespace');
+
+        const after = tokens[j];
+        if (after && !(after.type === 'whitespace' && after.value.includes('\n'))) return null;
+
+        const end = after ? after.start + after.value.indexOf('\n') + 1 : tokens[j - 1].start + tokens[j - 1].value.length;
+        return { start: lineStart, end, lastIndex: j - 1, count };
+    }
+
+    /**
+     * Find the procedures, functions and triggers wrapped in DELIMITER $$ ... DELIMITER ;
+     * @returns {Array<Array<number>>} - [start, end] character offsets
+     */
+    findRoutines(tokens) {
+        const routines = [];
+        let start = null;
+        tokens.forEach((token, i) => {
+            if (this.tokenizer.upperWord(token) !== 'DELIMITER') return;
+            const next = tokens[i + 1];
+            if (next && next.type === 'symbol' && next.value === ';') {
+                if (start !== null) routines.push([start, token.start]);
+                start = null;
+            } else {
+                start = token.start;
+            }
+        });
+        if (start !== null) routines.push([start, Infinity]);
+        return routines;
+    }
+
+    inRoutine(routines, offset) {
+        return routines.some(([start, end]) => offset >= start && offset < end);
+    }
+}
+
+BatchConverter.ROUTINE_DELIMITER = ROUTINE_DELIMITER;
+
+module.exports = BatchConverter;
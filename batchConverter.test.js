@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BatchConverter = require('./batchConverter');
+const SQLTokenizer = require('./sqlTokenizer');
+
+const tokenizer = new SQLTokenizer();
+
+/**
+ * Convert batches and session statements of T-SQL text
+ */
+function convert(sql, options) {
+    const { code, literals } = tokenizer.mask(sql);
+    return tokenizer.unmask(new BatchConverter(options).convert(code, literals), literals);
+}
+
+test('GO ends statements and session settings take their lines with them', () => {
+    const sql = 'SET ANSI_NULLS ON\nGO\nSET QUOTED_IDENTIFIER ON\nGO\nSELECT 1\nGO\nSELECT 2\nGO';
+    assert.strictEqual(convert(sql), 'SELECT 1;\nSELECT 2;\n');
+});
+
+test('USE switches to the target database or is removed', () => {
+    assert.strictEqual(convert('USE [Soffa]\nGO\nSELECT 1'), 'SELECT 1;');
+    assert.strictEqual(convert('USE [Soffa]\nGO\nSELECT 1', { targetDatabase: 'soffa' }), 'USE `soffa`;\nSELECT 1;');
+});
+
+test('session statements with a MySQL counterpart are rewritten', () => {
+    const sql = [
+        'SET IMPLICIT_TRANSACTIONS ON',
+        'SET LOCK_TIMEOUT 1500',
+        'SET LOCK_TIMEOUT -1',
+        '    SET IDENTITY_INSERT [dbo].[T] ON',
+        'INSERT INTO T (Id) VALUES (1)',
+        'GO'
+    ].join('\n');
+    assert.strictEqual(convert(sql), 'SET autocommit = 0;\nSET innodb_lock_wait_timeout = 2;\nINSERT INTO T (Id) VALUES (1);\n');
+});
+
+test('a session setting sharing its line keeps the rest of the line', () => {
+    assert.strictEqual(convert('SELECT 1; SET NOCOUNT ON\nGO'), 'SELECT 1; \n');
+});
+
+test('procedures are wrapped in DELIMITER lines and GO in strings or comments stays', () => {
+    const sql = 'CREATE PROCEDURE p AS\nBEGIN\n    SELECT 1\n    SELECT 2\nEND\nGO\nSELECT \'GO\' -- GO\nGO';
+    assert.strictEqual(convert(sql),
+        'DELIMITER $$\nCREATE PROCEDURE p AS\nBEGIN\n    SELECT 1\n    SELECT 2\nEND$$\nDELIMITER ;\nSELECT \'GO\'; -- GO\n');
+});
+
+test('findRoutines covers the code between DELIMITER lines', () => {
+    const { code, literals } = tokenizer.mask(convert('CREATE PROCEDURE p AS\nBEGIN\n    SELECT 1\nEND\nGO\nSELECT 2\nGO'));
+    const batchConverter = new BatchConverter();
+    const routines = batchConverter.findRoutines(tokenizer.codeTokens(code, literals));
+    assert.strictEqual(routines.length, 1);
+    assert.strictEqual(batchConverter.inRoutine(routines, code.indexOf('SELECT 1')), true);
+    assert.strictEqual(batchConverter.inRoutine(routines, code.indexOf('SELECT 2')), false);
+});
+
+test('statements around a transaction or IF EXISTS are each terminated', () => {
+    const sql = 'BEGIN TRANSACTION\nDROP TABLE IF EXISTS T\nCREATE TABLE T (Id INT)\nCOMMIT TRANSACTION\nGO';
+    assert.strictEqual(convert(sql), 'BEGIN TRANSACTION;\nDROP TABLE IF EXISTS T;\nCREATE TABLE T (Id INT);\nCOMMIT TRANSACTION;\n');
+});
+
+test('a GO repeat count is reported', () => {
+    const { code, literals } = tokenizer.mask('SET NOCOUNT ON\nINSERT INTO T DEFAULT VALUES\nGO 100\nSELECT 1\nGO 1\n');
+    const warnings = [];
+    const converted = new BatchConverter().convert(code, literals, warnings);
+    assert.strictEqual(converted, 'INSERT INTO T DEFAULT VALUES;\nSELECT 1;\n');
+    assert.deepStrictEqual(warnings.map(warning => [warning.rule, warning.code.slice(warning.offset, warning.offset + 6)]), [['go-repeat', 'GO 100']]);
+});
@@ -0,0 +1,540 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+const TableFilter = require('./tableFilter');
+const SQLDumpReader = require('./sqlDumpReader');
+
+// Rows per checksum chunk, in primary key order
+const DEFAULT_CHUNK_SIZE = 10000;
+
+// How the values of each MySQL data type are compared
+const VALUE_KINDS = {
+    tinyint: 'integer',
+    smallint: 'integer',
+    mediumint: 'integer',
+    int: 'integer',
+    bigint: 'integer',
+    year: 'integer',
+    decimal: 'decimal',
+    float: 'float',
+    double: 'double',
+    datetime: 'datetime',
+    timestamp: 'datetime',
+    date: 'date',
+    time: 'time',
+    char: 'char',
+    binary: 'binary',
+    varbinary: 'binary',
+    tinyblob: 'binary',
+    blob: 'binary',
+    mediumblob: 'binary',
+    longblob: 'binary',
+    geometry: 'spatial',
+    point: 'spatial',
+    linestring: 'spatial',
+    polygon: 'spatial',
+    multipoint: 'spatial',
+    multilinestring: 'spatial',
+    multipolygon: 'spatial',
+    geometrycollection: 'spatial'
+};
+
+// Chunk checksums add up row hashes, so the order rows arrive in does not matter
+const HASH_MODULUS = 1n << 64n;
+
+/**
+ * Round the fraction digits of a number or a time to a scale
+ * @returns {object} - { carry, digits } where carry is 1 when rounding reached the next unit
+ */
+function roundDigits(fraction, scale) {
+    const padded = fraction.padEnd(scale + 1, '0');
+    let kept = scale > 0 ? BigInt(padded.slice(0, scale)) : 0n;
+    if (padded[scale] >= '5') kept++;
+    if (kept >= 10n ** BigInt(scale)) {
+        return { carry: 1, digits: '0'.repeat(scale) };
+    }
+    return { carry: 0, digits: scale > 0 ? kept.toString().padStart(scale, '0') : '' };
+}
+
+/**
+ * Canonical text of a decimal rounded to a scale, the way MySQL rounds what it stores:
+ * no trailing zeros, no sign on zero
+ */
+function normalizeDecimal(text, scale) {
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?$/.exec(text.trim());
+    if (!match) return text;
+
+    const [, sign, whole, fraction = ''] = match;
+    const rounded = roundDigits(fraction, scale);
+    const integer = BigInt(whole || '0') + BigInt(rounded.carry);
+    const digits = rounded.digits.replace(/0+$/, '');
+    if (integer === 0n && digits === '') return '0';
+    return `${sign === '-' ? '-' : ''}${integer}${digits ? `.${digits}` : ''}`;
+}
+
+/**
+ * Exact value of a canonical decimal, scaled to an integer
+ */
+function scaleDecimal(text, scale) {
+    const negative = text.startsWith('-');
+    const [whole, fraction = ''] = text.replace(/^[+-]/, '').split('.');
+    const value = BigInt((whole || '0') + fraction.padEnd(scale, '0').slice(0, scale));
+    return negative ? -value : value;
+}
+
+/**
+ * Canonical text of a date and time rounded to the fractional seconds MySQL keeps, in UTC when
+ * the text has an offset: YYYY-MM-DD HH:MM:SS[.ffffff] without trailing zeros
+ */
+function normalizeDateTime(text, precision) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?\s*(Z|[+-]\d{2}:\d{2})?$/.exec(text.trim());
+    if (!match) return text;
+
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0, fraction = '', offset] = match;
+    let time = Date.UTC(+year, month - 1, +day, +hours, +minutes, +seconds) / 1000;
+    if (offset && offset !== 'Z') {
+        const sign = offset[0] === '-' ? -1 : 1;
+        time -= sign * (parseInt(offset.slice(1, 3)) * 3600 + parseInt(offset.slice(4, 6)) * 60);
+    }
+
+    const rounded = roundDigits(fraction, precision);
+    const base = new Date((time + rounded.carry) * 1000).toISOString().slice(0, 19).replace('T', ' ');
+    const digits = rounded.digits.replace(/0+$/, '');
+    return digits ? `${base}.${digits}` : base;
+}
+
+/**
+ * Canonical text of a time of day rounded to the fractional seconds MySQL keeps
+ */
+function normalizeTime(text, precision) {
+    const match = /^(-?)(\d+):(\d{2}):(\d{2})(?:\.(\d+))?$/.exec(text.trim());
+    if (!match) return text;
+
+    const [, sign, hours, minutes, seconds, fraction = ''] = match;
+    const rounded = roundDigits(fraction, precision);
+    const total = parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + rounded.carry;
+    const pad = (value) => String(value).padStart(2, '0');
+    const base = `${sign}${pad(Math.floor(total / 3600))}:${pad(Math.floor(total / 60) % 60)}:${pad(total % 60)}`;
+    const digits = rounded.digits.replace(/0+$/, '');
+    return digits ? `${base}.${digits}` : base;
+}
+
+/**
+ * Text a value is compared by, the same for what SQL Server, a dump and MySQL return
+ * @param {object} column - Target column with its kind, scale and precision
+ * @param {*} value - Value as read
+ * @returns {string|null} - Canonical text, null for NULL
+ */
+function canonicalValue(column, value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) value = value.toISOString();
+
+    switch (column.kind) {
+    case 'integer':
+        if (typeof value === 'boolean') return value ? '1' : '0';
+        return normalizeDecimal(String(value), 0);
+    case 'decimal':
+        return normalizeDecimal(String(value), column.scale);
+    case 'float':
+        return String(Math.fround(Number(value)));
+    case 'double':
+        return String(Number(value));
+    case 'datetime':
+        return normalizeDateTime(String(value), column.precision);
+    case 'date':
+        return String(value).slice(0, 10);
+    case 'time':
+        return normalizeTime(String(value), column.precision);
+    case 'char':
+        // MySQL CHAR drops the trailing spaces SQL Server pads with
+        return String(value).replace(/ +$/, '');
+    case 'binary':
+        return Buffer.isBuffer(value) ? value.toString('hex') : Buffer.from(String(value)).toString('hex');
+    case 'spatial':
+        // POINT (1 2) and POINT(1 2) are the same shape
+        return String(value).replace(/\s*([(),])\s*/g, '$1').trim().toUpperCase();
+    default:
+        return Buffer.isBuffer(value) ? value.toString('utf8') : String(value);
+    }
+}
+
+/**
+ * Order two canonical values of a column
+ * @returns {number} - Negative, zero or positive
+ */
+function compareValues(column, a, b) {
+    if (a === b) return 0;
+    if (a === null) return -1;
+    if (b === null) return 1;
+
+    switch (column.kind) {
+    case 'integer':
+    case 'decimal': {
+        const scale = Math.max((a.split('.')[1] || '').length, (b.split('.')[1] || '').length);
+        const difference = scaleDecimal(a, scale) - scaleDecimal(b, scale);
+        return difference < 0n ? -1 : (difference > 0n ? 1 : 0);
+    }
+    case 'float':
+    case 'double':
+        return Number(a) - Number(b);
+    default:
+        return a < b ? -1 : (a > b ? 1 : 0);
+    }
+}
+
+/**
+ * Row counts, checksums and column aggregates of one table on both sides.
+ *
+ * The target's primary key values, read in order, are cut into chunks of chunkSize rows. Every
+ * row of either side is hashed and added to the chunk its key falls into, so both sides can be
+ * read in any order and a difference is located to a key range.
+ */
+class TableComparison {
+    /**
+     * @param {string} name - MySQL table name
+     * @param {Array<object>} columns - Target columns from DatabaseManager.getTableColumns()
+     */
+    constructor(name, columns) {
+        this.name = name;
+        this.columns = columns.map(column => ({
+            name: column.name,
+            kind: VALUE_KINDS[column.dataType] || 'text',
+            scale: column.numericScale || 0,
+            precision: column.datetimePrecision || 0
+        }));
+        this.keyIndexes = columns
+            .map((column, index) => ({ index, position: column.primaryKeyPosition }))
+            .filter(key => key.position !== null && key.position !== undefined)
+            .sort((a, b) => a.position - b.position)
+            .map(key => key.index);
+        // First key of every chunk but the first, which also takes smaller keys
+        this.boundaries = [];
+        // Target columns the source does not have, left out of the comparison
+        this.skippedColumns = new Set();
+        this.sourceColumns = null;
+        this.rowMappings = new Map();
+        this.sourceFound = false;
+        this.notes = [];
+        this.error = null;
+        this.sides = { source: this.createSide(), target: this.createSide() };
+    }
+
+    createSide() {
+        return {
+            rows: 0,
+            chunks: new Map(),
+            aggregates: this.columns.map(() => ({ count: 0, min: null, max: null, sum: null }))
+        };
+    }
+
+    /**
+     * Set the chunk boundaries from primary key values read in order
+     * @param {Array<Array>} keys - Every chunkSize-th primary key, as raw values
+     */
+    setBoundaries(keys) {
+        const canonical = keys.map(key => key.map((value, i) => canonicalValue(this.columns[this.keyIndexes[i]], value)));
+        canonical.sort((a, b) => this.compareKeys(a, b));
+        this.boundaries = canonical.filter((key, i) => i > 0 && this.compareKeys(key, canonical[i - 1]) !== 0);
+    }
+
+    compareKeys(a, b) {
+        for (let i = 0; i < this.keyIndexes.length; i++) {
+            const order = compareValues(this.columns[this.keyIndexes[i]], a[i], b[i]);
+            if (order !== 0) return order;
+        }
+        return 0;
+    }
+
+    /**
+     * Chunk a canonical key falls into: the last boundary not above it
+     */
+    chunkOf(key) {
+        let low = 0;
+        let high = this.boundaries.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.compareKeys(this.boundaries[middle], key) <= 0) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Put the values of a source row in target column order
+     * @param {Array<string>|null} names - Source column names, null when they follow the target's
+     * @param {Array} values - Source values
+     */
+    mapSourceRow(names, values) {
+        if (!names) return values;
+
+        const cacheKey = names.join('\u0000');
+        let mapping = this.rowMappings.get(cacheKey);
+        if (!mapping) {
+            const positions = new Map(names.map((name, i) => [name.toLowerCase(), i]));
+            mapping = this.columns.map(column => positions.get(column.name.toLowerCase()));
+            this.rowMappings.set(cacheKey, mapping);
+
+            if (!this.sourceColumns) {
+                this.sourceColumns = names;
+                this.columns.forEach((column, i) => {
+                    if (mapping[i] === undefined) {
+                        this.skippedColumns.add(i);
+                        this.notes.push(`column ${column.name} is not in the source and is not compared`);
+                    }
+                });
+                const known = new Set(this.columns.map(column => column.name.toLowerCase()));
+                names.filter(name => !known.has(name.toLowerCase())).forEach(name => {
+                    this.notes.push(`source column ${name} is not in MySQL`);
+                });
+            }
+        }
+
+        return mapping.map(index => (index === undefined ? null : values[index]));
+    }
+
+    /**
+     * Add a row to one side
+     * @param {string} sideName - source or target
+     * @param {Array} values - Values in target column order
+     */
+    add(sideName, values) {
+        const side = this.sides[sideName];
+        const canonical = this.columns.map((column, i) => (this.skippedColumns.has(i) ? null : canonicalValue(column, values[i])));
+
+        side.rows++;
+        const hash = BigInt('0x' + crypto.createHash('md5').update(JSON.stringify(canonical)).digest('hex').slice(0, 16));
+        const chunkIndex = this.keyIndexes.length > 0 ? this.chunkOf(this.keyIndexes.map(i => canonical[i])) : 0;
+        const chunk = side.chunks.get(chunkIndex) || { rows: 0, hash: 0n };
+        chunk.rows++;
+        chunk.hash = (chunk.hash + hash) % HASH_MODULUS;
+        side.chunks.set(chunkIndex, chunk);
+
+        canonical.forEach((value, i) => {
+            if (value === null) return;
+            const column = this.columns[i];
+            const aggregate = side.aggregates[i];
+            aggregate.count++;
+            if (aggregate.min === null || compareValues(column, value, aggregate.min) < 0) aggregate.min = value;
+            if (aggregate.max === null || compareValues(column, value, aggregate.max) > 0) aggregate.max = value;
+            if (column.kind === 'integer' || column.kind === 'decimal') {
+                aggregate.sum = (aggregate.sum || 0n) + scaleDecimal(value, column.scale);
+            } else if (column.kind === 'float' || column.kind === 'double') {
+                aggregate.sum = (aggregate.sum || 0) + Number(value);
+            }
+        });
+    }
+
+    /**
+     * Compare both sides
+     * @returns {object} - { table, status, sourceRows, targetRows, columns, ranges, notes, error }
+     *   status: pass, fail, missing (no source table) or error (the source could not be read)
+     *   columns: { name, source, target } aggregates of the columns that differ
+     *   ranges: { from, to, sourceRows, targetRows } key ranges whose rows differ; from is null
+     *     for the start of the table and to (excluded) null for its end
+     */
+    result() {
+        const { source, target } = this.sides;
+        const columns = [];
+        this.columns.forEach((column, i) => {
+            if (this.skippedColumns.has(i)) return;
+            const a = source.aggregates[i];
+            const b = target.aggregates[i];
+            const sumsMatch = typeof a.sum === 'number' && typeof b.sum === 'number'
+                ? Math.abs(a.sum - b.sum) <= 1e-9 * Math.max(Math.abs(a.sum), Math.abs(b.sum), 1)
+                : a.sum === b.sum;
+            if (a.count !== b.count || a.min !== b.min || a.max !== b.max || !sumsMatch) {
+                const show = (aggregate) => ({ ...aggregate, sum: aggregate.sum === null ? null : this.formatSum(column, aggregate.sum) });
+                columns.push({ name: column.name, source: show(a), target: show(b) });
+            }
+        });
+
+        const ranges = [];
+        for (let i = 0; i <= this.boundaries.length; i++) {
+            const a = source.chunks.get(i) || { rows: 0, hash: 0n };
+            const b = target.chunks.get(i) || { rows: 0, hash: 0n };
+            if (a.rows === b.rows && a.hash === b.hash) continue;
+
+            const from = i === 0 ? null : this.boundaries[i - 1].join(', ');
+            const to = i === this.boundaries.length ? null : this.boundaries[i].join(', ');
+            const last = ranges[ranges.length - 1];
+            if (last && last.to === from) {
+                // Adjacent chunks make one range
+                last.to = to;
+                last.sourceRows += a.rows;
+                last.targetRows += b.rows;
+            } else {
+                ranges.push({ from, to, sourceRows: a.rows, targetRows: b.rows });
+            }
+        }
+
+        let status = columns.length === 0 && ranges.length === 0 && source.rows === target.rows ? 'pass' : 'fail';
+        if (!this.sourceFound) status = 'missing';
+        if (this.error) status = 'error';
+
+        const notes = this.keyIndexes.length === 0
+            ? ['no primary key: the table is compared as one chunk', ...this.notes]
+            : this.notes;
+
+        return {
+            table: this.name,
+            status,
+            sourceRows: source.rows,
+            targetRows: target.rows,
+            columns,
+            ranges,
+            notes,
+            error: this.error
+        };
+    }
+
+    formatSum(column, sum) {
+        if (typeof sum === 'number') return String(sum);
+        if (column.kind === 'integer' || column.scale === 0) return sum.toString();
+        const digits = (sum < 0n ? -sum : sum).toString().padStart(column.scale + 1, '0');
+        return `${sum < 0n ? '-' : ''}${digits.slice(0, -column.scale)}.${digits.slice(-column.scale)}`;
+    }
+}
+
+/**
+ * Proves a migration complete by comparing every table of the MySQL database with its source:
+ * a live SQL Server database or the SQL Server script the data was loaded from.
+ *
+ * Each table gets row counts, per-column aggregates (non-null count, min, max and sum) and
+ * checksums of its rows in primary key ranges. Values are compared in a canonical form, so
+ * type mapping differences (bit and TINYINT(1), money and DECIMAL, datetime2 rounded to six
+ * digits, CHAR padding) are not reported as mismatches.
+ */
+class DataVerifier {
+    /**
+     * @param {DatabaseManager} target - MySQL database to check
+     * @param {object} options - { source, dump, include, exclude, chunkSize }
+     *   source: SQLServerSource to compare with
+     *   dump: SQL Server script to compare with, read offline, when there is no source
+     *   include, exclude: table patterns (see TableFilter)
+     *   chunkSize: rows per checksum chunk (default: 10000)
+     */
+    constructor(target, options = {}) {
+        this.target = target;
+        this.source = options.source || null;
+        this.dump = options.dump || null;
+        this.filter = new TableFilter({ include: options.include, exclude: options.exclude });
+        this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    }
+
+    /**
+     * Compare the selected tables
+     * @returns {Promise<Array<object>>} - Results per table (see TableComparison.result), then
+     *   tables only found in the source with status missing and no target rows
+     */
+    async verify() {
+        const names = (await this.target.listTables()).filter(name => this.filter.matches(name));
+        const comparisons = new Map();
+
+        for (const name of names) {
+            const comparison = new TableComparison(name, await this.target.getTableColumns(name));
+            comparisons.set(name.toLowerCase(), comparison);
+            await this.readBoundaries(comparison);
+        }
+
+        const sourceOnly = this.dump
+            ? await this.readDump(comparisons)
+            : await this.readSource(comparisons);
+
+        const results = [];
+        for (const comparison of comparisons.values()) {
+            console.log(chalk.blue(`🔎 Checking ${comparison.name}...`));
+            const list = comparison.columns.map(column => {
+                const name = `\`${column.name.replace(/`/g, '``')}\``;
+                return column.kind === 'spatial' ? `ST_AsText(${name})` : name;
+            });
+            for await (const row of this.target.streamRows(`SELECT ${list.join(', ')} FROM \`${comparison.name.replace(/`/g, '``')}\``)) {
+                comparison.add('target', row);
+            }
+            results.push(comparison.result());
+        }
+
+        return results.concat(sourceOnly.map(table => ({
+            table,
+            status: 'missing',
+            sourceRows: null,
+            targetRows: null,
+            columns: [],
+            ranges: [],
+            notes: ['table is in the source but not in MySQL'],
+            error: null
+        })));
+    }
+
+    /**
+     * Read every chunkSize-th primary key of a MySQL table
+     */
+    async readBoundaries(comparison) {
+        if (comparison.keyIndexes.length === 0) return;
+
+        const keyList = comparison.keyIndexes.map(i => `\`${comparison.columns[i].name.replace(/`/g, '``')}\``).join(', ');
+        const keys = [];
+        let count = 0;
+        for await (const key of this.target.streamRows(`SELECT ${keyList} FROM \`${comparison.name.replace(/`/g, '``')}\` ORDER BY ${keyList}`)) {
+            if (count % this.chunkSize === 0) keys.push(key);
+            count++;
+        }
+        comparison.setBoundaries(keys);
+    }
+
+    /**
+     * Add the rows of the live SQL Server tables
+     * @returns {Promise<Array<string>>} - Selected source tables MySQL does not have
+     */
+    async readSource(comparisons) {
+        const tables = (await this.source.listTables()).filter(table => this.filter.matches(table.name, table.schema));
+
+        for (const table of tables) {
+            const comparison = comparisons.get(table.name.toLowerCase());
+            if (!comparison) continue;
+            comparison.sourceFound = true;
+
+            console.log(chalk.blue(`📥 Reading ${table.schema}.${table.name} from SQL Server...`));
+            const definition = await this.source.describeTable(table);
+            const columnNames = definition.columns.filter(column => !column.computed).map(column => column.name);
+            for await (const rows of this.source.readRows(this.source.selectRows(definition))) {
+                rows.forEach(row => comparison.add('source', comparison.mapSourceRow(columnNames, row)));
+            }
+        }
+
+        const found = new Set(Array.from(comparisons.keys()));
+        return tables.filter(table => !found.has(table.name.toLowerCase())).map(table => `${table.schema}.${table.name}`);
+    }
+
+    /**
+     * Add the rows of the INSERT statements of the dump
+     * @returns {Promise<Array<string>>} - Tables the dump inserts into that MySQL does not have
+     */
+    async readDump(comparisons) {
+        console.log(chalk.blue(`📥 Reading ${this.dump}...`));
+        const reader = new SQLDumpReader();
+        const sourceOnly = new Set();
+
+        // A dump without INSERTs for a table holds an empty table
+        comparisons.forEach(comparison => { comparison.sourceFound = true; });
+
+        await reader.read(this.dump, (table, columns, rows, error) => {
+            const comparison = comparisons.get(table.toLowerCase());
+            if (!comparison) {
+                if (this.filter.matches(table)) sourceOnly.add(table);
+                return;
+            }
+            rows.forEach(row => comparison.add('source', comparison.mapSourceRow(columns, row)));
+            if (error && !comparison.error) {
+                comparison.error = `cannot read the dump offline: ${error}`;
+            }
+        });
+
+        return Array.from(sourceOnly);
+    }
+}
+
+DataVerifier.DEFAULT_CHUNK_SIZE = DEFAULT_CHUNK_SIZE;
+
+module.exports = DataVerifier;
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataVerifier = require('./dataVerifier');
+
+const DUMP = [
+    'SET IDENTITY_INSERT [dbo].[Accounts] ON',
+    'GO',
+    'INSERT [dbo].[Accounts] ([Id], [Code], [Balance], [Active], [OpenedAt]) VALUES (1, N\'A  \', 12.3456, 1, CAST(N\'2024-01-02T03:04:05.1234567\' AS DateTime2))',
+    'INSERT [dbo].[Accounts] ([Id], [Code], [Balance], [Active], [OpenedAt]) VALUES (2, N\'B\', NULL, 0, CAST(N\'2024-02-03T00:00:00.0000000\' AS DateTime2))',
+    'INSERT [dbo].[Accounts] ([Id], [Code], [Balance], [Active], [OpenedAt]) VALUES (3, N\'C\', -1.5000, 1, CAST(N\'2024-03-04T10:11:12.0000000\' AS DateTime2))',
+    'GO',
+    'INSERT [dbo].[Audit] ([Id]) VALUES (1)',
+    'GO',
+    ''
+].join('\n');
+
+const ACCOUNT_COLUMNS = [
+    { name: 'Id', dataType: 'int', numericScale: 0, datetimePrecision: null, primaryKeyPosition: 1 },
+    { name: 'Code', dataType: 'char', numericScale: null, datetimePrecision: null, primaryKeyPosition: null },
+    { name: 'Balance', dataType: 'decimal', numericScale: 4, datetimePrecision: null, primaryKeyPosition: null },
+    { name: 'Active', dataType: 'tinyint', numericScale: 0, datetimePrecision: null, primaryKeyPosition: null },
+    { name: 'OpenedAt', dataType: 'datetime', numericScale: null, datetimePrecision: 6, primaryKeyPosition: null }
+];
+
+/**
+ * MySQL database stand-in holding the Accounts table, as DatabaseManager returns rows:
+ * decimals, dates and times as strings
+ */
+function createTarget(rows) {
+    return {
+        listTables: async () => ['Accounts'],
+        getTableColumns: async () => ACCOUNT_COLUMNS,
+        streamRows: async function* (sql) {
+            const names = /^SELECT (.*) FROM/.exec(sql)[1].split(', ').map(name => name.replace(/`/g, ''));
+            const indexes = names.map(name => ACCOUNT_COLUMNS.findIndex(column => column.name === name));
+            yield* rows.map(row => indexes.map(index => row[index]));
+        }
+    };
+}
+
+const ROWS = [
+    [1, 'A', '12.3456', 1, '2024-01-02 03:04:05.123457'],
+    [2, 'B', null, 0, '2024-02-03 00:00:00.000000'],
+    [3, 'C', '-1.5000', 1, '2024-03-04 10:11:12.000000']
+];
+
+/**
+ * Verify a target against the dump, with the output of the verifier muted
+ */
+async function verify(t, target, options = {}) {
+    t.mock.method(console, 'log', () => {});
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-'));
+    const dump = path.join(directory, 'dump.sql');
+    fs.writeFileSync(dump, DUMP);
+    try {
+        return await new DataVerifier(target, { dump, ...options }).verify();
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('values that only differ by type mapping compare equal', async (t) => {
+    const results = await verify(t, createTarget(ROWS));
+    assert.deepStrictEqual(results.map(result => [result.table, result.status, result.sourceRows, result.targetRows]), [
+        ['Accounts', 'pass', 3, 3],
+        ['Audit', 'missing', null, null]
+    ]);
+});
+
+test('a changed row is located to its key range and its column aggregates', async (t) => {
+    const rows = ROWS.map(row => row.slice());
+    rows[2][2] = '-1.4000';
+    const [result] = await verify(t, createTarget(rows), { chunkSize: 2 });
+
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.ranges, [{ from: '3', to: null, sourceRows: 1, targetRows: 1 }]);
+    assert.deepStrictEqual(result.columns.map(column => [column.name, column.source.sum, column.target.sum]), [['Balance', '10.8456', '10.9456']]);
+});
+
+test('a missing row changes the row counts of the range it belongs to', async (t) => {
+    // Ranges are cut at target keys, so two target rows make a single chunk
+    const [result] = await verify(t, createTarget(ROWS.slice(0, 2)), { chunkSize: 2 });
+    assert.deepStrictEqual([result.status, result.sourceRows, result.targetRows], ['fail', 3, 2]);
+    assert.deepStrictEqual(result.ranges, [{ from: null, to: null, sourceRows: 3, targetRows: 2 }]);
+});
@@ -2,9 +2,40 @@ require('dotenv').config();
 const mysql = require('mysql2/promise');
 const fs = require('fs').promises;
 const { createReadStream } = require('fs');
-const { createInterface } = require('readline');
 const path = require('path');
 const chalk = require('chalk');
+const StatementSplitter = require('./statementSplitter');
+const LoadErrorPolicy = require('./loadErrorPolicy');
+const InsertCoalescer = require('./insertCoalescer');
+
+// Statements the prepared statement protocol refuses: routine definitions, versioned
+// comments written by mysqldump and table locks
+const UNPREPARED_PATTERN = /^\s*(?:(?:DROP|CREATE)\s+(?:DEFINER\s*=\s*\S+\s+)?(?:PROCEDURE|FUNCTION|TRIGGER|EVENT)\b|\/\*!|(?:UN)?LOCK\s+TABLES?\b)/i;
+
+// Statements after which MySQL has committed the open transaction by itself
+const IMPLICIT_COMMIT_PATTERN = /^\s*(?:CREATE|ALTER|DROP|TRUNCATE|RENAME|LOCK\s+TABLES?|UNLOCK\s+TABLES?)\b/i;
+
+// Statements per transaction when loading in transactions
+const DEFAULT_BATCH_SIZE = 1000;
+
+// Connections running INSERTs in parallel in bulk loads
+const DEFAULT_WORKERS = 4;
+
+// Milliseconds between throughput reports in bulk loads
+const PROGRESS_INTERVAL = 5000;
+
+// Statements that only touch the table they name: bulk loads run them once the INSERTs
+// into that table are done, while other tables keep loading
+const TABLE_SCOPED_PATTERN = /^\s*(?:(?:CREATE|ALTER|TRUNCATE)\s+(?:TEMPORARY\s+)?TABLE\b|DROP\s+(?:TEMPORARY\s+)?TABLE\s+(?:IF\s+EXISTS\s+)?[^,\s]+\s*$|(?:INSERT|REPLACE)\b)/i;
+
+// Clauses that read other tables, which makes a statement wait for every table
+const CROSS_TABLE_PATTERN = /\b(?:REFERENCES|SELECT)\b/i;
+
+// Session settings and USE, which bulk loads run on every connection
+const SESSION_PATTERN = /^\s*(?:\/\*!\d*\s*)?(?:SET|USE)\b/i;
+
+// Table locks and transaction statements, meaningless when INSERTs are spread over connections
+const BULK_IGNORED_PATTERN = /^\s*(?:(?:UN)?LOCK\s+TABLES?|START\s+TRANSACTION|BEGIN|COMMIT|ROLLBACK)\b/i;
 
 class DatabaseManager {
     constructor() {
@@ -90,8 +121,10 @@ class DatabaseManager {
 
     /**
      * Execute very large SQL files using streaming
+     * @param {string} filePath - SQL file
+     * @param {object} options - Error options (see createErrorPolicy) and filter
      */
-    async executeLargeSQLFile(filePath) {
+    async executeLargeSQLFile(filePath, options = {}) {
         try {
             console.log(chalk.blue(`📁 Processing large SQL file: ${filePath}`));
             
@@ -110,71 +143,34 @@ class DatabaseManager {
             const connection = await this.connect();
 
             let executedCount = 0;
-            let errorCount = 0;
-            let currentStatement = '';
-            let lineCount = 0;
-            
-            // Create readline interface for streaming
-            const fileStream = createReadStream(filePath, { encoding: 'utf8' });
-            const rl = createInterface({
-                input: fileStream,
-                crlfDelay: Infinity
-            });
+            const errors = this.createErrorPolicy(filePath, options);
+            const splitter = new StatementSplitter();
 
             console.log(chalk.blue('🔄 Starting to process SQL statements...'));
 
-            // Process file line by line
-            for await (const line of rl) {
-                lineCount++;
-                
-                // Skip empty lines and comments
-                const trimmedLine = line.trim();
-                if (!trimmedLine || trimmedLine.startsWith('--') || trimmedLine.startsWith('/*')) {
-                    continue;
-                }
-
-                // Add line to current statement
-                currentStatement += line + '\n';
-
-                // Check if statement is complete (ends with semicolon)
-                if (trimmedLine.endsWith(';')) {
-                    try {
-                        // Remove the trailing semicolon and execute
-                        const statement = currentStatement.trim();
-                        if (statement.length > 1) {
-                            await connection.execute(statement);
-                            executedCount++;
-                            
-                            // Show progress every 100 statements
-                            if (executedCount % 100 === 0) {
-                                console.log(chalk.yellow(`⏳ Executed ${executedCount} statements... (Line ${lineCount})`));
-                            }
-                        }
-                    } catch (error) {
-                        errorCount++;
-                        console.error(chalk.red(`✗ Error at line ${lineCount}:`), error.message.substring(0, 100));
-                        
-                        // Log problematic statement preview
-                        const preview = currentStatement.substring(0, 200) + (currentStatement.length > 200 ? '...' : '');
-                        console.error(chalk.gray(`Statement preview: ${preview}`));
-                    }
+            for await (const statement of this.readStatements(filePath, splitter, options.filter)) {
+                if (await this.executeLoadStatement(connection, statement, errors)) {
+                    executedCount++;
                     
-                    // Reset for next statement
-                    currentStatement = '';
+                    // Show progress every 100 statements
+                    if (executedCount % 100 === 0) {
+                        console.log(chalk.yellow(`⏳ Executed ${executedCount} statements... (Line ${statement.line})`));
+                    }
                 }
             }
+            const lineCount = splitter.lineCount;
 
             console.log(chalk.green(`✓ Large SQL file processing completed:`));
             console.log(chalk.green(`  - Total lines processed: ${lineCount}`));
             console.log(chalk.green(`  - Successfully executed: ${executedCount} statements`));
-            if (errorCount > 0) {
-                console.log(chalk.yellow(`  - Errors encountered: ${errorCount} statements`));
-            }
+            this.printErrorSummary(errors);
 
             return {
                 success: true,
                 executedCount,
-                errorCount,
+                errorCount: errors.errorCount,
+                skippedCount: errors.skippedCount,
+                rejectsFile: errors.rejectedCount > 0 ? errors.rejectsFile : null,
                 totalLines: lineCount
             };
 
@@ -184,10 +180,515 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Split SQL text into statements (see StatementSplitter)
+     * @param {string} sqlContent - SQL text
+     * @returns {Array<string>} - Statements without their delimiters
+     */
+    splitStatements(sqlContent) {
+        return this.parseStatements(sqlContent).map(statement => statement.sql);
+    }
+
+    /**
+     * Split SQL text into statements with their positions
+     * @param {string} sqlContent - SQL text
+     * @returns {Array<object>} - { sql, line, end } statements
+     */
+    parseStatements(sqlContent) {
+        const splitter = new StatementSplitter();
+        const statements = [];
+        (sqlContent.match(/[^\n]*\n|[^\n]+$/g) || []).forEach(line => {
+            statements.push(...splitter.push(line));
+        });
+        statements.push(...splitter.end());
+        return statements;
+    }
+
+    /**
+     * Read the statements of a SQL file without loading it into memory
+     * @param {string} filePath - SQL file
+     * @param {StatementSplitter} splitter - Splitter to use, which also counts the lines read
+     * @param {StatementFilter} filter - Filter the statements must pass, if any
+     * @returns {AsyncGenerator<object>} - { sql, line, end } statements
+     */
+    async *readStatements(filePath, splitter = new StatementSplitter(), filter = null) {
+        // A splitter resuming from a checkpoint starts at its byte offset
+        const fileStream = createReadStream(filePath, { encoding: 'utf8', start: splitter.offset });
+        const accepted = (statements) => (filter ? statements.filter(statement => filter.accepts(statement.sql)) : statements);
+        let rest = '';
+
+        for await (const data of fileStream) {
+            const lines = (rest + data).split('\n');
+            rest = lines.pop();
+            for (const line of lines) {
+                yield* accepted(splitter.push(line + '\n'));
+            }
+        }
+
+        if (rest !== '') {
+            yield* accepted(splitter.push(rest));
+        }
+        yield* accepted(splitter.end());
+    }
+
+    /**
+     * Error policy of a load
+     * @param {string} filePath - SQL file being loaded
+     * @param {object} options - { onError, maxErrors, rejects, resume, allOrNothing }
+     *   onError: stop, continue or skip-table (default: continue, stop in transactions)
+     *   maxErrors: stop once this many statements failed
+     *   rejects: file receiving failed and skipped statements (default: <file>.rejects.sql)
+     * @param {string} defaultMode - on-error mode when none is given
+     */
+    createErrorPolicy(filePath, options, defaultMode = 'continue') {
+        return new LoadErrorPolicy({
+            // Continuing would commit part of an all-or-nothing load
+            onError: options.allOrNothing ? 'stop' : (options.onError || defaultMode),
+            maxErrors: options.maxErrors,
+            rejectsFile: options.rejects || `${filePath}.rejects.sql`,
+            append: options.resume
+        });
+    }
+
+    /**
+     * Run one statement of a load under its error policy
+     * @returns {Promise<boolean>} - true when the statement ran, false when it failed or was skipped
+     * @throws {Error} - When the policy stops the load
+     */
+    async executeLoadStatement(connection, statement, errors) {
+        if (await errors.skips(statement)) {
+            return false;
+        }
+
+        try {
+            await this.executeStatement(connection, statement.sql);
+            return true;
+        } catch (error) {
+            await errors.fail(statement, error);
+            return false;
+        }
+    }
+
+    /**
+     * Print the failed and skipped statement counts of a load
+     */
+    printErrorSummary(errors) {
+        if (errors.errorCount > 0) {
+            console.log(chalk.yellow(`  - Errors encountered: ${errors.errorCount} statements`));
+        }
+        if (errors.skippedCount > 0) {
+            console.log(chalk.yellow(`  - Skipped after table errors: ${errors.skippedCount} statements`));
+        }
+        if (errors.rejectedCount > 0) {
+            console.log(chalk.yellow(`  - Rejected statements written to ${errors.rejectsFile}`));
+        }
+    }
+
+    /**
+     * Execute one statement; statements that cannot be prepared go through query()
+     */
+    async executeStatement(connection, statement) {
+        if (UNPREPARED_PATTERN.test(statement)) {
+            return connection.query(statement);
+        }
+        return connection.execute(statement);
+    }
+
+    /**
+     * Execute a SQL file in transactions, recording a checkpoint after every commit
+     * @param {string} filePath - SQL file
+     * @param {object} options - { batchSize, stateFile, resume, allOrNothing, filter } and error
+     *   options (see createErrorPolicy)
+     *   batchSize: statements per transaction (default: 1000)
+     *   stateFile: checkpoint file (default: <file>.load-state.json)
+     *   resume: continue after the checkpoint left by an interrupted load
+     *   allOrNothing: run everything in one transaction, rolled back on the first failure
+     * @returns {object} - { success, executedCount, errorCount, skippedCount, rejectsFile, totalLines, resumedFrom }
+     *
+     * When the error policy stops the load, the open transaction is rolled back; the checkpoint
+     * keeps pointing after the last committed statement. MySQL commits DDL statements
+     * implicitly, so a checkpoint is also written after each of them. The state file is
+     * removed once the whole file is loaded.
+     */
+    async executeSQLFileInTransactions(filePath, options = {}) {
+        const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        const stateFile = options.stateFile || `${filePath}.load-state.json`;
+
+        const fileExists = await fs.access(filePath).then(() => true).catch(() => false);
+        if (!fileExists) {
+            throw new Error(`SQL file not found: ${filePath}`);
+        }
+
+        let checkpoint = null;
+        if (options.resume) {
+            checkpoint = await this.readCheckpoint(stateFile, filePath);
+            if (checkpoint) {
+                console.log(chalk.blue(`↩️  Resuming after statement ${checkpoint.statementIndex} (line ${checkpoint.line}, byte ${checkpoint.offset})`));
+            } else {
+                console.log(chalk.yellow(`No checkpoint found in ${stateFile}; starting from the beginning`));
+            }
+        }
+
+        console.log(chalk.blue(`📁 Loading SQL file in transactions: ${filePath}`));
+        if (options.allOrNothing) {
+            console.log(chalk.yellow('⚠️  All-or-nothing mode: DDL statements (CREATE, ALTER, DROP, ...) commit implicitly and are not rolled back'));
+        }
+
+        const connection = await this.connect();
+        const errors = this.createErrorPolicy(filePath, options, 'stop');
+        const splitter = new StatementSplitter(checkpoint || {});
+        let statementIndex = checkpoint ? checkpoint.statementIndex : 0;
+        let executedCount = 0;
+        let uncommitted = 0;
+        let lastStatement = null;
+
+        // Commit the open transaction and record where a resumed load continues
+        const commit = async () => {
+            await connection.query('COMMIT');
+            uncommitted = 0;
+            if (lastStatement && !options.allOrNothing) {
+                await this.writeCheckpoint(stateFile, { file: path.resolve(filePath), ...lastStatement.end, statementIndex });
+            }
+        };
+
+        await connection.query('START TRANSACTION');
+        for await (const statement of this.readStatements(filePath, splitter, options.filter)) {
+            let executed;
+            try {
+                executed = await this.executeLoadStatement(connection, statement, errors);
+            } catch (error) {
+                await connection.query('ROLLBACK');
+                const committed = options.allOrNothing ? 'Load rolled back' :
+                    `${statementIndex - uncommitted} statement(s) committed; run again with --resume to continue after them`;
+                throw new Error(`${error.message}. ${committed}`);
+            }
+
+            statementIndex++;
+            uncommitted++;
+            if (executed) {
+                executedCount++;
+            }
+            lastStatement = statement;
+
+            if (!options.allOrNothing && (uncommitted >= batchSize || IMPLICIT_COMMIT_PATTERN.test(statement.sql))) {
+                await commit();
+                await connection.query('START TRANSACTION');
+            }
+
+            // Show progress every 100 statements
+            if (executed && executedCount % 100 === 0) {
+                console.log(chalk.yellow(`⏳ Executed ${executedCount} statements... (Line ${statement.line})`));
+            }
+        }
+        await commit();
+
+        // The whole file is loaded, nothing is left to resume
+        await fs.rm(stateFile, { force: true });
+
+        console.log(chalk.green(`✓ SQL file loaded in transactions:`));
+        console.log(chalk.green(`  - Successfully executed: ${executedCount} statements`));
+        this.printErrorSummary(errors);
+
+        return {
+            success: true,
+            executedCount,
+            errorCount: errors.errorCount,
+            skippedCount: errors.skippedCount,
+            rejectsFile: errors.rejectedCount > 0 ? errors.rejectsFile : null,
+            totalLines: splitter.lineCount,
+            resumedFrom: checkpoint ? checkpoint.statementIndex : null
+        };
+    }
+
+    /**
+     * Read the checkpoint of an interrupted load
+     * @returns {object|null} - { file, offset, line, delimiter, statementIndex }, or null without a state file
+     */
+    async readCheckpoint(stateFile, filePath) {
+        let checkpoint;
+        try {
+            checkpoint = JSON.parse(await fs.readFile(stateFile, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw new Error(`Invalid state file ${stateFile}: ${error.message}`);
+        }
+
+        if (checkpoint.file !== path.resolve(filePath)) {
+            throw new Error(`State file ${stateFile} belongs to ${checkpoint.file}, not ${path.resolve(filePath)}`);
+        }
+        return checkpoint;
+    }
+
+    /**
+     * Replace the state file, so an interruption never leaves half a checkpoint behind
+     */
+    async writeCheckpoint(stateFile, checkpoint) {
+        const tempFile = `${stateFile}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify({ ...checkpoint, updatedAt: new Date().toISOString() }, null, 2) + '\n', 'utf8');
+        await fs.rename(tempFile, stateFile);
+    }
+
+    /**
+     * Load a SQL file as fast as possible: consecutive INSERTs into the same table are merged
+     * into multi-row INSERTs, and the INSERTs of different tables run in parallel over the pool
+     * @param {string} filePath - SQL file
+     * @param {object} options - { workers, maxPacket, disableChecks, filter } and error options (see createErrorPolicy)
+     *   workers: connections running INSERTs in parallel (default: 4)
+     *   maxPacket: largest merged INSERT in bytes (default: 4 MiB, kept under max_allowed_packet)
+     *   disableChecks: turn off foreign_key_checks and unique_checks during the load
+     * @returns {object} - { success, executedCount, errorCount, skippedCount, rejectsFile, totalLines,
+     *   rowCount, insertCount, ignoredCount, elapsedSeconds, rowsPerSecond }
+     *
+     * The INSERTs into one table keep their order. Other statements run on a connection of their
+     * own once the INSERTs read before them are done: CREATE, ALTER, DROP and TRUNCATE TABLE and
+     * unmerged INSERTs only wait for their table, everything else waits for all tables. SET and
+     * USE run on every connection. Every INSERT commits on its own, so LOCK TABLES and
+     * transaction statements in the file are ignored.
+     */
+    async executeSQLFileBulk(filePath, options = {}) {
+        const workerCount = options.workers || DEFAULT_WORKERS;
+        if (workerCount >= this.config.connectionLimit) {
+            throw new Error(`--workers must be below the connection limit (DB_CONNECTION_LIMIT=${this.config.connectionLimit})`);
+        }
+
+        const fileExists = await fs.access(filePath).then(() => true).catch(() => false);
+        if (!fileExists) {
+            throw new Error(`SQL file not found: ${filePath}`);
+        }
+
+        console.log(chalk.blue(`📁 Bulk loading SQL file with ${workerCount} workers: ${filePath}`));
+
+        const pool = this.createPool();
+        // The first connection runs everything but the merged INSERTs
+        const connections = [];
+        try {
+            for (let i = 0; i <= workerCount; i++) {
+                connections.push(await pool.getConnection());
+            }
+            const [main, ...workerConnections] = connections;
+
+            if (options.disableChecks) {
+                await Promise.all(connections.map(connection => connection.query('SET foreign_key_checks = 0, unique_checks = 0')));
+                console.log(chalk.yellow('⚠️  foreign_key_checks and unique_checks are off during the load'));
+            }
+
+            const [[server]] = await main.query('SELECT @@max_allowed_packet AS maxAllowedPacket');
+            // Leave room for the packet header
+            const maxBytes = Math.min(options.maxPacket || InsertCoalescer.DEFAULT_MAX_BYTES, server.maxAllowedPacket - 1024);
+
+            const errors = this.createErrorPolicy(filePath, options);
+            const coalescer = new InsertCoalescer({ maxBytes });
+            const splitter = new StatementSplitter();
+            const totals = { executed: 0, rows: 0, inserts: 0, ignored: 0 };
+            const startTime = Date.now();
+            let lastReport = startTime;
+
+            // Merged INSERTs waiting for a worker, and the tables a worker is loading
+            const queue = [];
+            const busy = new Set();
+            let reading = true;
+            let failure = null;
+
+            // Resolved and replaced whenever the queue or the busy tables change
+            let changed;
+            let notify = () => {};
+            const signal = () => {
+                notify();
+                changed = new Promise(resolve => { notify = resolve; });
+            };
+            signal();
+
+            const work = async (connection) => {
+                while (!failure) {
+                    const index = queue.findIndex(batch => !busy.has(batch.table));
+                    if (index === -1) {
+                        if (!reading) return;
+                        await changed;
+                        continue;
+                    }
+
+                    const [batch] = queue.splice(index, 1);
+                    busy.add(batch.table);
+                    signal();
+                    try {
+                        const done = await this.executeBulkInsert(connection, batch, errors);
+                        totals.executed += done.executed;
+                        totals.rows += done.rows;
+                        totals.inserts++;
+
+                        if (Date.now() - lastReport >= PROGRESS_INTERVAL) {
+                            lastReport = Date.now();
+                            const rate = Math.round(totals.rows / ((lastReport - startTime) / 1000));
+                            console.log(chalk.yellow(`⏳ Inserted ${totals.rows} rows (${rate} rows/sec)... (Line ${batch.line})`));
+                        }
+                    } catch (error) {
+                        failure = failure || error;
+                    } finally {
+                        busy.delete(batch.table);
+                        signal();
+                    }
+                }
+            };
+
+            // Wait until no INSERT into the table, or into any table without one, is queued or running
+            const settle = async (table) => {
+                const pending = table
+                    ? () => busy.has(table) || queue.some(batch => batch.table === table)
+                    : () => busy.size > 0 || queue.length > 0;
+                while (!failure && pending()) {
+                    await changed;
+                }
+            };
+
+            const dispatch = async (item) => {
+                if (failure) return;
+
+                if (item.statements) {
+                    // Bound the INSERTs held in memory while the workers catch up
+                    while (!failure && queue.length >= workerCount * 2) {
+                        await changed;
+                    }
+                    queue.push({ ...item, table: errors.tableOf(item.sql) });
+                    signal();
+                    return;
+                }
+
+                if (BULK_IGNORED_PATTERN.test(item.sql)) {
+                    totals.ignored++;
+                    return;
+                }
+
+                const scoped = TABLE_SCOPED_PATTERN.test(item.sql) && !CROSS_TABLE_PATTERN.test(item.sql);
+                await settle(scoped ? errors.tableOf(item.sql) : null);
+                if (failure) return;
+
+                if (await this.executeLoadStatement(main, item, errors)) {
+                    totals.executed++;
+                    // The workers are idle here, as SET and USE wait for every table
+                    if (SESSION_PATTERN.test(item.sql)) {
+                        await Promise.all(workerConnections.map(connection => this.executeStatement(connection, item.sql)));
+                    }
+                }
+            };
+
+            console.log(chalk.blue('🔄 Starting to process SQL statements...'));
+
+            const workers = workerConnections.map(connection => work(connection));
+            try {
+                for await (const statement of this.readStatements(filePath, splitter, options.filter)) {
+                    for (const item of coalescer.push(statement)) {
+                        await dispatch(item);
+                    }
+                    if (failure) break;
+                }
+                for (const item of coalescer.end()) {
+                    await dispatch(item);
+                }
+            } catch (error) {
+                failure = failure || error;
+            } finally {
+                reading = false;
+                signal();
+                await Promise.all(workers);
+            }
+            if (failure) {
+                throw failure;
+            }
+
+            // Files written with autocommit=0 leave their rows in open transactions
+            await Promise.all(connections.map(connection => connection.query('COMMIT')));
+
+            const elapsedSeconds = (Date.now() - startTime) / 1000;
+            const rowsPerSecond = Math.round(totals.rows / Math.max(elapsedSeconds, 0.001));
+
+            console.log(chalk.green(`✓ Bulk load completed:`));
+            console.log(chalk.green(`  - Total lines processed: ${splitter.lineCount}`));
+            console.log(chalk.green(`  - Successfully executed: ${totals.executed} statements`));
+            console.log(chalk.green(`  - Rows inserted: ${totals.rows} in ${totals.inserts} INSERT statements`));
+            console.log(chalk.green(`  - Throughput: ${rowsPerSecond} rows/sec (${elapsedSeconds.toFixed(1)}s)`));
+            if (totals.ignored > 0) {
+                console.log(chalk.yellow(`  - Ignored: ${totals.ignored} LOCK TABLES and transaction statements`));
+            }
+            this.printErrorSummary(errors);
+
+            return {
+                success: true,
+                executedCount: totals.executed,
+                errorCount: errors.errorCount,
+                skippedCount: errors.skippedCount,
+                rejectsFile: errors.rejectedCount > 0 ? errors.rejectsFile : null,
+                totalLines: splitter.lineCount,
+                rowCount: totals.rows,
+                insertCount: totals.inserts,
+                ignoredCount: totals.ignored,
+                elapsedSeconds,
+                rowsPerSecond
+            };
+        } finally {
+            if (options.disableChecks) {
+                // Pooled connections keep their session settings; a broken one is dropped anyway
+                await Promise.all(connections.map(connection =>
+                    connection.query('SET foreign_key_checks = 1, unique_checks = 1').catch(() => {})));
+            }
+            connections.forEach(connection => connection.release());
+        }
+    }
+
+    /**
+     * Run a merged INSERT of a bulk load. When it fails, its statements run one by one so the
+     * error policy records the ones that failed; a failed INSERT leaves no rows in InnoDB tables.
+     * @param {object} batch - { sql, line, rows, statements } from InsertCoalescer
+     * @returns {Promise<object>} - { executed, rows } statements and rows that were inserted
+     * @throws {Error} - When the error policy stops the load
+     */
+    async executeBulkInsert(connection, batch, errors) {
+        // All statements of a batch are on the same table
+        if (await errors.skips(batch.statements[0])) {
+            for (const statement of batch.statements.slice(1)) {
+                await errors.skips(statement);
+            }
+            return { executed: 0, rows: 0 };
+        }
+
+        // query() rather than execute(): every merged INSERT is different, preparing them
+        // would only fill the prepared statement cache
+        try {
+            await connection.query(batch.sql);
+            return { executed: batch.statements.length, rows: batch.rows };
+        } catch (error) {
+            if (batch.statements.length === 1) {
+                await errors.fail(batch.statements[0], error);
+                return { executed: 0, rows: 0 };
+            }
+        }
+
+        const done = { executed: 0, rows: 0 };
+        for (const statement of batch.statements) {
+            if (await this.executeLoadStatement(connection, statement, errors)) {
+                done.executed++;
+                done.rows += statement.rows;
+            }
+        }
+        return done;
+    }
+
     /**
      * Execute SQL file - automatically chooses method based on file size
+     * @param {string} filePath - SQL file
+     * @param {object} options - Transaction options (see executeSQLFileInTransactions); with
+     *   transactional, resume or allOrNothing set the file is loaded in transactions. With bulk
+     *   set it is loaded by executeSQLFileBulk.
+     *   Error options (see createErrorPolicy) apply to every mode, and so does filter: a
+     *   StatementFilter the statements must pass to run.
      */
-    async executeSQLFile(filePath) {
+    async executeSQLFile(filePath, options = {}) {
+        if (options.bulk) {
+            return this.executeSQLFileBulk(filePath, options);
+        }
+        if (options.transactional || options.resume || options.allOrNothing) {
+            return this.executeSQLFileInTransactions(filePath, options);
+        }
+
         try {
             // Check file size first
             const stats = await fs.stat(filePath);
@@ -196,7 +697,7 @@ class DatabaseManager {
             // Use streaming for files larger than 100MB
             if (fileSizeInMB > 100) {
                 console.log(chalk.yellow(`⚠️  Large file detected (${fileSizeInMB.toFixed(2)}MB). Using streaming mode...`));
-                return await this.executeLargeSQLFile(filePath);
+                return await this.executeLargeSQLFile(filePath, options);
             }
             
             // Original method for smaller files
@@ -220,17 +721,14 @@ class DatabaseManager {
             // Connect to database
             const connection = await this.connect();
 
-            // Split SQL content into individual statements (basic splitting)
-            // Note: This is a simple approach and might need refinement for complex SQL
-            const statements = sqlContent
-                .split(';')
-                .map(stmt => stmt.trim())
-                .filter(stmt => stmt.length > 0);
+            // Split SQL content into individual statements, the same way streaming mode does
+            const statements = this.parseStatements(sqlContent)
+                .filter(statement => !options.filter || options.filter.accepts(statement.sql));
 
             console.log(chalk.blue(`📋 Found ${statements.length} SQL statements to execute`));
 
             let executedCount = 0;
-            let errorCount = 0;
+            const errors = this.createErrorPolicy(filePath, options);
 
             // Execute statements in batches to avoid memory issues
             const batchSize = 100;
@@ -238,38 +736,27 @@ class DatabaseManager {
                 const batch = statements.slice(i, i + batchSize);
                 
                 for (const statement of batch) {
-                    try {
-                        await connection.execute(statement);
+                    if (await this.executeLoadStatement(connection, statement, errors)) {
                         executedCount++;
                         
                         // Show progress every 50 statements
                         if (executedCount % 50 === 0) {
                             console.log(chalk.yellow(`⏳ Executed ${executedCount}/${statements.length} statements...`));
                         }
-                    } catch (error) {
-                        errorCount++;
-                        console.error(chalk.red(`✗ Error executing statement ${executedCount + errorCount}:`), error.message);
-                        
-                        // Log the problematic statement (first 100 chars)
-                        const preview = statement.substring(0, 100) + (statement.length > 100 ? '...' : '');
-                        console.error(chalk.gray(`Statement preview: ${preview}`));
-                        
-                        // Continue with next statement instead of stopping
-                        continue;
                     }
                 }
             }
 
             console.log(chalk.green(`✓ SQL file execution completed:`));
             console.log(chalk.green(`  - Successfully executed: ${executedCount} statements`));
-            if (errorCount > 0) {
-                console.log(chalk.yellow(`  - Errors encountered: ${errorCount} statements`));
-            }
+            this.printErrorSummary(errors);
 
             return {
                 success: true,
                 executedCount,
-                errorCount,
+                errorCount: errors.errorCount,
+                skippedCount: errors.skippedCount,
+                rejectsFile: errors.rejectedCount > 0 ? errors.rejectsFile : null,
                 totalStatements: statements.length
             };
 
@@ -282,7 +769,7 @@ class DatabaseManager {
     /**
      * Load data from the converted MySQL file
      */
-    async loadSoffaData() {
+    async loadSoffaData(options = {}) {
         const sqlFile = path.join(__dirname, 'SoffaV2CompleteWithData_mysql.sql');
         
         try {
@@ -290,7 +777,7 @@ class DatabaseManager {
             await this.createDatabase();
             
             // Then execute the SQL file
-            const result = await this.executeSQLFile(sqlFile);
+            const result = await this.executeSQLFile(sqlFile, options);
             
             console.log(chalk.green('🎉 Soffa database loaded successfully!'));
             return result;
@@ -315,6 +802,177 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Insert rows into a table with one multi-row INSERT
+     * @param {string} table - Table name
+     * @param {Array<string>} columns - Column names
+     * @param {Array<Array>} rows - Values of each row, in column order
+     * @param {Array<string>} placeholders - SQL expression per column taking its value as ?
+     *   (e.g. ST_GeomFromText(?)); plain ? by default
+     * @returns {Promise<number>} - Rows inserted
+     */
+    async insertRows(table, columns, rows, placeholders = null) {
+        if (rows.length === 0) return 0;
+
+        const connection = await this.connect();
+        const row = `(${(placeholders || columns.map(() => '?')).join(', ')})`;
+        const sql = `INSERT INTO ${mysql.escapeId(table)} (${columns.map(column => mysql.escapeId(column)).join(', ')}) ` +
+            `VALUES ${rows.map(() => row).join(', ')}`;
+
+        // query() formats the values on the client; every batch has its own placeholder count
+        const [result] = await connection.query(sql, rows.flat());
+        return result.affectedRows;
+    }
+
+    /**
+     * Base tables of the database
+     * @returns {Promise<Array<string>>} - Table names in name order
+     */
+    async listTables() {
+        const { rows } = await this.query(`
+            SELECT table_name AS name
+            FROM information_schema.tables
+            WHERE table_schema = ? AND table_type = 'BASE TABLE'
+            ORDER BY table_name
+        `, [this.config.database]);
+        return rows.map(row => row.name);
+    }
+
+    /**
+     * Columns of a table from information_schema
+     * @param {string} table - Table name
+     * @returns {Promise<Array<object>>} - { name, dataType, columnType, numericScale, datetimePrecision,
+     *   primaryKeyPosition } in column order; primaryKeyPosition is null outside the primary key
+     */
+    async getTableColumns(table) {
+        const { rows } = await this.query(`
+            SELECT c.COLUMN_NAME AS name, c.DATA_TYPE AS dataType, c.COLUMN_TYPE AS columnType,
+                c.NUMERIC_SCALE AS numericScale, c.DATETIME_PRECISION AS datetimePrecision,
+                k.ORDINAL_POSITION AS primaryKeyPosition
+            FROM information_schema.COLUMNS c
+            LEFT JOIN information_schema.KEY_COLUMN_USAGE k
+                ON k.TABLE_SCHEMA = c.TABLE_SCHEMA AND k.TABLE_NAME = c.TABLE_NAME
+                AND k.COLUMN_NAME = c.COLUMN_NAME AND k.CONSTRAINT_NAME = 'PRIMARY'
+            WHERE c.TABLE_SCHEMA = ? AND c.TABLE_NAME = ?
+            ORDER BY c.ORDINAL_POSITION
+        `, [this.config.database, table]);
+        return rows;
+    }
+
+    /**
+     * Stream the rows of a query without holding the result in memory
+     * @param {string} sql - Query
+     * @returns {AsyncGenerator<Array>} - Rows as arrays of values; dates and times come as
+     *   strings and BIGINT as exact strings, so no value is shifted or rounded on the way
+     */
+    async *streamRows(sql) {
+        const connection = await this.connect();
+        const stream = connection.connection.query({
+            sql,
+            rowsAsArray: true,
+            dateStrings: true,
+            supportBigNumbers: true,
+            bigNumberStrings: true
+        }).stream();
+
+        yield* stream;
+    }
+
+    /**
+     * Tables of a database with their columns, indexes and foreign keys from information_schema
+     * @param {string} database - Database to read (default: the configured one)
+     * @returns {Promise<Map>} - Tables by lower-case name, in the shape SchemaParser builds
+     */
+    async getSchema(database = this.config.database) {
+        const tables = new Map();
+        const tableOf = (name) => {
+            if (!tables.has(name.toLowerCase())) {
+                tables.set(name.toLowerCase(), { name, columns: [], indexes: [], foreignKeys: [] });
+            }
+            return tables.get(name.toLowerCase());
+        };
+
+        const { rows: columns } = await this.query(`
+            SELECT c.TABLE_NAME AS tableName, c.COLUMN_NAME AS name, c.COLUMN_TYPE AS type,
+                c.IS_NULLABLE AS nullable, c.COLUMN_DEFAULT AS defaultValue, c.EXTRA AS extra
+            FROM information_schema.COLUMNS c
+            JOIN information_schema.TABLES t ON t.TABLE_SCHEMA = c.TABLE_SCHEMA AND t.TABLE_NAME = c.TABLE_NAME
+            WHERE c.TABLE_SCHEMA = ? AND t.TABLE_TYPE = 'BASE TABLE'
+            ORDER BY c.TABLE_NAME, c.ORDINAL_POSITION
+        `, [database]);
+        columns.forEach(row => {
+            const extra = row.extra || '';
+            const onUpdate = /\bon update (\S+)/i.exec(extra);
+            tableOf(row.tableName).columns.push({
+                name: row.name,
+                type: row.type,
+                nullable: row.nullable === 'YES',
+                // MySQL 8 marks expression defaults; 5.7 only has CURRENT_TIMESTAMP
+                default: row.defaultValue === null ? null : {
+                    value: row.defaultValue,
+                    expression: /DEFAULT_GENERATED/i.test(extra) || /^CURRENT_TIMESTAMP\b/i.test(row.defaultValue)
+                },
+                autoIncrement: /auto_increment/i.test(extra),
+                onUpdate: onUpdate ? onUpdate[1] : null
+            });
+        });
+
+        const { rows: indexColumns } = await this.query(`
+            SELECT TABLE_NAME AS tableName, INDEX_NAME AS name, NON_UNIQUE AS nonUnique,
+                COLUMN_NAME AS columnName, SUB_PART AS length, INDEX_TYPE AS kind
+            FROM information_schema.STATISTICS
+            WHERE TABLE_SCHEMA = ?
+            ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX
+        `, [database]);
+        indexColumns.forEach(row => {
+            const table = tables.get(row.tableName.toLowerCase());
+            if (!table) return;
+            let index = table.indexes.find(other => other.name === row.name);
+            if (!index) {
+                index = {
+                    name: row.name,
+                    primary: row.name === 'PRIMARY',
+                    unique: Number(row.nonUnique) === 0,
+                    kind: ['FULLTEXT', 'SPATIAL'].includes(row.kind) ? row.kind : 'BTREE',
+                    columns: []
+                };
+                table.indexes.push(index);
+            }
+            index.columns.push({ name: row.columnName, length: row.length === null ? null : Number(row.length) });
+        });
+
+        const { rows: keyColumns } = await this.query(`
+            SELECT k.TABLE_NAME AS tableName, k.CONSTRAINT_NAME AS name, k.COLUMN_NAME AS columnName,
+                k.REFERENCED_TABLE_NAME AS referencedTable, k.REFERENCED_COLUMN_NAME AS referencedColumn,
+                r.DELETE_RULE AS onDelete, r.UPDATE_RULE AS onUpdate
+            FROM information_schema.KEY_COLUMN_USAGE k
+            JOIN information_schema.REFERENTIAL_CONSTRAINTS r ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA
+                AND r.TABLE_NAME = k.TABLE_NAME AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+            WHERE k.TABLE_SCHEMA = ? AND k.REFERENCED_TABLE_NAME IS NOT NULL
+            ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION
+        `, [database]);
+        keyColumns.forEach(row => {
+            const table = tables.get(row.tableName.toLowerCase());
+            if (!table) return;
+            let foreignKey = table.foreignKeys.find(other => other.name === row.name);
+            if (!foreignKey) {
+                foreignKey = {
+                    name: row.name,
+                    columns: [],
+                    referencedTable: row.referencedTable,
+                    referencedColumns: [],
+                    onDelete: row.onDelete,
+                    onUpdate: row.onUpdate
+                };
+                table.foreignKeys.push(foreignKey);
+            }
+            foreignKey.columns.push(row.columnName);
+            foreignKey.referencedColumns.push(row.referencedColumn);
+        });
+
+        return tables;
+    }
+
     /**
      * Get database information
      */
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DatabaseManager = require('./database');
+
+const SQL = [
+    'CREATE TABLE t (id INT);',
+    'INSERT INTO t VALUES (1);',
+    'INSERT INTO t VALUES (2);',
+    'INSERT INTO t VALUES (3);',
+    'INSERT INTO t VALUES (4);',
+    ''
+].join('\n');
+
+/**
+ * DatabaseManager on a stand-in MySQL connection that records what it runs and fails the
+ * statements matching a pattern
+ */
+function createManager(failing = null) {
+    const log = [];
+    const run = async (sql) => {
+        log.push(sql);
+        if (failing && failing.test(sql)) {
+            throw Object.assign(new Error(`Duplicate entry in ${sql}`), { code: 'ER_DUP_ENTRY', errno: 1062 });
+        }
+        return [[]];
+    };
+    const manager = new DatabaseManager();
+    manager.connection = { query: run, execute: run };
+    return { manager, log };
+}
+
+const BULK_SQL = [
+    'CREATE TABLE a (id INT);',
+    'CREATE TABLE b (id INT);',
+    'INSERT INTO a VALUES (1);',
+    'INSERT INTO a VALUES (2);',
+    'INSERT INTO b VALUES (1);',
+    'INSERT INTO b VALUES (2);',
+    'ALTER TABLE a ADD x INT;',
+    'INSERT INTO a VALUES (3);',
+    'INSERT INTO b VALUES (3);',
+    ''
+].join('\n');
+
+/**
+ * DatabaseManager on a stand-in connection pool. Its connections record the statements they
+ * finish as { connection, sql }, the first connection being 0; INSERTs take a few milliseconds
+ * so the workers overlap, and the statements matching a pattern fail.
+ */
+function createPoolManager(failing = null) {
+    const log = [];
+    const pool = { connections: 0, released: 0 };
+    pool.getConnection = async () => {
+        const connection = pool.connections++;
+        const run = async (sql) => {
+            if (/^INSERT\b/.test(sql)) await new Promise(resolve => setTimeout(resolve, 5));
+            log.push({ connection, sql });
+            if (failing && failing.test(sql)) {
+                throw Object.assign(new Error(`Duplicate entry in ${sql}`), { code: 'ER_DUP_ENTRY', errno: 1062 });
+            }
+            return /@@max_allowed_packet/.test(sql) ? [[{ maxAllowedPacket: 1024 * 1024 }]] : [[]];
+        };
+        return { query: run, execute: run, release: () => pool.released++ };
+    };
+    const manager = new DatabaseManager();
+    manager.pool = pool;
+    return { manager, log, pool };
+}
+
+/**
+ * Write the test file to a directory of its own and run a callback with its path; the load
+ * progress messages are muted
+ */
+async function withFile(t, callback, sql = SQL) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'db-load-'));
+    const file = path.join(directory, 'load.sql');
+    fs.writeFileSync(file, sql);
+    try {
+        await callback(file);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('a failed transaction is rolled back and --resume continues after the last commit', (t) => withFile(t, async (file) => {
+    const first = createManager(/VALUES \(4\)/);
+    await assert.rejects(first.manager.executeSQLFileInTransactions(file, { batchSize: 2 }),
+        /line 5 failed: .*3 statement\(s\) committed; run again with --resume/);
+    assert.deepStrictEqual(first.log.slice(-3), ['INSERT INTO t VALUES (3)', 'INSERT INTO t VALUES (4)', 'ROLLBACK']);
+
+    const checkpoint = JSON.parse(fs.readFileSync(`${file}.load-state.json`, 'utf8'));
+    assert.deepStrictEqual({ statementIndex: checkpoint.statementIndex, line: checkpoint.line }, { statementIndex: 3, line: 3 });
+
+    const second = createManager();
+    const result = await second.manager.executeSQLFileInTransactions(file, { batchSize: 2, resume: true });
+    assert.deepStrictEqual(second.log.filter(sql => sql.startsWith('INSERT')), ['INSERT INTO t VALUES (3)', 'INSERT INTO t VALUES (4)']);
+    assert.strictEqual(result.resumedFrom, 3);
+    assert.strictEqual(result.executedCount, 2);
+    assert.strictEqual(fs.existsSync(`${file}.load-state.json`), false);
+}));
+
+test('DDL statements commit and checkpoint on their own', (t) => withFile(t, async (file) => {
+    const { manager, log } = createManager();
+    await manager.executeSQLFileInTransactions(file, { batchSize: 10 });
+    assert.deepStrictEqual(log.slice(0, 4), ['START TRANSACTION', 'CREATE TABLE t (id INT)', 'COMMIT', 'START TRANSACTION']);
+    assert.strictEqual(log[log.length - 1], 'COMMIT');
+}));
+
+test('a checkpoint of another file is refused', (t) => withFile(t, async (file) => {
+    const stateFile = `${file}.load-state.json`;
+    fs.writeFileSync(stateFile, JSON.stringify({ file: path.resolve('other.sql'), offset: 0, line: 1, statementIndex: 0 }));
+    const { manager } = createManager();
+    await assert.rejects(manager.executeSQLFileInTransactions(file, { resume: true }), /belongs to .*other\.sql/);
+}));
+
+test('a bulk load runs INSERTs on the workers and other statements after the INSERTs on their table', (t) => withFile(t, async (file) => {
+    const { manager, log, pool } = createPoolManager();
+    const result = await manager.executeSQLFileBulk(file, { workers: 2 });
+
+    const position = (sql) => log.findIndex(entry => entry.sql === sql);
+    const order = ['CREATE TABLE a (id INT)', 'INSERT INTO a VALUES (1),(2)', 'ALTER TABLE a ADD x INT', 'INSERT INTO a VALUES (3)'].map(position);
+    assert.ok(order.every((index, i) => index > (i === 0 ? -1 : order[i - 1])), JSON.stringify(log));
+    assert.ok(log.filter(entry => entry.sql.startsWith('INSERT')).every(entry => entry.connection !== 0));
+    assert.ok(log.filter(entry => /^(?:CREATE|ALTER)\b/.test(entry.sql)).every(entry => entry.connection === 0));
+
+    assert.deepStrictEqual(log.slice(-3).map(entry => entry.sql), ['COMMIT', 'COMMIT', 'COMMIT']);
+    assert.deepStrictEqual({ rows: result.rowCount, inserts: result.insertCount }, { rows: 6, inserts: 4 });
+    assert.strictEqual(pool.released, 3);
+}, BULK_SQL));
+
+test('--on-error skip-table in a bulk load retries a failed INSERT row by row and skips its table', (t) => withFile(t, async (file) => {
+    const { manager, log } = createPoolManager(/INTO a VALUES .*\(2\)/);
+    const result = await manager.executeSQLFileBulk(file, { workers: 2, onError: 'skip-table' });
+
+    const statements = log.map(entry => entry.sql);
+    assert.ok(statements.includes('INSERT INTO a VALUES (1)'));
+    assert.ok(!statements.includes('INSERT INTO a VALUES (3)'));
+    assert.ok(['INSERT INTO b VALUES (1),(2)', 'INSERT INTO b VALUES (3)'].every(sql => statements.includes(sql)));
+    assert.deepStrictEqual({ errors: result.errorCount, skipped: result.skippedCount }, { errors: 1, skipped: 2 });
+
+    const rejects = fs.readFileSync(result.rejectsFile, 'utf8');
+    assert.match(rejects, /-- line 4: ER_DUP_ENTRY 1062: .*\nINSERT INTO a VALUES \(2\);/);
+    assert.match(rejects, /-- line 8: skipped, .*\nINSERT INTO a VALUES \(3\);/);
+}, BULK_SQL));
+
+test('a failure on a bulk load worker stops the load and releases the connections', (t) => withFile(t, async (file) => {
+    const { manager, log, pool } = createPoolManager(/INTO a VALUES/);
+    await assert.rejects(manager.executeSQLFileBulk(file, { workers: 2, onError: 'stop' }), /Statement at line 3 failed: Duplicate entry/);
+
+    const statements = log.map(entry => entry.sql);
+    assert.ok(!statements.includes('ALTER TABLE a ADD x INT'));
+    assert.ok(!statements.includes('COMMIT'));
+    assert.strictEqual(pool.released, 3);
+}, BULK_SQL));
@@ -0,0 +1,567 @@
+const SQLTokenizer = require('./sqlTokenizer');
+const BatchConverter = require('./batchConverter');
+
+const DEFAULT_TABLE_OPTIONS = 'ENGINE=InnoDB DEFAULT CHARSET=utf8mb4';
+
+// An identifier in masked code: [bracketed], "quoted", `backticked` or a plain word
+const NAME = '(?:\\[[^\\]]*\\]|"[^"]*"|`[^`]*`|[\\w#@$]+)';
+const QUALIFIED_NAME = `${NAME}(?:\\s*\\.\\s*${NAME})*`;
+
+// Storage and physical clauses SQL Server attaches to tables, constraints and indexes
+const STORAGE_CLEANUPS = [
+    // PRIMARY KEY CLUSTERED -> PRIMARY KEY, UNIQUE NONCLUSTERED -> UNIQUE
+    [/\b(PRIMARY\s+KEY|UNIQUE)\s+(?:NON)?CLUSTERED\b/gi, '$1'],
+    [new RegExp(`\\b(INDEX\\s+${NAME})\\s+(?:NON)?CLUSTERED\\b`, 'gi'), '$1'],
+    // WITH (PAD_INDEX = OFF, STATISTICS_NORECOMPUTE = OFF, ...)
+    [/\s*\bWITH\s*\([^()]*=[^()]*\)/gi, ''],
+    // ON [PRIMARY], TEXTIMAGE_ON [PRIMARY], ON [partition_scheme]([col]) but not ON DELETE/UPDATE
+    [new RegExp(`\\s*\\b(?:ON|TEXTIMAGE_ON|FILESTREAM_ON)\\s+(?!(?:DELETE|UPDATE)\\b)${NAME}(?:\\s*\\([^()]*\\))?`, 'gi'), ''],
+    [/\s+NOT\s+FOR\s+REPLICATION\b/gi, '']
+];
+
+// Column attributes MySQL has no equivalent for
+const COLUMN_CLEANUPS = [
+    [/\s+ROWGUIDCOL\b/gi, ''],
+    [/\s+SPARSE\b/gi, ''],
+    [/\s+FILESTREAM\b/gi, ''],
+    [/\s+COLLATE\s+\w+/gi, ''],
+    // Named inline defaults: CONSTRAINT [DF_x] DEFAULT (...) -> DEFAULT (...)
+    [new RegExp(`\\bCONSTRAINT\\s+${NAME}\\s+(?=DEFAULT\\b)`, 'gi'), '']
+];
+
+// SQL Server-only statements that have no effect on a MySQL schema
+const NO_OP_STATEMENTS = [
+    // EXEC sys.sp_addextendedproperty @name=N'MS_Description', ...
+    /^[ \t]*EXEC(?:UTE)?\s+(?:\w+\.)?sp_addextendedproperty\b[^;\n]*;?[ \t]*(?:\r?\n|$)/gim,
+    // ALTER DATABASE [Db] SET ANSI_NULL_DEFAULT OFF
+    new RegExp(`^[ \\t]*ALTER\\s+DATABASE\\s+${NAME}\\s+SET\\b[^;\\n]*;?[ \\t]*(?:\\r?\\n|$)`, 'gim')
+];
+
+// A foreign key declared on its column: [CONSTRAINT name] [FOREIGN KEY] REFERENCES t (col) [ON DELETE ...]
+const INLINE_REFERENCE = new RegExp(`(\\s+CONSTRAINT\\s+${NAME})?\\s+(?:FOREIGN\\s+KEY\\s+)?REFERENCES\\s+(${QUALIFIED_NAME})(\\s*\\([^()]*\\))?` +
+    '((?:\\s+ON\\s+(?:DELETE|UPDATE)\\s+(?:NO\\s+ACTION|CASCADE|SET\\s+NULL|SET\\s+DEFAULT))*)', 'i');
+
+const CONSTRAINT_WORDS = ['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'INDEX', 'PERIOD'];
+
+// A type as written after AS in CAST or as the first CONVERT argument, e.g. DECIMAL(10,2)
+const TYPE = '[A-Za-z]\\w*(?:\\s+UNSIGNED)?(?:\\s*\\([^()]*\\))?';
+
+// Type given to a computed column whose expression does not name one
+const COMPUTED_COLUMN_TYPE = 'VARCHAR(255)';
+
+class DDLConverter {
+    /**
+     * @param {object} options - { tableOptions } appended to every CREATE TABLE
+     */
+    constructor(options = {}) {
+        this.tokenizer = new SQLTokenizer();
+        this.batchConverter = new BatchConverter();
+        this.tableOptions = options.tableOptions || DEFAULT_TABLE_OPTIONS;
+        // Column types of converted tables, keyed by lower-case table then column name.
+        // Kept across calls so defaults added later by ALTER TABLE match the column type.
+        this.tables = {};
+    }
+
+    /**
+     * Convert CREATE TABLE and ALTER TABLE statements in masked SQL code
+     * @param {string} code - SQL code with literals and comments masked, types already mapped
+     * @param {Array<object>} warnings - List that receives { rule, message, severity, code, offset } for lossy
+     *   conversions, offset being where the construct starts in code
+     * @returns {string} - Code with MySQL DDL
+     */
+    convert(code, warnings = []) {
+        let converted = code;
+
+        NO_OP_STATEMENTS.forEach(pattern => {
+            converted = converted.replace(pattern, '');
+        });
+
+        converted = this.convertTemporaryTables(converted, warnings);
+        converted = this.convertCreateTables(converted, warnings);
+        converted = this.convertAlterTables(converted, warnings);
+
+        return converted;
+    }
+
+    /**
+     * Convert #temp tables outside procedures, functions and triggers, which RoutineConverter
+     * converts: CREATE/DROP TABLE #temp -> CREATE/DROP TEMPORARY TABLE temp, other #temp -> temp
+     */
+    convertTemporaryTables(code, warnings) {
+        const tokens = this.tokenizer.significantTokens(code);
+        const routines = this.batchConverter.findRoutines(tokens);
+        const edits = [];
+
+        tokens.forEach((token, i) => {
+            if (token.type !== 'word' || !token.value.startsWith('#') || this.batchConverter.inRoutine(routines, token.start)) return;
+
+            if (token.value.startsWith('##')) {
+                warnings.push({
+                    rule: 'global-temporary-table',
+                    message: `${token.value} is visible to other sessions in SQL Server; MySQL temporary tables are not`,
+                    severity: 'warning',
+                    code,
+                    offset: token.start
+                });
+            }
+            edits.push({ start: token.start, end: token.start + token.value.length, text: token.value.replace(/^#+/, '') });
+
+            let table = i - 1;
+            if (this.tokenizer.upperWord(tokens[table]) === 'EXISTS' && this.tokenizer.upperWord(tokens[table - 1]) === 'IF') table -= 2;
+            if (this.tokenizer.upperWord(tokens[table]) === 'TABLE' && ['CREATE', 'DROP'].includes(this.tokenizer.upperWord(tokens[table - 1]))) {
+                edits.push({ start: tokens[table].start, end: tokens[table].start + tokens[table].value.length, text: 'TEMPORARY TABLE' });
+            }
+            if (this.tokenizer.upperWord(tokens[i - 1]) === 'INTO' && this.tokenizer.upperWord(tokens[i - 2]) !== 'INSERT') {
+                warnings.push({
+                    rule: 'select-into-table',
+                    message: `SELECT ... INTO ${token.value} creates a table in SQL Server; use CREATE TEMPORARY TABLE ... AS SELECT`,
+                    severity: 'warning',
+                    code,
+                    offset: token.start
+                });
+            }
+        });
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Convert every CREATE TABLE statement: columns, constraints and table options
+     */
+    convertCreateTables(code, warnings) {
+        const tokens = this.tokenizer.significantTokens(code);
+        const edits = [];
+
+        for (let i = 0; i < tokens.length - 2; i++) {
+            // CREATE [TEMPORARY] TABLE
+            let table = i + 1;
+            if (this.tokenizer.upperWord(tokens[table]) === 'TEMPORARY') table++;
+            if (this.tokenizer.upperWord(tokens[i]) !== 'CREATE' || this.tokenizer.upperWord(tokens[table]) !== 'TABLE') {
+                continue;
+            }
+
+            // Skip a possibly qualified table name
+            let open = table + 2;
+            while (this.isSymbol(tokens[open], '.')) open += 2;
+            if (!this.isSymbol(tokens[open], '(')) continue;
+
+            const close = this.tokenizer.findClosingParen(tokens, open);
+            const tableName = code.slice(tokens[table + 1].start, tokens[open - 1].start + tokens[open - 1].value.length);
+
+            // Trailing table options: ON [PRIMARY] TEXTIMAGE_ON [PRIMARY] WITH (...)
+            let end = close;
+            for (;;) {
+                const word = this.tokenizer.upperWord(tokens[end + 1]);
+                if (['ON', 'TEXTIMAGE_ON', 'FILESTREAM_ON'].includes(word) && tokens[end + 2]) {
+                    end += 2;
+                    if (this.isSymbol(tokens[end + 1], '(')) end = this.tokenizer.findClosingParen(tokens, end + 1);
+                } else if (word === 'WITH' && this.isSymbol(tokens[end + 2], '(')) {
+                    end = this.tokenizer.findClosingParen(tokens, end + 2);
+                } else {
+                    break;
+                }
+            }
+
+            const body = code.slice(tokens[open].start + 1, tokens[close].start);
+            const converted = this.convertTableBody(tableName, body, warnings, { code, offset: tokens[open].start + 1 });
+            let options = this.tableOptions;
+            if (converted.autoIncrementSeed !== null && converted.autoIncrementSeed !== 1) {
+                options += ` AUTO_INCREMENT=${converted.autoIncrementSeed}`;
+            }
+
+            edits.push({
+                start: tokens[open].start + 1,
+                end: tokens[end].start + tokens[end].value.length,
+                text: `${converted.body}) ${options}`
+            });
+            i = end;
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Convert the column definitions and constraints between the parentheses of CREATE TABLE
+     * @param {string} tableName - Table name as written
+     * @param {string} body - Masked text between the parentheses
+     * @param {Array<object>} warnings - List that receives lossy conversions
+     * @param {object} position - { code, offset } where the body starts, to locate warnings
+     * @returns {object} - { body, autoIncrementSeed }
+     */
+    convertTableBody(tableName, body, warnings, position) {
+        const columns = {};
+        const keyColumns = new Set();
+        // Table-level FOREIGN KEY clauses for keys declared on their column
+        const foreignKeys = [];
+        let identityColumn = null;
+        let autoIncrementSeed = null;
+        let offset = position.offset;
+
+        const elements = this.splitTopLevel(body).map(element => {
+            const elementOffset = offset;
+            offset += element.length + 1;
+
+            const first = new RegExp(`^\\s*(${NAME})`).exec(element);
+            if (!first) return element;
+
+            if (CONSTRAINT_WORDS.includes(first[1].toUpperCase())) {
+                // Remember the leading column of each key, AUTO_INCREMENT needs one
+                const key = new RegExp(`\\b(?:KEY|UNIQUE|INDEX\\s+${NAME})[^(]*\\(\\s*(${NAME})`, 'i').exec(element);
+                if (key) keyColumns.add(this.normalizeName(key[1]));
+                return this.cleanup(element, STORAGE_CLEANUPS);
+            }
+
+            const columnName = this.normalizeName(first[1]);
+            const computed = this.convertComputedColumn(element);
+            if (computed) {
+                columns[columnName] = computed.type;
+                if (!computed.typed) {
+                    warnings.push({
+                        rule: 'computed-column-type',
+                        message: `${this.displayName(tableName)}.${this.displayName(first[1])} is a computed column, whose type SQL Server infers; ` +
+                            `converted as ${computed.type}, set the type of its expression`,
+                        severity: 'warning',
+                        code: position.code,
+                        offset: elementOffset + first[0].length - first[1].length
+                    });
+                }
+                return computed.definition;
+            }
+
+            const typeMatch = new RegExp(`^\\s*${NAME}\\s+([A-Za-z]\\w*(?:\\s+UNSIGNED)?(?:\\s*\\([^()]*\\))?)`).exec(element);
+            const columnType = typeMatch ? typeMatch[1] : '';
+            columns[columnName] = columnType;
+
+            let converted = element.replace(/\bIDENTITY\b(?:\s*\(\s*(-?\d+)\s*,\s*(-?\d+)\s*\))?/i, (match, seed, increment, index) => {
+                identityColumn = first[1];
+                autoIncrementSeed = seed !== undefined ? parseInt(seed) : 1;
+                if (increment !== undefined && parseInt(increment) !== 1) {
+                    warnings.push(this.identityWarning(`${this.displayName(tableName)}.${this.displayName(first[1])}`, match,
+                        'its increment is dropped', { code: position.code, offset: elementOffset + index }));
+                }
+                return 'AUTO_INCREMENT';
+            });
+            if (/\b(PRIMARY\s+KEY|UNIQUE)\b/i.test(converted)) keyColumns.add(columnName);
+
+            const reference = this.splitInlineReference(tableName, first[1], converted, warnings,
+                { code: position.code, offset: elementOffset });
+            if (reference) {
+                foreignKeys.push(reference.foreignKey);
+                converted = reference.definition;
+            }
+
+            converted = this.cleanup(converted, COLUMN_CLEANUPS.concat(STORAGE_CLEANUPS));
+            return this.convertDefaults(converted, columnType);
+        });
+
+        // MySQL requires an AUTO_INCREMENT column to lead an index
+        const added = identityColumn && !keyColumns.has(this.normalizeName(identityColumn)) ? [`KEY (${identityColumn})`] : [];
+        added.push(...foreignKeys);
+        if (added.length > 0) {
+            const last = elements.length - 1;
+            const trailing = /\s*$/.exec(elements[last])[0];
+            elements[last] = elements[last].slice(0, elements[last].length - trailing.length) +
+                added.map(element => `,\n\t${element}`).join('') + trailing;
+        }
+
+        this.tables[this.normalizeName(tableName)] = { columns };
+
+        return { body: elements.join(','), autoIncrementSeed };
+    }
+
+    /**
+     * Take a foreign key declared on its column out of the column definition, since MySQL
+     * parses REFERENCES there but ignores it
+     * @param {string} element - Masked column definition
+     * @param {object} position - { code, offset } where the definition starts, to locate warnings
+     * @returns {object|null} - { definition, foreignKey } with the table-level FOREIGN KEY clause,
+     *   or null when the column has no REFERENCES
+     */
+    splitInlineReference(tableName, columnName, element, warnings, position) {
+        const match = INLINE_REFERENCE.exec(element);
+        if (!match) return null;
+
+        const [clause, constraint, target, columns, actions] = match;
+        if (!columns) {
+            warnings.push({
+                rule: 'foreign-key-columns',
+                message: `${this.displayName(tableName)}.${this.displayName(columnName)} references ${this.displayName(target)} ` +
+                    'without naming its columns, which MySQL requires; add the referenced key columns',
+                severity: 'error',
+                code: position.code,
+                offset: position.offset + match.index + clause.length - clause.trimStart().length
+            });
+        }
+
+        return {
+            definition: element.slice(0, match.index) + element.slice(match.index + clause.length),
+            foreignKey: `${constraint ? `${constraint.trim()} ` : ''}FOREIGN KEY (${columnName}) REFERENCES ${target}${columns || ''}${actions}`
+        };
+    }
+
+    /**
+     * Convert a computed column, name AS expression [PERSISTED], to a generated column
+     * @param {string} element - Masked column definition
+     * @returns {object|null} - { definition, type, typed } where typed tells whether the expression
+     *   named the type, or null for other columns
+     */
+    convertComputedColumn(element) {
+        const match = new RegExp(`^(\\s*${NAME})\\s+AS\\b\\s*([\\s\\S]*?)` +
+            '((?:\\s+(?:PERSISTED|NOT\\s+NULL|NULL|PRIMARY\\s+KEY|UNIQUE|(?:NON)?CLUSTERED))*)(\\s*)$', 'i').exec(element);
+        if (!match) return null;
+
+        let expression = match[2].trim();
+        while (expression.startsWith('(') && this.readExpressionEnd(expression, 0) === expression.length) {
+            expression = expression.slice(1, -1).trim();
+        }
+
+        // CAST(x AS type) and CONVERT(type, x) around the whole expression give its type
+        let type = null;
+        const open = expression.indexOf('(');
+        if (open !== -1 && this.readExpressionEnd(expression, open) === expression.length) {
+            const cast = new RegExp(`^CAST\\s*\\([\\s\\S]*\\bAS\\s+(${TYPE})\\s*\\)$`, 'i').exec(expression);
+            const convert = new RegExp(`^CONVERT\\s*\\(\\s*(${TYPE})\\s*,`, 'i').exec(expression);
+            type = cast ? cast[1] : convert ? convert[1] : null;
+        }
+
+        // MySQL writes the storage right after the expression, then NULL and keys
+        const storage = /\bPERSISTED\b/i.test(match[3]) ? 'STORED' : 'VIRTUAL';
+        const attributes = this.cleanup(match[3].replace(/\s+PERSISTED\b/gi, ''), STORAGE_CLEANUPS);
+
+        return {
+            definition: `${match[1]} ${type || COMPUTED_COLUMN_TYPE} GENERATED ALWAYS AS (${expression}) ${storage}${attributes}${match[4]}`,
+            type: type || COMPUTED_COLUMN_TYPE,
+            typed: type !== null
+        };
+    }
+
+    /**
+     * Warning for an IDENTITY(seed, increment) that AUTO_INCREMENT does not fully keep
+     * @param {object} position - { code, offset } of the IDENTITY clause or its statement
+     */
+    identityWarning(column, identity, loss, position) {
+        return {
+            rule: 'identity-increment',
+            message: `${column} ${identity.replace(/\s+/g, '')} converted to AUTO_INCREMENT; ${loss}, ` +
+                'MySQL steps every AUTO_INCREMENT by the server-wide auto_increment_increment',
+            severity: 'warning',
+            code: position.code,
+            offset: position.offset
+        };
+    }
+
+    /**
+     * Convert every ALTER TABLE statement
+     */
+    convertAlterTables(code, warnings) {
+        const tokens = this.tokenizer.significantTokens(code);
+        const edits = [];
+
+        for (let i = 0; i < tokens.length - 1; i++) {
+            if (this.tokenizer.upperWord(tokens[i]) !== 'ALTER' || this.tokenizer.upperWord(tokens[i + 1]) !== 'TABLE') {
+                continue;
+            }
+
+            const end = this.tokenizer.findStatementEnd(tokens, i);
+            const start = tokens[i].start;
+            const stop = tokens[end].start + tokens[end].value.length;
+            const text = this.convertAlterTable(code.slice(start, stop), warnings, { code, offset: start });
+
+            // A removed statement alone on its line takes the line with it
+            const lineStart = code.lastIndexOf('\n', start - 1) + 1;
+            const lineEnd = /^[ \t]*(?:\r?\n|$)/.exec(code.slice(stop));
+            if (text === '' && /^[ \t]*$/.test(code.slice(lineStart, start)) && lineEnd) {
+                edits.push({ start: lineStart, end: stop + lineEnd[0].length, text });
+            } else {
+                edits.push({ start, end: stop, text });
+            }
+            i = end;
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Convert a single ALTER TABLE statement
+     * @param {string} statement - Masked statement text
+     * @param {Array<object>} warnings - List that receives lossy conversions
+     * @param {object} position - { code, offset } where the statement starts, to locate warnings
+     * @returns {string} - MySQL statement, or an empty string for no-op statements
+     */
+    convertAlterTable(statement, warnings, position) {
+        const header = new RegExp(`^ALTER\\s+TABLE\\s+(${QUALIFIED_NAME})\\s*`, 'i').exec(statement);
+        if (!header) return statement;
+
+        const tableName = header[1];
+        let action = statement.slice(header[0].length);
+
+        // ALTER TABLE x [WITH CHECK] CHECK CONSTRAINT y and SET (LOCK_ESCALATION = ...) do nothing in MySQL
+        if (/^(?:WITH\s+(?:NO)?CHECK\s+)?(?:NO)?CHECK\s+CONSTRAINT\b/i.test(action) || /^SET\s*\(/i.test(action)) {
+            return '';
+        }
+
+        action = action.replace(/^WITH\s+(?:NO)?CHECK\s+(?=ADD\b)/i, '');
+
+        // ADD [CONSTRAINT name] DEFAULT expr FOR column -> ALTER COLUMN column SET DEFAULT expr
+        const defaultMatch = new RegExp(`^ADD\\s+(?:CONSTRAINT\\s+${NAME}\\s+)?DEFAULT\\s+([\\s\\S]+?)\\s+FOR\\s+(${NAME})\\s*(;?)$`, 'i').exec(action);
+        if (defaultMatch) {
+            const table = this.tables[this.normalizeName(tableName)];
+            const columnType = table ? table.columns[this.normalizeName(defaultMatch[2])] : '';
+            const expression = this.convertDefaultExpression(defaultMatch[1], columnType);
+            return `${header[0]}ALTER COLUMN ${defaultMatch[2]} SET DEFAULT ${expression}${defaultMatch[3]}`;
+        }
+
+        // ALTER COLUMN changes the definition in MySQL only through MODIFY
+        action = action.replace(new RegExp(`^ALTER\\s+COLUMN\\s+(${NAME})\\s+(?!SET\\b|DROP\\b)`, 'i'), 'MODIFY COLUMN $1 ');
+
+        // ADD a int, b int -> ADD a int, ADD b int (same for DROP COLUMN)
+        const listMatch = /^(ADD|DROP\s+COLUMN)\s+/i.exec(action);
+        if (listMatch && !/^ADD\s+(?:CONSTRAINT|PRIMARY|UNIQUE|FOREIGN|CHECK|INDEX)\b/i.test(action)) {
+            let partOffset = position.offset + header[0].length + listMatch[0].length;
+            const parts = this.splitTopLevel(action.slice(listMatch[0].length)).map(part => {
+                const column = new RegExp(`^\\s*(${NAME})`).exec(part);
+                const reference = /^ADD\b/i.test(listMatch[1]) && column &&
+                    this.splitInlineReference(tableName, column[1], part, warnings, { code: position.code, offset: partOffset });
+                partOffset += part.length + 1;
+                if (!reference) return part;
+                const terminator = /;?\s*$/.exec(reference.definition)[0];
+                return `${reference.definition.slice(0, reference.definition.length - terminator.length)}, ADD ${reference.foreignKey}${terminator}`;
+            });
+            action = listMatch[0] + parts.map((part, index) => (index === 0 ? part : ` ${listMatch[1]} ${part.trimStart()}`)).join(',');
+        }
+
+        action = action.replace(/\bIDENTITY\b(?:\s*\(\s*(-?\d+)\s*,\s*(-?\d+)\s*\))?/gi, (match, seed, increment) => {
+            if (seed !== undefined && (parseInt(seed) !== 1 || parseInt(increment) !== 1)) {
+                warnings.push(this.identityWarning(this.displayName(tableName), match,
+                    `the seed needs ALTER TABLE ... AUTO_INCREMENT=${seed} and the increment is dropped`, position));
+            }
+            return 'AUTO_INCREMENT';
+        });
+        action = this.cleanup(action, COLUMN_CLEANUPS.concat(STORAGE_CLEANUPS));
+
+        return header[0] + action;
+    }
+
+    /**
+     * Convert every DEFAULT clause in a column definition
+     */
+    convertDefaults(definition, columnType) {
+        const match = /\bDEFAULT\s+/i.exec(definition);
+        if (!match) return definition;
+
+        const start = match.index + match[0].length;
+        const end = this.readExpressionEnd(definition, start);
+        const expression = this.convertDefaultExpression(definition.slice(start, end), columnType);
+
+        return definition.slice(0, start) + expression + definition.slice(end);
+    }
+
+    /**
+     * Convert a SQL Server default value to one MySQL accepts for the column type
+     * @param {string} expression - Masked default expression, e.g. ((0)) or (getdate())
+     * @param {string} columnType - MySQL column type, if known
+     * @returns {string} - MySQL default expression
+     */
+    convertDefaultExpression(expression, columnType = '') {
+        let inner = expression.trim();
+        while (inner.startsWith('(') && this.readExpressionEnd(inner, 0) === inner.length) {
+            inner = inner.slice(1, -1).trim();
+        }
+
+        const precision = /^(?:DATETIME|TIMESTAMP)\((\d)\)/i.exec(columnType);
+        const fsp = precision && precision[1] !== '0' ? `(${precision[1]})` : '';
+
+        if (/^(?:GETDATE|SYSDATETIME|CURRENT_TIMESTAMP|NOW)(?:\s*\(\s*\))?$/i.test(inner)) {
+            return /^DATE$/i.test(columnType) ? '(CURDATE())' : `CURRENT_TIMESTAMP${fsp}`;
+        }
+        if (/^(?:GETUTCDATE|SYSUTCDATETIME|UTC_TIMESTAMP)\s*\(\s*\)$/i.test(inner)) {
+            return `(UTC_TIMESTAMP${fsp || '()'})`;
+        }
+        if (/^(?:NEWID|NEWSEQUENTIALID|UUID)\s*\(\s*\)$/i.test(inner)) {
+            return '(UUID())';
+        }
+
+        // Literal defaults are not allowed on TEXT/BLOB columns, expression defaults are
+        const isConstant = /^(?:[-+]?\d+(?:\.\d+)?|NULL|\uE000\d+\uE001)$/i.test(inner);
+        const isLargeObject = /^(?:(?:TINY|MEDIUM|LONG)?(?:TEXT|BLOB)|JSON|GEOMETRY)$/i.test(columnType);
+
+        return isConstant && !(isLargeObject && !/^NULL$/i.test(inner)) ? inner : `(${inner})`;
+    }
+
+    /**
+     * Find the end of the expression starting at the given offset: a parenthesized
+     * group, or a run of characters up to whitespace or a comma
+     */
+    readExpressionEnd(text, start) {
+        if (text[start] === '(') {
+            let depth = 0;
+            for (let i = start; i < text.length; i++) {
+                if (text[i] === '(') depth++;
+                if (text[i] === ')') {
+                    depth--;
+                    if (depth === 0) return i + 1;
+                }
+            }
+            return text.length;
+        }
+
+        let end = start;
+        while (end < text.length && !/[\s,]/.test(text[end])) {
+            if (text[end] === '(') return this.readExpressionEnd(text, end);
+            end++;
+        }
+        return end;
+    }
+
+    /**
+     * Split text on commas that are not inside parentheses
+     */
+    splitTopLevel(text) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+
+        for (const ch of text) {
+            if (ch === '(') depth++;
+            if (ch === ')') depth--;
+            if (ch === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        parts.push(current);
+
+        return parts;
+    }
+
+    /**
+     * Normalize an identifier for lookups: drop quoting and schema, lower-case
+     * @param {string} name - Identifier as written, e.g. [dbo].[Users]
+     * @returns {string} - Normalized name, e.g. users
+     */
+    normalizeName(name) {
+        return this.displayName(name).toLowerCase();
+    }
+
+    /**
+     * Name for messages: the last part without quoting, e.g. Users for [dbo].[Users]
+     */
+    displayName(name) {
+        const parts = name.match(new RegExp(NAME, 'g')) || [name];
+        return parts[parts.length - 1].replace(/^[[\"`]|[\]\"`]$/g, '');
+    }
+
+    cleanup(text, rules) {
+        return rules.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+    }
+
+    isSymbol(token, value) {
+        return Boolean(token && token.type === 'symbol' && token.value === value);
+    }
+}
+
+DDLConverter.DEFAULT_TABLE_OPTIONS = DEFAULT_TABLE_OPTIONS;
+
+module.exports = DDLConverter;
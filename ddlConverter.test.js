@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SQLConverter = require('./sqlConverter');
+
+/**
+ * Convert T-SQL and return the output, which ends with a terminator, and the diagnostics
+ */
+function convert(sql) {
+    const converter = new SQLConverter();
+    const output = converter.convertSQL(sql);
+    return { sql: output, diagnostics: converter.getDiagnostics() };
+}
+
+test('IDENTITY seed becomes the table AUTO_INCREMENT option', () => {
+    const { sql, diagnostics } = convert('CREATE TABLE [dbo].[T] ([Id] [int] IDENTITY(100,1) NOT NULL PRIMARY KEY)');
+    assert.strictEqual(sql, 'CREATE TABLE T (Id INT AUTO_INCREMENT NOT NULL PRIMARY KEY) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 AUTO_INCREMENT=100;');
+    assert.deepStrictEqual(diagnostics, []);
+});
+
+test('an IDENTITY increment other than 1 is reported', () => {
+    const { sql, diagnostics } = convert('CREATE TABLE T ([Id] int IDENTITY(100, 5) PRIMARY KEY)');
+    assert.match(sql, /Id INT AUTO_INCREMENT PRIMARY KEY\) .* AUTO_INCREMENT=100;$/);
+    assert.deepStrictEqual(diagnostics.map(diagnostic => diagnostic.rule), ['identity-increment']);
+    assert.match(diagnostics[0].message, /^T\.Id IDENTITY\(100,5\)/);
+
+    const alter = convert('ALTER TABLE T ADD [K] int IDENTITY(10, 2)');
+    assert.strictEqual(alter.sql, 'ALTER TABLE T ADD K INT AUTO_INCREMENT;');
+    assert.deepStrictEqual(alter.diagnostics.map(diagnostic => diagnostic.rule), ['identity-increment']);
+});
+
+test('computed columns become generated columns', () => {
+    const { sql, diagnostics } = convert('CREATE TABLE T (\n' +
+        '    [Qty] int,\n' +
+        '    [Total] AS (CAST([Qty] * 2 AS decimal(10,2))) PERSISTED NOT NULL,\n' +
+        '    [Label] AS ([Name] + \'!\')\n' +
+        ')');
+    assert.match(sql, /Total DECIMAL\(10,2\) GENERATED ALWAYS AS \(CAST\(Qty \* 2 AS DECIMAL\(10,2\)\)\) STORED NOT NULL,/);
+    assert.match(sql, /Label VARCHAR\(255\) GENERATED ALWAYS AS \(CONCAT\(Name, '!'\)\) VIRTUAL\n\)/);
+    assert.deepStrictEqual(diagnostics.map(diagnostic => diagnostic.rule), ['computed-column-type']);
+});
+
+test('#temp tables outside routines become temporary tables', () => {
+    const { sql, diagnostics } = convert('CREATE TABLE #tmp (id int)\nINSERT INTO #tmp VALUES (1)\nDROP TABLE IF EXISTS #tmp');
+    assert.strictEqual(sql, 'CREATE TEMPORARY TABLE tmp (id INT) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;\nINSERT INTO tmp VALUES (1);\nDROP TEMPORARY TABLE IF EXISTS tmp;');
+    assert.deepStrictEqual(diagnostics, []);
+});
+
+test('foreign keys declared on their column become table-level keys', () => {
+    const { sql, diagnostics } = convert('CREATE TABLE A (\n' +
+        '    Id INT PRIMARY KEY,\n' +
+        '    BId INT NOT NULL CONSTRAINT FK_A_B REFERENCES dbo.B(Id) ON DELETE CASCADE,\n' +
+        '    CId INT NULL FOREIGN KEY REFERENCES [C] ([Id])\n' +
+        ')');
+    assert.strictEqual(sql, 'CREATE TABLE A (\n    Id INT PRIMARY KEY,\n    BId INT NOT NULL,\n    CId INT NULL,\n' +
+        '\tCONSTRAINT FK_A_B FOREIGN KEY (BId) REFERENCES B(Id) ON DELETE CASCADE,\n\tFOREIGN KEY (CId) REFERENCES C (Id)\n' +
+        ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;');
+    assert.deepStrictEqual(diagnostics, []);
+
+    const alter = convert('ALTER TABLE A ADD DId INT REFERENCES D(Id), EId INT REFERENCES E');
+    assert.strictEqual(alter.sql, 'ALTER TABLE A ADD DId INT, ADD FOREIGN KEY (DId) REFERENCES D(Id), ADD EId INT, ADD FOREIGN KEY (EId) REFERENCES E;');
+    assert.deepStrictEqual(alter.diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.column]), [['foreign-key-columns', 53]]);
+});
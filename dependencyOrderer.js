@@ -0,0 +1,362 @@
+const SQLTokenizer = require('./sqlTokenizer');
+const StatementFilter = require('./statementFilter');
+
+// A name in MySQL text: `quoted`, "quoted" or plain, optionally database-qualified
+const NAME = '(?:`[^`]+`|"[^"]+"|[\\w$]+)(?:\\s*\\.\\s*(?:`[^`]+`|"[^"]+"|[\\w$]+))?';
+
+// CREATE statements of tables, views and routines, capturing the kind and the name
+const CREATED_OBJECT = new RegExp('^CREATE\\s+(?:OR\\s+REPLACE\\s+)?(?:ALGORITHM\\s*=\\s*\\w+\\s+)?' +
+    '(?:DEFINER\\s*=\\s*\\S+\\s+)?(?:SQL\\s+SECURITY\\s+\\w+\\s+)?(?:TEMPORARY\\s+)?(?:AGGREGATE\\s+)?' +
+    `(TABLE|VIEW|FUNCTION|PROCEDURE|TRIGGER)\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${NAME})`, 'i');
+
+// CREATE TABLE with a column list, capturing the name as written
+const CREATE_TABLE_BODY = new RegExp(`^CREATE\\s+(?:TEMPORARY\\s+)?TABLE\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(${NAME})\\s*\\(`, 'i');
+
+const FOREIGN_KEY_ITEM = /^\s*(?:CONSTRAINT\s+(?:`[^`]+`|[\w$]+)\s+)?FOREIGN\s+KEY\b/i;
+
+const REFERENCES = new RegExp(`\\bREFERENCES\\s+(${NAME})`, 'i');
+
+// Items of a CREATE TABLE body that are not column definitions
+const CONSTRAINT_ITEM = /^\s*(?:CONSTRAINT|PRIMARY|UNIQUE|FOREIGN|KEY|INDEX|FULLTEXT|SPATIAL|CHECK)\b/i;
+
+// The name that starts a column definition
+const COLUMN_NAME = /^\s*(`[^`]+`|"[^"]+"|[\w$]+)/;
+
+// A foreign key declared on its column, capturing the constraint name and the REFERENCES clause
+const COLUMN_REFERENCE = new RegExp('\\s+(?:(CONSTRAINT\\s+(?:`[^`]+`|[\\w$]+))\\s+)?' +
+    `(REFERENCES\\s+${NAME}(?:\\s*\\([^()]*\\))?(?:\\s+MATCH\\s+\\w+)?` +
+    '(?:\\s+ON\\s+(?:DELETE|UPDATE)\\s+(?:RESTRICT|CASCADE|SET\\s+NULL|SET\\s+DEFAULT|NO\\s+ACTION))*)', 'i');
+
+// Words that end the table list of a FROM clause
+const FROM_LIST_END = new Set(['WHERE', 'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'ON', 'USING', 'UNION', 'WINDOW']);
+
+/**
+ * Last part of a name as written, without quotes and in lower case
+ */
+function baseName(name) {
+    const parts = name.split(/\s*\.\s*/);
+    return parts[parts.length - 1].replace(/^[`"[]|[`"\]]$/g, '').toLowerCase();
+}
+
+/**
+ * Order nodes so that every node comes after the nodes it depends on (Tarjan's algorithm)
+ * @param {Array<string>} nodes - Nodes in their original order, which is kept where the
+ *   dependencies allow it
+ * @param {function} dependenciesOf - Returns the nodes a node depends on
+ * @returns {object} - { ordered, cycles } where cycles lists the groups of nodes that depend on
+ *   each other, each in the order it is written out
+ */
+function orderByDependencies(nodes, dependenciesOf) {
+    const known = new Set(nodes);
+    const state = new Map();
+    const stack = [];
+    const ordered = [];
+    const cycles = [];
+    let counter = 0;
+
+    const visit = (node) => {
+        const entry = { index: counter, low: counter, onStack: true };
+        counter++;
+        state.set(node, entry);
+        stack.push(node);
+
+        dependenciesOf(node).forEach(dependency => {
+            if (!known.has(dependency) || dependency === node) return;
+            const other = state.get(dependency);
+            if (!other) {
+                visit(dependency);
+                entry.low = Math.min(entry.low, state.get(dependency).low);
+            } else if (other.onStack) {
+                entry.low = Math.min(entry.low, other.index);
+            }
+        });
+
+        if (entry.low === entry.index) {
+            const component = [];
+            let member;
+            do {
+                member = stack.pop();
+                state.get(member).onStack = false;
+                component.push(member);
+            } while (member !== node);
+
+            component.sort((a, b) => nodes.indexOf(a) - nodes.indexOf(b));
+            ordered.push(...component);
+            if (component.length > 1) cycles.push(component);
+        }
+    };
+
+    nodes.forEach(node => {
+        if (!state.has(node)) visit(node);
+    });
+    return { ordered, cycles };
+}
+
+/**
+ * Reorders converted statements so that a script loads without forward references: tables
+ * first, then the data, then foreign keys, routines, views sorted by the views they read
+ * from, and triggers.
+ *
+ * Foreign keys declared inside CREATE TABLE are moved to ALTER TABLE statements, so tables
+ * can be created in any order and loaded without constraint checks. Data and session
+ * statements are not held; the caller writes them in place between before and after.
+ */
+class DependencyOrderer {
+    /**
+     * @param {object} options - { holdPrelude }
+     *   holdPrelude: hold the SET and USE statements before the first other statement and
+     *   write them at the top of before (default: true)
+     */
+    constructor(options = {}) {
+        this.filter = new StatementFilter();
+        this.tokenizer = new SQLTokenizer();
+        this.holdPrelude = options.holdPrelude !== false;
+        this.started = false;
+
+        this.prelude = [];
+        // DROP statements of views, routines and triggers, run before the tables change
+        this.drops = [];
+        // Tables, indexes and other schema statements in their original order
+        this.tables = [];
+        this.createdTables = new Set();
+        // { table, referencedTable, statement }
+        this.foreignKeys = [];
+        this.functions = [];
+        this.procedures = [];
+        // Views by lower-case name: { name, statement, references }
+        this.views = new Map();
+        this.triggers = [];
+    }
+
+    /**
+     * Take a converted statement
+     * @param {string} statement - Statement with its leading comments, as split by SQLConverter.splitStatements()
+     * @returns {boolean} - Whether the statement is held; statements that are not are written in place
+     */
+    add(statement) {
+        const kind = this.filter.kindOf(statement);
+        if (kind === 'session') {
+            if (this.holdPrelude && !this.started) {
+                this.prelude.push(statement);
+                return true;
+            }
+            return false;
+        }
+        this.started = true;
+        if (kind === 'data') return false;
+
+        const text = this.filter.statementText(statement);
+        if (/^DROP\s+(?:VIEW|FUNCTION|PROCEDURE|TRIGGER)\b/i.test(text)) {
+            this.drops.push(statement);
+            return true;
+        }
+
+        switch (this.filter.objectTypeOf(statement)) {
+        case 'foreign-keys':
+            this.addForeignKey(statement);
+            break;
+        case 'views':
+            this.addView(statement, text);
+            break;
+        case 'functions':
+            this.functions.push(statement);
+            break;
+        case 'procedures':
+            this.procedures.push(statement);
+            break;
+        case 'triggers':
+            this.triggers.push(statement);
+            break;
+        default:
+            this.addTableStatement(statement, text);
+        }
+        return true;
+    }
+
+    /**
+     * Hold a table statement, moving the foreign keys of a CREATE TABLE out into ALTER TABLE statements
+     */
+    addTableStatement(statement, text) {
+        const created = CREATED_OBJECT.exec(text);
+        if (!created || created[1].toUpperCase() !== 'TABLE') {
+            this.tables.push(statement);
+            return;
+        }
+
+        this.createdTables.add(baseName(created[2]));
+        const { table, foreignKeys } = this.splitForeignKeys(statement, text);
+        this.tables.push(table);
+        foreignKeys.forEach(foreignKey => this.addForeignKey(foreignKey));
+    }
+
+    /**
+     * Split the FOREIGN KEY constraints off a CREATE TABLE statement, table-level ones and
+     * REFERENCES clauses of columns alike
+     * @returns {object} - { table, foreignKeys } with the statement without them and an
+     *   ALTER TABLE ... ADD statement per constraint
+     */
+    splitForeignKeys(statement, text) {
+        const header = CREATE_TABLE_BODY.exec(text);
+        if (!header) return { table: statement, foreignKeys: [] };
+
+        const tokens = this.tokenizer.tokenize(statement);
+        const open = tokens.findIndex(token => token.type === 'symbol' && token.value === '(');
+        const close = this.tokenizer.findClosingParen(tokens, open);
+
+        // Column and constraint definitions, split at the commas outside parentheses
+        const items = [];
+        let depth = 0;
+        let itemStart = tokens[open].start + 1;
+        for (let i = open + 1; i < close; i++) {
+            const token = tokens[i];
+            if (token.type !== 'symbol') continue;
+            if (token.value === '(') depth++;
+            if (token.value === ')') depth--;
+            if (token.value === ',' && depth === 0) {
+                items.push(statement.slice(itemStart, token.start));
+                itemStart = token.start + 1;
+            }
+        }
+        items.push(statement.slice(itemStart, tokens[close].start));
+
+        // Keys declared on their column move out as table-level keys
+        const kept = [];
+        const foreignKeys = [];
+        items.forEach(item => {
+            const column = CONSTRAINT_ITEM.test(item) ? null : COLUMN_NAME.exec(item);
+            const reference = column ? COLUMN_REFERENCE.exec(item) : null;
+            if (FOREIGN_KEY_ITEM.test(item)) {
+                foreignKeys.push(item.trim());
+            } else if (reference) {
+                kept.push(item.slice(0, reference.index) + item.slice(reference.index + reference[0].length));
+                foreignKeys.push(`${reference[1] ? `${reference[1]} ` : ''}FOREIGN KEY (${column[1]}) ${reference[2]}`);
+            } else {
+                kept.push(item);
+            }
+        });
+        if (foreignKeys.length === 0 || kept.length === 0) return { table: statement, foreignKeys: [] };
+
+        // Keep the line break before the closing parenthesis when the last item moves out
+        const trailing = /\s*$/.exec(items[items.length - 1])[0];
+        const body = kept.join(',').replace(/\s*$/, '') + trailing;
+        return {
+            table: statement.slice(0, tokens[open].start + 1) + body + statement.slice(tokens[close].start),
+            foreignKeys: foreignKeys.map(foreignKey => `ALTER TABLE ${header[1]} ADD ${foreignKey};`)
+        };
+    }
+
+    addForeignKey(statement) {
+        const referenced = REFERENCES.exec(this.filter.statementText(statement));
+        const table = this.filter.tableOf(statement);
+        this.foreignKeys.push({
+            table: table ? baseName(table) : null,
+            referencedTable: referenced ? baseName(referenced[1]) : null,
+            statement
+        });
+    }
+
+    addView(statement, text) {
+        const created = CREATED_OBJECT.exec(text);
+        if (!created) {
+            this.tables.push(statement);
+            return;
+        }
+        const name = baseName(created[2]);
+        // A view created twice keeps the position of the first definition and the text of the last
+        this.views.set(name, { name, statement, references: this.readsFrom(statement) });
+    }
+
+    /**
+     * Names of the tables and views a query reads from, taken from its FROM and JOIN clauses
+     * @returns {Set<string>} - Lower-case names without quotes or database
+     */
+    readsFrom(sql) {
+        const tokens = this.tokenizer.tokenize(sql).filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+        const names = new Set();
+        let expectName = false;
+        let fromList = false;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const word = this.tokenizer.upperWord(token);
+
+            if (expectName && (token.type === 'identifier' || token.type === 'word')) {
+                let name = token.value;
+                while (tokens[i + 1] && tokens[i + 1].value === '.' && tokens[i + 2] &&
+                    (tokens[i + 2].type === 'identifier' || tokens[i + 2].type === 'word')) {
+                    name = tokens[i + 2].value;
+                    i += 2;
+                }
+                names.add(baseName(name));
+                expectName = false;
+                continue;
+            }
+
+            expectName = false;
+            if (word === 'FROM' || word === 'JOIN') {
+                fromList = fromList || word === 'FROM';
+                expectName = true;
+            } else if (token.type === 'symbol' && token.value === ',' && fromList) {
+                expectName = true;
+            } else if ((word && FROM_LIST_END.has(word)) || (token.type === 'symbol' && (token.value === '(' || token.value === ')'))) {
+                fromList = false;
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Order the held statements
+     * @returns {object} - { before, after, warnings } where before goes ahead of the statements
+     *   written in place and after follows them; warnings are { rule, message, severity }
+     */
+    finish() {
+        const warnings = [];
+
+        this.foreignKeys.forEach(foreignKey => {
+            if (foreignKey.referencedTable && this.createdTables.size > 0 && !this.createdTables.has(foreignKey.referencedTable)) {
+                warnings.push({
+                    rule: 'missing-dependency',
+                    message: `A foreign key on ${foreignKey.table} references ${foreignKey.referencedTable}, which the script does not create`,
+                    severity: 'warning'
+                });
+            }
+        });
+
+        const tables = Array.from(this.createdTables);
+        const referencedBy = (table) => this.foreignKeys
+            .filter(foreignKey => foreignKey.table === table)
+            .map(foreignKey => foreignKey.referencedTable);
+        orderByDependencies(tables, referencedBy).cycles.forEach(cycle => {
+            warnings.push({
+                rule: 'dependency-cycle',
+                message: `Tables ${cycle.join(', ')} reference each other through foreign keys; the keys are added with ALTER TABLE after the data`,
+                severity: 'info'
+            });
+        });
+
+        const views = Array.from(this.views.keys());
+        const { ordered, cycles } = orderByDependencies(views, view => Array.from(this.views.get(view).references));
+        cycles.forEach(cycle => {
+            warnings.push({
+                rule: 'dependency-cycle',
+                message: `Views ${cycle.join(', ')} read from each other and cannot all be created`,
+                severity: 'error'
+            });
+        });
+
+        return {
+            before: [...this.prelude, ...this.drops, ...this.tables],
+            after: [
+                ...this.foreignKeys.map(foreignKey => foreignKey.statement),
+                ...this.functions,
+                ...this.procedures,
+                ...ordered.map(view => this.views.get(view).statement),
+                ...this.triggers
+            ],
+            warnings
+        };
+    }
+}
+
+module.exports = DependencyOrderer;
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DependencyOrderer = require('./dependencyOrderer');
+const SQLConverter = require('./sqlConverter');
+
+/**
+ * Hand statements to an orderer
+ * @returns {object} - { inPlace, before, after, warnings } with the statements it did not hold as inPlace
+ */
+function order(statements) {
+    const orderer = new DependencyOrderer();
+    const inPlace = statements.filter(statement => !orderer.add(statement));
+    return { inPlace, ...orderer.finish() };
+}
+
+test('tables come first, their foreign keys after the data and views after their bases', () => {
+    const { inPlace, before, after, warnings } = order([
+        'SET NAMES utf8mb4;',
+        'CREATE VIEW `Summary` AS SELECT * FROM `OpenOrders` o JOIN `Customers` c ON c.`Id` = o.`CustomerId`;',
+        'CREATE VIEW `OpenOrders` AS SELECT * FROM `Orders` WHERE `Closed` = 0;',
+        'CREATE TABLE `Orders` (`Id` INT, `CustomerId` INT, CONSTRAINT `FK_Orders_Customers` FOREIGN KEY (`CustomerId`) REFERENCES `Customers` (`Id`));',
+        'INSERT INTO `Orders` VALUES (1, 1);',
+        'CREATE TRIGGER `trg` AFTER INSERT ON `Orders` FOR EACH ROW SET @n = 1;',
+        'CREATE TABLE `Customers` (`Id` INT);'
+    ]);
+
+    assert.deepStrictEqual(inPlace, ['INSERT INTO `Orders` VALUES (1, 1);']);
+    assert.deepStrictEqual(before, [
+        'SET NAMES utf8mb4;',
+        'CREATE TABLE `Orders` (`Id` INT, `CustomerId` INT);',
+        'CREATE TABLE `Customers` (`Id` INT);'
+    ]);
+    assert.deepStrictEqual(after, [
+        'ALTER TABLE `Orders` ADD CONSTRAINT `FK_Orders_Customers` FOREIGN KEY (`CustomerId`) REFERENCES `Customers` (`Id`);',
+        'CREATE VIEW `OpenOrders` AS SELECT * FROM `Orders` WHERE `Closed` = 0;',
+        'CREATE VIEW `Summary` AS SELECT * FROM `OpenOrders` o JOIN `Customers` c ON c.`Id` = o.`CustomerId`;',
+        'CREATE TRIGGER `trg` AFTER INSERT ON `Orders` FOR EACH ROW SET @n = 1;'
+    ]);
+    assert.deepStrictEqual(warnings, []);
+});
+
+test('cycles and references to tables the script lacks are reported', () => {
+    const tables = order([
+        'CREATE TABLE `Orders` (`Id` INT, `CustomerId` INT, FOREIGN KEY (`CustomerId`) REFERENCES `Customers` (`Id`));',
+        'CREATE TABLE `Customers` (`Id` INT, `LastOrderId` INT, FOREIGN KEY (`LastOrderId`) REFERENCES `Orders` (`Id`));',
+        'ALTER TABLE `Orders` ADD CONSTRAINT `FK_Orders_Regions` FOREIGN KEY (`RegionId`) REFERENCES `Regions` (`Id`);'
+    ]);
+    assert.deepStrictEqual(tables.warnings.map(warning => [warning.rule, warning.severity, warning.message]), [
+        ['missing-dependency', 'warning', 'A foreign key on orders references regions, which the script does not create'],
+        ['dependency-cycle', 'info', 'Tables orders, customers reference each other through foreign keys; the keys are added with ALTER TABLE after the data']
+    ]);
+
+    const views = order(['CREATE VIEW `A` AS SELECT * FROM `B`;', 'CREATE VIEW `B` AS SELECT * FROM `A`;']);
+    assert.deepStrictEqual(views.warnings.map(warning => [warning.rule, warning.severity]), [['dependency-cycle', 'error']]);
+});
+
+test('foreign keys declared on their column are deferred and take part in cycles', () => {
+    const { before, after, warnings } = order([
+        'CREATE TABLE `Orders` (`Id` INT, `CustomerId` INT CONSTRAINT `FK_Orders_Customers` REFERENCES `Customers` (`Id`) ON DELETE CASCADE NOT NULL);',
+        'CREATE TABLE `Customers` (`Id` INT, `LastOrderId` INT REFERENCES `Orders` (`Id`));'
+    ]);
+    assert.deepStrictEqual(before, ['CREATE TABLE `Orders` (`Id` INT, `CustomerId` INT NOT NULL);', 'CREATE TABLE `Customers` (`Id` INT, `LastOrderId` INT);']);
+    assert.deepStrictEqual(after, [
+        'ALTER TABLE `Orders` ADD CONSTRAINT `FK_Orders_Customers` FOREIGN KEY (`CustomerId`) REFERENCES `Customers` (`Id`) ON DELETE CASCADE;',
+        'ALTER TABLE `Customers` ADD FOREIGN KEY (`LastOrderId`) REFERENCES `Orders` (`Id`);'
+    ]);
+    assert.deepStrictEqual(warnings.map(warning => warning.rule), ['dependency-cycle']);
+});
+
+test('converted scripts are written in dependency order around the data', () => {
+    const converted = new SQLConverter({ dependencyOrder: true }).convertToMySQL([
+        'CREATE VIEW dbo.OpenOrders AS SELECT Id FROM dbo.Orders',
+        'GO',
+        'CREATE TABLE dbo.Orders (Id INT NOT NULL PRIMARY KEY, CustomerId INT,',
+        '    CONSTRAINT FK_Orders_Customers FOREIGN KEY (CustomerId) REFERENCES dbo.Customers (Id))',
+        'GO',
+        'INSERT INTO dbo.Orders (Id, CustomerId) VALUES (1, 1)',
+        'GO',
+        'CREATE TABLE dbo.Customers (Id INT NOT NULL PRIMARY KEY)',
+        'GO',
+        ''
+    ].join('\n'));
+
+    const positions = ['CREATE TABLE Orders', 'CREATE TABLE Customers', 'INSERT INTO Orders', 'ALTER TABLE Orders ADD CONSTRAINT FK_Orders_Customers', 'CREATE VIEW OpenOrders']
+        .map(text => converted.indexOf(text));
+    assert.ok(positions.every((position, i) => position > (i === 0 ? -1 : positions[i - 1])), converted);
+});
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { version } = require('./package.json');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const FORMATS = ['json', 'sarif'];
+
+// SARIF result levels for our severities
+const SARIF_LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+class DiagnosticReporter {
+    /**
+     * Count diagnostics per severity
+     * @param {Array<object>} diagnostics - { severity, rule, message, file, line, column, snippet, fix } entries
+     * @returns {object} - { error, warning, info }
+     */
+    summarize(diagnostics) {
+        const summary = { error: 0, warning: 0, info: 0 };
+        diagnostics.forEach(diagnostic => {
+            summary[diagnostic.severity] = (summary[diagnostic.severity] || 0) + 1;
+        });
+        return summary;
+    }
+
+    /**
+     * Check whether any diagnostic is at least as severe as the given level
+     * @param {string} level - 'error', 'warning' or 'info'
+     */
+    hasSeverity(diagnostics, level) {
+        const threshold = SEVERITIES.indexOf(level);
+        return diagnostics.some(diagnostic => SEVERITIES.indexOf(diagnostic.severity) <= threshold);
+    }
+
+    /**
+     * file:line:column of a diagnostic, leaving out the parts it does not have
+     */
+    formatLocation(diagnostic) {
+        return [diagnostic.file, diagnostic.line, diagnostic.line ? diagnostic.column : null]
+            .filter(part => part !== null && part !== undefined)
+            .join(':');
+    }
+
+    /**
+     * Plain JSON report
+     */
+    toJSON(diagnostics) {
+        return {
+            tool: 'sql-to-mysql',
+            version,
+            summary: this.summarize(diagnostics),
+            diagnostics
+        };
+    }
+
+    /**
+     * SARIF 2.1.0 log, the format code scanning tools read
+     */
+    toSARIF(diagnostics) {
+        const rules = [];
+        const ruleIndex = new Map();
+        diagnostics.forEach(diagnostic => {
+            if (ruleIndex.has(diagnostic.rule)) return;
+            ruleIndex.set(diagnostic.rule, rules.length);
+            rules.push({
+                id: diagnostic.rule,
+                shortDescription: { text: diagnostic.message },
+                ...(diagnostic.fix ? { help: { text: diagnostic.fix } } : {}),
+                defaultConfiguration: { level: SARIF_LEVELS[diagnostic.severity] || 'warning' }
+            });
+        });
+
+        const results = diagnostics.map(diagnostic => {
+            const result = {
+                ruleId: diagnostic.rule,
+                ruleIndex: ruleIndex.get(diagnostic.rule),
+                level: SARIF_LEVELS[diagnostic.severity] || 'warning',
+                message: { text: diagnostic.fix ? `${diagnostic.message}. Fix: ${diagnostic.fix}` : diagnostic.message }
+            };
+
+            if (diagnostic.file) {
+                const physicalLocation = { artifactLocation: { uri: diagnostic.file.split(path.sep).join('/') } };
+                if (diagnostic.line) {
+                    physicalLocation.region = { startLine: diagnostic.line, startColumn: diagnostic.column || 1 };
+                    if (diagnostic.snippet) physicalLocation.region.snippet = { text: diagnostic.snippet };
+                }
+                result.locations = [{ physicalLocation }];
+            }
+
+            return result;
+        });
+
+        return {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: { driver: { name: 'sql-to-mysql', version, rules } },
+                results
+            }]
+        };
+    }
+
+    /**
+     * Write a report file
+     * @param {string} file - Output path
+     * @param {Array<object>} diagnostics - Diagnostics to report
+     * @param {string} format - 'json' or 'sarif' (default: sarif for .sarif files, json otherwise)
+     */
+    write(file, diagnostics, format) {
+        const reportFormat = format || (/\.sarif(\.json)?$/i.test(file) ? 'sarif' : 'json');
+        if (!FORMATS.includes(reportFormat)) {
+            throw new Error(`Unknown report format "${reportFormat}" (expected ${FORMATS.join(' or ')})`);
+        }
+
+        const report = reportFormat === 'sarif' ? this.toSARIF(diagnostics) : this.toJSON(diagnostics);
+        fs.writeFileSync(file, JSON.stringify(report, null, 2) + '\n', 'utf8');
+    }
+}
+
+DiagnosticReporter.SEVERITIES = SEVERITIES;
+DiagnosticReporter.FORMATS = FORMATS;
+
+module.exports = DiagnosticReporter;
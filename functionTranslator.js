@@ -0,0 +1,540 @@
+const SQLTokenizer = require('./sqlTokenizer');
+
+// DATEADD/DATEDIFF/DATEPART date parts and their abbreviations -> MySQL interval units
+const DATE_PARTS = {
+    year: 'YEAR', yy: 'YEAR', yyyy: 'YEAR',
+    quarter: 'QUARTER', qq: 'QUARTER', q: 'QUARTER',
+    month: 'MONTH', mm: 'MONTH', m: 'MONTH',
+    dayofyear: 'DAYOFYEAR', dy: 'DAYOFYEAR', y: 'DAYOFYEAR',
+    day: 'DAY', dd: 'DAY', d: 'DAY',
+    week: 'WEEK', wk: 'WEEK', ww: 'WEEK',
+    weekday: 'WEEKDAY', dw: 'WEEKDAY', w: 'WEEKDAY',
+    hour: 'HOUR', hh: 'HOUR',
+    minute: 'MINUTE', mi: 'MINUTE', n: 'MINUTE',
+    second: 'SECOND', ss: 'SECOND', s: 'SECOND',
+    millisecond: 'MILLISECOND', ms: 'MILLISECOND',
+    microsecond: 'MICROSECOND', mcs: 'MICROSECOND'
+};
+
+// DATEPART results -> MySQL functions of the date
+const DATEPART_FUNCTIONS = {
+    YEAR: 'YEAR', QUARTER: 'QUARTER', MONTH: 'MONTH', DAYOFYEAR: 'DAYOFYEAR', DAY: 'DAY', WEEK: 'WEEK',
+    WEEKDAY: 'DAYOFWEEK', HOUR: 'HOUR', MINUTE: 'MINUTE', SECOND: 'SECOND', MICROSECOND: 'MICROSECOND'
+};
+
+// CONVERT date styles -> { format, width } with the MySQL format and the length of the SQL Server text
+const DATE_STYLES = {
+    0: { format: '%b %e %Y %l:%i%p' }, 100: { format: '%b %e %Y %l:%i%p' },
+    1: { format: '%m/%d/%y', width: 8 }, 101: { format: '%m/%d/%Y', width: 10 },
+    2: { format: '%y.%m.%d', width: 8 }, 102: { format: '%Y.%m.%d', width: 10 },
+    3: { format: '%d/%m/%y', width: 8 }, 103: { format: '%d/%m/%Y', width: 10 },
+    4: { format: '%d.%m.%y', width: 8 }, 104: { format: '%d.%m.%Y', width: 10 },
+    5: { format: '%d-%m-%y', width: 8 }, 105: { format: '%d-%m-%Y', width: 10 },
+    6: { format: '%d %b %y', width: 9 }, 106: { format: '%d %b %Y', width: 11 },
+    7: { format: '%b %d, %y', width: 10 }, 107: { format: '%b %d, %Y', width: 12 },
+    8: { format: '%H:%i:%s', width: 8 }, 108: { format: '%H:%i:%s', width: 8 },
+    10: { format: '%m-%d-%y', width: 8 }, 110: { format: '%m-%d-%Y', width: 10 },
+    11: { format: '%y/%m/%d', width: 8 }, 111: { format: '%Y/%m/%d', width: 10 },
+    12: { format: '%y%m%d', width: 6 }, 112: { format: '%Y%m%d', width: 8 },
+    13: { format: '%d %b %Y %H:%i:%s:%f', width: 24 }, 113: { format: '%d %b %Y %H:%i:%s:%f', width: 24 },
+    14: { format: '%H:%i:%s:%f', width: 12 }, 114: { format: '%H:%i:%s:%f', width: 12 },
+    20: { format: '%Y-%m-%d %H:%i:%s', width: 19 }, 120: { format: '%Y-%m-%d %H:%i:%s', width: 19 },
+    21: { format: '%Y-%m-%d %H:%i:%s.%f', width: 23 }, 121: { format: '%Y-%m-%d %H:%i:%s.%f', width: 23 },
+    23: { format: '%Y-%m-%d', width: 10 },
+    25: { format: '%Y-%m-%d %H:%i:%s.%f', width: 23 },
+    126: { format: '%Y-%m-%dT%H:%i:%s.%f', width: 23 }, 127: { format: '%Y-%m-%dT%H:%i:%s.%f', width: 23 }
+};
+
+// Styles that also format money and float values, where the argument is assumed to be a date
+const AMBIGUOUS_STYLES = ['0', '1', '2', '3', '21', '126'];
+
+// .NET custom date format specifiers -> MySQL DATE_FORMAT specifiers, longest first
+const DOTNET_DATE_SPECIFIERS = [
+    ['yyyy', '%Y'], ['yy', '%y'], ['MMMM', '%M'], ['MMM', '%b'], ['MM', '%m'], ['M', '%c'],
+    ['dddd', '%W'], ['ddd', '%a'], ['dd', '%d'], ['d', '%e'], ['HH', '%H'], ['H', '%k'],
+    ['hh', '%h'], ['h', '%l'], ['mm', '%i'], ['ss', '%s'], ['fffffff', '%f'], ['ffffff', '%f'],
+    ['fff', '%f'], ['tt', '%p']
+];
+
+// Functions returning text, which make + a string concatenation
+const STRING_FUNCTIONS = ['CONCAT', 'CONCAT_WS', 'SUBSTRING', 'LEFT', 'RIGHT', 'LTRIM', 'RTRIM', 'TRIM', 'UPPER',
+    'LOWER', 'REPLACE', 'REPLICATE', 'REPEAT', 'SPACE', 'CHAR', 'NCHAR', 'STUFF', 'INSERT', 'REVERSE', 'FORMAT',
+    'QUOTENAME', 'DATENAME', 'DATE_FORMAT', 'STRING_AGG', 'GROUP_CONCAT'];
+
+// Words that cannot be an operand of +
+const NON_OPERAND_WORDS = ['SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'WHEN', 'THEN', 'ELSE', 'END', 'AS', 'ON',
+    'IS', 'IN', 'LIKE', 'BETWEEN', 'SET', 'VALUES', 'RETURN', 'PRINT', 'BY', 'DISTINCT', 'TOP', 'UNION', 'ALL',
+    'EXISTS', 'INTO', 'BEGIN', 'IF', 'WHILE', 'DECLARE', 'EXEC', 'EXECUTE', 'GROUP', 'ORDER', 'HAVING', 'JOIN'];
+
+// Words after which name( is an object name with a column list, not a function call
+const OBJECT_NAME_WORDS = ['INTO', 'TABLE', 'REFERENCES', 'ON', 'FROM', 'JOIN', 'UPDATE', 'VIEW', 'PROCEDURE',
+    'PROC', 'FUNCTION', 'EXEC', 'EXECUTE', 'INDEX', 'KEY', 'CONSTRAINT', 'TYPE'];
+
+/**
+ * Map a date part argument to its MySQL unit
+ * @returns {string|null} - Unit, or null for parts MySQL has no unit for
+ */
+function datePart(arg) {
+    return DATE_PARTS[arg.replace(/^\[|\]$/g, '').toLowerCase()] || null;
+}
+
+/**
+ * Wrap an expression in parentheses unless it is a single term
+ */
+function operand(arg) {
+    return /^-?[\w@$.]+$/.test(arg) ? arg : `(${arg})`;
+}
+
+/**
+ * Date argument of DATEADD or DATEDIFF; SQL Server reads a number as days since 1900-01-01
+ */
+function dateArg(arg) {
+    if (arg === '0') return "'1900-01-01'";
+    return /^-?\d+$/.test(arg) ? `DATE_ADD('1900-01-01', INTERVAL ${arg} DAY)` : arg;
+}
+
+/**
+ * Translate a .NET custom date format to a DATE_FORMAT format
+ * @returns {string|null} - MySQL format, or null if the pattern is not a date format
+ */
+function dateFormat(pattern) {
+    if (!/[yMdHhms]/.test(pattern) || /[#0]/.test(pattern)) return null;
+
+    let format = '';
+    let i = 0;
+    while (i < pattern.length) {
+        const specifier = DOTNET_DATE_SPECIFIERS.find(([dotnet]) => pattern.startsWith(dotnet, i));
+        if (specifier) {
+            format += specifier[1];
+            i += specifier[0].length;
+        } else if (pattern[i] === '\\' && i + 1 < pattern.length) {
+            format += pattern[i + 1] === '%' ? '%%' : pattern[i + 1];
+            i += 2;
+        } else {
+            format += pattern[i] === '%' ? '%%' : pattern[i];
+            i++;
+        }
+    }
+    return format;
+}
+
+/**
+ * Translators by upper-case function name. Each receives the translated argument texts
+ * and a context, and returns the MySQL expression, or null to leave the call as it is.
+ * Context: { warn(rule, message, severity), literal(arg), tokens, close }
+ */
+const TRANSLATIONS = {
+    CHARINDEX: (args) => (args.length >= 2 ? `LOCATE(${args.join(', ')})` : null),
+
+    DATEADD: (args) => {
+        const unit = args.length === 3 ? datePart(args[0]) : null;
+        if (!unit) return null;
+        const date = dateArg(args[2]);
+        switch (unit) {
+        case 'DAYOFYEAR':
+        case 'WEEKDAY':
+            return `DATE_ADD(${date}, INTERVAL ${operand(args[1])} DAY)`;
+        case 'MILLISECOND':
+            return `DATE_ADD(${date}, INTERVAL ${operand(args[1])} * 1000 MICROSECOND)`;
+        default:
+            return `DATE_ADD(${date}, INTERVAL ${operand(args[1])} ${unit})`;
+        }
+    },
+
+    DATEDIFF: (args, ctx) => {
+        const unit = args.length === 3 ? datePart(args[0]) : null;
+        if (!unit) return null;
+        const [from, to] = [dateArg(args[1]), dateArg(args[2])];
+        if (unit === 'DAY' || unit === 'DAYOFYEAR' || unit === 'WEEKDAY') {
+            return `DATEDIFF(${to}, ${from})`;
+        }
+        ctx.warn('datediff-boundaries', `DATEDIFF(${args[0]}, ...) counts ${args[0]} boundaries crossed; TIMESTAMPDIFF counts whole units elapsed`, 'info');
+        if (unit === 'MILLISECOND') {
+            return `TIMESTAMPDIFF(MICROSECOND, ${from}, ${to}) DIV 1000`;
+        }
+        return `TIMESTAMPDIFF(${unit}, ${from}, ${to})`;
+    },
+
+    DATEPART: (args, ctx) => {
+        const unit = args.length === 2 ? datePart(args[0]) : null;
+        if (!unit) return null;
+        if (unit === 'MILLISECOND') return `FLOOR(MICROSECOND(${args[1]}) / 1000)`;
+        if (unit === 'WEEK') {
+            ctx.warn('datepart-week', 'DATEPART(week, ...) depends on SET DATEFIRST; WEEK() uses mode 0 (weeks start on Sunday)', 'info');
+        }
+        return `${DATEPART_FUNCTIONS[unit]}(${args[1]})`;
+    },
+
+    DATENAME: (args) => {
+        const unit = args.length === 2 ? datePart(args[0]) : null;
+        if (unit === 'MONTH') return `MONTHNAME(${args[1]})`;
+        if (unit === 'WEEKDAY') return `DAYNAME(${args[1]})`;
+        if (unit && DATEPART_FUNCTIONS[unit]) return `CAST(${DATEPART_FUNCTIONS[unit]}(${args[1]}) AS CHAR)`;
+        return null;
+    },
+
+    EOMONTH: (args) => {
+        if (args.length === 1) return `LAST_DAY(${args[0]})`;
+        if (args.length === 2) return `LAST_DAY(DATE_ADD(${args[0]}, INTERVAL ${operand(args[1])} MONTH))`;
+        return null;
+    },
+
+    DATEFROMPARTS: (args) => (args.length === 3
+        ? `STR_TO_DATE(CONCAT_WS('-', ${args.join(', ')}), '%Y-%c-%e')`
+        : null),
+
+    CONVERT: (args, ctx) => translateConvert(args, ctx, 'CONVERT'),
+    TRY_CONVERT: (args, ctx) => translateConvert(args, ctx, 'TRY_CONVERT'),
+
+    TRY_CAST: (args, ctx) => {
+        ctx.warn('try-cast', 'TRY_CAST converted to CAST; invalid values give NULL or 0 with a warning instead of NULL', 'info');
+        return `CAST(${args.join(', ')})`;
+    },
+
+    STUFF: (args) => (args.length === 4 ? `INSERT(${args.join(', ')})` : null),
+
+    IIF: (args) => (args.length === 3 ? `IF(${args.join(', ')})` : null),
+
+    CHOOSE: (args) => (args.length >= 2 ? `ELT(${args.join(', ')})` : null),
+
+    SYSDATETIME: (args) => (args.length === 0 ? 'NOW(6)' : null),
+    SYSUTCDATETIME: (args) => (args.length === 0 ? 'UTC_TIMESTAMP(6)' : null),
+    SYSDATETIMEOFFSET: (args, ctx) => {
+        if (args.length !== 0) return null;
+        ctx.warn('datetimeoffset', 'SYSDATETIMEOFFSET() converted to NOW(6); the time zone offset is lost');
+        return 'NOW(6)';
+    },
+
+    DATALENGTH: (args, ctx) => {
+        if (args.length !== 1) return null;
+        ctx.warn('datalength-bytes', 'DATALENGTH converted to LENGTH, which counts utf8mb4 bytes rather than UTF-16 bytes for NVARCHAR', 'info');
+        return `LENGTH(${args[0]})`;
+    },
+
+    FORMAT: (args, ctx) => {
+        const pattern = args.length >= 2 ? ctx.literal(args[1]) : null;
+        if (pattern === null) {
+            ctx.warn('format-pattern', 'FORMAT with a pattern that is not a string literal has no MySQL equivalent');
+            return null;
+        }
+        const culture = args.length === 3 ? ctx.literal(args[2]) : null;
+        const locale = culture ? `, '${culture.replace('-', '_')}'` : '';
+
+        const numeric = /^[Nn](\d*)$/.exec(pattern) || /^#,##0(?:\.(0+))?$/.exec(pattern);
+        if (numeric) {
+            const decimals = /^[Nn]/.test(pattern) ? (numeric[1] || '2') : (numeric[1] || '').length;
+            return `FORMAT(${args[0]}, ${decimals}${locale})`;
+        }
+        const format = dateFormat(pattern);
+        if (format) {
+            if (culture) ctx.warn('format-culture', `FORMAT culture '${culture}' is not applied to dates; set lc_time_names for month and day names`, 'info');
+            return `DATE_FORMAT(${args[0]}, '${format}')`;
+        }
+        ctx.warn('format-pattern', `FORMAT pattern '${pattern}' has no MySQL equivalent`);
+        return null;
+    },
+
+    STRING_AGG: (args, ctx) => {
+        if (args.length !== 2) return null;
+        // STRING_AGG(expr, sep) WITHIN GROUP (ORDER BY ...)
+        const { tokens, close } = ctx;
+        let orderBy = '';
+        let last = close;
+        const upper = (index) => (tokens[index] && tokens[index].type === 'word' ? tokens[index].value.toUpperCase() : null);
+        if (upper(close + 1) === 'WITHIN' && upper(close + 2) === 'GROUP' && tokens[close + 3] && tokens[close + 3].value === '(') {
+            last = ctx.findClosingParen(close + 3);
+            orderBy = ` ${ctx.text(close + 4, last)}`;
+        }
+        ctx.warn('string-agg-length', 'STRING_AGG converted to GROUP_CONCAT, which truncates at group_concat_max_len (default 1024 bytes)', 'info');
+        return { text: `GROUP_CONCAT(${args[0]}${orderBy} SEPARATOR ${args[1]})`, last };
+    },
+
+    SCOPE_IDENTITY: (args) => (args.length === 0 ? 'LAST_INSERT_ID()' : null),
+    NEWSEQUENTIALID: (args) => (args.length === 0 ? 'UUID()' : null),
+
+    REPLICATE: (args) => (args.length === 2 ? `REPEAT(${args.join(', ')})` : null),
+    SQUARE: (args) => (args.length === 1 ? `POW(${args[0]}, 2)` : null),
+    ATN2: (args) => (args.length === 2 ? `ATAN2(${args.join(', ')})` : null),
+    // LOG(x, base) -> LOG(base, x)
+    LOG: (args) => (args.length === 2 ? `LOG(${args[1]}, ${args[0]})` : null)
+};
+
+/**
+ * CONVERT(type, expr [, style]) -> CAST(expr AS type), or DATE_FORMAT/STR_TO_DATE for date styles.
+ * The type has already been mapped to a MySQL cast type by TypeMapper.
+ */
+function translateConvert(args, ctx, name) {
+    if (args.length < 2 || args.length > 3) return null;
+    const [type, expr, style] = args;
+    if (name === 'TRY_CONVERT') {
+        ctx.warn('try-cast', 'TRY_CONVERT converted to CAST; invalid values give NULL or 0 with a warning instead of NULL', 'info');
+    }
+    if (style === undefined) return `CAST(${expr} AS ${type})`;
+
+    const dateStyle = DATE_STYLES[style];
+    if (!dateStyle) {
+        ctx.warn('convert-style', `CONVERT style ${style} has no MySQL equivalent; converted to CAST without it`);
+        return `CAST(${expr} AS ${type})`;
+    }
+
+    const text = /^CHAR\b(?:\s*\(\s*(\d+)\s*\))?/i.exec(type);
+    if (text) {
+        if (AMBIGUOUS_STYLES.includes(style)) {
+            ctx.warn('convert-style', `CONVERT style ${style} also formats numbers; converted as a date format`, 'info');
+        }
+        const formatted = `DATE_FORMAT(${expr}, '${dateStyle.format}')`;
+        const length = Math.min(text[1] ? parseInt(text[1], 10) : 30, dateStyle.width || Infinity);
+        return dateStyle.width && (length < dateStyle.width || dateStyle.format.includes('%f'))
+            ? `LEFT(${formatted}, ${length})`
+            : formatted;
+    }
+    if (/^(?:DATE|DATETIME|TIME)\b/i.test(type)) {
+        return `STR_TO_DATE(${expr}, '${dateStyle.format}')`;
+    }
+    return `CAST(${expr} AS ${type})`;
+}
+
+/**
+ * Translates SQL Server built-in functions to MySQL at the expression level: calls are
+ * parsed with their arguments, which are translated first, so translators can reorder
+ * and rewrite them (CHARINDEX -> LOCATE, DATEADD -> DATE_ADD(d, INTERVAL n unit),
+ * CONVERT(varchar, d, 120) -> DATE_FORMAT). A + whose operands include a string literal
+ * or a function returning text becomes CONCAT().
+ *
+ * Calls qualified with a schema (dbo.Format(...)) are user functions and are left alone.
+ */
+class FunctionTranslator {
+    constructor() {
+        this.tokenizer = new SQLTokenizer();
+    }
+
+    /**
+     * Translate the function calls and string concatenations in masked SQL code
+     * @param {string} code - SQL code with literals and comments masked
+     * @param {Array<object>} literals - Masked tokens, used to tell comments from strings
+     * @param {Array<object>} warnings - List that receives { rule, message, severity, code, offset } for lossy
+     *   translations, offset being where the function call starts in code
+     * @returns {string} - Translated code
+     */
+    convert(code, literals, warnings = []) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        if (tokens.length === 0) return code;
+
+        const state = { code, literals, tokens, warnings };
+        const end = (index) => tokens[index].start + tokens[index].value.length;
+        return code.slice(0, tokens[0].start) +
+            this.render(state, 0, tokens.length) +
+            code.slice(end(tokens.length - 1));
+    }
+
+    /**
+     * Text of the tokens from start up to (not including) end, translated
+     */
+    render(state, start, end) {
+        const { code, tokens } = state;
+        if (start >= end) return '';
+
+        let output = '';
+        let position = tokens[start].start;
+        let i = start;
+        while (i < end) {
+            const chain = this.readConcatenation(state, i, end);
+            if (chain) {
+                const operands = chain.operands.map(([from, to]) => this.render(state, from, to));
+                output += code.slice(position, tokens[i].start) + `CONCAT(${operands.join(', ')})`;
+                i = chain.last + 1;
+                position = this.endOf(tokens[chain.last]);
+                continue;
+            }
+
+            const call = this.translateCall(state, i);
+            if (call) {
+                output += code.slice(position, tokens[i].start) + call.text;
+                i = call.last + 1;
+                position = this.endOf(tokens[call.last]);
+                continue;
+            }
+            i++;
+        }
+        return output + code.slice(position, this.endOf(tokens[end - 1]));
+    }
+
+    endOf(token) {
+        return token.start + token.value.length;
+    }
+
+    /**
+     * Translate the function call starting at token i
+     * @returns {object|null} - { text, last } with the index of the last token replaced
+     */
+    translateCall(state, i) {
+        const { tokens, literals, warnings } = state;
+        const name = this.tokenizer.upperWord(tokens[i]);
+        const translator = name && Object.prototype.hasOwnProperty.call(TRANSLATIONS, name) ? TRANSLATIONS[name] : null;
+        if (!translator || !this.isSymbol(tokens[i + 1], '(')) return null;
+
+        const previous = tokens[i - 1];
+        if (this.isSymbol(previous, '.') || OBJECT_NAME_WORDS.includes(this.tokenizer.upperWord(previous))) return null;
+
+        const close = this.tokenizer.findClosingParen(tokens, i + 1);
+        const args = this.splitArguments(tokens, i + 2, close).map(([from, to]) => this.render(state, from, to));
+        const ctx = {
+            tokens,
+            close,
+            warn: (rule, message, severity = 'warning') => warnings.push({ rule, message, severity, code: state.code, offset: tokens[i].start }),
+            literal: (arg) => {
+                const match = /^\uE000(\d+)\uE001$/.exec(arg);
+                const token = match ? literals[Number(match[1])] : null;
+                if (!token || token.type !== 'string') return null;
+                return token.value.replace(/^N/i, '').slice(1, -1).replace(/''/g, "'");
+            },
+            findClosingParen: (open) => this.tokenizer.findClosingParen(tokens, open),
+            text: (from, to) => this.render(state, from, to)
+        };
+
+        const result = translator(args, ctx);
+        if (result === null || result === undefined) return null;
+        return typeof result === 'string' ? { text: result, last: close } : result;
+    }
+
+    /**
+     * Token ranges of the arguments between two parentheses, split at top-level commas
+     * @returns {Array<Array<number>>} - [from, to) pairs; empty for a call without arguments
+     */
+    splitArguments(tokens, from, close) {
+        if (from >= close) return [];
+        const ranges = [];
+        let depth = 0;
+        let start = from;
+        for (let j = from; j < close; j++) {
+            if (this.isSymbol(tokens[j], '(')) depth++;
+            if (this.isSymbol(tokens[j], ')')) depth--;
+            if (depth === 0 && this.isSymbol(tokens[j], ',')) {
+                ranges.push([start, j]);
+                start = j + 1;
+            }
+        }
+        ranges.push([start, close]);
+        return ranges;
+    }
+
+    /**
+     * Read term + term [+ term ...] starting at token i where at least one term is text
+     * @returns {object|null} - { operands, last } with the [from, to) range of every term
+     */
+    readConcatenation(state, i, end) {
+        const { tokens } = state;
+        const operands = [];
+        let stringy = false;
+        let index = i;
+
+        for (;;) {
+            const term = this.readTerm(state, index, end);
+            if (!term) break;
+            operands.push([index, term.last + 1]);
+            stringy = stringy || term.stringy;
+            if (term.last + 2 < end && this.isSymbol(tokens[term.last + 1], '+')) {
+                index = term.last + 2;
+            } else {
+                break;
+            }
+        }
+
+        if (operands.length < 2 || !stringy) return null;
+        return { operands, last: operands[operands.length - 1][1] - 1 };
+    }
+
+    /**
+     * Read a term: a primary optionally multiplied or divided by more primaries
+     * @returns {object|null} - { last, stringy }
+     */
+    readTerm(state, index, end) {
+        let primary = this.readPrimary(state, index, end);
+        if (!primary) return null;
+        const stringy = primary.stringy;
+        while (primary.last + 2 < end && ['*', '/', '%'].some(op => this.isSymbol(state.tokens[primary.last + 1], op))) {
+            const next = this.readPrimary(state, primary.last + 2, end);
+            if (!next) break;
+            primary = next;
+        }
+        return { last: primary.last, stringy };
+    }
+
+    /**
+     * Read a literal, name, variable, function call, parenthesized expression or CASE ... END
+     * @returns {object|null} - { last, stringy }
+     */
+    readPrimary(state, index, end) {
+        const { tokens, literals } = state;
+        const token = tokens[index];
+        if (!token || index >= end) return null;
+
+        if (token.type === 'masked') {
+            return { last: index, stringy: literals[token.index] && literals[token.index].type === 'string' };
+        }
+        if (token.type === 'number' || token.type === 'variable') return { last: index, stringy: false };
+        if (this.isSymbol(token, '-')) {
+            const inner = this.readPrimary(state, index + 1, end);
+            return inner ? { last: inner.last, stringy: false } : null;
+        }
+        if (this.isSymbol(token, '(')) {
+            const close = this.tokenizer.findClosingParen(tokens, index);
+            if (close >= end) return null;
+            const inner = tokens.slice(index + 1, close);
+            return { last: close, stringy: inner.some(t => t.type === 'masked' && literals[t.index] && literals[t.index].type === 'string') };
+        }
+
+        const word = this.tokenizer.upperWord(token);
+        if (word === 'CASE') {
+            let depth = 0;
+            let stringy = false;
+            for (let j = index; j < end; j++) {
+                const current = this.tokenizer.upperWord(tokens[j]);
+                if (current === 'CASE') depth++;
+                if (current === 'END' && --depth === 0) return { last: j, stringy };
+                const next = tokens[j + 1];
+                if (depth === 1 && (current === 'THEN' || current === 'ELSE') && next && next.type === 'masked' &&
+                    literals[next.index] && literals[next.index].type === 'string') {
+                    stringy = true;
+                }
+            }
+            return null;
+        }
+        if (token.type !== 'word' && token.type !== 'identifier') return null;
+        if (word && NON_OPERAND_WORDS.includes(word)) return null;
+
+        // Qualified names: a.b.c
+        let last = index;
+        while (last + 2 < end && this.isSymbol(tokens[last + 1], '.') &&
+            (tokens[last + 2].type === 'word' || tokens[last + 2].type === 'identifier')) {
+            last += 2;
+        }
+
+        if (last + 1 < end && this.isSymbol(tokens[last + 1], '(')) {
+            const close = this.tokenizer.findClosingParen(tokens, last + 1);
+            if (close >= end) return null;
+            const name = this.tokenizer.upperWord(tokens[last]);
+            return { last: close, stringy: last === index && this.returnsText(state, name, last + 1, close) };
+        }
+        return { last, stringy: false };
+    }
+
+    /**
+     * Whether a built-in function call returns text
+     */
+    returnsText(state, name, open, close) {
+        if (STRING_FUNCTIONS.includes(name)) return true;
+        const inner = state.code.slice(this.endOf(state.tokens[open]), state.tokens[close].start);
+        if (name === 'CONVERT' || name === 'TRY_CONVERT') return /^\s*(?:N?VAR)?CHAR\b|^\s*N?TEXT\b/i.test(inner);
+        if (name === 'CAST' || name === 'TRY_CAST') return /\bAS\s+(?:N?VAR)?CHAR\b[^,]*$/i.test(inner);
+        return false;
+    }
+
+    isSymbol(token, value) {
+        return Boolean(token) && token.type === 'symbol' && token.value === value;
+    }
+}
+
+FunctionTranslator.TRANSLATIONS = TRANSLATIONS;
+
+module.exports = FunctionTranslator;
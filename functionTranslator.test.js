@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SQLConverter = require('./sqlConverter');
+
+/**
+ * Convert one statement
+ * @returns {object} - { sql, warnings } with the statement without its line break and the
+ *   [rule, severity] of each warning
+ */
+function convert(sql) {
+    const converter = new SQLConverter();
+    const converted = converter.convertSQL(sql).trim();
+    return { sql: converted, warnings: converter.warnings.map(warning => [warning.rule, warning.severity]) };
+}
+
+test('date functions take their arguments in MySQL order', () => {
+    assert.deepStrictEqual(convert('SELECT DATEADD(day, -7, GETDATE()), DATEDIFF(minute, StartedAt, EndedAt), DATEPART(dw, OrderDate) FROM Orders'), {
+        sql: 'SELECT DATE_ADD(NOW(), INTERVAL -7 DAY), TIMESTAMPDIFF(MINUTE, StartedAt, EndedAt), DAYOFWEEK(OrderDate) FROM Orders;',
+        warnings: [['datediff-boundaries', 'info']]
+    });
+    assert.strictEqual(convert('SELECT DATEDIFF(dd, OrderDate, ShippedDate) FROM Orders').sql,
+        'SELECT DATEDIFF(ShippedDate, OrderDate) FROM Orders;');
+});
+
+test('string and logic functions are renamed or have their arguments reordered', () => {
+    assert.deepStrictEqual(convert("SELECT CHARINDEX('@', Email, 2), STUFF(Code, 1, 2, 'XY'), IIF(Qty > 0, 'in', 'out'), LOG(Amount, 2) FROM T"), {
+        sql: "SELECT LOCATE('@', Email, 2), INSERT(Code, 1, 2, 'XY'), IF(Qty > 0, 'in', 'out'), LOG(2, Amount) FROM T;",
+        warnings: []
+    });
+    assert.strictEqual(convert("SELECT FirstName + ' ' + LastName, Qty + 1 FROM T").sql,
+        "SELECT CONCAT(FirstName, ' ', LastName), Qty + 1 FROM T;");
+});
+
+test('CONVERT and FORMAT styles become DATE_FORMAT patterns', () => {
+    assert.deepStrictEqual(convert("SELECT CONVERT(VARCHAR(10), OrderDate, 120), CONVERT(INT, Code), FORMAT(OrderDate, 'yyyy-MM-dd') FROM T"), {
+        sql: "SELECT LEFT(DATE_FORMAT(OrderDate, '%Y-%m-%d %H:%i:%s'), 10), CAST(Code AS SIGNED), DATE_FORMAT(OrderDate, '%Y-%m-%d') FROM T;",
+        warnings: []
+    });
+    assert.deepStrictEqual(convert("SELECT FORMAT(Amount, 'C') FROM T"), {
+        sql: "SELECT FORMAT(Amount, 'C') FROM T;",
+        warnings: [['format-pattern', 'warning']]
+    });
+});
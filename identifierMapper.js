@@ -0,0 +1,351 @@
+const SQLTokenizer = require('./sqlTokenizer');
+
+const SCHEMA_MAPPINGS = ['drop', 'database', 'prefix'];
+
+const QUOTE_MODES = ['needed', 'all'];
+
+// Schema whose objects keep their plain name in every mapping
+const DEFAULT_SCHEMA = 'dbo';
+
+// Schemas of catalog views, whose names are written as they are: MySQL has INFORMATION_SCHEMA
+// too, and its sys schema holds other views than the SQL Server one
+const SYSTEM_SCHEMAS = ['information_schema', 'sys'];
+
+// MySQL 8.0 reserved words, which need backticks as identifiers
+const RESERVED_WORDS = new Set(('ACCESSIBLE ADD ALL ALTER ANALYZE AND AS ASC ASENSITIVE BEFORE BETWEEN BIGINT BINARY ' +
+    'BLOB BOTH BY CALL CASCADE CASE CHANGE CHAR CHARACTER CHECK COLLATE COLUMN CONDITION CONSTRAINT CONTINUE CONVERT ' +
+    'CREATE CROSS CUBE CUME_DIST CURRENT_DATE CURRENT_TIME CURRENT_TIMESTAMP CURRENT_USER CURSOR DATABASE DATABASES ' +
+    'DAY_HOUR DAY_MICROSECOND DAY_MINUTE DAY_SECOND DEC DECIMAL DECLARE DEFAULT DELAYED DELETE DENSE_RANK DESC ' +
+    'DESCRIBE DETERMINISTIC DISTINCT DISTINCTROW DIV DOUBLE DROP DUAL EACH ELSE ELSEIF EMPTY ENCLOSED ESCAPED EXCEPT ' +
+    'EXISTS EXIT EXPLAIN FALSE FETCH FIRST_VALUE FLOAT FLOAT4 FLOAT8 FOR FORCE FOREIGN FROM FULLTEXT FUNCTION ' +
+    'GENERATED GET GRANT GROUP GROUPING GROUPS HAVING HIGH_PRIORITY HOUR_MICROSECOND HOUR_MINUTE HOUR_SECOND IF ' +
+    'IGNORE IN INDEX INFILE INNER INOUT INSENSITIVE INSERT INT INT1 INT2 INT3 INT4 INT8 INTEGER INTERSECT INTERVAL ' +
+    'INTO IO_AFTER_GTIDS IO_BEFORE_GTIDS IS ITERATE JOIN JSON_TABLE KEY KEYS KILL LAG LAST_VALUE LATERAL LEAD LEADING ' +
+    'LEAVE LEFT LIKE LIMIT LINEAR LINES LOAD LOCALTIME LOCALTIMESTAMP LOCK LONG LONGBLOB LONGTEXT LOOP LOW_PRIORITY ' +
+    'MASTER_BIND MASTER_SSL_VERIFY_SERVER_CERT MATCH MAXVALUE MEDIUMBLOB MEDIUMINT MEDIUMTEXT MIDDLEINT ' +
+    'MINUTE_MICROSECOND MINUTE_SECOND MOD MODIFIES NATURAL NOT NO_WRITE_TO_BINLOG NTH_VALUE NTILE NULL NUMERIC OF ON ' +
+    'OPTIMIZE OPTIMIZER_COSTS OPTION OPTIONALLY OR ORDER OUT OUTER OUTFILE OVER PARTITION PERCENT_RANK PRECISION ' +
+    'PRIMARY PROCEDURE PURGE RANGE RANK READ READS READ_WRITE REAL RECURSIVE REFERENCES REGEXP RELEASE RENAME REPEAT ' +
+    'REPLACE REQUIRE RESIGNAL RESTRICT RETURN REVOKE RIGHT RLIKE ROW ROWS ROW_NUMBER SCHEMA SCHEMAS ' +
+    'SECOND_MICROSECOND SELECT SENSITIVE SEPARATOR SET SHOW SIGNAL SMALLINT SPATIAL SPECIFIC SQL SQLEXCEPTION ' +
+    'SQLSTATE SQLWARNING SQL_BIG_RESULT SQL_CALC_FOUND_ROWS SQL_SMALL_RESULT SSL STARTING STORED STRAIGHT_JOIN ' +
+    'SYSTEM TABLE TERMINATED THEN TINYBLOB TINYINT TINYTEXT TO TRAILING TRIGGER TRUE UNDO UNION UNIQUE UNLOCK ' +
+    'UNSIGNED UPDATE USAGE USE USING UTC_DATE UTC_TIME UTC_TIMESTAMP VALUES VARBINARY VARCHAR VARCHARACTER VARYING ' +
+    'VIRTUAL WHEN WHERE WHILE WINDOW WITH WRITE XOR YEAR_MONTH ZEROFILL').split(' '));
+
+// Words followed by the name of a table, view or routine
+const OBJECT_NAME_WORDS = ['FROM', 'JOIN', 'INTO', 'UPDATE', 'TABLE', 'REFERENCES', 'VIEW', 'PROCEDURE', 'PROC',
+    'FUNCTION', 'TRIGGER', 'CALL', 'EXEC', 'EXECUTE'];
+
+// Words after the table name of ON in CREATE INDEX ... ON t (...) and CREATE TRIGGER ... ON t FOR ...
+const ON_TABLE_FOLLOWERS = ['FOR', 'AFTER', 'BEFORE', 'INSTEAD', 'WITH'];
+
+// Words that end the table list of a FROM clause
+const FROM_LIST_END = ['WHERE', 'GROUP', 'ORDER', 'HAVING', 'LIMIT', 'ON', 'USING', 'UNION', 'WINDOW', 'SET'];
+
+/**
+ * Rewrites the names in converted code for MySQL: schema-qualified names are mapped by the
+ * schema mapping, [bracketed] and "quoted" identifiers lose their quotes, or get backticks
+ * where MySQL needs them (reserved words such as Order or Key, spaces and other characters),
+ * and table names can be lower-cased for servers with case-sensitive table names.
+ *
+ * Schema mappings:
+ *   drop: sales.Orders -> Orders
+ *   database: sales.Orders -> sales.Orders, with the schema as a MySQL database
+ *   prefix: sales.Orders -> sales_Orders
+ *
+ * Objects of the dbo schema keep their plain name in every mapping. The database and server
+ * parts of three- and four-part names ([Db].[dbo].[T], Db..T) are dropped.
+ *
+ * Two-part names in expressions are only treated as schema-qualified when their first part is
+ * a schema seen before in a table position (FROM sales.Orders, CREATE TABLE sales.Orders), so
+ * alias.column references are left alone; three-part names are schema.table.column. Known
+ * schemas and tables are kept across calls, so later chunks of a file are mapped the same way.
+ *
+ * Names in INFORMATION_SCHEMA and sys are written as they are; sys names are reported, since
+ * the MySQL sys schema holds other views.
+ */
+class IdentifierMapper {
+    /**
+     * @param {object} options - { schemaMapping, schemaNames, quoteIdentifiers, lowerCaseTableNames }
+     *   schemaMapping: drop, database or prefix (default: drop)
+     *   schemaNames: database or prefix to use per schema, e.g. { sales: 'sales_db' } (default:
+     *     the schema name)
+     *   quoteIdentifiers: needed to backtick quoted identifiers only where MySQL requires it,
+     *     all to backtick every quoted identifier (default: needed)
+     *   lowerCaseTableNames: lower-case the names of tables, views, routines and databases
+     */
+    constructor(options = {}) {
+        this.schemaMapping = options.schemaMapping || 'drop';
+        if (!SCHEMA_MAPPINGS.includes(this.schemaMapping)) {
+            throw new Error(`Invalid --schema-mapping value "${this.schemaMapping}" (expected ${SCHEMA_MAPPINGS.join(', ')})`);
+        }
+        this.quoteIdentifiers = options.quoteIdentifiers || 'needed';
+        if (!QUOTE_MODES.includes(this.quoteIdentifiers)) {
+            throw new Error(`Invalid --quote-identifiers value "${this.quoteIdentifiers}" (expected ${QUOTE_MODES.join(', ')})`);
+        }
+        this.schemaNames = new Map(Object.entries(options.schemaNames || {})
+            .map(([schema, name]) => [schema.toLowerCase(), name]));
+        this.lowerCaseTableNames = Boolean(options.lowerCaseTableNames);
+        this.tokenizer = new SQLTokenizer();
+
+        // Lower-case names of the schemas and (mapped) tables seen in table positions
+        this.schemas = new Set([DEFAULT_SCHEMA]);
+        this.tables = new Set();
+        // Schema of each object name seen, to report names that collide once schemas are dropped
+        this.objectSchemas = new Map();
+        this.reported = new Set();
+    }
+
+    /**
+     * Map the names in masked code
+     * @param {string} code - SQL code with literals and comments masked
+     * @param {Array<object>} warnings - List that receives { rule, message, severity, code, offset } for names
+     *   that collide and schemas that become databases, offset being where the name is first seen in code
+     * @returns {string} - Code with MySQL names
+     */
+    convert(code, warnings = []) {
+        const tokens = this.tokenizer.significantTokens(code);
+        const edits = [];
+        let fromList = false;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const word = this.tokenizer.upperWord(token);
+            if (word === 'FROM') fromList = true;
+            if (FROM_LIST_END.includes(word) || (token.type === 'symbol' && ['(', ')', ';'].includes(token.value))) {
+                fromList = false;
+            }
+            if (!this.isNamePart(token)) continue;
+
+            const chain = this.readChain(tokens, i);
+            const keyword = this.keywordBefore(tokens, i);
+            const warningCount = warnings.length;
+            let text;
+            if (keyword === 'SCHEMA') {
+                text = this.mapSchemaName(chain.parts[chain.parts.length - 1]);
+            } else if (this.isObjectName(tokens, i, chain, keyword, fromList)) {
+                text = this.mapObjectName(chain.parts, warnings);
+            } else {
+                text = this.mapReference(chain.parts, warnings, this.isSymbol(tokens[chain.last + 1], '('));
+            }
+            warnings.slice(warningCount).forEach(warning => Object.assign(warning, { code, offset: token.start }));
+
+            const end = tokens[chain.last].start + tokens[chain.last].value.length;
+            if (text !== code.slice(token.start, end)) {
+                edits.push({ start: token.start, end, text });
+            }
+            i = chain.last;
+        }
+
+        return edits.reverse().reduce((converted, edit) =>
+            converted.slice(0, edit.start) + edit.text + converted.slice(edit.end), code);
+    }
+
+    isNamePart(token) {
+        return Boolean(token) && (token.type === 'word' || (token.type === 'identifier' && !token.unterminated));
+    }
+
+    /**
+     * Read a dotted name starting at token i; an empty part (Db..Table) is null
+     * @returns {object} - { parts, last } with parts as { name, quote } and the index of the last token
+     */
+    readChain(tokens, i) {
+        const parts = [this.part(tokens[i])];
+        let last = i;
+        while (this.isSymbol(tokens[last + 1], '.')) {
+            if (this.isNamePart(tokens[last + 2])) {
+                parts.push(this.part(tokens[last + 2]));
+                last += 2;
+            } else if (this.isSymbol(tokens[last + 2], '.') && this.isNamePart(tokens[last + 3])) {
+                parts.push(null);
+                last += 1;
+            } else {
+                break;
+            }
+        }
+        return { parts, last };
+    }
+
+    /**
+     * Name of an identifier token without its quotes
+     */
+    part(token) {
+        if (token.type !== 'identifier') return { name: token.value, quote: null };
+        const close = token.quote === '[' ? ']' : token.quote;
+        const name = token.value.slice(1, -1).split(close + close).join(close);
+        return { name, quote: token.quote };
+    }
+
+    /**
+     * Upper-case word before the name at token i, skipping IF [NOT] EXISTS
+     */
+    keywordBefore(tokens, i) {
+        let k = i - 1;
+        if (this.tokenizer.upperWord(tokens[k]) === 'EXISTS') {
+            k--;
+            if (this.tokenizer.upperWord(tokens[k]) === 'NOT') k--;
+            if (this.tokenizer.upperWord(tokens[k]) !== 'IF') return null;
+            k--;
+        }
+        return this.tokenizer.upperWord(tokens[k]);
+    }
+
+    /**
+     * Whether the name at token i is the name of a table, view or routine
+     */
+    isObjectName(tokens, i, chain, keyword, fromList) {
+        const single = chain.parts.length === 1 ? chain.parts[0] : null;
+        // ON UPDATE CASCADE, UPDATE SET and other keywords in a name position
+        if (single && !single.quote && RESERVED_WORDS.has(single.name.toUpperCase())) return false;
+
+        if (OBJECT_NAME_WORDS.includes(keyword)) return !this.isSymbol(tokens[i - 1], '.');
+        if (keyword === 'ON') {
+            const next = tokens[chain.last + 1];
+            return this.isSymbol(next, '(') || ON_TABLE_FOLLOWERS.includes(this.tokenizer.upperWord(next));
+        }
+        return fromList && this.isSymbol(tokens[i - 1], ',');
+    }
+
+    /**
+     * Map the name of a table, view or routine: [server.][database.][schema.]object
+     */
+    mapObjectName(parts, warnings) {
+        const object = parts[parts.length - 1];
+        const schema = parts.length > 1 ? parts[parts.length - 2] : null;
+        if (this.isSystemSchema(schema)) return this.keepSystemName(parts, schema, object, warnings);
+        if (schema && schema.name.toLowerCase() !== DEFAULT_SCHEMA) this.schemas.add(schema.name.toLowerCase());
+
+        const mapped = this.qualify(schema, object, warnings);
+        if (this.lowerCaseTableNames) mapped.forEach(part => { part.name = part.name.toLowerCase(); });
+        this.tables.add(mapped[mapped.length - 1].name.toLowerCase());
+        return mapped.map(part => this.quote(part)).join('.');
+    }
+
+    /**
+     * Map a name in an expression: schema.object when the schema is known, else alias.column;
+     * schema.table.column, or database.schema.routine for a call; database.schema.table.column,
+     * which MySQL can only write as database.table.column
+     * @param {boolean} call - Whether the name is followed by an argument list
+     */
+    mapReference(parts, warnings, call = false) {
+        const known = (part) => part && this.schemas.has(part.name.toLowerCase());
+        const schemaIndex = parts.length === 4 || (parts.length === 3 && (call || parts[1] === null)) ? 1
+            : parts.length === 3 || (parts.length === 2 && known(parts[0])) ? 0
+                : null;
+        const schema = schemaIndex === null ? null : parts[schemaIndex];
+
+        if (this.isSystemSchema(schema)) {
+            return this.keepSystemName(parts, schema, parts[schemaIndex + 1], warnings);
+        }
+        if (schema && parts[schemaIndex + 1] && schema.name.toLowerCase() !== DEFAULT_SCHEMA) {
+            this.schemas.add(schema.name.toLowerCase());
+        }
+
+        let mapped;
+        if (schemaIndex !== null && parts[schemaIndex + 1]) {
+            mapped = this.qualify(schema, parts[schemaIndex + 1], warnings).concat(parts.slice(schemaIndex + 2));
+        } else {
+            mapped = parts.map(part => part || { name: '', quote: null });
+        }
+
+        if (this.lowerCaseTableNames) {
+            // Qualifiers naming a known table or database, not the column
+            mapped.slice(0, -1).forEach(part => {
+                if (this.tables.has(part.name.toLowerCase()) || part.database) part.name = part.name.toLowerCase();
+            });
+        }
+        return mapped.map(part => this.quote(part)).join('.');
+    }
+
+    isSystemSchema(part) {
+        return Boolean(part) && SYSTEM_SCHEMAS.includes(part.name.toLowerCase());
+    }
+
+    /**
+     * Write a name in a catalog schema as it is, reporting each sys view once
+     */
+    keepSystemName(parts, schema, object, warnings) {
+        const key = `${schema.name}.${object ? object.name : ''}`.toLowerCase();
+        if (schema.name.toLowerCase() === 'sys' && !this.reported.has(key)) {
+            this.reported.add(key);
+            warnings.push({
+                rule: 'system-catalog',
+                message: `${schema.name}.${object ? object.name : ''} is a SQL Server catalog view, which the MySQL sys schema does not have; query information_schema instead`,
+                severity: 'warning'
+            });
+        }
+        return parts.map(part => (part ? this.quote(part) : '')).join('.');
+    }
+
+    /**
+     * Apply the schema mapping to schema.object
+     * @returns {Array<object>} - Parts of the MySQL name
+     */
+    qualify(schema, object, warnings) {
+        const schemaName = schema && schema.name !== '' ? schema.name : DEFAULT_SCHEMA;
+        const key = schemaName.toLowerCase();
+        const result = { ...object };
+
+        if (this.schemaMapping === 'drop') {
+            const objectKey = object.name.toLowerCase();
+            const seen = this.objectSchemas.get(objectKey);
+            if (seen === undefined) {
+                this.objectSchemas.set(objectKey, key);
+            } else if (seen !== key && !this.reported.has(objectKey)) {
+                this.reported.add(objectKey);
+                warnings.push({
+                    rule: 'schema-collision',
+                    message: `${seen}.${object.name} and ${key}.${object.name} both become ${object.name} once schemas are dropped; use --schema-mapping database or prefix`,
+                    severity: 'warning'
+                });
+            }
+        }
+        if (key === DEFAULT_SCHEMA || this.schemaMapping === 'drop') return [result];
+
+        const name = this.schemaNames.get(key) || schemaName;
+        if (this.schemaMapping === 'prefix') {
+            return [{ name: `${name}_${object.name}`, quote: object.quote || schema.quote }];
+        }
+        if (!this.reported.has(`schema:${key}`)) {
+            this.reported.add(`schema:${key}`);
+            warnings.push({
+                rule: 'schema-database',
+                message: `Schema ${schemaName} is mapped to database ${name}, which must exist before the script is loaded`,
+                severity: 'info'
+            });
+        }
+        return [{ name, quote: schema.quote, database: true }, result];
+    }
+
+    /**
+     * Name of CREATE SCHEMA, which is a database in MySQL
+     */
+    mapSchemaName(part) {
+        const key = part.name.toLowerCase();
+        this.schemas.add(key);
+        const name = { ...part, name: this.schemaNames.get(key) || part.name };
+        if (this.lowerCaseTableNames) name.name = name.name.toLowerCase();
+        return this.quote(name);
+    }
+
+    /**
+     * Write a name part, in backticks where MySQL needs them
+     */
+    quote(part) {
+        if (!part.quote) return part.name;
+        const needed = part.quote === '`' || this.quoteIdentifiers === 'all' ||
+            !/^[A-Za-z_$][\w$]*$/.test(part.name) || RESERVED_WORDS.has(part.name.toUpperCase());
+        return needed ? `\`${part.name.replace(/`/g, '``')}\`` : part.name;
+    }
+
+    isSymbol(token, value) {
+        return Boolean(token) && token.type === 'symbol' && token.value === value;
+    }
+}
+
+IdentifierMapper.SCHEMA_MAPPINGS = SCHEMA_MAPPINGS;
+IdentifierMapper.QUOTE_MODES = QUOTE_MODES;
+IdentifierMapper.RESERVED_WORDS = RESERVED_WORDS;
+
+module.exports = IdentifierMapper;
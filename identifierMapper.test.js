@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const IdentifierMapper = require('./identifierMapper');
+
+/**
+ * Map the names of code without literals
+ */
+function map(code, options = {}) {
+    return new IdentifierMapper(options).convert(code);
+}
+
+test('brackets are dropped, or become backticks where MySQL needs them', () => {
+    assert.strictEqual(map('SELECT [Id], [Order], [First Name] FROM [Orders]'), 'SELECT Id, `Order`, `First Name` FROM Orders');
+    assert.strictEqual(map('SELECT [Id] FROM [Orders]', { quoteIdentifiers: 'all' }), 'SELECT `Id` FROM `Orders`');
+});
+
+test('three-part names lose their database', () => {
+    assert.strictEqual(map('SELECT o.Id FROM [Db].[sales].[Orders] o'), 'SELECT o.Id FROM Orders o');
+    assert.strictEqual(map('SELECT [Db].[dbo].[Orders].[Id] FROM [Db]..[Orders]'), 'SELECT Orders.Id FROM Orders');
+    assert.strictEqual(map('SELECT o.Id FROM [Db].[sales].[Orders] o', { schemaMapping: 'database' }), 'SELECT o.Id FROM sales.Orders o');
+});
+
+test('four-part column references become table.column', () => {
+    const sql = 'SELECT [Db].[sales].[Orders].[Id], [Db]..[Orders].[Total] FROM [Db].[sales].[Orders]';
+    assert.strictEqual(map(sql), 'SELECT Orders.Id, Orders.Total FROM Orders');
+    assert.strictEqual(map(sql, { schemaMapping: 'database' }), 'SELECT sales.Orders.Id, Orders.Total FROM sales.Orders');
+    assert.strictEqual(map(sql, { schemaMapping: 'prefix' }), 'SELECT sales_Orders.Id, Orders.Total FROM sales_Orders');
+});
+
+test('a four-part reference makes its schema known to later names', () => {
+    assert.strictEqual(map('SELECT [Db].[sales].[Orders].[Id], [sales].[Orders].[Total] FROM x'), 'SELECT Orders.Id, Orders.Total FROM x');
+});
+
+test('three-part column references are schema.table.column', () => {
+    const sql = 'SELECT [sales].[Orders].[Id] FROM [sales].[Orders]';
+    assert.strictEqual(map(sql), 'SELECT Orders.Id FROM Orders');
+    assert.strictEqual(map(sql, { schemaMapping: 'database' }), 'SELECT sales.Orders.Id FROM sales.Orders');
+    assert.strictEqual(map(sql, { schemaMapping: 'prefix' }), 'SELECT sales_Orders.Id FROM sales_Orders');
+    assert.strictEqual(map('SELECT [Db].[dbo].[ufnTotal](1) FROM x'), 'SELECT ufnTotal(1) FROM x');
+});
+
+test('catalog names are left as written and sys names are reported', () => {
+    assert.strictEqual(map('SELECT [TABLE_NAME] FROM [INFORMATION_SCHEMA].[TABLES] WHERE INFORMATION_SCHEMA.TABLES.TABLE_TYPE = 1', { schemaMapping: 'prefix' }),
+        'SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE INFORMATION_SCHEMA.TABLES.TABLE_TYPE = 1');
+
+    const warnings = [];
+    const code = new IdentifierMapper().convert('SELECT o.name, sys.objects.type FROM sys.objects o JOIN [sys].[columns] c ON 1 = 1', warnings);
+    assert.strictEqual(code, 'SELECT o.name, sys.objects.type FROM sys.objects o JOIN sys.columns c ON 1 = 1');
+    assert.deepStrictEqual(warnings.map(warning => [warning.rule, warning.offset]), [['system-catalog', 15], ['system-catalog', 56]]);
+});
+
+test('four-part object names lose their server and database', () => {
+    assert.strictEqual(map('SELECT * FROM [Srv].[Db].[hr].[People]', { schemaMapping: 'prefix' }), 'SELECT * FROM hr_People');
+});
+
+test('objects that collide once schemas are dropped are reported', () => {
+    const warnings = [];
+    new IdentifierMapper().convert('SELECT * FROM sales.Orders JOIN archive.Orders ON 1 = 1', warnings);
+    assert.deepStrictEqual(warnings.map(warning => warning.rule), ['schema-collision']);
+});
@@ -6,10 +6,240 @@ const fs = require('fs');
 const path = require('path');
 const SQLConverter = require('./sqlConverter');
 const DatabaseManager = require('./database');
+const DiagnosticReporter = require('./diagnosticReporter');
+const LoadErrorPolicy = require('./loadErrorPolicy');
+const SQLServerSource = require('./sqlServerSource');
+const Migrator = require('./migrator');
+const DataVerifier = require('./dataVerifier');
+const SchemaParser = require('./schemaParser');
+const SchemaDiff = require('./schemaDiff');
+const StatementFilter = require('./statementFilter');
+const OutputSplitter = require('./outputSplitter');
+const RuleSet = require('./ruleSet');
 
 const program = new Command();
-const converter = new SQLConverter();
 const dbManager = new DatabaseManager();
+const reporter = new DiagnosticReporter();
+
+// Exit code when --fail-on finds diagnostics; 1 stays reserved for failed conversions
+const DIAGNOSTICS_EXIT_CODE = 2;
+
+/**
+ * Create a converter configured from the command options
+ * @param {object} options - Parsed command options
+ * @param {StatementFilter} statementFilter - Filter for the converted statements, if any
+ * @returns {SQLConverter} - Configured converter
+ */
+function createConverter(options, statementFilter = null) {
+    const converterOptions = { statementFilter, dependencyOrder: options.dependencyOrder, from: options.from, to: options.to };
+    const reverse = options.from === 'mysql';
+
+    if (reverse && (options.splitBy || options.dependencyOrder || statementFilter)) {
+        throw new Error('--split-by, --dependency-order and the statement filters only work converting SQL Server to MySQL');
+    }
+
+    if (options.typeMap) {
+        try {
+            converterOptions.typeMappings = JSON.parse(fs.readFileSync(options.typeMap, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid type map file ${options.typeMap}: ${error.message}`);
+        }
+    }
+
+    if (options.targetDatabase) {
+        converterOptions.targetDatabase = options.targetDatabase;
+    }
+
+    converterOptions.schemaMapping = options.schemaMapping;
+    converterOptions.quoteIdentifiers = options.quoteIdentifiers;
+    converterOptions.lowerCaseTableNames = options.lowerCaseTableNames;
+    converterOptions.escapeBackslashes = options.escapeBackslashes;
+    if (options.schemaMap) {
+        // sales=sales_db,hr=people
+        converterOptions.schemaNames = {};
+        options.schemaMap.split(',').map(pair => pair.trim()).filter(pair => pair !== '').forEach(pair => {
+            const [schema, name] = pair.split('=').map(part => (part || '').trim());
+            if (!schema || !name) {
+                throw new Error(`Invalid --schema-map entry "${pair}" (expected schema=name)`);
+            }
+            converterOptions.schemaNames[schema] = name;
+        });
+    }
+
+    // Project rules from --rules, or from a .sqlmysqlrc in the working directory
+    const rulesFile = options.rules || RuleSet.find();
+    const rulesConfig = rulesFile ? RuleSet.load(rulesFile) : { rules: [], disable: [], reverse: { rules: [], disable: [] } };
+    // MySQL to SQL Server conversions use the rules under "reverse"
+    const directionRules = reverse ? rulesConfig.reverse : rulesConfig;
+    converterOptions.rules = directionRules.rules;
+    converterOptions.disabledRules = directionRules.disable.concat(
+        options.disableRule ? options.disableRule.split(',').map(name => name.trim()).filter(name => name !== '') : []);
+
+    if (options.failOn && !DiagnosticReporter.SEVERITIES.includes(options.failOn)) {
+        throw new Error(`Invalid --fail-on value "${options.failOn}" (expected ${DiagnosticReporter.SEVERITIES.join(', ')})`);
+    }
+    if (options.reportFormat && !DiagnosticReporter.FORMATS.includes(options.reportFormat)) {
+        throw new Error(`Invalid --report-format value "${options.reportFormat}" (expected ${DiagnosticReporter.FORMATS.join(', ')})`);
+    }
+
+    return new SQLConverter(converterOptions);
+}
+
+/**
+ * Suffix of the files written for an input file: _mysql, or _mssql converting MySQL to SQL Server
+ * @param {object} options - Parsed command options
+ */
+function outputSuffix(options) {
+    return options.from === 'mysql' ? '_mssql' : '_mysql';
+}
+
+/**
+ * Create the statement filter asked for with --schema-only, --data-only, --include-tables and
+ * --exclude-tables
+ * @param {object} options - Parsed command options
+ * @returns {StatementFilter|null} - Filter, or null when every statement is kept
+ */
+function createStatementFilter(options) {
+    const filter = new StatementFilter({
+        schemaOnly: options.schemaOnly,
+        dataOnly: options.dataOnly,
+        include: options.includeTables,
+        exclude: options.excludeTables
+    });
+    return filter.isEmpty() ? null : filter;
+}
+
+/**
+ * Print how many statements the statement filter left out
+ */
+function printFilteredCount(filter) {
+    if (filter) {
+        console.log(chalk.blue(`Filtered out: ${filter.filteredCount} statements`));
+    }
+}
+
+/**
+ * Create the splitter asked for with --split-by and --split-size
+ * @param {object} options - Parsed command options
+ * @param {string} directory - Directory the files are written to
+ * @param {string} header - Header comment of every file
+ * @returns {OutputSplitter|null} - Splitter, or null when the output is one file
+ */
+function createOutputSplitter(options, directory, header) {
+    if (!options.splitBy) {
+        return null;
+    }
+    return new OutputSplitter({
+        directory,
+        splitBy: options.splitBy,
+        splitSize: options.splitSize ? parsePositiveInteger(options.splitSize, '--split-size') : undefined,
+        header
+    });
+}
+
+/**
+ * Print the files written by a split conversion
+ * @param {object} manifest - Manifest returned by SQLConverter.convertToDirectory()
+ * @param {string} directory - Directory the files were written to
+ */
+function printManifest(manifest, directory) {
+    console.log(chalk.blue(`Files in load order (${path.join(directory, OutputSplitter.MANIFEST_FILE)}):`));
+    manifest.files.forEach(file => {
+        console.log(chalk.gray(`  ${file.phase.padEnd(12)} ${file.file} (${file.statements} statements)`));
+    });
+}
+
+/**
+ * Print the diagnostics collected by the converter for the last file
+ * @param {Array<object>} diagnostics - { severity, rule, message, file, line, column, snippet, fix } entries
+ */
+function printDiagnostics(diagnostics) {
+    if (diagnostics.length === 0) {
+        return;
+    }
+
+    const summary = reporter.summarize(diagnostics);
+    console.log(chalk.yellow(`\n⚠️  ${diagnostics.length} construct(s) need review (${summary.error} error(s), ${summary.warning} warning(s)):`));
+    diagnostics.forEach(diagnostic => {
+        const color = diagnostic.severity === 'error' ? chalk.red : chalk.yellow;
+        const location = reporter.formatLocation(diagnostic);
+        console.log(color(`  • ${diagnostic.severity} [${diagnostic.rule}] ${location ? `${location} ` : ''}${diagnostic.message}`));
+        if (diagnostic.snippet) {
+            console.log(chalk.gray(`      ${diagnostic.snippet}`));
+        }
+        if (diagnostic.fix) {
+            console.log(chalk.gray(`      Fix: ${diagnostic.fix}`));
+        }
+    });
+}
+
+/**
+ * Write the diagnostics report requested with --report and apply --fail-on
+ * @param {Array<object>} diagnostics - Diagnostics of every converted file
+ * @param {object} options - Parsed command options
+ */
+function reportDiagnostics(diagnostics, options) {
+    if (options.report) {
+        reporter.write(options.report, diagnostics, options.reportFormat);
+        console.log(chalk.blue(`📋 Diagnostics report written to ${options.report}`));
+    }
+
+    if (options.failOn && reporter.hasSeverity(diagnostics, options.failOn)) {
+        console.error(chalk.red(`✗ Diagnostics at or above "${options.failOn}" severity found`));
+        process.exitCode = DIAGNOSTICS_EXIT_CODE;
+    }
+}
+
+/**
+ * Parse an option that takes a positive number
+ * @param {string} value - Option value
+ * @param {string} option - Option name, for the error message
+ */
+function parsePositiveInteger(value, option) {
+    const count = parseInt(value, 10);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`Invalid ${option} value "${value}" (expected a positive number)`);
+    }
+    return count;
+}
+
+/**
+ * Print the counts returned by a db:load run
+ */
+function printLoadResult(result) {
+    console.log(chalk.blue(`Executed: ${result.executedCount} statements`));
+    if (result.errorCount > 0) {
+        console.log(chalk.yellow(`Errors: ${result.errorCount} statements`));
+    }
+    if (result.skippedCount > 0) {
+        console.log(chalk.yellow(`Skipped: ${result.skippedCount} statements`));
+    }
+    if (result.rejectsFile) {
+        console.log(chalk.yellow(`Rejected statements: ${result.rejectsFile}`));
+    }
+    if (result.rowsPerSecond !== undefined) {
+        console.log(chalk.blue(`Rows: ${result.rowCount} at ${result.rowsPerSecond} rows/sec`));
+    }
+}
+
+/**
+ * Print conversion statistics from getConversionStats() or streaming mode
+ * @param {object} conversionStats - { originalLines, convertedLines, changedLines, conversionsApplied }
+ */
+function printStats(conversionStats) {
+    console.log(chalk.cyan('\n--- Conversion Statistics ---'));
+    console.log(`Original lines: ${conversionStats.originalLines}`);
+    console.log(`Converted lines: ${conversionStats.convertedLines}`);
+    console.log(`Changed lines: ${conversionStats.changedLines}`);
+    console.log(`Conversions applied: ${conversionStats.conversionsApplied.length}`);
+    
+    if (conversionStats.conversionsApplied.length > 0) {
+        console.log(chalk.cyan('\nConversions made:'));
+        conversionStats.conversionsApplied.forEach(conv => {
+            console.log(`  • ${conv.pattern}: ${conv.count} matches`);
+        });
+    }
+}
 
 program
     .name('sql-to-mysql')
@@ -20,11 +250,36 @@ program
     .command('convert')
     .description('Convert a SQL file from SQL Server to MySQL format')
     .argument('<input>', 'Input SQL file path')
-    .option('-o, --output <file>', 'Output file path (default: <input>_mysql.sql)')
+    .option('-o, --output <file>', 'Output file path (default: <input>_mysql.sql, or <input>_mssql.sql with --from mysql), or directory with --split-by (default: <input>_mysql/)')
     .option('-s, --stats', 'Show conversion statistics')
     .option('--preview', 'Preview conversion without saving')
+    .option('--from <dialect>', 'Dialect of the input: mssql or mysql (default: mssql)')
+    .option('--to <dialect>', 'Dialect of the output: mysql or mssql (default: the other one)')
+    .option('--preview-statements <n>', 'Statements shown by --preview for large files', '20')
+    .option('--type-map <file>', 'JSON file with data type mapping overrides')
+    .option('--target-database <name>', 'Database that USE statements switch to (default: remove USE)')
+    .option('--schema-mapping <mode>', 'What schema-qualified names become: drop, database or prefix (default: drop)')
+    .option('--schema-map <pairs>', 'Comma-separated schema=name pairs naming the database or prefix of a schema')
+    .option('--quote-identifiers <mode>', 'Backtick quoted identifiers where needed or all of them (default: needed)')
+    .option('--lower-case-table-names', 'Lower-case table, view and database names for case-sensitive servers')
+    .option('--no-escape-backslashes', 'Leave backslashes in strings as they are, for servers in NO_BACKSLASH_ESCAPES mode')
+    .option('--rules <file>', 'JSON or JS file with project conversion rules (default: .sqlmysqlrc in the working directory)')
+    .option('--disable-rule <names>', 'Comma-separated conversion rules to turn off')
+    .option('--report <file>', 'Write diagnostics to a JSON or SARIF file')
+    .option('--report-format <format>', 'Report format: json or sarif (default: from the file extension)')
+    .option('--fail-on <severity>', 'Exit with code 2 when diagnostics of this severity or worse are found (error, warning, info)')
+    .option('--schema-only', 'Keep only schema statements (CREATE, ALTER, DROP, views, routines)')
+    .option('--data-only', 'Keep only data statements (INSERT, UPDATE, DELETE)')
+    .option('--include-tables <patterns>', 'Comma-separated tables whose statements are kept, * as wildcard')
+    .option('--exclude-tables <patterns>', 'Comma-separated tables whose statements are left out')
+    .option('--dependency-order', 'Write tables first, foreign keys as ALTER TABLE after the data, and views after the views they read from')
+    .option('--split-by <mode>', 'Write a directory of files instead of one script: table, object-type or size')
+    .option('--split-size <mb>', `Largest file with --split-by=size, in MB (default: ${OutputSplitter.DEFAULT_SPLIT_SIZE})`)
     .action(async (inputFile, options) => {
         try {
+            const statementFilter = createStatementFilter(options);
+            const converter = createConverter(options, statementFilter);
+
             // Check if input file exists
             if (!fs.existsSync(inputFile)) {
                 console.error(chalk.red(`Error: Input file "${inputFile}" not found.`));
@@ -39,35 +294,62 @@ program
             // Determine output file path
             const outputFile = options.output || 
                 path.join(path.dirname(inputFile), 
-                    path.basename(inputFile, path.extname(inputFile)) + '_mysql.sql');
+                    path.basename(inputFile, path.extname(inputFile)) + outputSuffix(options) + '.sql');
+
+            // Split output is always streamed, into <input>_mysql/ by default
+            if (options.splitBy && !options.preview) {
+                const outputDir = options.output ||
+                    path.join(path.dirname(inputFile), path.basename(inputFile, path.extname(inputFile)) + outputSuffix(options));
+                const splitter = createOutputSplitter(options, outputDir, converter.getHeader());
+                const result = await converter.convertToDirectory(inputFile, splitter);
+                console.log(chalk.green(`✓ ${result.message}`));
+                printManifest(result.manifest, outputDir);
+                printFilteredCount(statementFilter);
+                printDiagnostics(result.diagnostics);
+                reportDiagnostics(result.diagnostics, options);
+                if (options.stats) {
+                    printStats(result.stats);
+                }
+                return;
+            }
 
             // Use different processing methods based on file size
             if (fileSizeInMB > 50) {
                 console.log(chalk.yellow(`⚠️  Large file detected (${fileSizeInMB.toFixed(2)}MB). Using streaming mode...`));
                 
                 if (options.preview) {
-                    console.log(chalk.yellow('Preview mode not available for large files. Use streaming conversion instead.'));
+                    const count = parsePositiveInteger(options.previewStatements, '--preview-statements');
+                    const statements = await converter.previewLargeFile(inputFile, count);
+                    console.log(chalk.yellow(`\n--- Preview (first ${statements.length} statements) ---`));
+                    statements.forEach((statement, index) => {
+                        console.log(chalk.gray(`-- [${index + 1}]`));
+                        console.log(statement);
+                    });
+                    console.log(chalk.gray('... (only the head of the file was converted)'));
+                    printDiagnostics(converter.getDiagnostics());
+                    reportDiagnostics(converter.getDiagnostics(), options);
                     return;
                 }
                 
                 const result = await converter.convertLargeFileStreaming(inputFile, outputFile);
                 if (result.success) {
                     console.log(chalk.green(`✓ ${result.message}`));
+                    printFilteredCount(statementFilter);
+                    printDiagnostics(result.diagnostics);
+                    reportDiagnostics(result.diagnostics, options);
                 } else {
                     console.error(chalk.red(`✗ ${result.message}`));
                     process.exit(1);
                 }
                 
                 if (options.stats) {
-                    console.log(chalk.cyan('\n--- Large File Statistics ---'));
-                    console.log(`File size: ${fileSizeInMB.toFixed(2)}MB`);
-                    console.log('Detailed statistics not available for streaming mode.');
-                    console.log('Check the converted file for results.');
+                    console.log(chalk.cyan(`\nFile size: ${fileSizeInMB.toFixed(2)}MB`));
+                    printStats(result.stats);
                 }
             } else {
                 // Small file - use memory-based processing
                 const originalContent = fs.readFileSync(inputFile, 'utf8');
-                const convertedContent = converter.convertToMySQL(originalContent);
+                const convertedContent = converter.convertToMySQL(originalContent, inputFile);
 
                 // Preview mode
                 if (options.preview) {
@@ -79,27 +361,21 @@ program
                     if (convertedContent.split('\n').length > 20) {
                         console.log(chalk.gray('... (truncated)'));
                     }
+                    printDiagnostics(converter.getDiagnostics());
+                    reportDiagnostics(converter.getDiagnostics(), options);
                     return;
                 }
 
                 // Save converted content
                 fs.writeFileSync(outputFile, convertedContent, 'utf8');
                 console.log(chalk.green(`✓ Successfully converted to ${outputFile}`));
+                printFilteredCount(statementFilter);
+                printDiagnostics(converter.getDiagnostics());
+                reportDiagnostics(converter.getDiagnostics(), options);
 
                 // Show statistics if requested
                 if (options.stats) {
-                    const conversionStats = converter.getConversionStats(originalContent, convertedContent);
-                    console.log(chalk.cyan('\n--- Conversion Statistics ---'));
-                    console.log(`Original lines: ${conversionStats.originalLines}`);
-                    console.log(`Converted lines: ${conversionStats.convertedLines}`);
-                    console.log(`Conversions applied: ${conversionStats.conversionsApplied.length}`);
-                    
-                    if (conversionStats.conversionsApplied.length > 0) {
-                        console.log(chalk.cyan('\nConversions made:'));
-                        conversionStats.conversionsApplied.forEach(conv => {
-                            console.log(`  • ${conv.pattern}: ${conv.count} matches`);
-                        });
-                    }
+                    printStats(converter.getConversionStats(originalContent, convertedContent));
                 }
             }
 
@@ -115,8 +391,32 @@ program
     .argument('<directory>', 'Directory containing SQL files')
     .option('-o, --output <dir>', 'Output directory (default: same as input)')
     .option('--pattern <pattern>', 'File pattern to match (default: *.sql)', '*.sql')
+    .option('--from <dialect>', 'Dialect of the input: mssql or mysql (default: mssql)')
+    .option('--to <dialect>', 'Dialect of the output: mysql or mssql (default: the other one)')
+    .option('--type-map <file>', 'JSON file with data type mapping overrides')
+    .option('--target-database <name>', 'Database that USE statements switch to (default: remove USE)')
+    .option('--schema-mapping <mode>', 'What schema-qualified names become: drop, database or prefix (default: drop)')
+    .option('--schema-map <pairs>', 'Comma-separated schema=name pairs naming the database or prefix of a schema')
+    .option('--quote-identifiers <mode>', 'Backtick quoted identifiers where needed or all of them (default: needed)')
+    .option('--lower-case-table-names', 'Lower-case table, view and database names for case-sensitive servers')
+    .option('--no-escape-backslashes', 'Leave backslashes in strings as they are, for servers in NO_BACKSLASH_ESCAPES mode')
+    .option('--rules <file>', 'JSON or JS file with project conversion rules (default: .sqlmysqlrc in the working directory)')
+    .option('--disable-rule <names>', 'Comma-separated conversion rules to turn off')
+    .option('--report <file>', 'Write diagnostics of all files to a JSON or SARIF file')
+    .option('--report-format <format>', 'Report format: json or sarif (default: from the file extension)')
+    .option('--fail-on <severity>', 'Exit with code 2 when diagnostics of this severity or worse are found (error, warning, info)')
+    .option('--schema-only', 'Keep only schema statements (CREATE, ALTER, DROP, views, routines)')
+    .option('--data-only', 'Keep only data statements (INSERT, UPDATE, DELETE)')
+    .option('--include-tables <patterns>', 'Comma-separated tables whose statements are kept, * as wildcard')
+    .option('--exclude-tables <patterns>', 'Comma-separated tables whose statements are left out')
+    .option('--dependency-order', 'Write tables first, foreign keys as ALTER TABLE after the data, and views after the views they read from')
+    .option('--split-by <mode>', 'Write a directory of files per input file instead of one script: table, object-type or size')
+    .option('--split-size <mb>', `Largest file with --split-by=size, in MB (default: ${OutputSplitter.DEFAULT_SPLIT_SIZE})`)
     .action(async (directory, options) => {
         try {
+            const statementFilter = createStatementFilter(options);
+            const converter = createConverter(options, statementFilter);
+
             if (!fs.existsSync(directory)) {
                 console.error(chalk.red(`Error: Directory "${directory}" not found.`));
                 process.exit(1);
@@ -144,16 +444,24 @@ program
 
             let successCount = 0;
             let errorCount = 0;
+            const diagnostics = [];
 
             for (const inputFile of files) {
                 try {
                     const filename = path.basename(inputFile, '.sql');
-                    const outputFile = path.join(outputDir, `${filename}_mysql.sql`);
-                    
-                    const result = await converter.convertAndSave(inputFile, outputFile);
+                    const outputFile = path.join(outputDir, `${filename}${outputSuffix(options)}.sql`);
+                    const splitter = createOutputSplitter(options, path.join(outputDir, `${filename}_mysql`), converter.getHeader());
+
+                    const result = splitter
+                        ? await converter.convertToDirectory(inputFile, splitter)
+                        : await converter.convertAndSave(inputFile, outputFile);
                     
                     if (result.success) {
-                        console.log(chalk.green(`✓ ${path.basename(inputFile)}`));
+                        const fileDiagnostics = converter.getDiagnostics();
+                        console.log(chalk.green(`✓ ${path.basename(inputFile)}`) +
+                            (fileDiagnostics.length > 0 ? chalk.yellow(` (${fileDiagnostics.length} construct(s) need review)`) : ''));
+                        printDiagnostics(fileDiagnostics);
+                        diagnostics.push(...fileDiagnostics);
                         successCount++;
                     } else {
                         console.log(chalk.red(`✗ ${path.basename(inputFile)}: ${result.message}`));
@@ -170,6 +478,14 @@ program
             if (errorCount > 0) {
                 console.log(chalk.red(`  Errors: ${errorCount}`));
             }
+            if (statementFilter) {
+                console.log(chalk.blue(`  Filtered out: ${statementFilter.filteredCount} statements`));
+            }
+            if (diagnostics.length > 0) {
+                const summary = reporter.summarize(diagnostics);
+                console.log(chalk.yellow(`  Diagnostics: ${summary.error} error(s), ${summary.warning} warning(s)`));
+            }
+            reportDiagnostics(diagnostics, options);
 
         } catch (error) {
             console.error(chalk.red(`Error: ${error.message}`));
@@ -218,22 +534,63 @@ program
     .command('db:load')
     .description('Load Soffa data from the MySQL SQL file into the database')
     .option('--file <path>', 'Custom SQL file path (default: SoffaV2CompleteWithData_mysql.sql)')
+    .option('--transactional', 'Load in transactions, writing a checkpoint after every commit')
+    .option('--batch-size <n>', 'Statements per transaction in transactional mode (default: 1000)')
+    .option('--state-file <file>', 'Checkpoint file (default: <file>.load-state.json)')
+    .option('--resume', 'Continue an interrupted transactional load after its last checkpoint')
+    .option('--all-or-nothing', 'Load everything in one transaction and roll it back on the first failure')
+    .option('--on-error <mode>', 'What a failed statement does: stop, continue or skip-table (default: continue, stop in transactional mode)')
+    .option('--max-errors <n>', 'Stop the load once this many statements failed')
+    .option('--rejects <file>', 'File receiving failed statements with their line and error (default: <file>.rejects.sql)')
+    .option('--bulk', 'Merge consecutive INSERTs into multi-row INSERTs and load tables in parallel')
+    .option('--workers <n>', 'Connections loading tables in parallel in bulk mode (default: 4)')
+    .option('--max-packet <bytes>', 'Largest merged INSERT in bulk mode (default: 4194304, kept under max_allowed_packet)')
+    .option('--disable-checks', 'Turn off foreign_key_checks and unique_checks during a bulk load')
+    .option('--schema-only', 'Keep only schema statements (CREATE, ALTER, DROP, views, routines)')
+    .option('--data-only', 'Keep only data statements (INSERT, UPDATE, DELETE)')
+    .option('--include-tables <patterns>', 'Comma-separated tables whose statements are loaded, * as wildcard')
+    .option('--exclude-tables <patterns>', 'Comma-separated tables whose statements are skipped')
     .action(async (options) => {
         try {
+            const loadOptions = {
+                filter: createStatementFilter(options),
+                transactional: options.transactional,
+                stateFile: options.stateFile,
+                resume: options.resume,
+                allOrNothing: options.allOrNothing,
+                onError: options.onError,
+                rejects: options.rejects,
+                bulk: options.bulk || Boolean(options.workers || options.maxPacket || options.disableChecks),
+                disableChecks: options.disableChecks
+            };
+            if (options.batchSize) {
+                loadOptions.batchSize = parsePositiveInteger(options.batchSize, '--batch-size');
+            }
+            if (options.maxErrors) {
+                loadOptions.maxErrors = parsePositiveInteger(options.maxErrors, '--max-errors');
+            }
+            if (options.workers) {
+                loadOptions.workers = parsePositiveInteger(options.workers, '--workers');
+            }
+            if (options.maxPacket) {
+                loadOptions.maxPacket = parsePositiveInteger(options.maxPacket, '--max-packet');
+            }
+            if (loadOptions.bulk && (options.transactional || options.resume || options.allOrNothing)) {
+                throw new Error('Bulk mode cannot be combined with --transactional, --resume or --all-or-nothing');
+            }
+            if (options.onError && !LoadErrorPolicy.ON_ERROR_MODES.includes(options.onError)) {
+                throw new Error(`Invalid --on-error value "${options.onError}" (expected ${LoadErrorPolicy.ON_ERROR_MODES.join(', ')})`);
+            }
+
             if (options.file) {
-                const result = await dbManager.executeSQLFile(options.file);
+                const result = await dbManager.executeSQLFile(options.file, loadOptions);
                 console.log(chalk.green(`🎉 Custom SQL file loaded successfully!`));
-                console.log(chalk.blue(`Executed: ${result.executedCount} statements`));
-                if (result.errorCount > 0) {
-                    console.log(chalk.yellow(`Errors: ${result.errorCount} statements`));
-                }
+                printLoadResult(result);
             } else {
-                const result = await dbManager.loadSoffaData();
-                console.log(chalk.blue(`Executed: ${result.executedCount} statements`));
-                if (result.errorCount > 0) {
-                    console.log(chalk.yellow(`Errors: ${result.errorCount} statements`));
-                }
+                const result = await dbManager.loadSoffaData(loadOptions);
+                printLoadResult(result);
             }
+            printFilteredCount(loadOptions.filter);
         } catch (error) {
             console.error(chalk.red(`Failed to load data: ${error.message}`));
             console.log(chalk.yellow('\n💡 Tips:'));
@@ -247,6 +604,164 @@ program
         }
     });
 
+program
+    .command('migrate')
+    .description('Copy tables from a live SQL Server database (MSSQL_* settings in .env) into MySQL')
+    .option('--include-tables <patterns>', 'Comma-separated tables to migrate, * as wildcard, schema.table to pick a schema')
+    .option('--exclude-tables <patterns>', 'Comma-separated tables to leave out')
+    .option('--batch-size <n>', `Rows per INSERT (default: ${Migrator.DEFAULT_BATCH_SIZE})`)
+    .option('--drop-existing', 'Drop MySQL tables of the same name before creating them')
+    .option('--dry-run', 'Print the converted tables and row counts without writing to MySQL')
+    .option('--type-map <file>', 'JSON file with data type mapping overrides')
+    .option('--report <file>', 'Write diagnostics to a JSON or SARIF file')
+    .option('--report-format <format>', 'Report format: json or sarif (default: from the file extension)')
+    .option('--fail-on <severity>', 'Exit with code 2 when diagnostics of this severity or worse are found (error, warning, info)')
+    .action(async (options) => {
+        const source = new SQLServerSource();
+        try {
+            const migrator = new Migrator(source, dbManager, {
+                include: options.includeTables,
+                exclude: options.excludeTables,
+                batchSize: options.batchSize ? parsePositiveInteger(options.batchSize, '--batch-size') : undefined,
+                dropExisting: options.dropExisting,
+                dryRun: options.dryRun,
+                converter: createConverter(options)
+            });
+            const result = await migrator.migrate();
+
+            const failed = result.tables.filter(table => table.status === 'failed');
+            console.log(chalk.cyan('\n--- Migration Summary ---'));
+            result.tables.forEach(table => {
+                const status = table.status === 'failed' ? chalk.red('failed') : chalk.green(table.status);
+                const rows = table.status === 'copied' ? table.rows : `~${table.expectedRows}`;
+                console.log(`${`${table.schema}.${table.name}`.padEnd(40)} ${String(rows).padStart(12)}  ${status}`);
+            });
+            const foreignKeys = result.foreignKeys;
+            console.log(`Foreign keys: ${foreignKeys.added} added, ${foreignKeys.skipped} skipped, ${foreignKeys.failed} failed`);
+
+            printDiagnostics(result.diagnostics);
+            if (failed.length > 0 || foreignKeys.failed > 0) {
+                throw new Error(`${failed.length} table(s) and ${foreignKeys.failed} foreign key(s) failed`);
+            }
+            console.log(chalk.green(`🎉 ${options.dryRun ? 'Dry run' : 'Migration'} completed!`));
+            reportDiagnostics(result.diagnostics, options);
+        } catch (error) {
+            console.error(chalk.red(`Migration failed: ${error.message}`));
+            process.exit(1);
+        } finally {
+            await source.close();
+            await dbManager.close();
+        }
+    });
+
+program
+    .command('verify')
+    .description('Compare the MySQL tables with their source: live SQL Server (MSSQL_* settings in .env) or the original script')
+    .option('--dump <file>', 'Compare with the INSERTs of this SQL Server script, read offline, instead of a live database')
+    .option('--include-tables <patterns>', 'Comma-separated tables to verify, * as wildcard')
+    .option('--exclude-tables <patterns>', 'Comma-separated tables to leave out')
+    .option('--chunk-size <n>', `Rows per checksum chunk, in primary key order (default: ${DataVerifier.DEFAULT_CHUNK_SIZE})`)
+    .option('--report <file>', 'Write the results to a JSON file')
+    .action(async (options) => {
+        const source = options.dump ? null : new SQLServerSource();
+        try {
+            if (options.dump && !fs.existsSync(options.dump)) {
+                throw new Error(`Input file not found: ${options.dump}`);
+            }
+
+            const verifier = new DataVerifier(dbManager, {
+                source,
+                dump: options.dump,
+                include: options.includeTables,
+                exclude: options.excludeTables,
+                chunkSize: options.chunkSize ? parsePositiveInteger(options.chunkSize, '--chunk-size') : undefined
+            });
+            const results = await verifier.verify();
+
+            console.log(chalk.cyan('\n--- Verification Report ---'));
+            console.log(`${'Table'.padEnd(40)} ${'Source'.padStart(12)} ${'MySQL'.padStart(12)}  Result`);
+            results.forEach(result => {
+                const status = result.status === 'pass' ? chalk.green('PASS') : chalk.red(result.status.toUpperCase());
+                const count = (rows) => String(rows === null ? '-' : rows).padStart(12);
+                console.log(`${result.table.padEnd(40)} ${count(result.sourceRows)} ${count(result.targetRows)}  ${status}`);
+
+                if (result.error) console.log(chalk.red(`    ${result.error}`));
+                result.columns.forEach(column => {
+                    const describe = (aggregate) => `count ${aggregate.count}, min ${aggregate.min}, max ${aggregate.max}${aggregate.sum === null ? '' : `, sum ${aggregate.sum}`}`;
+                    console.log(chalk.yellow(`    column ${column.name}: source ${describe(column.source)} / MySQL ${describe(column.target)}`));
+                });
+                result.ranges.slice(0, 10).forEach(range => {
+                    const from = range.from === null ? 'start' : `(${range.from})`;
+                    const to = range.to === null ? 'end' : `(${range.to})`;
+                    console.log(chalk.yellow(`    keys ${from} to ${to}: ${range.sourceRows} source / ${range.targetRows} MySQL rows differ`));
+                });
+                if (result.ranges.length > 10) {
+                    console.log(chalk.yellow(`    ... ${result.ranges.length - 10} more key range(s)`));
+                }
+                result.notes.forEach(note => console.log(chalk.gray(`    ${note}`)));
+            });
+
+            if (options.report) {
+                fs.writeFileSync(options.report, JSON.stringify(results, null, 2));
+                console.log(chalk.green(`📋 Results written to ${options.report}`));
+            }
+
+            const failed = results.filter(result => result.status !== 'pass');
+            if (failed.length > 0) {
+                throw new Error(`${failed.length} of ${results.length} table(s) do not match`);
+            }
+            console.log(chalk.green(`🎉 All ${results.length} table(s) match!`));
+        } catch (error) {
+            console.error(chalk.red(`Verification failed: ${error.message}`));
+            process.exit(1);
+        } finally {
+            if (source) await source.close();
+            await dbManager.close();
+        }
+    });
+
+program
+    .command('db:diff')
+    .description('Compare the tables of a converted script, or of another database, with the MySQL database')
+    .argument('[file]', 'Converted MySQL script defining the expected tables')
+    .option('--database <name>', 'Compare with this database on the same server instead of a script')
+    .option('--include-tables <patterns>', 'Comma-separated tables to compare, * as wildcard')
+    .option('--exclude-tables <patterns>', 'Comma-separated tables to leave out')
+    .option('--alter', 'Write the ALTER TABLE statements that bring the database in line instead of a report')
+    .option('-o, --output <file>', 'Write the report or script to a file instead of the console')
+    .action(async (file, options) => {
+        try {
+            if (Boolean(file) === Boolean(options.database)) {
+                throw new Error('Give either a script or --database to compare with');
+            }
+            if (file && !fs.existsSync(file)) {
+                throw new Error(`Input file not found: ${file}`);
+            }
+
+            const expected = file
+                ? await new SchemaParser().parseStatements(dbManager.readStatements(file))
+                : await dbManager.getSchema(options.database);
+            const actual = await dbManager.getSchema();
+
+            const diff = new SchemaDiff({ include: options.includeTables, exclude: options.excludeTables });
+            const differences = diff.compare(expected, actual);
+            const labels = { expected: file || `database ${options.database}`, actual: `database ${dbManager.config.database}` };
+            const output = options.alter ? diff.toAlterScript(differences, labels) : diff.formatReport(differences, labels);
+
+            if (options.output) {
+                fs.writeFileSync(options.output, output.endsWith('\n') ? output : `${output}\n`);
+                console.log(chalk.green(`✓ ${differences.length} difference(s) written to ${options.output}`));
+            } else {
+                console.log(output);
+            }
+        } catch (error) {
+            console.error(chalk.red(`Schema diff failed: ${error.message}`));
+            process.exit(1);
+        } finally {
+            await dbManager.close();
+        }
+    });
+
 program
     .command('db:info')
     .description('Show database information')
@@ -426,16 +941,37 @@ program.on('--help', () => {
     console.log('  $ node index.js convert myfile.sql -o converted.sql --stats');
     console.log('  $ node index.js convert myfile.sql --preview');
     console.log('  $ node index.js batch ./sql-files -o ./mysql-files');
+    console.log('  $ node index.js convert dump.sql --schema-only -o schema.sql');
+    console.log('  $ node index.js convert dump.sql --data-only --include-tables "Abp*" -o data.sql');
+    console.log('  $ node index.js convert dump.sql --dependency-order');
+    console.log('  $ node index.js convert dump.sql --rules ./project-rules.js --disable-rule len,isnull');
+    console.log('  $ node index.js convert dump.sql --schema-mapping prefix --lower-case-table-names');
+    console.log('  $ node index.js convert dump.sql --schema-mapping database --schema-map sales=sales_db');
+    console.log('  $ node index.js convert dump.sql --split-by=table -o ./dump_mysql');
+    console.log('  $ node index.js convert dump.sql --split-by=size --split-size 200');
+    console.log('  $ node index.js convert mysql_dump.sql --from mysql --to mssql');
+    console.log('  $ node index.js batch ./mysql-files --from mysql -o ./mssql-files');
     console.log('');
     console.log('  # Database Management');
     console.log('  $ node index.js db:test');
     console.log('  $ node index.js db:create');
     console.log('  $ node index.js db:load');
+    console.log('  $ node index.js db:load --file dump_mysql.sql --transactional');
+    console.log('  $ node index.js db:load --file dump_mysql.sql --resume');
+    console.log('  $ node index.js db:load --file dump_mysql.sql --on-error=skip-table --max-errors 100');
+    console.log('  $ node index.js db:load --file dump_mysql.sql --bulk --workers 8 --disable-checks');
+    console.log('  $ node index.js db:load --file dump_mysql.sql --data-only --exclude-tables AbpAuditLogs');
+    console.log('  $ node index.js migrate --include-tables "Abp*" --exclude-tables AbpAuditLogs');
+    console.log('  $ node index.js migrate --dry-run');
+    console.log('  $ node index.js verify --dump dump.sql');
+    console.log('  $ node index.js verify --include-tables "Abp*" --report verify.json');
     console.log('  $ node index.js db:info');
     console.log('  $ node index.js db:count');
     console.log('  $ node index.js db:count --table AbpUsers');
     console.log('  $ node index.js db:sample AbpUsers --limit 10');
     console.log('  $ node index.js db:schema AbpUsers');
+    console.log('  $ node index.js db:diff dump_mysql.sql');
+    console.log('  $ node index.js db:diff dump_mysql.sql --alter -o reconcile.sql');
     console.log('  $ node index.js db:query "SELECT * FROM AbpUsers WHERE EmailAddress LIKE \'%admin%\'"');
     console.log('');
     console.log('  Note: Configure your database credentials in the .env file');
@@ -0,0 +1,515 @@
+const SQLTokenizer = require('./sqlTokenizer');
+const DDLConverter = require('./ddlConverter');
+
+// Largest InnoDB index key with the DYNAMIC row format, in bytes
+const MAX_KEY_BYTES = 3072;
+
+// Bytes per character of the character sets a table can be created with
+const CHARSET_BYTES = { latin1: 1, ascii: 1, binary: 1, ucs2: 2, utf8: 3, utf8mb3: 3, utf8mb4: 4, utf16: 4, utf32: 4 };
+
+// Key bytes of fixed-size MySQL types; TIME, DATETIME and TIMESTAMP add bytes for fractional seconds
+const TYPE_BYTES = {
+    TINYINT: 1, SMALLINT: 2, MEDIUMINT: 3, INT: 4, INTEGER: 4, BIGINT: 8, FLOAT: 4, DOUBLE: 8, REAL: 8,
+    DATE: 3, YEAR: 1, TIME: 3, DATETIME: 5, TIMESTAMP: 4, ENUM: 2, SET: 8
+};
+
+// Words between CREATE and INDEX
+const INDEX_KINDS = ['UNIQUE', 'CLUSTERED', 'NONCLUSTERED', 'COLUMNSTORE', 'FULLTEXT', 'SPATIAL', 'PRIMARY', 'XML'];
+
+// Filter predicates that only leave out NULL keys: [A] IS NOT NULL AND ([B] IS NOT NULL)
+const NAME = '(?:\\[[^\\]]*\\]|"[^"]*"|`[^`]*`|[\\w#@$]+)';
+const NOT_NULL = `\\(*\\s*(${NAME})\\s+IS\\s+NOT\\s+NULL\\s*\\)*`;
+const NOT_NULL_FILTER = new RegExp(`^\\(*\\s*${NOT_NULL}(?:\\s+AND\\s+${NOT_NULL})*\\s*\\)*$`, 'i');
+
+/**
+ * Converts SQL Server index DDL to MySQL: CREATE [UNIQUE] [NON]CLUSTERED INDEX, full-text
+ * and spatial indexes, DROP INDEX and ALTER INDEX.
+ *
+ * INCLUDE columns, filter predicates and storage clauses (WITH (...), ON [PRIMARY]) have no
+ * MySQL equivalent and are dropped with a diagnostic. Key columns too long for an InnoDB key
+ * (TEXT and BLOB columns, or long VARCHAR columns together) get prefix lengths, worked out
+ * from the column types DDLConverter recorded for the table.
+ */
+class IndexConverter {
+    /**
+     * @param {object} options - { tables, tableOptions }
+     *   tables: column types of converted tables, as kept by DDLConverter
+     *   tableOptions: options appended to every CREATE TABLE; their CHARSET sets the bytes per character
+     */
+    constructor(options = {}) {
+        this.tokenizer = new SQLTokenizer();
+        this.tables = options.tables || {};
+        const charset = /\bCHARSET\s*=?\s*(\w+)/i.exec(options.tableOptions || DDLConverter.DEFAULT_TABLE_OPTIONS);
+        this.charBytes = (charset && CHARSET_BYTES[charset[1].toLowerCase()]) || CHARSET_BYTES.utf8mb4;
+    }
+
+    /**
+     * Convert every index statement in masked SQL code
+     * @param {string} code - SQL code with literals and comments masked, tables already converted
+     * @param {Array<object>} literals - Masked tokens, for string values in filter predicates
+     * @param {Array<object>} warnings - List that receives { rule, message, severity, code, offset } for
+     *   index features MySQL lacks, offset being where the statement starts in code
+     * @returns {string} - Code with MySQL index DDL
+     */
+    convert(code, literals, warnings = []) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        const edits = [];
+
+        for (let i = 0; i < tokens.length - 1; i++) {
+            const word = this.tokenizer.upperWord(tokens[i]);
+            const next = this.tokenizer.upperWord(tokens[i + 1]);
+            if (!(word === 'CREATE' && (next === 'INDEX' || INDEX_KINDS.includes(next))) &&
+                !(word === 'DROP' && ['INDEX', 'FULLTEXT'].includes(next)) &&
+                !(word === 'ALTER' && ['INDEX', 'FULLTEXT'].includes(next))) {
+                continue;
+            }
+
+            const end = this.tokenizer.findStatementEnd(tokens, i);
+            const last = this.isSymbol(tokens[end], ';') ? end - 1 : end;
+            const statement = { code, literals, tokens, start: i, end: last };
+
+            const warningCount = warnings.length;
+            let text = null;
+            if (word === 'CREATE') text = this.convertCreateIndex(statement, warnings);
+            if (word === 'DROP') text = this.convertDropIndex(statement);
+            if (word === 'ALTER') text = this.convertAlterIndex(statement, warnings);
+            warnings.slice(warningCount).forEach(warning => Object.assign(warning, { code, offset: tokens[i].start }));
+            if (text === null) continue;
+
+            const start = tokens[i].start;
+            const stop = this.tokenEnd(tokens[end]);
+            if (text !== '') text += code.slice(this.tokenEnd(tokens[last]), stop);
+
+            // A removed statement alone on its line takes the line with it
+            const lineStart = code.lastIndexOf('\n', start - 1) + 1;
+            const lineEnd = /^[ \t]*(?:\r?\n|$)/.exec(code.slice(stop));
+            if (text === '' && /^[ \t]*$/.test(code.slice(lineStart, start)) && lineEnd) {
+                edits.push({ start: lineStart, end: stop + lineEnd[0].length, text });
+            } else {
+                edits.push({ start, end: stop, text });
+            }
+            i = end;
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Convert CREATE ... INDEX and remove CREATE FULLTEXT CATALOG/STOPLIST
+     * @returns {string|null} - MySQL statement, an empty string to remove it, or null when
+     *   the statement is not an index or cannot be read
+     */
+    convertCreateIndex(statement, warnings) {
+        const { tokens, start, end } = statement;
+        const kinds = new Set();
+        let i = start + 1;
+        while (i <= end && INDEX_KINDS.includes(this.tokenizer.upperWord(tokens[i]))) {
+            kinds.add(this.tokenizer.upperWord(tokens[i++]));
+        }
+
+        const object = this.tokenizer.upperWord(tokens[i]);
+        if (kinds.has('FULLTEXT') && ['CATALOG', 'STOPLIST'].includes(object)) return '';
+        if (object !== 'INDEX') return null;
+        if (kinds.has('FULLTEXT')) return this.convertFullTextIndex(statement, i + 1, warnings);
+
+        const name = this.readName(statement, i + 1);
+        if (!name || this.tokenizer.upperWord(tokens[name.end + 1]) !== 'ON') return null;
+        const table = this.readName(statement, name.end + 2);
+        if (!table) return null;
+        const label = `Index ${this.unquote(name.text)} on ${this.unquote(table.text)}`;
+
+        if (kinds.has('COLUMNSTORE') || kinds.has('XML')) {
+            const kind = kinds.has('XML') ? 'xml' : 'columnstore';
+            warnings.push({
+                rule: `${kind}-index`,
+                message: `${label} removed; MySQL has no ${kind === 'xml' ? 'XML' : 'columnstore'} indexes`,
+                severity: 'warning'
+            });
+            return '';
+        }
+
+        const open = table.end + 1;
+        if (!this.isSymbol(tokens[open], '(')) return null;
+        const close = this.tokenizer.findClosingParen(tokens, open);
+        if (close > end) return null;
+
+        const clauses = this.readIndexClauses(statement, close + 1);
+        if (!clauses) return null;
+
+        const unique = kinds.has('UNIQUE');
+        const columns = this.readKeyColumns(statement, open, close);
+
+        if (kinds.has('CLUSTERED')) {
+            warnings.push({
+                rule: 'clustered-index',
+                message: `${label} was CLUSTERED; InnoDB only clusters rows by the primary key`,
+                severity: 'info'
+            });
+        }
+        if (clauses.include) {
+            warnings.push({
+                rule: 'index-include',
+                message: `${label}: INCLUDE (${clauses.include}) dropped; MySQL indexes cannot carry non-key columns`,
+                severity: 'info'
+            });
+        }
+        if (clauses.filter) {
+            const keyNames = columns.map(column => this.unquote(column.name).toLowerCase());
+            const notNull = this.notNullColumns(clauses.filter);
+            const onlyNulls = notNull && notNull.every(column => keyNames.includes(column));
+            let message = `${label}: filter WHERE ${clauses.filter} dropped; the index covers every row`;
+            if (unique && onlyNulls) message += ', and MySQL unique indexes already allow repeated NULLs';
+            if (unique && !onlyNulls) message += ', so uniqueness is enforced on rows the filter left out';
+            warnings.push({ rule: 'filtered-index', message, severity: unique && !onlyNulls ? 'warning' : 'info' });
+        }
+
+        // Spatial indexes take whole columns
+        if (!kinds.has('SPATIAL')) this.addKeyPrefixes(columns, table.text, label, unique, warnings);
+
+        const listStart = tokens[open].start;
+        const list = this.tokenizer.applyEdits(statement.code.slice(listStart, this.tokenEnd(tokens[close])), columns
+            .filter(column => column.prefix)
+            .map(column => ({ start: column.nameEnd - listStart, end: column.nameEnd - listStart, text: `(${column.prefix})` })));
+
+        const kind = unique ? 'UNIQUE ' : kinds.has('SPATIAL') ? 'SPATIAL ' : '';
+        return `CREATE ${kind}INDEX ${name.text} ON ${table.text} ${list}`;
+    }
+
+    /**
+     * Convert CREATE FULLTEXT INDEX ON table (columns) KEY INDEX ... to a MySQL FULLTEXT index.
+     * SQL Server full-text indexes are unnamed, one per table; the MySQL one is named FT_<table>.
+     */
+    convertFullTextIndex(statement, onIndex, warnings) {
+        const { tokens, end } = statement;
+        if (this.tokenizer.upperWord(tokens[onIndex]) !== 'ON') return null;
+        const table = this.readName(statement, onIndex + 1);
+        if (!table || !this.isSymbol(tokens[table.end + 1], '(')) return null;
+        const open = table.end + 1;
+        const close = this.tokenizer.findClosingParen(tokens, open);
+        if (close > end) return null;
+
+        // Column [TYPE COLUMN type_column] [LANGUAGE x] [STATISTICAL_SEMANTICS]: only the name is kept
+        const columns = this.readKeyColumns(statement, open, close);
+        const tableColumns = (this.tables[this.normalizeName(table.text)] || {}).columns || {};
+        const label = `Full-text index on ${this.unquote(table.text)}`;
+
+        // Documents in binary columns (TYPE COLUMN) cannot be indexed by MySQL
+        const textColumns = columns.filter(column => {
+            const type = tableColumns[this.unquote(column.name).toLowerCase()];
+            if (!type || /^(?:(?:VAR)?CHAR|(?:TINY|MEDIUM|LONG)?TEXT)\b/i.test(type)) return true;
+            warnings.push({
+                rule: 'fulltext-column',
+                message: `${label}: column ${this.unquote(column.name)} is ${type} and was left out; MySQL FULLTEXT indexes only take CHAR, VARCHAR and TEXT columns`,
+                severity: 'warning'
+            });
+            return false;
+        });
+        if (textColumns.length === 0) return '';
+
+        warnings.push({
+            rule: 'fulltext-index',
+            message: `${label} converted to a FULLTEXT index; CONTAINS and FREETEXT queries need rewriting as MATCH ... AGAINST`,
+            severity: 'info'
+        });
+
+        const list = textColumns.map(column => column.name).join(', ');
+        return `CREATE FULLTEXT INDEX ${this.fullTextName(table.text)} ON ${table.text} (${list})`;
+    }
+
+    /**
+     * Convert DROP INDEX table.index (the old form) and DROP INDEX index ON table WITH (...)
+     * to MySQL's DROP INDEX index ON table, one statement per index; remove DROP FULLTEXT CATALOG
+     */
+    convertDropIndex(statement) {
+        const { code, tokens, start, end } = statement;
+        const object = this.tokenizer.upperWord(tokens[start + 1]);
+
+        if (object === 'FULLTEXT') {
+            const next = this.tokenizer.upperWord(tokens[start + 2]);
+            if (['CATALOG', 'STOPLIST'].includes(next)) return '';
+            if (next !== 'INDEX' || this.tokenizer.upperWord(tokens[start + 3]) !== 'ON') return null;
+            const table = this.readName(statement, start + 4);
+            if (!table || table.end !== end) return null;
+            return `DROP INDEX ${this.fullTextName(table.text)} ON ${table.text}`;
+        }
+        if (object !== 'INDEX') return null;
+
+        // DROP INDEX IF EXISTS is left alone
+        const drops = [];
+        let i = start + 2;
+        while (i <= end) {
+            const name = this.readName(statement, i);
+            if (!name) return null;
+            i = name.end + 1;
+
+            let index = name.text;
+            let table = null;
+            if (this.tokenizer.upperWord(tokens[i]) === 'ON') {
+                const target = this.readName(statement, i + 1);
+                if (!target) return null;
+                table = target.text;
+                i = target.end + 1;
+            } else if (name.parts.length > 1) {
+                const last = name.parts[name.parts.length - 1];
+                index = code.slice(last.start, this.tokenEnd(last));
+                table = code.slice(tokens[name.start].start, this.tokenEnd(name.parts[name.parts.length - 2]));
+            } else {
+                return null;
+            }
+
+            if (this.tokenizer.upperWord(tokens[i]) === 'WITH' && this.isSymbol(tokens[i + 1], '(')) {
+                i = this.tokenizer.findClosingParen(tokens, i + 1) + 1;
+            }
+            drops.push(`DROP INDEX ${index} ON ${table}`);
+
+            if (i > end) break;
+            if (!this.isSymbol(tokens[i], ',')) return null;
+            i++;
+        }
+
+        return drops.join(';\n');
+    }
+
+    /**
+     * Convert ALTER INDEX {name | ALL} ON table: REBUILD and REORGANIZE become OPTIMIZE TABLE,
+     * which rebuilds the table with all its indexes; DISABLE and the other actions are removed.
+     * ALTER FULLTEXT INDEX ON table ENABLE / START POPULATION and ALTER FULLTEXT CATALOG are
+     * removed too: MySQL keeps FULLTEXT indexes up to date itself.
+     */
+    convertAlterIndex(statement, warnings) {
+        const { tokens, start } = statement;
+        if (this.tokenizer.upperWord(tokens[start + 1]) === 'FULLTEXT') {
+            return ['INDEX', 'CATALOG'].includes(this.tokenizer.upperWord(tokens[start + 2])) ? '' : null;
+        }
+
+        const name = this.readName(statement, start + 2);
+        if (!name || this.tokenizer.upperWord(tokens[name.end + 1]) !== 'ON') return null;
+        const table = this.readName(statement, name.end + 2);
+        if (!table || table.end >= statement.end) return null;
+
+        const action = this.tokenizer.upperWord(tokens[table.end + 1]);
+        const all = this.tokenizer.upperWord(tokens[name.start]) === 'ALL' && name.start === name.end;
+        const label = all ? `Indexes on ${this.unquote(table.text)}` : `Index ${this.unquote(name.text)} on ${this.unquote(table.text)}`;
+
+        if (['REBUILD', 'REORGANIZE'].includes(action)) {
+            warnings.push({
+                rule: 'alter-index',
+                message: `${label}: ${action} converted to OPTIMIZE TABLE, which rebuilds the whole table and all its indexes`,
+                severity: 'info'
+            });
+            return `OPTIMIZE TABLE ${table.text}`;
+        }
+        if (action === 'DISABLE') {
+            warnings.push({
+                rule: 'alter-index',
+                message: `${label}: DISABLE removed; MySQL cannot disable an index, so it is still maintained and used ` +
+                    '(ALTER TABLE ... ALTER INDEX ... INVISIBLE only hides one from the optimizer)',
+                severity: 'warning'
+            });
+            return '';
+        }
+
+        warnings.push({
+            rule: 'alter-index',
+            message: `${label}: ALTER INDEX ... ${action || 'statement'} removed; MySQL has no equivalent`,
+            severity: 'warning'
+        });
+        return '';
+    }
+
+    /**
+     * Read the clauses after an index's column list
+     * @returns {object|null} - { include, filter } as written, or null for a clause that is not known
+     */
+    readIndexClauses(statement, from) {
+        const { code, literals, tokens, end } = statement;
+        const text = (start, stop) => this.tokenizer.unmask(code.slice(start, stop), literals).trim();
+        const clauses = { include: null, filter: null };
+        let i = from;
+
+        while (i <= end) {
+            const word = this.tokenizer.upperWord(tokens[i]);
+
+            if (word === 'INCLUDE' && this.isSymbol(tokens[i + 1], '(')) {
+                const close = this.tokenizer.findClosingParen(tokens, i + 1);
+                clauses.include = text(this.tokenEnd(tokens[i + 1]), tokens[close].start);
+                i = close + 1;
+            } else if (word === 'WHERE') {
+                let stop = i + 1;
+                while (stop <= end && !['WITH', 'ON', 'FILESTREAM_ON', 'USING'].includes(this.tokenizer.upperWord(tokens[stop]))) {
+                    stop = this.isSymbol(tokens[stop], '(') ? this.tokenizer.findClosingParen(tokens, stop) + 1 : stop + 1;
+                }
+                clauses.filter = text(this.tokenEnd(tokens[i]), this.tokenEnd(tokens[stop - 1]));
+                i = stop;
+            } else if (word === 'WITH' && this.isSymbol(tokens[i + 1], '(')) {
+                // WITH (PAD_INDEX = OFF, ...) and spatial WITH (BOUNDING_BOX = (...))
+                i = this.tokenizer.findClosingParen(tokens, i + 1) + 1;
+            } else if (['ON', 'FILESTREAM_ON'].includes(word)) {
+                // ON [PRIMARY], ON partition_scheme ([column])
+                const target = this.readName(statement, i + 1);
+                if (!target) return null;
+                i = target.end + 1;
+                if (this.isSymbol(tokens[i], '(')) i = this.tokenizer.findClosingParen(tokens, i) + 1;
+            } else if (word === 'USING' && tokens[i + 1]) {
+                // Spatial tessellation: USING GEOMETRY_AUTO_GRID
+                i += 2;
+            } else {
+                return null;
+            }
+        }
+
+        return clauses;
+    }
+
+    /**
+     * Read the columns between an index's parentheses
+     * @returns {Array<object>} - { name, nameEnd } with the name as written and the offset after it
+     */
+    readKeyColumns(statement, open, close) {
+        const { tokens } = statement;
+        const columns = [];
+        let i = open + 1;
+
+        while (i < close) {
+            const name = this.readName(statement, i);
+            if (!name) break;
+            columns.push({ name: name.text, nameEnd: this.tokenEnd(tokens[name.end]) });
+
+            // Skip ASC/DESC and full-text column options up to the next column
+            i = name.end + 1;
+            while (i < close && !this.isSymbol(tokens[i], ',')) {
+                i = this.isSymbol(tokens[i], '(') ? this.tokenizer.findClosingParen(tokens, i) + 1 : i + 1;
+            }
+            i++;
+        }
+
+        return columns;
+    }
+
+    /**
+     * Give key columns prefix lengths when the key is longer than InnoDB allows. TEXT and
+     * BLOB columns always need one; the other string columns share what is left of the key
+     * after the fixed-size columns, the shortest keeping their full length first.
+     * @param {Array<object>} columns - Key columns; the ones that need a prefix get a prefix property
+     * @param {string} tableName - Table name as written
+     */
+    addKeyPrefixes(columns, tableName, label, unique, warnings) {
+        const table = this.tables[this.normalizeName(tableName)];
+        if (!table) return;
+
+        const sizes = columns.map(column => this.keySize(table.columns[this.unquote(column.name).toLowerCase()]));
+        const strings = columns.map((column, index) => ({ column, size: sizes[index] }))
+            .filter(entry => entry.size.unit)
+            .sort((a, b) => a.size.length - b.size.length);
+
+        let budget = MAX_KEY_BYTES - sizes.reduce((sum, size) => sum + (size.bytes || 0), 0);
+        const stringBytes = strings.reduce((sum, entry) => sum + entry.size.length * entry.size.unit, 0);
+        if (stringBytes <= budget) return;
+
+        strings.forEach((entry, index) => {
+            const share = Math.floor(budget / (strings.length - index));
+            const bytes = entry.size.length * entry.size.unit;
+            if (bytes <= share) {
+                budget -= bytes;
+                return;
+            }
+
+            entry.column.prefix = Math.max(1, Math.floor(share / entry.size.unit));
+            budget -= entry.column.prefix * entry.size.unit;
+
+            const unit = entry.size.binary ? 'bytes' : 'characters';
+            let message = `${label}: ${this.unquote(entry.column.name)} indexed on its first ${entry.column.prefix} ${unit} ` +
+                `to fit the ${MAX_KEY_BYTES}-byte InnoDB key limit`;
+            if (unique) message += '; uniqueness is only enforced on the prefix';
+            warnings.push({ rule: 'index-prefix', message, severity: unique ? 'warning' : 'info' });
+        });
+    }
+
+    /**
+     * Key size of a MySQL column type
+     * @param {string} type - Column type, e.g. VARCHAR(500) or DATETIME(3); unknown when missing
+     * @returns {object} - { bytes } for fixed-size types, { unit, length, binary } for strings,
+     *   with an Infinity length for TEXT and BLOB
+     */
+    keySize(type) {
+        const match = /^(\w+)(?:\s*\(\s*(\d+)[^)]*\))?/.exec(type || '');
+        if (!match) return { bytes: TYPE_BYTES.BIGINT };
+
+        const name = match[1].toUpperCase();
+        const length = match[2] !== undefined ? parseInt(match[2]) : null;
+
+        if (/^(?:VAR)?CHAR$/.test(name)) return { unit: this.charBytes, length: length || 1 };
+        if (/^(?:VAR)?BINARY$/.test(name)) return { unit: 1, length: length || 1, binary: true };
+        if (/^(?:TINY|MEDIUM|LONG)?TEXT$/.test(name)) return { unit: this.charBytes, length: Infinity };
+        if (/^(?:TINY|MEDIUM|LONG)?BLOB$/.test(name)) return { unit: 1, length: Infinity, binary: true };
+        if (['DECIMAL', 'NUMERIC'].includes(name)) return { bytes: Math.ceil((length || 10) / 2) + 1 };
+        if (name === 'BIT') return { bytes: Math.ceil((length || 1) / 8) };
+        if (['TIME', 'DATETIME', 'TIMESTAMP'].includes(name)) return { bytes: TYPE_BYTES[name] + Math.ceil((length || 0) / 2) };
+
+        return { bytes: TYPE_BYTES[name] || TYPE_BYTES.BIGINT };
+    }
+
+    /**
+     * Columns of a filter predicate made only of IS NOT NULL tests
+     * @returns {Array<string>|null} - Lower-case column names, or null for any other predicate
+     */
+    notNullColumns(filter) {
+        if (!NOT_NULL_FILTER.test(filter)) return null;
+        const names = filter.match(new RegExp(`${NAME}(?=\\s*\\)*\\s+IS\\s+NOT\\s+NULL)`, 'gi')) || [];
+        return names.map(name => this.unquote(name).toLowerCase());
+    }
+
+    /**
+     * Read a possibly qualified name: [db].[schema].[name], Db..Name
+     * @returns {object|null} - { start, end, text, parts } with token indexes and the name tokens
+     */
+    readName(statement, start) {
+        const { code, tokens, end } = statement;
+        if (start > end || !this.isName(tokens[start])) return null;
+
+        const parts = [tokens[start]];
+        let last = start;
+        while (last < end && this.isSymbol(tokens[last + 1], '.')) {
+            last++;
+            if (last < end && this.isName(tokens[last + 1])) parts.push(tokens[++last]);
+        }
+
+        return { start, end: last, text: code.slice(tokens[start].start, this.tokenEnd(tokens[last])), parts };
+    }
+
+    /**
+     * Name MySQL gets for a table's full-text index
+     */
+    fullTextName(tableName) {
+        const parts = tableName.match(new RegExp(NAME, 'g')) || [tableName];
+        return `FT_${this.unquote(parts[parts.length - 1]).replace(/\W/g, '_')}`;
+    }
+
+    /**
+     * Last part of a name without its quotes, e.g. Users for [dbo].[Users]
+     */
+    unquote(name) {
+        const parts = name.match(new RegExp(NAME, 'g')) || [name];
+        return parts[parts.length - 1].replace(/^[[\"`]|[\]\"`]$/g, '');
+    }
+
+    normalizeName(name) {
+        return this.unquote(name).toLowerCase();
+    }
+
+    isName(token) {
+        return Boolean(token && ['word', 'identifier'].includes(token.type));
+    }
+
+    isSymbol(token, value) {
+        return Boolean(token && token.type === 'symbol' && token.value === value);
+    }
+
+    tokenEnd(token) {
+        return token.start + token.value.length;
+    }
+}
+
+IndexConverter.MAX_KEY_BYTES = MAX_KEY_BYTES;
+
+module.exports = IndexConverter;
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const IndexConverter = require('./indexConverter');
+const SQLTokenizer = require('./sqlTokenizer');
+
+/**
+ * Convert index statements and return the MySQL text with the diagnostics
+ */
+function convert(sql, options) {
+    const tokenizer = new SQLTokenizer();
+    const { code, literals } = tokenizer.mask(sql);
+    const warnings = [];
+    const converted = new IndexConverter(options).convert(code, literals, warnings);
+    return { sql: tokenizer.unmask(converted, literals), warnings };
+}
+
+test('CREATE NONCLUSTERED INDEX drops INCLUDE and storage options', () => {
+    const { sql, warnings } = convert('CREATE NONCLUSTERED INDEX IX_Total ON Orders (Total DESC) INCLUDE (Name) WITH (FILLFACTOR = 90) ON [PRIMARY];');
+    assert.strictEqual(sql, 'CREATE INDEX IX_Total ON Orders (Total DESC);');
+    assert.deepStrictEqual(warnings.map(warning => warning.rule), ['index-include']);
+});
+
+test('DROP INDEX is written once per index with its table', () => {
+    const { sql } = convert('DROP INDEX Orders.IX_Total, IX_Name ON Customers;');
+    assert.strictEqual(sql, 'DROP INDEX IX_Total ON Orders;\nDROP INDEX IX_Name ON Customers;');
+});
+
+test('ALTER INDEX REBUILD and REORGANIZE become OPTIMIZE TABLE', () => {
+    const { sql, warnings } = convert([
+        'ALTER INDEX IX_Total ON Orders REBUILD WITH (ONLINE = ON);',
+        'ALTER INDEX ALL ON Orders REORGANIZE;'
+    ].join('\n'));
+    assert.strictEqual(sql, 'OPTIMIZE TABLE Orders;\nOPTIMIZE TABLE Orders;');
+    assert.deepStrictEqual(warnings.map(warning => [warning.rule, warning.severity]), [['alter-index', 'info'], ['alter-index', 'info']]);
+    assert.match(warnings[1].message, /^Indexes on Orders: REORGANIZE/);
+});
+
+test('ALTER INDEX DISABLE and other actions are removed with a warning', () => {
+    const { sql, warnings } = convert([
+        'ALTER INDEX IX_Total ON Orders DISABLE;',
+        'ALTER INDEX IX_Total ON Orders SET (ALLOW_PAGE_LOCKS = ON);',
+        'SELECT 1;'
+    ].join('\n'));
+    assert.strictEqual(sql, 'SELECT 1;');
+    assert.deepStrictEqual(warnings.map(warning => [warning.rule, warning.severity]), [['alter-index', 'warning'], ['alter-index', 'warning']]);
+    assert.match(warnings[0].message, /cannot disable an index/);
+    assert.strictEqual(warnings[1].offset, 40);
+});
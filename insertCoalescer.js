@@ -0,0 +1,131 @@
+// Largest coalesced INSERT by default; bulk loads also keep it under max_allowed_packet
+const DEFAULT_MAX_BYTES = 4 * 1024 * 1024;
+
+// A table name in MySQL text: `quoted`, "quoted" or plain, optionally database-qualified
+const NAME = '(?:`[^`]+`|"[^"]+"|[\\w$]+)';
+
+// INSERT [IGNORE] [INTO] table [(columns)] VALUES, up to its first row; SSMS scripts leave out INTO
+const INSERT_PATTERN = new RegExp(`^INSERT\\s+(?:IGNORE\\s+)?(?:INTO\\s+)?${NAME}(?:\\s*\\.\\s*${NAME})?\\s*(?:\\([^()]*\\)\\s*)?VALUES?\\s*(?=\\()`, 'i');
+
+/**
+ * Merges consecutive INSERT ... VALUES statements that share their table and column list into
+ * multi-row INSERTs, up to a size budget.
+ *
+ * Only plain INSERT [IGNORE] [INTO] ... VALUES (...)[, (...)] statements are merged: INSERT ... SELECT,
+ * ON DUPLICATE KEY UPDATE and every other statement pass through unchanged and end the
+ * INSERT being built, so statements keep their order.
+ */
+class InsertCoalescer {
+    /**
+     * @param {object} options - { maxBytes } largest merged statement in bytes (default: 4 MiB);
+     *   a single statement larger than that is passed on as it is
+     */
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+        this.batch = null;
+    }
+
+    /**
+     * Split an INSERT into the text before its rows and the rows
+     * @param {string} sql - Statement without its delimiter
+     * @returns {object|null} - { prefix, values, rows } with the row list text and row count,
+     *   or null when the statement cannot be merged
+     */
+    parse(sql) {
+        const match = INSERT_PATTERN.exec(sql);
+        if (!match) return null;
+
+        let rows = 0;
+        let i = match[0].length;
+        while (sql[i] === '(') {
+            i = this.skipRow(sql, i);
+            if (i === -1) return null;
+            rows++;
+
+            while (/\s/.test(sql[i] || '')) i++;
+            if (sql[i] !== ',') break;
+            i++;
+            while (/\s/.test(sql[i] || '')) i++;
+        }
+
+        // Anything after the rows (ON DUPLICATE KEY UPDATE, ...) is not merged
+        if (rows === 0 || i < sql.length) return null;
+
+        return { prefix: match[0].trimEnd(), values: sql.slice(match[0].length), rows };
+    }
+
+    /**
+     * Find the end of a parenthesized row, skipping strings and quoted identifiers
+     * @returns {number} - Offset just after the closing parenthesis, -1 when it is missing
+     */
+    skipRow(sql, start) {
+        let depth = 0;
+        for (let i = start; i < sql.length; i++) {
+            const ch = sql[i];
+            if (ch === '\'' || ch === '"' || ch === '`') {
+                // A '' escape reads as the string closing and another one opening
+                for (i++; i < sql.length && sql[i] !== ch; i++) {
+                    if (sql[i] === '\\' && ch !== '`') i++;
+                }
+            } else if (ch === '(') {
+                depth++;
+            } else if (ch === ')' && --depth === 0) {
+                return i + 1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Add the next statement
+     * @param {object} statement - { sql, line, end } from StatementSplitter
+     * @returns {Array<object>} - Statements ready to run, in order: merged INSERTs as
+     *   { sql, line, rows, statements } where statements are the INSERTs merged, each with its
+     *   own rows count, and other statements as they were given
+     */
+    push(statement) {
+        const ready = [];
+        const insert = this.parse(statement.sql);
+
+        if (!insert) {
+            ready.push(...this.end(), statement);
+            return ready;
+        }
+
+        const size = Buffer.byteLength(insert.values) + 1;
+        if (this.batch && (this.batch.prefix !== insert.prefix || this.batch.size + size > this.maxBytes)) {
+            ready.push(...this.end());
+        }
+
+        if (!this.batch) {
+            this.batch = { prefix: insert.prefix, values: [], size: Buffer.byteLength(insert.prefix), rows: 0, statements: [] };
+        }
+        this.batch.values.push(insert.values);
+        this.batch.size += size;
+        this.batch.rows += insert.rows;
+        this.batch.statements.push({ ...statement, rows: insert.rows });
+
+        return ready;
+    }
+
+    /**
+     * Flush the INSERT being built
+     * @returns {Array<object>} - The merged INSERT, if any, as { sql, line, rows, statements }
+     */
+    end() {
+        if (!this.batch) return [];
+
+        const batch = this.batch;
+        this.batch = null;
+        return [{
+            sql: `${batch.prefix} ${batch.values.join(',')}`,
+            line: batch.statements[0].line,
+            rows: batch.rows,
+            statements: batch.statements
+        }];
+    }
+}
+
+InsertCoalescer.DEFAULT_MAX_BYTES = DEFAULT_MAX_BYTES;
+
+module.exports = InsertCoalescer;
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const InsertCoalescer = require('./insertCoalescer');
+
+/**
+ * Push statements through a coalescer and return the SQL it hands on
+ */
+function coalesce(statements, options) {
+    const coalescer = new InsertCoalescer(options);
+    const ready = [];
+    statements.forEach((sql, index) => ready.push(...coalescer.push({ sql, line: index + 1 })));
+    ready.push(...coalescer.end());
+    return ready;
+}
+
+test('consecutive INSERTs into the same table are merged', () => {
+    const ready = coalesce([
+        "INSERT INTO Orders (Id, Name) VALUES (1, 'a')",
+        "INSERT INTO Orders (Id, Name) VALUES (2, 'b'), (3, 'c')"
+    ]);
+    assert.strictEqual(ready.length, 1);
+    assert.strictEqual(ready[0].sql, "INSERT INTO Orders (Id, Name) VALUES (1, 'a'),(2, 'b'), (3, 'c')");
+    assert.strictEqual(ready[0].rows, 3);
+});
+
+test('INSERTs without INTO are merged', () => {
+    const ready = coalesce(['INSERT Orders (Id) VALUES (1)', 'INSERT Orders (Id) VALUES (2)']);
+    assert.deepStrictEqual(ready.map(statement => statement.sql), ['INSERT Orders (Id) VALUES (1),(2)']);
+});
+
+test('other statements end the merge and keep their place', () => {
+    const ready = coalesce([
+        'INSERT INTO a VALUES (1)',
+        'UPDATE a SET x = 1',
+        'INSERT INTO a VALUES (2) ON DUPLICATE KEY UPDATE x = 2',
+        'INSERT INTO b VALUES (3)'
+    ]);
+    assert.deepStrictEqual(ready.map(statement => statement.sql), [
+        'INSERT INTO a VALUES (1)',
+        'UPDATE a SET x = 1',
+        'INSERT INTO a VALUES (2) ON DUPLICATE KEY UPDATE x = 2',
+        'INSERT INTO b VALUES (3)'
+    ]);
+});
+
+test('a merge stops at the size budget', () => {
+    const ready = coalesce(['INSERT INTO a VALUES (1)', 'INSERT INTO a VALUES (2)'], { maxBytes: 26 });
+    assert.strictEqual(ready.length, 2);
+});
+
+test('parentheses and quotes inside strings do not end a row', () => {
+    const ready = coalesce(["INSERT INTO a VALUES ('(x', 'it\\'s)')", 'INSERT INTO a VALUES (2, 3)']);
+    assert.strictEqual(ready.length, 1);
+});
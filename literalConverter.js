@@ -0,0 +1,297 @@
+const SQLTokenizer = require('./sqlTokenizer');
+
+// Date and time types whose values SSMS scripts as CAST(N'...' AS type) or CAST(0x... AS type)
+const DATE_TYPES = ['DATETIME', 'SMALLDATETIME', 'DATETIME2', 'DATE', 'TIME', 'DATETIMEOFFSET'];
+
+// Date and time text as SQL Server writes it: 2023-01-01T10:00:00.1234567+02:00
+const DATE_TIME_TEXT = /^(\d{4}-\d{2}-\d{2})?(?:[T ]?(\d{1,2}:\d{2}(?::\d{2})?)(?:\.(\d+))?)?\s*([+-]\d{2}:\d{2}|Z)?$/i;
+
+// Days from 1970-01-01 back to the epochs of the binary formats
+const DAYS_TO_1900 = 25567;
+const DAYS_TO_0001 = 719162;
+
+// Most fractional digits MySQL keeps
+const MAX_FRACTION = 6;
+
+/**
+ * Calendar date of a day number, counted from 1970-01-01 (proleptic Gregorian calendar)
+ * @returns {string} - YYYY-MM-DD
+ */
+function formatDate(days) {
+    const z = days + 719468;
+    const era = Math.floor(z / 146097);
+    const dayOfEra = z - era * 146097;
+    const yearOfEra = Math.floor((dayOfEra - Math.floor(dayOfEra / 1460) + Math.floor(dayOfEra / 36524) -
+        Math.floor(dayOfEra / 146096)) / 365);
+    const dayOfYear = dayOfEra - (365 * yearOfEra + Math.floor(yearOfEra / 4) - Math.floor(yearOfEra / 100));
+    const monthIndex = Math.floor((5 * dayOfYear + 2) / 153);
+    const day = dayOfYear - Math.floor((153 * monthIndex + 2) / 5) + 1;
+    const month = monthIndex < 10 ? monthIndex + 3 : monthIndex - 9;
+    const year = yearOfEra + era * 400 + (month <= 2 ? 1 : 0);
+    return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Time of day from a count of 10^-scale seconds since midnight
+ * @returns {string} - HH:MM:SS with at most six fractional digits
+ */
+function formatTime(units, scale) {
+    const perSecond = 10 ** scale;
+    const seconds = Math.floor(units / perSecond);
+    const pad = (value) => String(value).padStart(2, '0');
+    const time = `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+    if (scale === 0) return time;
+    return `${time}.${String(units % perSecond).padStart(scale, '0').slice(0, MAX_FRACTION)}`;
+}
+
+/**
+ * Unsigned little-endian integer of some bytes
+ */
+function littleEndian(bytes) {
+    return bytes.reduceRight((value, byte) => value * 256 + byte, 0);
+}
+
+/**
+ * Bytes of the time part of time, datetime2 and datetimeoffset values of a precision
+ */
+function timeBytes(precision) {
+    if (precision <= 2) return 3;
+    return precision <= 4 ? 4 : 5;
+}
+
+/**
+ * Converts the values in SQL Server scripts to MySQL literals that load the same data:
+ *
+ *   N'...' -> '...', since N'' is utf8mb3 in MySQL and cannot hold every character
+ *   backslashes in strings are doubled, since MySQL reads them as escapes
+ *   0x0A0B -> X'0A0B'
+ *   CAST(N'2023-01-01T10:00:00.000' AS DateTime) -> '2023-01-01 10:00:00.000'
+ *   CAST(0x0000A8D400A4CB80 AS DateTime) -> '2018-05-02 10:00:00.000'
+ *
+ * Date casts are replaced by their value in INSERT ... VALUES rows, where MySQL converts the
+ * text to the column type, and keep the CAST around the new value elsewhere. Strings are
+ * rewritten when the masked code is unmasked (see render), so every converter sees them as
+ * they were written.
+ */
+class LiteralConverter {
+    /**
+     * @param {object} options - { escapeBackslashes }
+     *   escapeBackslashes: double backslashes in strings; turn off for servers running with
+     *   the NO_BACKSLASH_ESCAPES SQL mode (default: true)
+     */
+    constructor(options = {}) {
+        this.escapeBackslashes = options.escapeBackslashes !== false;
+        this.tokenizer = new SQLTokenizer();
+    }
+
+    /**
+     * Convert binary and date values in masked SQL code
+     * @param {string} code - SQL code with literals and comments masked
+     * @param {Array<object>} literals - Masked tokens; the new values are added to them
+     * @param {Array<object>} warnings - List that receives { rule, message, severity } for values
+     *   that cannot be decoded or lose their time zone, with { code, offset } locating a value
+     * @returns {string} - Code with the values replaced
+     */
+    convert(code, literals, warnings = []) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        const edits = [];
+        // Parenthesis depth inside INSERT ... VALUES, or -1 outside of it
+        let valuesDepth = -1;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const word = this.tokenizer.upperWord(token);
+
+            if (word === 'VALUES') {
+                valuesDepth = 0;
+            } else if (this.isSymbol(token, ';') || (valuesDepth === 0 && word && word !== 'VALUES')) {
+                valuesDepth = -1;
+            } else if (valuesDepth >= 0 && this.isSymbol(token, '(')) {
+                valuesDepth++;
+            } else if (valuesDepth > 0 && this.isSymbol(token, ')')) {
+                valuesDepth--;
+            }
+
+            if (word === 'CAST') {
+                const cast = this.readDateCast(tokens, i, literals);
+                if (!cast) continue;
+
+                const text = cast.hex
+                    ? this.decodeBinary(cast.type, cast.value.value.slice(2), cast.precision)
+                    : this.normalizeText(this.stringValue(literals[cast.value.index]), cast.type, warnings);
+                if (text === null) {
+                    warnings.push({
+                        rule: 'date-literal',
+                        message: `CAST(${cast.hex ? cast.value.value : literals[cast.value.index].value} AS ${cast.type}) could not be read as a date; it is left as it is`,
+                        severity: 'warning',
+                        code,
+                        offset: token.start
+                    });
+                    i = cast.close;
+                    continue;
+                }
+
+                const placeholder = this.tokenizer.addLiteral(literals, { type: 'string', value: `'${text}'`, converted: true });
+                const row = valuesDepth === 1 && (this.isSymbol(tokens[i - 1], '(') || this.isSymbol(tokens[i - 1], ','));
+                if (row) {
+                    edits.push({ start: token.start, end: this.endOf(tokens[cast.close]), text: placeholder });
+                } else {
+                    edits.push({ start: cast.value.start, end: this.endOf(cast.value), text: placeholder });
+                }
+                i = cast.close;
+            } else if (token.type === 'number' && token.hex) {
+                // X'' needs an even number of digits
+                const digits = token.value.slice(2);
+                const value = `X'${digits.length % 2 === 1 ? '0' : ''}${digits.toUpperCase()}'`;
+                edits.push({ start: token.start, end: this.endOf(token), text: this.tokenizer.addLiteral(literals, { type: 'string', value, converted: true }) });
+            } else if (this.escapeBackslashes && token.type === 'masked' && this.isLikePattern(tokens, i, literals)) {
+                // LIKE reads the backslash as its escape character; SQL Server has none by default
+                edits.push({ start: this.endOf(token), end: this.endOf(token), text: " ESCAPE ''" });
+            }
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Read CAST(<string or 0x...> AS <date type>[(n)]) starting at token i
+     * @returns {object|null} - { value, hex, type, precision, close }
+     */
+    readDateCast(tokens, i, literals) {
+        if (!this.isSymbol(tokens[i + 1], '(')) return null;
+        const value = tokens[i + 2];
+        const hex = Boolean(value) && value.type === 'number' && value.hex === true;
+        const string = Boolean(value) && value.type === 'masked' && literals[value.index] && literals[value.index].type === 'string';
+        if (!hex && !string) return null;
+
+        const type = this.tokenizer.upperWord(tokens[i + 4]);
+        if (this.tokenizer.upperWord(tokens[i + 3]) !== 'AS' || !DATE_TYPES.includes(type)) return null;
+
+        const close = this.tokenizer.findClosingParen(tokens, i + 1);
+        let precision = null;
+        if (close === i + 8 && this.isSymbol(tokens[i + 5], '(') && tokens[i + 6].type === 'number') {
+            precision = parseInt(tokens[i + 6].value, 10);
+        } else if (close !== i + 5) {
+            return null;
+        }
+        return { value, hex, type, precision, close };
+    }
+
+    /**
+     * Text of a date or time value in a form MySQL reads: a space instead of T, at most six
+     * fractional digits and no time zone offset
+     * @returns {string|null} - MySQL value, or null if the text is not a date or time
+     */
+    normalizeText(text, type, warnings) {
+        const match = DATE_TIME_TEXT.exec(text.trim());
+        if (!match || (!match[1] && !match[2])) return null;
+        const [, date, time, fraction, offset] = match;
+
+        if (offset) this.warnOffset(warnings);
+        const parts = [];
+        if (date && type !== 'TIME') parts.push(date);
+        if (time && type !== 'DATE') parts.push(fraction ? `${time}.${fraction.slice(0, MAX_FRACTION)}` : time);
+        return parts.length > 0 ? parts.join(' ') : null;
+    }
+
+    /**
+     * Decode the binary form of a date or time value
+     * @param {string} hex - Hex digits without 0x
+     * @returns {string|null} - MySQL value, or null if the bytes do not fit the type
+     */
+    decodeBinary(type, hex, precision) {
+        if (hex.length % 2 === 1 || hex.length === 0) return null;
+        const bytes = hex.match(/../g).map(pair => parseInt(pair, 16));
+
+        switch (type) {
+        case 'DATETIME': {
+            // Days since 1900-01-01 and 1/300 seconds since midnight, big-endian
+            if (bytes.length !== 8) return null;
+            const days = Buffer.from(bytes).readInt32BE(0);
+            const milliseconds = Math.round(Buffer.from(bytes).readUInt32BE(4) * 10 / 3);
+            return `${formatDate(days - DAYS_TO_1900)} ${formatTime(milliseconds, 3)}`;
+        }
+        case 'SMALLDATETIME': {
+            // Days since 1900-01-01 and minutes since midnight, big-endian
+            if (bytes.length !== 4) return null;
+            const days = bytes[0] * 256 + bytes[1];
+            const minutes = bytes[2] * 256 + bytes[3];
+            return `${formatDate(days - DAYS_TO_1900)} ${formatTime(minutes * 60, 0)}`;
+        }
+        case 'DATE':
+            // Days since 0001-01-01, little-endian
+            if (bytes.length < 3 || bytes.length > 4) return null;
+            return formatDate(littleEndian(bytes.slice(0, 3)) - DAYS_TO_0001);
+        default: {
+            // Precision byte, then the time in 10^-precision seconds and the date, little-endian
+            const scale = bytes[0];
+            if (scale > 7 || (precision !== null && precision !== scale)) return null;
+            const timeLength = timeBytes(scale);
+            const length = 1 + timeLength + (type === 'TIME' ? 0 : 3) + (type === 'DATETIMEOFFSET' ? 2 : 0);
+            if (bytes.length !== length) return null;
+
+            let units = littleEndian(bytes.slice(1, 1 + timeLength));
+            if (type === 'TIME') return formatTime(units, scale);
+
+            let days = littleEndian(bytes.slice(1 + timeLength, 4 + timeLength)) - DAYS_TO_0001;
+            if (type === 'DATETIMEOFFSET') {
+                // Stored in UTC; written in the local time of its offset, like the text form
+                const offset = Buffer.from(bytes.slice(4 + timeLength)).readInt16LE(0);
+                const perDay = 86400 * 10 ** scale;
+                units += offset * 60 * 10 ** scale;
+                days += Math.floor(units / perDay);
+                units = ((units % perDay) + perDay) % perDay;
+            }
+            return `${formatDate(days)} ${formatTime(units, scale)}`;
+        }
+        }
+    }
+
+    warnOffset(warnings) {
+        if (warnings.some(warning => warning.rule === 'datetimeoffset-literal')) return;
+        warnings.push({
+            rule: 'datetimeoffset-literal',
+            message: 'Date values with a time zone offset keep their local time; the offset is dropped, as DATETIME has none',
+            severity: 'info'
+        });
+    }
+
+    /**
+     * Whether the masked token at i is a LIKE pattern with a backslash and no ESCAPE clause
+     */
+    isLikePattern(tokens, i, literals) {
+        const literal = literals[tokens[i].index];
+        return Boolean(literal) && literal.type === 'string' && !literal.converted && literal.value.includes('\\') &&
+            this.tokenizer.upperWord(tokens[i - 1]) === 'LIKE' && this.tokenizer.upperWord(tokens[i + 1]) !== 'ESCAPE';
+    }
+
+    /**
+     * Value of a string token without its quotes
+     */
+    stringValue(token) {
+        return token.value.replace(/^N/i, '').slice(1, -1).replace(/''/g, "'");
+    }
+
+    /**
+     * Text a masked literal is written back as: strings lose the N prefix and have their
+     * backslashes doubled; comments and converted values stay as they are
+     * @param {object} token - Token returned by SQLTokenizer.mask()
+     */
+    render(token) {
+        if (token.type !== 'string' || token.converted) return token.value;
+        const value = token.unicode ? token.value.slice(1) : token.value;
+        return this.escapeBackslashes ? value.replace(/\\/g, '\\\\') : value;
+    }
+
+    endOf(token) {
+        return token.start + token.value.length;
+    }
+
+    isSymbol(token, value) {
+        return Boolean(token) && token.type === 'symbol' && token.value === value;
+    }
+}
+
+LiteralConverter.DATE_TYPES = DATE_TYPES;
+
+module.exports = LiteralConverter;
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SQLConverter = require('./sqlConverter');
+
+/**
+ * Convert one statement
+ * @returns {object} - { sql, warnings } with the statement without its line break and the
+ *   [rule, severity] of each warning
+ */
+function convert(sql, options = {}) {
+    const converter = new SQLConverter(options);
+    const converted = converter.convertSQL(sql).trim();
+    return { sql: converted, warnings: converter.warnings.map(warning => [warning.rule, warning.severity]) };
+}
+
+test('INSERT values load the same data into MySQL', () => {
+    const sql = "INSERT [dbo].[Files] ([Name], [Path], [Data], [Created], [Stamp], [Active]) VALUES " +
+        "(N'Zoë 😀', N'C:\\temp\\x', 0x0A0B, CAST(N'2023-01-01T10:00:00.000' AS DateTime), CAST(0x0000A8D400A4CB80 AS DateTime), 1)";
+
+    assert.deepStrictEqual(convert(sql), {
+        sql: "INSERT Files (Name, Path, Data, Created, Stamp, Active) VALUES " +
+            "('Zoë 😀', 'C:\\\\temp\\\\x', X'0A0B', '2023-01-01 10:00:00.000', '2018-05-02 10:00:00.000', 1);",
+        warnings: []
+    });
+    assert.strictEqual(convert("INSERT T (Path) VALUES (N'C:\\temp')", { escapeBackslashes: false }).sql,
+        "INSERT T (Path) VALUES ('C:\\temp');");
+});
+
+test('date casts outside VALUES rows keep the CAST around the new value', () => {
+    assert.deepStrictEqual(convert("SELECT * FROM T WHERE Created > CAST(N'2023-01-01T10:00:00.1234567' AS DateTime2)"), {
+        sql: "SELECT * FROM T WHERE Created > CAST('2023-01-01 10:00:00.123456' AS DATETIME(6));",
+        warnings: []
+    });
+});
+
+test('offsets are dropped and unreadable dates are left alone, with a diagnostic', () => {
+    assert.deepStrictEqual(convert("INSERT T (D, O) VALUES (CAST(N'2023-01-01' AS Date), CAST(N'2023-01-01T10:00:00.0000000+02:00' AS DateTimeOffset))"), {
+        sql: "INSERT T (D, O) VALUES ('2023-01-01', '2023-01-01 10:00:00.000000');",
+        warnings: [['datetimeoffset-literal', 'info']]
+    });
+    assert.deepStrictEqual(convert("INSERT T (O) VALUES (CAST(N'not a date' AS DateTime))"), {
+        sql: "INSERT T (O) VALUES (CAST('not a date' AS DATETIME(3)));",
+        warnings: [['date-literal', 'warning']]
+    });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs').promises;
+const chalk = require('chalk');
+const StatementFilter = require('./statementFilter');
+
+const ON_ERROR_MODES = ['stop', 'continue', 'skip-table'];
+
+// Delimiter around rejected statements that contain ';', as converted routines do
+const REJECT_DELIMITER = '$$';
+
+/**
+ * Decides what a load does when a statement fails, and keeps the failures in a rejects file
+ * that can be fixed and loaded again with db:load --file.
+ *
+ * on-error modes:
+ *   stop: end the load at the first failure
+ *   continue: log the failure and run the next statement
+ *   skip-table: like continue, and also skip the later statements on the failed statement's table
+ */
+class LoadErrorPolicy {
+    /**
+     * @param {object} options - { onError, maxErrors, rejectsFile, append }
+     *   onError: stop, continue or skip-table (default: continue)
+     *   maxErrors: stop once this many statements failed (default: no limit)
+     *   rejectsFile: file receiving failed and skipped statements (default: none)
+     *   append: add to an existing rejects file instead of replacing it, as resumed loads do
+     */
+    constructor(options = {}) {
+        this.onError = options.onError || 'continue';
+        if (!ON_ERROR_MODES.includes(this.onError)) {
+            throw new Error(`Invalid --on-error value "${this.onError}" (expected ${ON_ERROR_MODES.join(', ')})`);
+        }
+
+        this.maxErrors = options.maxErrors || null;
+        this.rejectsFile = options.rejectsFile || null;
+        this.append = Boolean(options.append);
+        this.errorCount = 0;
+        this.skippedCount = 0;
+        this.rejectedCount = 0;
+        // Lower-case names of tables whose statements are skipped in skip-table mode
+        this.failedTables = new Set();
+        // Pending writes to the rejects file
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Name of the table a statement works on
+     * @returns {string|null} - Lower-case name without quotes, or null for other statements
+     */
+    tableOf(sql) {
+        const match = StatementFilter.TABLE_STATEMENT.exec(sql);
+        if (!match) return null;
+        return match[1].split(/\s*\.\s*/).map(part => part.replace(/^[`"]|[`"]$/g, '')).join('.').toLowerCase();
+    }
+
+    /**
+     * Skip a statement on a table that already failed in skip-table mode
+     * @param {object} statement - { sql, line } statement about to run
+     * @returns {Promise<boolean>} - true when the statement was skipped
+     */
+    async skips(statement) {
+        if (this.failedTables.size === 0) return false;
+
+        const table = this.tableOf(statement.sql);
+        if (!table || !this.failedTables.has(table)) return false;
+
+        this.skippedCount++;
+        await this.reject(statement, `skipped, an earlier statement on ${table} failed`);
+        return true;
+    }
+
+    /**
+     * Record a failed statement
+     * @param {object} statement - { sql, line } statement that failed
+     * @param {Error} error - Error returned by MySQL, with its code and errno
+     * @throws {Error} - When the load has to stop
+     */
+    async fail(statement, error) {
+        this.errorCount++;
+        console.error(chalk.red(`✗ Error at line ${statement.line}:`), error.message.substring(0, 100));
+        const preview = statement.sql.substring(0, 200) + (statement.sql.length > 200 ? '...' : '');
+        console.error(chalk.gray(`Statement preview: ${preview}`));
+
+        const code = [error.code, error.errno].filter(Boolean).join(' ');
+        await this.reject(statement, `${code ? `${code}: ` : ''}${error.message}`);
+
+        if (this.onError === 'skip-table') {
+            const table = this.tableOf(statement.sql);
+            if (table) this.failedTables.add(table);
+        }
+
+        const rejects = this.rejectsFile ? ` (rejected statements are in ${this.rejectsFile})` : '';
+        if (this.onError === 'stop') {
+            throw new Error(`Statement at line ${statement.line} failed: ${error.message}${rejects}`);
+        }
+        if (this.maxErrors && this.errorCount >= this.maxErrors) {
+            throw new Error(`Stopped after ${this.errorCount} failed statement(s) (--max-errors ${this.maxErrors}); last failure at line ${statement.line}: ${error.message}${rejects}`);
+        }
+    }
+
+    /**
+     * Append a statement to the rejects file, with its line and reason as a comment
+     */
+    async reject(statement, reason) {
+        if (!this.rejectsFile) return;
+
+        const first = this.rejectedCount === 0 && !this.append;
+        this.rejectedCount++;
+
+        // Statements holding ';' (routine bodies) need another delimiter to load again
+        const body = statement.sql.includes(';')
+            ? `DELIMITER ${REJECT_DELIMITER}\n${statement.sql}${REJECT_DELIMITER}\nDELIMITER ;`
+            : `${statement.sql};`;
+        const comment = `-- line ${statement.line}: ${reason}`.replace(/\r?\n/g, '\n-- ');
+        const entry = `\n${comment}\n${body}\n`;
+
+        // Parallel loads reject statements concurrently; writes are queued to keep entries whole
+        this.writes = this.writes.then(() => first
+            ? fs.writeFile(this.rejectsFile, `-- Statements rejected by db:load\n${entry}`, 'utf8')
+            : fs.appendFile(this.rejectsFile, entry, 'utf8'));
+        await this.writes;
+    }
+}
+
+LoadErrorPolicy.ON_ERROR_MODES = ON_ERROR_MODES;
+
+module.exports = LoadErrorPolicy;
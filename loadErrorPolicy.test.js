@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LoadErrorPolicy = require('./loadErrorPolicy');
+
+/**
+ * Error as returned by mysql2
+ */
+function mysqlError(message) {
+    return Object.assign(new Error(message), { code: 'ER_NO_SUCH_TABLE', errno: 1146 });
+}
+
+/**
+ * Run a callback with a rejects file path in a directory of its own; failure messages are muted
+ */
+async function withRejectsFile(t, callback) {
+    t.mock.method(console, 'error', () => {});
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rejects-'));
+    try {
+        await callback(path.join(directory, 'load.rejects.sql'));
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+}
+
+test('an unknown on-error mode is refused', () => {
+    assert.throws(() => new LoadErrorPolicy({ onError: 'ignore' }), /Invalid --on-error value "ignore" \(expected stop, continue, skip-table\)/);
+});
+
+test('failed statements are written to the rejects file with their reason', (t) => withRejectsFile(t, async (rejectsFile) => {
+    const policy = new LoadErrorPolicy({ rejectsFile });
+    await policy.fail({ sql: 'INSERT INTO t VALUES (1)', line: 3 }, mysqlError("Table 'db.t' doesn't exist"));
+    await policy.fail({ sql: 'CREATE PROCEDURE p() BEGIN SELECT 1; END', line: 9 }, mysqlError('Denied'));
+
+    assert.strictEqual(fs.readFileSync(rejectsFile, 'utf8'), [
+        '-- Statements rejected by db:load',
+        '',
+        "-- line 3: ER_NO_SUCH_TABLE 1146: Table 'db.t' doesn't exist",
+        'INSERT INTO t VALUES (1);',
+        '',
+        '-- line 9: ER_NO_SUCH_TABLE 1146: Denied',
+        'DELIMITER $$',
+        'CREATE PROCEDURE p() BEGIN SELECT 1; END$$',
+        'DELIMITER ;',
+        ''
+    ].join('\n'));
+    assert.strictEqual(policy.errorCount, 2);
+}));
+
+test('stop and max-errors end the load', (t) => withRejectsFile(t, async () => {
+    const stop = new LoadErrorPolicy({ onError: 'stop' });
+    await assert.rejects(stop.fail({ sql: 'SELECT 1', line: 2 }, mysqlError('Boom')), /Statement at line 2 failed: Boom/);
+
+    const limited = new LoadErrorPolicy({ maxErrors: 2 });
+    await limited.fail({ sql: 'SELECT 1', line: 1 }, mysqlError('Boom'));
+    await assert.rejects(limited.fail({ sql: 'SELECT 2', line: 2 }, mysqlError('Boom')), /Stopped after 2 failed statement\(s\) \(--max-errors 2\)/);
+}));
+
+test('skip-table skips the later statements on a failed table', (t) => withRejectsFile(t, async (rejectsFile) => {
+    const policy = new LoadErrorPolicy({ onError: 'skip-table', rejectsFile });
+    await policy.fail({ sql: 'CREATE TABLE `Orders` (id INT)', line: 1 }, mysqlError('Bad'));
+
+    assert.strictEqual(await policy.skips({ sql: 'INSERT INTO orders VALUES (1)', line: 2 }), true);
+    assert.strictEqual(await policy.skips({ sql: 'INSERT INTO customers VALUES (1)', line: 3 }), false);
+    assert.strictEqual(policy.skippedCount, 1);
+    assert.match(fs.readFileSync(rejectsFile, 'utf8'), /-- line 2: skipped, an earlier statement on orders failed\nINSERT INTO orders VALUES \(1\);/);
+}));
+
+test('a resumed load appends to the rejects file', (t) => withRejectsFile(t, async (rejectsFile) => {
+    fs.writeFileSync(rejectsFile, '-- earlier\n');
+    const policy = new LoadErrorPolicy({ rejectsFile, append: true });
+    await policy.fail({ sql: 'SELECT 1', line: 4 }, mysqlError('Boom'));
+    assert.strictEqual(fs.readFileSync(rejectsFile, 'utf8'), '-- earlier\n\n-- line 4: ER_NO_SUCH_TABLE 1146: Boom\nSELECT 1;\n');
+}));
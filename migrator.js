@@ -0,0 +1,214 @@
+const chalk = require('chalk');
+const SQLConverter = require('./sqlConverter');
+const TableFilter = require('./tableFilter');
+
+// Rows per INSERT when copying a table
+const DEFAULT_BATCH_SIZE = 1000;
+
+// MySQL expressions for values read as text that MySQL does not accept as text
+const INSERT_PLACEHOLDERS = {
+    geography: 'ST_GeomFromText(?)',
+    geometry: 'ST_GeomFromText(?)'
+};
+
+/**
+ * Copies tables from a live SQL Server database into MySQL.
+ *
+ * Every table is scripted as T-SQL from the catalog and converted by SQLConverter, so it gets
+ * the same MySQL definition as in a converted SSMS script. Its rows are then streamed in
+ * multi-row INSERTs, one table at a time. Foreign keys are added once all tables are loaded,
+ * so tables can be copied in any order.
+ *
+ * Tables are created under their own name in the MySQL database, without their schema, the
+ * way the converter drops [dbo]. prefixes.
+ */
+class Migrator {
+    /**
+     * @param {SQLServerSource} source - SQL Server database to read
+     * @param {DatabaseManager} target - MySQL database to write
+     * @param {object} options - { include, exclude, batchSize, dropExisting, dryRun, converter }
+     *   include, exclude: table patterns (see TableFilter)
+     *   batchSize: rows per INSERT (default: 1000)
+     *   dropExisting: drop MySQL tables of the same name first
+     *   dryRun: print the converted DDL and row counts without touching MySQL
+     *   converter: SQLConverter to convert with (default: one with the default rules)
+     */
+    constructor(source, target, options = {}) {
+        this.source = source;
+        this.target = target;
+        this.filter = new TableFilter({ include: options.include, exclude: options.exclude });
+        this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        this.dropExisting = Boolean(options.dropExisting);
+        this.dryRun = Boolean(options.dryRun);
+        this.converter = options.converter || new SQLConverter();
+    }
+
+    /**
+     * Copy the selected tables
+     * @returns {object} - { tables, foreignKeys, diagnostics }
+     *   tables: { schema, name, expectedRows, rows, status, error } per table; status is
+     *     copied, failed or planned (dry run)
+     *   foreignKeys: { added, skipped, failed } counts
+     *   diagnostics: conversion diagnostics (see SQLConverter.getDiagnostics)
+     */
+    async migrate() {
+        const config = this.source.config;
+        this.converter.startFile(`mssql://${config.server}/${config.database || ''}`);
+
+        const tables = (await this.source.listTables()).filter(table => this.filter.matches(table.name, table.schema));
+        console.log(chalk.blue(`📋 ${tables.length} table(s) to migrate`));
+
+        // Tables lose their schema in MySQL, so sales.Orders and dbo.Orders would collide
+        const seen = new Map();
+        tables.forEach(table => {
+            const key = table.name.toLowerCase();
+            if (seen.has(key)) {
+                const other = seen.get(key);
+                throw new Error(`Tables ${other.schema}.${other.name} and ${table.schema}.${table.name} would both be created as ${table.name}; exclude one of them`);
+            }
+            seen.set(key, table);
+        });
+
+        const connection = this.dryRun ? null : await this.target.connect();
+        const results = [];
+        const definitions = [];
+
+        if (connection) {
+            // Rows are copied before the foreign keys exist; DROP TABLE must not trip over them
+            await connection.query('SET foreign_key_checks = 0');
+        }
+
+        for (const table of tables) {
+            const definition = await this.source.describeTable(table);
+            const result = {
+                schema: table.schema,
+                name: table.name,
+                expectedRows: definition.rowCount,
+                rows: 0,
+                status: this.dryRun ? 'planned' : 'copied',
+                error: null
+            };
+            results.push(result);
+
+            console.log(chalk.blue(`\n🗂️  ${table.schema}.${table.name} (~${definition.rowCount} rows)`));
+            this.reportSkippedParts(definition);
+
+            try {
+                await this.run(connection, this.source.scriptTable(definition, table.name), { dropTable: table.name });
+                if (connection) {
+                    result.rows = await this.copyRows(definition);
+                    console.log(chalk.green(`✓ ${table.name}: ${result.rows} rows copied`));
+                }
+                definitions.push(definition);
+            } catch (error) {
+                result.status = 'failed';
+                result.error = error.message;
+                console.error(chalk.red(`✗ ${table.name}:`), error.message);
+            }
+        }
+
+        if (connection) {
+            await connection.query('SET foreign_key_checks = 1');
+        }
+
+        const foreignKeys = await this.addForeignKeys(connection, definitions);
+
+        return { tables: results, foreignKeys, diagnostics: this.converter.getDiagnostics() };
+    }
+
+    /**
+     * Convert T-SQL and run it on MySQL, or print it in a dry run
+     * @param {object} connection - MySQL connection, null in a dry run
+     * @param {string} tsql - T-SQL batches
+     * @param {object} options - { dropTable } table to drop first with dropExisting
+     */
+    async run(connection, tsql, options = {}) {
+        const converted = this.converter.convertSQL(tsql);
+
+        if (!connection) {
+            console.log(chalk.gray(converted.trim()));
+            return;
+        }
+
+        if (options.dropTable && this.dropExisting) {
+            await connection.query(`DROP TABLE IF EXISTS \`${options.dropTable.replace(/`/g, '``')}\``);
+        }
+        for (const statement of this.target.parseStatements(converted)) {
+            await this.target.executeStatement(connection, statement.sql);
+        }
+    }
+
+    /**
+     * Stream the rows of a table into MySQL
+     * @param {object} definition - Table definition from SQLServerSource.describeTable()
+     * @returns {Promise<number>} - Rows copied
+     */
+    async copyRows(definition) {
+        const columns = definition.columns.filter(column => !column.computed);
+        const names = columns.map(column => column.name);
+        const placeholders = columns.map(column => INSERT_PLACEHOLDERS[column.typeName] || '?');
+
+        let copied = 0;
+        for await (const rows of this.source.readRows(this.source.selectRows(definition), this.batchSize)) {
+            copied += await this.target.insertRows(definition.name, names, rows, placeholders);
+
+            if (definition.rowCount > this.batchSize * 10 && copied % (this.batchSize * 10) === 0) {
+                console.log(chalk.yellow(`⏳ ${definition.name}: ${copied}/${definition.rowCount} rows...`));
+            }
+        }
+        return copied;
+    }
+
+    /**
+     * Add the foreign keys between the tables that were created
+     * @returns {Promise<object>} - { added, skipped, failed } counts
+     */
+    async addForeignKeys(connection, definitions) {
+        const counts = { added: 0, skipped: 0, failed: 0 };
+        const created = new Set(definitions.map(definition => `${definition.schema}.${definition.name}`.toLowerCase()));
+
+        for (const definition of definitions) {
+            for (const foreignKey of definition.foreignKeys) {
+                const referenced = `${foreignKey.referencedSchema}.${foreignKey.referencedTable}`;
+                if (!created.has(referenced.toLowerCase())) {
+                    counts.skipped++;
+                    console.log(chalk.yellow(`⚠️  ${foreignKey.name} skipped: ${referenced} was not migrated`));
+                    continue;
+                }
+
+                try {
+                    const tsql = this.source.scriptForeignKeys({ ...definition, foreignKeys: [foreignKey] }, table => table.name);
+                    await this.run(connection, tsql);
+                    counts.added++;
+                } catch (error) {
+                    counts.failed++;
+                    console.error(chalk.red(`✗ ${foreignKey.name}:`), error.message);
+                }
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Warn about the parts of a table MySQL does not get
+     */
+    reportSkippedParts(definition) {
+        definition.columns.filter(column => column.computed).forEach(column => {
+            this.converter.warnings.push({
+                rule: 'computed-column',
+                message: `Computed column ${definition.name}.${column.name} is not migrated; add it as a generated column`
+            });
+        });
+        definition.indexes.filter(index => index.filtered).forEach(index => {
+            this.converter.warnings.push({
+                rule: 'filtered-index',
+                message: `Filtered index ${index.name} on ${definition.name} is not migrated; MySQL has no filtered indexes`
+            });
+        });
+    }
+}
+
+Migrator.DEFAULT_BATCH_SIZE = DEFAULT_BATCH_SIZE;
+
+module.exports = Migrator;
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SQLServerSource = require('./sqlServerSource');
+const DatabaseManager = require('./database');
+const Migrator = require('./migrator');
+const DataVerifier = require('./dataVerifier');
+
+// Needs the containers of docker-compose.yml; npm run test:smoke starts them and sets this
+const ENABLED = process.env.MIGRATE_SMOKE_TEST === '1';
+
+// Connection settings of the containers, never the ones in .env
+const SQL_SERVER = { server: 'localhost', port: 1433, user: 'sa', password: 'Smoke!Passw0rd', encrypt: true, trustServerCertificate: true };
+const MYSQL = { host: 'localhost', port: 3307, user: 'root', password: 'smoke', database: 'migrate_smoke' };
+const DATABASE = 'migrate_smoke';
+
+const SOURCE_TABLES = `
+    CREATE TABLE dbo.Customers (
+        Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        Name NVARCHAR(100) NOT NULL,
+        Balance MONEY NULL,
+        Active BIT NOT NULL DEFAULT 1,
+        CreatedAt DATETIME2(3) NOT NULL DEFAULT SYSUTCDATETIME(),
+        ExternalId UNIQUEIDENTIFIER NULL
+    );
+    CREATE TABLE dbo.Orders (
+        Id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+        CustomerId INT NOT NULL REFERENCES dbo.Customers (Id),
+        Total DECIMAL(18,2) NOT NULL,
+        Notes NVARCHAR(MAX) NULL
+    );
+    INSERT INTO dbo.Customers (Name, Balance, Active, ExternalId) VALUES (N'Ada', 12.3456, 1, NEWID()), (N'Zoë', NULL, 0, NULL);
+    INSERT INTO dbo.Orders (CustomerId, Total, Notes) VALUES (1, 99.95, N'first'), (1, 0.05, NULL), (2, 10.00, N'it''s');
+`;
+
+/**
+ * Create the source database afresh, so every run starts from the same rows
+ */
+async function createSourceDatabase() {
+    const master = new SQLServerSource({ ...SQL_SERVER, database: 'master' });
+    try {
+        await master.query(`IF DB_ID('${DATABASE}') IS NOT NULL DROP DATABASE ${DATABASE}`);
+        await master.query(`CREATE DATABASE ${DATABASE}`);
+    } finally {
+        await master.close();
+    }
+}
+
+test('migrate copies a SQL Server database that verify then finds identical', {
+    skip: ENABLED ? false : 'set MIGRATE_SMOKE_TEST=1 with the docker-compose.yml containers running (npm run test:smoke)'
+}, async () => {
+    await createSourceDatabase();
+
+    const source = new SQLServerSource({ ...SQL_SERVER, database: DATABASE });
+    const target = new DatabaseManager();
+    target.config = { ...target.config, ...MYSQL };
+
+    try {
+        await source.query(SOURCE_TABLES);
+
+        const migration = await new Migrator(source, target, { dropExisting: true }).migrate();
+        assert.deepStrictEqual(migration.tables.map(table => [table.name, table.status, table.rows]), [
+            ['Customers', 'copied', 2],
+            ['Orders', 'copied', 3]
+        ]);
+        assert.deepStrictEqual(migration.foreignKeys, { added: 1, skipped: 0, failed: 0 });
+
+        const results = await new DataVerifier(target, { source }).verify();
+        assert.deepStrictEqual(results.map(result => [result.table, result.status]), [
+            ['Customers', 'pass'],
+            ['Orders', 'pass']
+        ]);
+    } finally {
+        await source.close();
+        await target.close();
+    }
+});
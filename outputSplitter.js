@@ -0,0 +1,295 @@
+const fs = require('fs').promises;
+const path = require('path');
+const StatementFilter = require('./statementFilter');
+const DependencyOrderer = require('./dependencyOrderer');
+
+const SPLIT_MODES = ['table', 'object-type', 'size'];
+
+// Largest file written in size mode, in MB
+const DEFAULT_SPLIT_SIZE = 100;
+
+// Bytes held in memory before the files are written out
+const FLUSH_SIZE = 8 * 1024 * 1024;
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Load phases in order; the files of one phase do not depend on each other. Parts of size
+// mode are in phase part and load one after the other
+const PHASES = ['setup', 'schema', 'data', 'foreign-keys', 'views', 'routines', 'triggers'];
+
+// Files of object-type mode, in load order
+const OBJECT_TYPE_FILES = {
+    other: { file: '00-other.sql', phase: 'setup' },
+    tables: { file: '01-tables.sql', phase: 'schema' },
+    indexes: { file: '02-indexes.sql', phase: 'schema' },
+    data: { file: '03-data.sql', phase: 'data' },
+    'foreign-keys': { file: '04-foreign-keys.sql', phase: 'foreign-keys' },
+    views: { file: '05-views.sql', phase: 'views' },
+    functions: { file: '06-functions.sql', phase: 'routines' },
+    procedures: { file: '07-procedures.sql', phase: 'routines' },
+    triggers: { file: '08-triggers.sql', phase: 'triggers' }
+};
+
+/**
+ * Writes converted statements into a directory of files instead of one script, with a
+ * manifest listing the files in an order they can be loaded in.
+ *
+ * Modes:
+ *   table: tables/<table>.schema.sql and tables/<table>.data.sql per table, plus files for
+ *     foreign keys, views, routines, triggers and other statements
+ *   object-type: one file per kind of object (tables, indexes, data, foreign keys, views,
+ *     functions, procedures, triggers)
+ *   size: part-0001.sql, part-0002.sql, ... of at most splitSize MB each, in source order
+ *
+ * Foreign keys are loaded after the data and triggers after the foreign keys, so the data
+ * files of different tables can be loaded in parallel. Views are held until the end and
+ * written each after the views it reads from. SET and USE statements are repeated
+ * at the top of every file opened after them, so each file also loads on its own.
+ */
+class OutputSplitter {
+    /**
+     * @param {object} options - { directory, splitBy, splitSize, header }
+     *   directory: output directory, created if needed
+     *   splitBy: table, object-type or size
+     *   splitSize: largest file in size mode, in MB (default: 100)
+     *   header: text written at the top of every file
+     */
+    constructor(options = {}) {
+        if (!SPLIT_MODES.includes(options.splitBy)) {
+            throw new Error(`Invalid --split-by value "${options.splitBy}" (expected ${SPLIT_MODES.join(', ')})`);
+        }
+        this.directory = options.directory;
+        this.splitBy = options.splitBy;
+        this.maxBytes = (options.splitSize || DEFAULT_SPLIT_SIZE) * 1024 * 1024;
+        this.header = options.header || '';
+        this.filter = new StatementFilter();
+
+        // Files by name: { file, phase, table, statements, bytes, references, buffer, written }
+        this.files = new Map();
+        this.buffered = 0;
+        // SET and USE statements seen so far, written at the top of new files
+        this.session = [];
+        // Comments and transaction statements before the first file, written at its top
+        this.pending = [];
+        this.current = null;
+        this.lastDataFile = null;
+        this.part = 0;
+        // View statements, written to the views file in dependency order by end()
+        this.views = new DependencyOrderer({ holdPrelude: false });
+        this.viewFile = null;
+    }
+
+    /**
+     * Add a converted statement
+     * @param {string} statement - Statement with its leading comments, as split by SQLConverter.splitStatements()
+     */
+    async write(statement) {
+        const text = this.filter.statementText(statement);
+        const session = /^(?:SET|USE)\b/i.test(text);
+        const target = this.route(statement, text, session);
+
+        if (target && target.phase === 'views' && this.views.add(statement)) {
+            this.viewFile = this.open(target);
+            this.viewFile.statements++;
+            this.current = this.viewFile;
+        } else if (target) {
+            const file = this.open(target);
+            this.append(file, statement);
+            if (text !== '') file.statements++;
+            this.current = file;
+            if (target.phase === 'data') this.lastDataFile = file;
+        } else if (this.current) {
+            // Comments, transaction statements and session settings stay next to the statements around them
+            this.append(this.current, statement);
+        } else if (!session) {
+            this.pending.push(statement);
+        }
+        if (session) this.session.push(statement);
+
+        if (this.buffered >= FLUSH_SIZE) {
+            await this.flush();
+        }
+    }
+
+    /**
+     * File a statement belongs in
+     * @param {string} text - Statement text without leading comments
+     * @param {boolean} session - Whether it is a SET or USE statement
+     * @returns {object|null} - { file, phase, table }, or null to write it to the current file
+     */
+    route(statement, text, session) {
+        if (this.splitBy === 'size') return text === '' && this.current ? null : this.sizePart(statement);
+
+        if (text === '' || session) return null;
+        if (/^(?:START\s+TRANSACTION|BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE\s+SAVEPOINT)\b/i.test(text)) {
+            return null;
+        }
+
+        const kind = this.filter.kindOf(statement) === 'data' ? 'data' : this.filter.objectTypeOf(statement);
+        if (this.splitBy === 'object-type') {
+            return { ...OBJECT_TYPE_FILES[kind], table: null };
+        }
+
+        const table = this.filter.tableOf(statement);
+        const name = table ? table.replace(/[^\w.$-]/g, '_') : null;
+        switch (kind) {
+        case 'data':
+            if (name) return { file: path.join('tables', `${name}.data.sql`), phase: 'data', table };
+            // UNLOCK TABLES and the like close the data they follow
+            return this.lastDataFile ? { file: this.lastDataFile.file, phase: 'data', table: this.lastDataFile.table } : { file: 'other.sql', phase: 'setup', table: null };
+        case 'tables':
+        case 'indexes':
+            if (name) return { file: path.join('tables', `${name}.schema.sql`), phase: 'schema', table };
+            return { file: 'other.sql', phase: 'setup', table: null };
+        case 'foreign-keys':
+            return { file: 'foreign-keys.sql', phase: 'foreign-keys', table: null };
+        case 'views':
+            return { file: 'views.sql', phase: 'views', table: null };
+        case 'functions':
+        case 'procedures':
+            return { file: 'routines.sql', phase: 'routines', table: null };
+        case 'triggers':
+            return { file: 'triggers.sql', phase: 'triggers', table: null };
+        default:
+            return { file: 'other.sql', phase: 'setup', table: null };
+        }
+    }
+
+    /**
+     * Part a statement goes to in size mode, starting a new one when it would grow too large
+     */
+    sizePart(statement) {
+        const current = this.part > 0 ? this.files.get(this.partName(this.part)) : null;
+        if (!current || (current.statements > 0 && current.bytes + Buffer.byteLength(statement) > this.maxBytes)) {
+            this.part++;
+        }
+        return { file: this.partName(this.part), phase: 'part', table: null };
+    }
+
+    partName(number) {
+        return `part-${String(number).padStart(4, '0')}.sql`;
+    }
+
+    /**
+     * Get or create the file of a target; new files start with the header and the session
+     * statements seen so far, and the first one with the comments before it
+     */
+    open(target) {
+        let file = this.files.get(target.file);
+        if (!file) {
+            file = { ...target, statements: 0, bytes: 0, references: new Set(), buffer: [], written: false };
+            this.files.set(target.file, file);
+            const preamble = this.session.concat(this.pending).map(statement => `${statement}\n`).join('');
+            this.pending = [];
+            this.append(file, this.header + preamble, false);
+        }
+        return file;
+    }
+
+    /**
+     * Buffer text for a file
+     * @param {boolean} statement - Whether the text is a statement, which gets a line break and
+     *   has its REFERENCES recorded for the load order
+     */
+    append(file, text, statement = true) {
+        const chunk = statement ? `${text}\n` : text;
+        if (statement && file.phase === 'schema') {
+            for (const match of text.matchAll(/\bREFERENCES\s+(`[^`]+`|[\w$]+)/gi)) {
+                file.references.add(match[1].replace(/`/g, '').toLowerCase());
+            }
+        }
+        file.buffer.push(chunk);
+        const bytes = Buffer.byteLength(chunk);
+        file.bytes += bytes;
+        this.buffered += bytes;
+    }
+
+    /**
+     * Write the buffered text of every file
+     */
+    async flush() {
+        for (const file of this.files.values()) {
+            if (file.buffer.length === 0) continue;
+
+            const target = path.join(this.directory, file.file);
+            const text = file.buffer.join('');
+            file.buffer = [];
+            if (file.written) {
+                await fs.appendFile(target, text, 'utf8');
+            } else {
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await fs.writeFile(target, text, 'utf8');
+                file.written = true;
+            }
+        }
+        this.buffered = 0;
+    }
+
+    /**
+     * Write the remaining text and the manifest
+     * @param {string} source - Input file, recorded in the manifest
+     * @returns {Promise<object>} - Manifest: { source, splitBy, generated, files } with files as
+     *   { file, phase, table, statements, bytes } in load order
+     */
+    async end(source) {
+        if (this.viewFile) {
+            const { before, after } = this.views.finish();
+            before.concat(after).forEach(statement => this.append(this.viewFile, statement));
+        }
+        await this.flush();
+
+        const manifest = {
+            source,
+            splitBy: this.splitBy,
+            generated: new Date().toISOString(),
+            files: this.loadOrder().map(file => ({
+                file: file.file.split(path.sep).join('/'),
+                phase: file.phase,
+                table: file.table,
+                statements: file.statements,
+                bytes: file.bytes
+            }))
+        };
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(path.join(this.directory, MANIFEST_FILE), JSON.stringify(manifest, null, 2), 'utf8');
+        return manifest;
+    }
+
+    /**
+     * Files by phase, keeping the order they were opened in, except that a table schema file
+     * comes after the files of the tables its foreign keys reference
+     */
+    loadOrder() {
+        const files = Array.from(this.files.values());
+        if (this.splitBy === 'size') return files;
+
+        const ordered = [];
+        PHASES.forEach(phase => {
+            const inPhase = files.filter(file => file.phase === phase);
+            if (phase !== 'schema' || this.splitBy !== 'table') {
+                ordered.push(...inPhase);
+                return;
+            }
+
+            const byTable = new Map(inPhase.filter(file => file.table).map(file => [file.table, file]));
+            const visited = new Set();
+            const visit = (file) => {
+                if (visited.has(file)) return;
+                // A cycle falls back to the order the tables were defined in
+                visited.add(file);
+                file.references.forEach(table => {
+                    if (byTable.has(table)) visit(byTable.get(table));
+                });
+                ordered.push(file);
+            };
+            inPhase.forEach(visit);
+        });
+        return ordered;
+    }
+}
+
+OutputSplitter.SPLIT_MODES = SPLIT_MODES;
+OutputSplitter.DEFAULT_SPLIT_SIZE = DEFAULT_SPLIT_SIZE;
+OutputSplitter.MANIFEST_FILE = MANIFEST_FILE;
+
+module.exports = OutputSplitter;
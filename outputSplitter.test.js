@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OutputSplitter = require('./outputSplitter');
+
+const STATEMENTS = [
+    '-- Converted from shop.sql',
+    'SET NAMES utf8mb4;',
+    'CREATE TABLE `Orders` (`Id` INT, `CustomerId` INT, FOREIGN KEY (`CustomerId`) REFERENCES `Customers` (`Id`));',
+    'CREATE TABLE `Customers` (`Id` INT);',
+    'INSERT INTO `Orders` VALUES (1, 1);',
+    'INSERT INTO `Customers` VALUES (1);',
+    'ALTER TABLE `Orders` ADD CONSTRAINT `FK_Orders_Customers` FOREIGN KEY (`CustomerId`) REFERENCES `Customers` (`Id`);',
+    'CREATE VIEW `OpenOrders` AS SELECT `Id` FROM `Orders`;'
+];
+
+/**
+ * Split the statements into a temporary directory
+ * @returns {Promise<object>} - { files: [file, phase, table, statements] in load order, read(file) }
+ */
+async function split(t, options, statements = STATEMENTS) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'split-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    const splitter = new OutputSplitter({ directory, header: '-- Header\n', ...options });
+    for (const statement of statements) {
+        await splitter.write(statement);
+    }
+    const manifest = await splitter.end('shop.sql');
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(directory, OutputSplitter.MANIFEST_FILE), 'utf8')).files, manifest.files);
+    return {
+        files: manifest.files.map(file => [file.file, file.phase, file.table, file.statements]),
+        read: (file) => fs.readFileSync(path.join(directory, file), 'utf8')
+    };
+}
+
+test('table mode loads referenced tables first and foreign keys after the data', async (t) => {
+    const { files, read } = await split(t, { splitBy: 'table' });
+
+    assert.deepStrictEqual(files, [
+        ['tables/customers.schema.sql', 'schema', 'customers', 1],
+        ['tables/orders.schema.sql', 'schema', 'orders', 1],
+        ['tables/orders.data.sql', 'data', 'orders', 1],
+        ['tables/customers.data.sql', 'data', 'customers', 1],
+        ['foreign-keys.sql', 'foreign-keys', null, 1],
+        ['views.sql', 'views', null, 1]
+    ]);
+    // The first file takes the comments before it, every file repeats the session settings
+    assert.strictEqual(read('tables/orders.schema.sql'), `-- Header\nSET NAMES utf8mb4;\n-- Converted from shop.sql\n${STATEMENTS[2]}\n`);
+    assert.strictEqual(read('views.sql'), `-- Header\nSET NAMES utf8mb4;\n${STATEMENTS[7]}\n`);
+});
+
+test('views are written after the views they read from', async (t) => {
+    const views = [
+        'CREATE TABLE `Orders` (`Id` INT);',
+        'CREATE VIEW `Summary` AS SELECT COUNT(*) AS `Open` FROM `OpenOrders`;',
+        'CREATE VIEW `OpenOrders` AS SELECT `Id` FROM `Orders`;'
+    ];
+    const { files, read } = await split(t, { splitBy: 'table' }, views);
+
+    assert.deepStrictEqual(files.map(file => file[0]), ['tables/orders.schema.sql', 'views.sql']);
+    assert.strictEqual(read('views.sql'), `-- Header\n${views[2]}\n${views[1]}\n`);
+});
+
+test('object-type mode writes one file per kind of object', async (t) => {
+    const { files } = await split(t, { splitBy: 'object-type' });
+
+    assert.deepStrictEqual(files, [
+        ['01-tables.sql', 'schema', null, 2],
+        ['03-data.sql', 'data', null, 2],
+        ['04-foreign-keys.sql', 'foreign-keys', null, 1],
+        ['05-views.sql', 'views', null, 1]
+    ]);
+});
+
+test('size mode starts a new part when a statement would not fit', async (t) => {
+    const { files, read } = await split(t, { splitBy: 'size', splitSize: 200 / 1024 / 1024 });
+
+    assert.deepStrictEqual(files.map(([file, , , statements]) => [file, statements]), [
+        ['part-0001.sql', 2],
+        ['part-0002.sql', 3],
+        ['part-0003.sql', 2]
+    ]);
+    assert.ok(read('part-0002.sql').startsWith('-- Header\nSET NAMES utf8mb4;\nCREATE TABLE `Customers`'));
+    assert.throws(() => new OutputSplitter({ splitBy: 'schema' }), /Invalid --split-by value "schema"/);
+});
@@ -0,0 +1,252 @@
+const SQLTokenizer = require('./sqlTokenizer');
+const BatchConverter = require('./batchConverter');
+
+const DELIMITER = BatchConverter.ROUTINE_DELIMITER;
+
+// Largest LIMIT MySQL accepts, used for OFFSET without FETCH
+const MAX_LIMIT = '18446744073709551615';
+
+// A row count in OFFSET/FETCH: number, variable or parenthesized expression
+const ROW_COUNT = '(\\d+|@@?\\w+|\\([^()]*\\))';
+
+const SET_OPERATORS = ['UNION', 'EXCEPT', 'INTERSECT'];
+
+class QueryConverter {
+    constructor() {
+        this.tokenizer = new SQLTokenizer();
+        this.batchConverter = new BatchConverter();
+    }
+
+    /**
+     * Convert row limiting clauses in masked SQL code
+     * @param {string} code - SQL code with literals and comments masked
+     * @param {Array<object>} literals - Masked tokens, used to tell comments from strings
+     * @param {Array<object>} warnings - List that receives { rule, message, severity, code, offset } for lossy
+     *   conversions, offset being where the construct starts in code
+     * @returns {string} - Code with TOP and OFFSET/FETCH replaced by LIMIT
+     */
+    convert(code, literals, warnings = []) {
+        const converted = this.convertTop(code, literals, warnings);
+        return this.convertOffsetFetch(converted, literals, warnings);
+    }
+
+    /**
+     * Move SELECT/DELETE/UPDATE/INSERT TOP n to a LIMIT at the end of the query block
+     */
+    convertTop(code, literals, warnings) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        const routines = this.batchConverter.findRoutines(tokens);
+        const edits = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const word = this.tokenizer.upperWord(tokens[i]);
+            if (!['SELECT', 'DELETE', 'UPDATE', 'INSERT'].includes(word)) continue;
+
+            // SELECT [DISTINCT | ALL] TOP ...
+            let topIndex = i + 1;
+            if (word === 'SELECT' && ['DISTINCT', 'ALL'].includes(this.tokenizer.upperWord(tokens[topIndex]))) topIndex++;
+            if (this.tokenizer.upperWord(tokens[topIndex]) !== 'TOP') continue;
+
+            const top = this.readTop(code, tokens, topIndex);
+            if (!top) continue;
+
+            // Remove the TOP clause along with the whitespace after it
+            const afterTop = /^\s*/.exec(code.slice(top.end))[0].length;
+            edits.push({ start: tokens[topIndex].start, end: top.end + afterTop, text: '' });
+
+            // TOP 100 PERCENT is how SQL Server views keep an ORDER BY; it limits nothing
+            if (top.percent && top.count === '100' && !top.withTies) continue;
+
+            if (top.percent) {
+                warnings.push({
+                    rule: 'top-percent',
+                    message: `TOP ${top.count} PERCENT has no MySQL equivalent; converted to LIMIT ${top.count} rows`,
+                    code,
+                    offset: tokens[topIndex].start
+                });
+            }
+            if (top.withTies) {
+                warnings.push({
+                    rule: 'top-with-ties',
+                    message: `TOP ${top.count} WITH TIES converted to LIMIT ${top.count}; tied rows beyond the limit are dropped`,
+                    code,
+                    offset: tokens[topIndex].start
+                });
+            }
+            if (!/^\d+$/.test(top.count) && !/^@\w+$/.test(top.count)) {
+                warnings.push({
+                    rule: 'top-expression',
+                    message: `TOP (${top.count}) uses an expression; MySQL LIMIT only accepts constants and local variables`,
+                    code,
+                    offset: tokens[topIndex].start
+                });
+            } else if (/^@/.test(top.count) && !this.batchConverter.inRoutine(routines, tokens[i].start)) {
+                warnings.push(this.variableWarning(`TOP (${top.count})`, code, tokens[topIndex].start));
+            }
+
+            const blockEnd = this.findBlockEnd(tokens, i);
+            const endToken = tokens[blockEnd];
+            const endOffset = endToken.start + endToken.value.length - (this.endsWithDelimiter(endToken) ? DELIMITER.length : 0);
+
+            if (word !== 'SELECT' && this.hasJoin(tokens, topIndex, blockEnd)) {
+                warnings.push({
+                    rule: 'top-multi-table',
+                    message: `${word} TOP with a join cannot use LIMIT in MySQL; LIMIT added for review`,
+                    code,
+                    offset: tokens[i].start
+                });
+            }
+
+            // A limited member of UNION/EXCEPT/INTERSECT needs its own parentheses in MySQL
+            const prev = this.tokenizer.upperWord(tokens[i - 1]);
+            const next = this.tokenizer.upperWord(tokens[blockEnd + 1]);
+            const inSetOperation = SET_OPERATORS.includes(next) || SET_OPERATORS.includes(prev) ||
+                (prev === 'ALL' && SET_OPERATORS.includes(this.tokenizer.upperWord(tokens[i - 2])));
+
+            if (word === 'SELECT' && this.isQuantifiedSubquery(tokens, i)) {
+                // MySQL rejects LIMIT in IN/ANY/ALL subqueries, but not in a derived table inside them
+                edits.push({ start: tokens[i].start, end: tokens[i].start, text: 'SELECT * FROM (' });
+                edits.push({ start: endOffset, end: endOffset, text: ` LIMIT ${top.count}) AS t` });
+            } else if (word === 'SELECT' && inSetOperation) {
+                edits.push({ start: tokens[i].start, end: tokens[i].start, text: '(' });
+                edits.push({ start: endOffset, end: endOffset, text: ` LIMIT ${top.count})` });
+            } else {
+                edits.push({ start: endOffset, end: endOffset, text: ` LIMIT ${top.count}` });
+            }
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Whether the SELECT at index i is the subquery of IN, ANY, SOME or ALL
+     */
+    isQuantifiedSubquery(tokens, i) {
+        const open = tokens[i - 1];
+        const before = this.tokenizer.upperWord(tokens[i - 2]);
+        if (!open || open.type !== 'symbol' || open.value !== '(' || !['IN', 'ANY', 'SOME', 'ALL'].includes(before)) return false;
+        // UNION ALL (SELECT ...) is a set operation
+        return before !== 'ALL' || !SET_OPERATORS.includes(this.tokenizer.upperWord(tokens[i - 3]));
+    }
+
+    /**
+     * Read TOP n | TOP (expr) [PERCENT] [WITH TIES]
+     * @returns {object|null} - { count, percent, withTies, end } with end as a character offset
+     */
+    readTop(code, tokens, topIndex) {
+        const first = tokens[topIndex + 1];
+        if (!first) return null;
+
+        let count;
+        let last;
+        if (first.type === 'symbol' && first.value === '(') {
+            last = this.tokenizer.findClosingParen(tokens, topIndex + 1);
+            count = code.slice(first.start + 1, tokens[last].start).trim();
+        } else if (first.type === 'number' || first.type === 'variable') {
+            last = topIndex + 1;
+            count = first.value;
+        } else {
+            return null;
+        }
+
+        const top = { count, percent: false, withTies: false };
+        if (this.tokenizer.upperWord(tokens[last + 1]) === 'PERCENT') {
+            top.percent = true;
+            last++;
+        }
+        if (this.tokenizer.upperWord(tokens[last + 1]) === 'WITH' && this.tokenizer.upperWord(tokens[last + 2]) === 'TIES') {
+            top.withTies = true;
+            last += 2;
+        }
+
+        top.end = tokens[last].start + tokens[last].value.length;
+        return top;
+    }
+
+    /**
+     * Find the last token of the query block starting at the given SELECT/DELETE/UPDATE/INSERT
+     *
+     * The block ends where its statement ends, at a set operator, at the routine delimiter,
+     * or before clauses that must follow LIMIT in MySQL (FOR UPDATE, FOR XML, OPTION (...)).
+     * A member after a set operator also ends before the ORDER BY of the whole result.
+     */
+    findBlockEnd(tokens, start) {
+        const statementEnd = this.tokenizer.findStatementEnd(tokens, start);
+        const prev = this.tokenizer.upperWord(tokens[start - 1]);
+        const lastMember = SET_OPERATORS.includes(prev) ||
+            (prev === 'ALL' && SET_OPERATORS.includes(this.tokenizer.upperWord(tokens[start - 2])));
+        let depth = 0;
+
+        for (let j = start + 1; j <= statementEnd; j++) {
+            const token = tokens[j];
+            if (token.type === 'symbol' && token.value === '(') depth++;
+            if (token.type === 'symbol' && token.value === ')') depth--;
+            if (depth !== 0) continue;
+
+            const word = this.tokenizer.upperWord(token);
+            const stops = SET_OPERATORS.includes(word) || word === 'OPTION' || (word === 'FOR' && tokens[start].value.toUpperCase() === 'SELECT') ||
+                (token.type === 'symbol' && (token.value === ';' || token.value === '$')) ||
+                // ORDER BY and OFFSET after the last member of a set operation sort the whole result
+                (word === 'ORDER' && lastMember) || (word === 'OFFSET' && lastMember);
+            if (stops) return j - 1;
+            // a$$ and END$$ at the end of a routine read as one word
+            if (this.endsWithDelimiter(token)) {
+                return token.value.slice(0, -DELIMITER.length).toUpperCase() === 'END' ? j - 1 : j;
+            }
+        }
+
+        return statementEnd;
+    }
+
+    endsWithDelimiter(token) {
+        return ['word', 'variable'].includes(token.type) && token.value.length > DELIMITER.length && token.value.endsWith(DELIMITER);
+    }
+
+    /**
+     * Check whether a DELETE/UPDATE touches more than one table
+     */
+    hasJoin(tokens, start, end) {
+        let fromCount = 0;
+        for (let j = start; j <= end; j++) {
+            const word = this.tokenizer.upperWord(tokens[j]);
+            if (word === 'JOIN') return true;
+            if (word === 'FROM') fromCount++;
+        }
+        // DELETE TOP (n) FROM t is fine, a second FROM means DELETE ... FROM t JOIN/UPDATE ... FROM
+        return fromCount > 1 || (fromCount === 1 && this.tokenizer.upperWord(tokens[start - 1]) === 'UPDATE');
+    }
+
+    /**
+     * Convert ORDER BY ... OFFSET n ROWS [FETCH NEXT m ROWS ONLY] to LIMIT m OFFSET n
+     */
+    convertOffsetFetch(code, literals, warnings) {
+        const unwrap = (value) => value.replace(/^\((\s*\d+\s*|\s*@@?\w+\s*)\)$/, '$1').trim();
+        const routines = this.batchConverter.findRoutines(this.tokenizer.codeTokens(code, literals));
+
+        return code.replace(
+            new RegExp(`\\bOFFSET\\s+${ROW_COUNT}\\s+ROWS?(?:\\s+FETCH\\s+(?:NEXT|FIRST)\\s+${ROW_COUNT}\\s+ROWS?\\s+ONLY\\b)?`, 'gi'),
+            (match, offset, fetch, position) => {
+                const limit = `LIMIT ${fetch ? unwrap(fetch) : MAX_LIMIT} OFFSET ${unwrap(offset)}`;
+                if (/@/.test(limit) && !this.batchConverter.inRoutine(routines, position)) {
+                    warnings.push(this.variableWarning(limit, code, position));
+                }
+                return limit;
+            }
+        );
+    }
+
+    /**
+     * Routine parameters and locals can be row counts; user variables outside stored programs cannot
+     */
+    variableWarning(clause, code, offset) {
+        return {
+            rule: 'limit-variable',
+            message: `${clause} uses a variable; MySQL only accepts variables in LIMIT inside stored programs, so use a constant or a prepared statement`,
+            severity: 'error',
+            code,
+            offset
+        };
+    }
+}
+
+module.exports = QueryConverter;
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SQLTokenizer = require('./sqlTokenizer');
+const QueryConverter = require('./queryConverter');
+
+const tokenizer = new SQLTokenizer();
+
+/**
+ * Run the converter on masked SQL and return the output with the warnings
+ */
+function convert(sql) {
+    const { code, literals } = tokenizer.mask(sql);
+    const warnings = [];
+    const converted = new QueryConverter().convert(code, literals, warnings);
+    return { sql: tokenizer.unmask(converted, literals), warnings };
+}
+
+test('TOP moves to a LIMIT after ORDER BY', () => {
+    assert.strictEqual(convert('SELECT TOP 10 a FROM t WHERE x = 1 ORDER BY a').sql, 'SELECT a FROM t WHERE x = 1 ORDER BY a LIMIT 10');
+    assert.strictEqual(convert('DELETE TOP (5) FROM t WHERE x = 1').sql, 'DELETE FROM t WHERE x = 1 LIMIT 5');
+});
+
+test('a limited union member is parenthesized', () => {
+    assert.strictEqual(convert('SELECT TOP 2 a FROM x UNION SELECT b FROM y').sql, '(SELECT a FROM x LIMIT 2) UNION SELECT b FROM y');
+});
+
+test('a limited IN or ALL subquery reads from a derived table', () => {
+    assert.strictEqual(convert('SELECT a FROM x WHERE id IN (SELECT TOP 3 id FROM y ORDER BY d DESC)').sql,
+        'SELECT a FROM x WHERE id IN (SELECT * FROM (SELECT id FROM y ORDER BY d DESC LIMIT 3) AS t)');
+    assert.strictEqual(convert('SELECT a FROM x WHERE v > ALL (SELECT TOP (2) v FROM y)').sql,
+        'SELECT a FROM x WHERE v > ALL (SELECT * FROM (SELECT v FROM y LIMIT 2) AS t)');
+    assert.strictEqual(convert('SELECT a FROM x UNION ALL (SELECT TOP 2 b FROM y)').sql, 'SELECT a FROM x UNION ALL (SELECT b FROM y LIMIT 2)');
+});
+
+test('ORDER BY ... OFFSET after a union stays on the whole result', () => {
+    const { sql } = convert('SELECT a FROM x UNION SELECT TOP 3 b FROM y ORDER BY 1 OFFSET 5 ROWS FETCH NEXT 10 ROWS ONLY');
+    assert.strictEqual(sql, 'SELECT a FROM x UNION (SELECT b FROM y LIMIT 3) ORDER BY 1 LIMIT 10 OFFSET 5');
+});
+
+test('OFFSET without FETCH uses the largest LIMIT', () => {
+    assert.strictEqual(convert('SELECT a FROM t ORDER BY a OFFSET 20 ROWS').sql, 'SELECT a FROM t ORDER BY a LIMIT 18446744073709551615 OFFSET 20');
+});
+
+test('variable row counts outside routines are reported', () => {
+    const top = convert('SELECT TOP (@n) a FROM t');
+    assert.strictEqual(top.sql, 'SELECT a FROM t LIMIT @n');
+    assert.deepStrictEqual(top.warnings.map(warning => warning.rule), ['limit-variable']);
+
+    const offset = convert('SELECT a FROM t ORDER BY a OFFSET @skip ROWS FETCH NEXT @take ROWS ONLY');
+    assert.deepStrictEqual(offset.warnings.map(warning => warning.rule), ['limit-variable']);
+});
+
+test('variable row counts inside routines are accepted', () => {
+    const { sql, warnings } = convert('DELIMITER $$\nCREATE PROCEDURE p @n INT AS SELECT TOP (@n) a FROM t ORDER BY a$$\nDELIMITER ;');
+    assert.match(sql, /ORDER BY a LIMIT @n\$\$/);
+    assert.deepStrictEqual(warnings, []);
+});
@@ -0,0 +1,960 @@
+const SQLTokenizer = require('./sqlTokenizer');
+
+// An identifier in masked code once backticks are brackets: [name] or a plain word
+const NAME = '(?:\\[[^\\]]*\\]|[\\w#@$]+)';
+
+// MySQL session settings and dump bookkeeping that SQL Server has no use for
+const SESSION_STATEMENTS = [
+    // SET NAMES utf8mb4, SET FOREIGN_KEY_CHECKS = 0, SET @OLD_SQL_MODE = @@SQL_MODE, ...
+    /^[ \t]*SET\s+(?:NAMES|CHARACTER\s+SET|FOREIGN_KEY_CHECKS|UNIQUE_CHECKS|SQL_MODE|TIME_ZONE|SQL_NOTES|AUTOCOMMIT|CHARACTER_SET_\w+|COLLATION_CONNECTION|@OLD_\w+|@@\w+|SESSION\s+\w+|GLOBAL\s+\w+)\b[^;\n]*;?[ \t]*(?:\r?\n|$)/gim,
+    /^[ \t]*(?:LOCK\s+TABLES\b[^;\n]*|UNLOCK\s+TABLES)\s*;?[ \t]*(?:\r?\n|$)/gim,
+    new RegExp(`^[ \\t]*ALTER\\s+TABLE\\s+${NAME}(?:\\s*\\.\\s*${NAME})?\\s+(?:DISABLE|ENABLE)\\s+KEYS\\s*;?[ \\t]*(?:\\r?\\n|$)`, 'gim')
+];
+
+// Column attributes SQL Server has no equivalent for
+const COLUMN_CLEANUPS = [
+    [/\s+UNSIGNED\b/gi, ''],
+    [/\s+ZEROFILL\b/gi, ''],
+    [/\s+(?:CHARACTER\s+SET|CHARSET)\s+\w+/gi, ''],
+    [/\s+COLLATE\s+\w+/gi, ''],
+    [/\s+COMMENT\s+\d+/gi, '']
+];
+
+// Index options inside key definitions: USING BTREE, KEY_BLOCK_SIZE = 8, COMMENT '...'
+const KEY_CLEANUPS = [
+    [/\s+USING\s+(?:BTREE|HASH)\b/gi, ''],
+    [/\s+KEY_BLOCK_SIZE\s*=?\s*\d+/gi, ''],
+    [/\s+COMMENT\s+\d+/gi, '']
+];
+
+// SELECT modifiers a TOP goes after
+const SELECT_MODIFIERS = ['ALL', 'DISTINCT'];
+
+const SET_OPERATORS = ['UNION', 'EXCEPT', 'INTERSECT'];
+
+// INTERVAL units DATEADD takes as date parts; compound units such as DAY_HOUR are left as written
+const INTERVAL_UNITS = ['MICROSECOND', 'SECOND', 'MINUTE', 'HOUR', 'DAY', 'WEEK', 'MONTH', 'QUARTER', 'YEAR'];
+
+// MySQL string escapes; \% and \_ keep their backslash for LIKE
+const ESCAPES = { '0': '\0', 'b': '\b', 'n': '\n', 'r': '\r', 't': '\t', 'Z': '\x1A', '%': '\\%', '_': '\\_' };
+
+/**
+ * Converts MySQL code back to T-SQL, for SQLConverter's MySQL -> SQL Server direction.
+ *
+ * Runs on masked code whose types TypeMapper already mapped: backticks become brackets,
+ * LIMIT becomes TOP or OFFSET ... FETCH, DATE_ADD and GROUP_CONCAT become DATEADD and
+ * STRING_AGG, AUTO_INCREMENT becomes IDENTITY, table options,
+ * session settings and DELIMITER lines are removed. Strings are rewritten by render() as
+ * they are unmasked. Routine bodies are left for manual review.
+ */
+class ReverseConverter {
+    constructor() {
+        this.tokenizer = new SQLTokenizer();
+    }
+
+    /**
+     * Convert masked MySQL code to T-SQL
+     * @param {string} code - MySQL code with literals and comments masked, types already mapped
+     * @param {Array<object>} literals - Masked tokens; new strings are added to them
+     * @param {Array<object>} warnings - List that receives { rule, message, severity, code, offset } for
+     *   constructs SQL Server has no equivalent for, offset being where the construct or its statement
+     *   starts in code
+     * @returns {string} - T-SQL code
+     */
+    convert(code, literals, warnings = []) {
+        let converted = this.removeVersionComments(code, literals);
+        converted = this.convertDelimiters(converted, warnings);
+
+        SESSION_STATEMENTS.forEach(pattern => {
+            converted = converted.replace(pattern, '');
+        });
+
+        converted = this.convertTokens(converted, literals, warnings);
+        converted = this.convertConverts(converted, literals);
+        converted = this.convertFunctions(converted, literals, warnings);
+        converted = this.convertModules(converted, literals, warnings);
+        converted = this.convertCreateTables(converted, literals, warnings);
+        converted = this.convertAlterTables(converted, literals, warnings);
+        converted = this.convertCreateIndexes(converted, literals);
+        return this.convertLimits(converted, literals, warnings);
+    }
+
+    /**
+     * Remove the MySQL version comments of dumps, /*!40101 SET NAMES utf8 ... on a line of their own
+     */
+    removeVersionComments(code, literals) {
+        return code.replace(/^[ \t]*\uE000(\d+)\uE001[ \t]*;?[ \t]*(?:\r?\n|$)/gm, (match, index) =>
+            (literals[Number(index)].value.startsWith('/*!') ? '' : match));
+    }
+
+    /**
+     * Turn DELIMITER blocks into GO batches: DELIMITER $$ ... END$$ DELIMITER ; becomes
+     * GO ... END GO, since SQL Server wants each routine in a batch of its own
+     */
+    convertDelimiters(code, warnings) {
+        let delimiter = ';';
+        const lines = [];
+
+        code.split('\n').forEach(line => {
+            const match = /^[ \t]*DELIMITER[ \t]+(\S+)[ \t]*\r?$/i.exec(line);
+            if (match) {
+                if (delimiter === ';' && match[1] !== ';') lines.push('GO');
+                delimiter = match[1];
+                return;
+            }
+            if (delimiter === ';') {
+                lines.push(line);
+                return;
+            }
+
+            const escaped = delimiter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const end = new RegExp(`${escaped}([ \\t]*\\r?)$`).exec(line);
+            if (end) {
+                lines.push(line.slice(0, end.index) + end[1], 'GO');
+            } else {
+                lines.push(line);
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Rewrite single tokens: `name` -> [name], X'41' -> 0x41, TRUE/FALSE -> 1/0, charset
+     * introducers; add ESCAPE '\' to LIKE patterns with a backslash and report MySQL-only
+     * INSERT forms
+     */
+    convertTokens(code, literals, warnings) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        const edits = [];
+        const literal = (token) => (token && token.type === 'masked' ? literals[token.index] : null);
+
+        tokens.forEach((token, i) => {
+            const word = this.tokenizer.upperWord(token);
+            const next = tokens[i + 1];
+            const adjacent = next && next.start === token.start + token.value.length;
+
+            if (token.type === 'identifier' && token.quote === '`') {
+                const name = token.value.slice(1, -1).replace(/``/g, '`').replace(/]/g, ']]');
+                edits.push({ start: token.start, end: token.start + token.value.length, text: `[${name}]` });
+            } else if ((word === 'X' || word === 'B') && adjacent && literal(next) && literal(next).type === 'string') {
+                // X'4142' and b'0101' are binary values
+                const text = this.decode(literal(next));
+                const hex = word === 'X'
+                    ? text
+                    : (parseInt(text || '0', 2).toString(16));
+                edits.push({
+                    start: token.start,
+                    end: next.start + next.value.length,
+                    text: `0x${(hex.length % 2 === 1 ? '0' : '') + hex.toUpperCase()}`
+                });
+            } else if (word && /^_[A-Z0-9]+$/.test(word) && adjacent && literal(next) && literal(next).type === 'string') {
+                // _utf8mb4'text'
+                edits.push({ start: token.start, end: next.start, text: '' });
+            } else if (word === 'TRUE' || word === 'FALSE') {
+                edits.push({ start: token.start, end: token.start + token.value.length, text: word === 'TRUE' ? '1' : '0' });
+            } else if (word === 'LIKE' && literal(next) && literal(next).type === 'string' &&
+                this.decode(literal(next)).includes('\\') && this.tokenizer.upperWord(tokens[i + 2]) !== 'ESCAPE') {
+                // MySQL escapes LIKE wildcards with a backslash by default, SQL Server only when told to
+                const end = next.start + next.value.length;
+                const escape = this.tokenizer.addLiteral(literals, { type: 'string', value: '\'\\\'', converted: true });
+                edits.push({ start: end, end, text: ` ESCAPE ${escape}` });
+            } else if (word === 'INSERT' && this.tokenizer.upperWord(next) === 'IGNORE') {
+                warnings.push({
+                    rule: 'insert-ignore',
+                    message: 'INSERT IGNORE has no SQL Server equivalent; duplicate rows now fail the insert',
+                    severity: 'warning',
+                    code,
+                    offset: token.start
+                });
+                edits.push({ start: next.start, end: tokens[i + 2] ? tokens[i + 2].start : next.start + next.value.length, text: '' });
+            } else if (word === 'REPLACE' && this.tokenizer.upperWord(next) === 'INTO') {
+                warnings.push({
+                    rule: 'replace-into',
+                    message: 'REPLACE INTO has no SQL Server equivalent; rewrite it as MERGE',
+                    severity: 'error',
+                    code,
+                    offset: token.start
+                });
+            } else if (word === 'REGEXP' || word === 'RLIKE') {
+                warnings.push({
+                    rule: 'regexp',
+                    message: `${word} has no T-SQL operator; rewrite the condition with LIKE patterns or REGEXP_LIKE (SQL Server 2025)`,
+                    severity: 'error',
+                    code,
+                    offset: (this.tokenizer.upperWord(tokens[i - 1]) === 'NOT' ? tokens[i - 1] : token).start
+                });
+            } else if (word === 'DUPLICATE' && this.tokenizer.upperWord(tokens[i - 1]) === 'ON' && this.tokenizer.upperWord(next) === 'KEY') {
+                warnings.push({
+                    rule: 'on-duplicate-key',
+                    message: 'INSERT ... ON DUPLICATE KEY UPDATE has no SQL Server equivalent; rewrite it as MERGE',
+                    severity: 'error',
+                    code,
+                    offset: tokens[i - 1].start
+                });
+            }
+        });
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Swap the arguments of CONVERT(expr, type) to CONVERT(type, expr); CONVERT(expr USING
+     * charset) becomes expr. A CONVERT nested in another one is left as written.
+     */
+    convertConverts(code, literals) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        const edits = [];
+
+        for (let i = 0; i < tokens.length - 2; i++) {
+            if (this.tokenizer.upperWord(tokens[i]) !== 'CONVERT' || !this.isSymbol(tokens[i + 1], '(')) continue;
+
+            const close = this.tokenizer.findClosingParen(tokens, i + 1);
+            let depth = 0;
+            let split = -1;
+            for (let j = i + 2; j < close && split === -1; j++) {
+                if (this.isSymbol(tokens[j], '(')) depth++;
+                if (this.isSymbol(tokens[j], ')')) depth--;
+                if (depth === 0 && (this.isSymbol(tokens[j], ',') || this.tokenizer.upperWord(tokens[j]) === 'USING')) split = j;
+            }
+            if (split === -1 || split === i + 2) continue;
+
+            const expression = code.slice(tokens[i + 2].start, tokens[split].start).trim();
+            if (this.isSymbol(tokens[split], ',')) {
+                const type = code.slice(tokens[split + 1].start, tokens[close].start).trim();
+                edits.push({ start: tokens[i + 2].start, end: tokens[close].start, text: `${type}, ${expression}` });
+            } else {
+                edits.push({ start: tokens[i].start, end: tokens[close].start + 1, text: expression });
+            }
+            i = close;
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Rewrite MySQL functions with a T-SQL counterpart: DATE_ADD(d, INTERVAL n DAY) and DATE_SUB
+     * become DATEADD(day, n, d) and DATEADD(day, -n, d); GROUP_CONCAT(x ORDER BY y SEPARATOR s)
+     * becomes STRING_AGG(x, s) WITHIN GROUP (ORDER BY y). Calls nested in the arguments are
+     * rewritten too.
+     */
+    convertFunctions(code, literals, warnings) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        if (tokens.length === 0) return code;
+        const state = { code, literals, tokens, warnings };
+        const last = tokens.length - 1;
+        return code.slice(0, tokens[0].start) + this.rewriteCalls(state, 0, last) + code.slice(this.tokenEnd(tokens[last]));
+    }
+
+    /**
+     * Text of the tokens first..last with the function calls among them rewritten
+     */
+    rewriteCalls(state, first, last) {
+        const { code, tokens } = state;
+        if (first > last) return '';
+
+        let text = '';
+        let position = tokens[first].start;
+        for (let i = first; i <= last; i++) {
+            const name = this.tokenizer.upperWord(tokens[i]);
+            if (!['DATE_ADD', 'DATE_SUB', 'GROUP_CONCAT'].includes(name) || !this.isSymbol(tokens[i + 1], '(') ||
+                this.isSymbol(tokens[i - 1], '.')) {
+                continue;
+            }
+
+            const close = this.tokenizer.findClosingParen(tokens, i + 1);
+            if (close > last) continue;
+            const call = name === 'GROUP_CONCAT' ? this.convertGroupConcat(state, i, close) : this.convertDateAdd(state, i, close);
+            if (call === null) continue;
+
+            text += code.slice(position, tokens[i].start) + call;
+            position = this.tokenEnd(tokens[close]);
+            i = close;
+        }
+
+        return text + code.slice(position, this.tokenEnd(tokens[last]));
+    }
+
+    /**
+     * DATE_ADD(d, INTERVAL n unit) -> DATEADD(unit, n, d), DATE_SUB with -n
+     * @returns {string|null} - T-SQL call, or null when the arguments are not a date and an INTERVAL
+     */
+    convertDateAdd(state, start, close) {
+        const { tokens } = state;
+        const args = this.readArguments(state, start + 1, close);
+        if (args.length !== 2) return null;
+
+        const [date, interval] = args;
+        const name = this.tokenizer.upperWord(tokens[start]);
+        const unit = this.tokenizer.upperWord(tokens[interval.last]);
+        if (this.tokenizer.upperWord(tokens[interval.first]) !== 'INTERVAL' || interval.last - interval.first < 2) return null;
+        if (!INTERVAL_UNITS.includes(unit)) {
+            state.warnings.push({
+                rule: 'date-interval',
+                message: `${name} with INTERVAL ... ${unit || 'expression'} left as written; DATEADD takes one unit, so add each part separately`,
+                severity: 'error',
+                code: state.code,
+                offset: tokens[start].start
+            });
+            return null;
+        }
+
+        let amount = this.rewriteCalls(state, interval.first + 1, interval.last - 1);
+        if (name === 'DATE_SUB') {
+            amount = /^\d+(?:\.\d+)?$/.test(amount) ? `-${amount}` : `-(${amount})`;
+        }
+        return `DATEADD(${unit.toLowerCase()}, ${amount}, ${this.rewriteCalls(state, date.first, date.last)})`;
+    }
+
+    /**
+     * GROUP_CONCAT([DISTINCT] x [, y] [ORDER BY z] [SEPARATOR s]) -> STRING_AGG(x, s) [WITHIN GROUP (ORDER BY z)],
+     * with CONCAT(x, y) for several values and ',' as the default separator
+     */
+    convertGroupConcat(state, start, close) {
+        const { code, literals, tokens, warnings } = state;
+        let first = start + 2;
+        if (first >= close) return null;
+
+        const distinct = this.tokenizer.upperWord(tokens[first]) === 'DISTINCT';
+        if (distinct) first++;
+
+        // ORDER BY and SEPARATOR end the values
+        let orderBy = -1;
+        let separator = -1;
+        let depth = 0;
+        for (let j = first; j < close; j++) {
+            if (this.isSymbol(tokens[j], '(')) depth++;
+            if (this.isSymbol(tokens[j], ')')) depth--;
+            if (depth !== 0) continue;
+            const word = this.tokenizer.upperWord(tokens[j]);
+            if (word === 'ORDER' && this.tokenizer.upperWord(tokens[j + 1]) === 'BY' && orderBy === -1 && separator === -1) orderBy = j;
+            if (word === 'SEPARATOR') separator = j;
+        }
+
+        const valuesEnd = [orderBy, separator, close].filter(index => index !== -1)[0];
+        const values = this.readArguments(state, first - 1, valuesEnd)
+            .map(arg => this.rewriteCalls(state, arg.first, arg.last));
+        if (values.length === 0 || values.includes('') || separator === close - 1) return null;
+
+        const value = values.length > 1 ? `CONCAT(${values.join(', ')})` : values[0];
+        const separatorText = separator === -1
+            ? this.tokenizer.addLiteral(literals, { type: 'string', value: '\',\'', converted: true })
+            : this.rewriteCalls(state, separator + 1, close - 1);
+        const orderEnd = (separator === -1 ? close : separator) - 1;
+        const order = orderBy === -1 ? '' : ` WITHIN GROUP (ORDER BY ${this.rewriteCalls(state, orderBy + 2, orderEnd)})`;
+
+        if (distinct) {
+            warnings.push({
+                rule: 'group-concat-distinct',
+                message: 'GROUP_CONCAT(DISTINCT ...) converted to STRING_AGG, which keeps repeated values; remove them in a subquery first',
+                severity: 'warning',
+                code,
+                offset: tokens[start].start
+            });
+        }
+
+        return `STRING_AGG(${value}, ${separatorText})${order}`;
+    }
+
+    /**
+     * Token ranges of the comma-separated arguments between an opening parenthesis (or the token
+     * before the first argument) and the token that ends them
+     * @returns {Array<object>} - { first, last } token indexes of each argument
+     */
+    readArguments(state, open, close) {
+        const { tokens } = state;
+        const args = [];
+        let first = open + 1;
+        let depth = 0;
+
+        for (let j = open + 1; j <= close; j++) {
+            if (this.isSymbol(tokens[j], '(')) depth++;
+            if (this.isSymbol(tokens[j], ')') && j !== close) depth--;
+            if (j === close || (depth === 0 && this.isSymbol(tokens[j], ','))) {
+                args.push({ first, last: j - 1 });
+                first = j + 1;
+            }
+        }
+
+        return args;
+    }
+
+    /**
+     * Drop the MySQL options of CREATE VIEW/PROCEDURE/FUNCTION/TRIGGER (ALGORITHM, DEFINER,
+     * SQL SECURITY), give views a batch of their own, and report routine bodies for review
+     */
+    convertModules(code, literals, warnings) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        const edits = [];
+
+        for (let i = 0; i < tokens.length - 1; i++) {
+            if (this.tokenizer.upperWord(tokens[i]) !== 'CREATE') continue;
+
+            let j = i + 1;
+            let replace = false;
+            if (this.tokenizer.upperWord(tokens[j]) === 'OR' && this.tokenizer.upperWord(tokens[j + 1]) === 'REPLACE') {
+                replace = true;
+                j += 2;
+            }
+            // ALGORITHM = x, DEFINER = user@host, SQL SECURITY x
+            for (;;) {
+                const word = this.tokenizer.upperWord(tokens[j]);
+                if (word === 'ALGORITHM' && this.isSymbol(tokens[j + 1], '=')) {
+                    j += 3;
+                } else if (word === 'DEFINER' && this.isSymbol(tokens[j + 1], '=')) {
+                    j += 3;
+                    // user@host reads as a name and a variable, [user]@[host] as @ before a name
+                    while (tokens[j] && tokens[j].type === 'variable') j += tokens[j].value === '@' ? 2 : 1;
+                } else if (word === 'SQL' && this.tokenizer.upperWord(tokens[j + 1]) === 'SECURITY') {
+                    j += 3;
+                } else {
+                    break;
+                }
+            }
+
+            const kind = this.tokenizer.upperWord(tokens[j]);
+            if (!['VIEW', 'PROCEDURE', 'FUNCTION', 'TRIGGER', 'EVENT'].includes(kind)) continue;
+
+            edits.push({
+                start: tokens[i].start,
+                end: tokens[j].start,
+                text: replace && kind !== 'EVENT' ? 'CREATE OR ALTER ' : 'CREATE '
+            });
+
+            if (kind === 'VIEW') {
+                // CREATE VIEW must be alone in its batch
+                const end = this.statementEnd(tokens, j);
+                const stop = tokens[end].start + tokens[end].value.length;
+                const lineStart = code.lastIndexOf('\n', tokens[i].start - 1) + 1;
+                edits.push({ start: lineStart, end: lineStart, text: 'GO\n' });
+                edits.push({ start: stop, end: stop, text: '\nGO' });
+                i = end;
+            } else {
+                const name = tokens[j + 1] ? tokens[j + 1].value : '';
+                warnings.push({
+                    rule: 'mysql-routine',
+                    message: `CREATE ${kind} ${name}: MySQL routine bodies are not converted to T-SQL; review them`,
+                    severity: 'warning',
+                    code,
+                    offset: tokens[i].start
+                });
+            }
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Convert every CREATE TABLE statement: columns, keys and table options
+     */
+    convertCreateTables(code, literals, warnings) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        const edits = [];
+
+        for (let i = 0; i < tokens.length - 2; i++) {
+            if (this.tokenizer.upperWord(tokens[i]) !== 'CREATE' || this.tokenizer.upperWord(tokens[i + 1]) !== 'TABLE') {
+                continue;
+            }
+
+            // CREATE TABLE IF NOT EXISTS
+            let nameIndex = i + 2;
+            const ifNotExists = this.tokenizer.upperWord(tokens[nameIndex]) === 'IF' &&
+                this.tokenizer.upperWord(tokens[nameIndex + 1]) === 'NOT' && this.tokenizer.upperWord(tokens[nameIndex + 2]) === 'EXISTS';
+            if (ifNotExists) nameIndex += 3;
+
+            // Skip a possibly qualified table name
+            let open = nameIndex + 1;
+            while (this.isSymbol(tokens[open], '.')) open += 2;
+            if (!this.isSymbol(tokens[open], '(')) continue;
+
+            const close = this.tokenizer.findClosingParen(tokens, open);
+            const tableName = code.slice(tokens[nameIndex].start, tokens[open - 1].start + tokens[open - 1].value.length);
+            const end = this.statementEnd(tokens, i);
+            const warningCount = warnings.length;
+            const last = this.isSymbol(tokens[end], ';') ? end - 1 : end;
+
+            // Table options: ENGINE=InnoDB AUTO_INCREMENT=42 DEFAULT CHARSET=utf8mb4 ...
+            const options = last > close ? code.slice(tokens[close + 1].start, tokens[last].start + tokens[last].value.length) : '';
+            const seed = /\bAUTO_INCREMENT\s*=?\s*(\d+)/i.exec(options);
+            if (/\bPARTITION\s+BY\b/i.test(options)) {
+                warnings.push({
+                    rule: 'partitioned-table',
+                    message: `Partitioning of ${this.unquote(tableName)} dropped; SQL Server partitions through partition schemes`,
+                    severity: 'warning'
+                });
+            }
+
+            const body = code.slice(tokens[open].start + 1, tokens[close].start);
+            edits.push({
+                start: tokens[open].start + 1,
+                end: last > close ? tokens[last].start + tokens[last].value.length : tokens[close].start + 1,
+                text: `${this.convertTableBody(tableName, body, seed ? seed[1] : '1', warnings)})`
+            });
+            warnings.slice(warningCount).forEach(warning => Object.assign(warning, { code, offset: tokens[i].start }));
+
+            if (ifNotExists) {
+                // IF OBJECT_ID(N'name', N'U') IS NULL CREATE TABLE name (...)
+                const objectName = this.tokenizer.addLiteral(literals, {
+                    type: 'string',
+                    value: `N'${tableName.replace(/'/g, '\'\'')}'`,
+                    converted: true
+                });
+                const objectType = this.tokenizer.addLiteral(literals, { type: 'string', value: 'N\'U\'', converted: true });
+                edits.push({ start: tokens[i].start, end: tokens[i].start, text: `IF OBJECT_ID(${objectName}, ${objectType}) IS NULL\n` });
+                edits.push({ start: tokens[i + 2].start, end: tokens[nameIndex].start, text: '' });
+            }
+            i = end;
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Convert the column definitions and keys between the parentheses of CREATE TABLE
+     * @param {string} tableName - Table name as written
+     * @param {string} body - Masked text between the parentheses
+     * @param {string} seed - AUTO_INCREMENT table option, the seed of the IDENTITY column
+     * @returns {string} - T-SQL table body
+     */
+    convertTableBody(tableName, body, seed, warnings) {
+        const table = this.unquote(tableName);
+        const elements = [];
+        let indexCount = 0;
+
+        this.splitTopLevel(body).forEach(element => {
+            const first = (new RegExp(`^\\s*(${NAME})`).exec(element) || [])[1] || '';
+            const word = first.toUpperCase();
+
+            if (['FULLTEXT', 'SPATIAL'].includes(word)) {
+                warnings.push({
+                    rule: 'fulltext-index',
+                    message: `${word} index on ${table} dropped; SQL Server needs CREATE ${word} INDEX with its own options`,
+                    severity: 'warning'
+                });
+                return;
+            }
+
+            if (['PRIMARY', 'UNIQUE', 'KEY', 'INDEX', 'CONSTRAINT', 'FOREIGN', 'CHECK'].includes(word)) {
+                let key = this.cleanup(element, KEY_CLEANUPS);
+                // UNIQUE KEY name (cols) -> CONSTRAINT name UNIQUE (cols)
+                key = key.replace(new RegExp(`^(\\s*)UNIQUE(?:\\s+(?:KEY|INDEX))?\\s+(${NAME})\\s*(?=\\()`, 'i'), '$1CONSTRAINT $2 UNIQUE ');
+                key = key.replace(new RegExp(`\\bUNIQUE\\s+(?:KEY|INDEX)(?:\\s+${NAME})?\\s*(?=\\()`, 'i'), 'UNIQUE ');
+                // KEY name (cols) -> INDEX name (cols); SQL Server needs the name
+                key = key.replace(new RegExp(`^(\\s*)(?:KEY|INDEX)(?:\\s+(${NAME}))?\\s*(?=\\()`, 'i'), (match, space, name) => {
+                    indexCount++;
+                    return `${space}INDEX ${name || `[IX_${table}_${indexCount}]`} `;
+                });
+                key = key.replace(/\bON\s+(DELETE|UPDATE)\s+RESTRICT\b/gi, 'ON $1 NO ACTION');
+                elements.push(this.dropPrefixLengths(key, table, warnings));
+                return;
+            }
+
+            let column = this.cleanup(element, COLUMN_CLEANUPS);
+            column = column.replace(/\bAUTO_INCREMENT\b/i, `IDENTITY(${seed},1)`);
+            column = column.replace(/\s+ON\s+UPDATE\s+(?:CURRENT_TIMESTAMP|NOW|LOCALTIMESTAMP)(?:\s*\(\s*\d*\s*\))?/i, () => {
+                warnings.push({
+                    rule: 'on-update-timestamp',
+                    message: `${table}.${this.unquote(first)}: ON UPDATE CURRENT_TIMESTAMP dropped; SQL Server needs a trigger to update the column`,
+                    severity: 'warning'
+                });
+                return '';
+            });
+            if (/\bGENERATED\s+ALWAYS\b|\bAS\s*\(/i.test(column)) {
+                warnings.push({
+                    rule: 'generated-column',
+                    message: `${table}.${this.unquote(first)}: generated column left as written; SQL Server writes it as name AS (expression) [PERSISTED]`,
+                    severity: 'warning'
+                });
+            }
+            elements.push(column);
+        });
+
+        // A dropped last element leaves its line break to the one before it
+        const trailing = /\s*$/.exec(body)[0];
+        const last = elements.length - 1;
+        if (last >= 0 && !/\s$/.test(elements[last])) elements[last] += trailing;
+
+        return elements.join(',');
+    }
+
+    /**
+     * Convert ALTER TABLE statements: ADD COLUMN, MODIFY, key and foreign key changes
+     */
+    convertAlterTables(code, literals, warnings) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        const edits = [];
+
+        for (let i = 0; i < tokens.length - 1; i++) {
+            if (this.tokenizer.upperWord(tokens[i]) !== 'ALTER' || this.tokenizer.upperWord(tokens[i + 1]) !== 'TABLE') {
+                continue;
+            }
+
+            const end = this.statementEnd(tokens, i);
+            const last = this.isSymbol(tokens[end], ';') ? end - 1 : end;
+            const start = tokens[i].start;
+            const stop = tokens[last].start + tokens[last].value.length;
+            const warningCount = warnings.length;
+            edits.push({ start, end: stop, text: this.convertAlterTable(code.slice(start, stop), warnings) });
+            warnings.slice(warningCount).forEach(warning => Object.assign(warning, { code, offset: start }));
+            i = end;
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Convert a single ALTER TABLE statement
+     * @param {string} statement - Masked statement text without its semicolon
+     * @returns {string} - T-SQL statement
+     */
+    convertAlterTable(statement, warnings) {
+        const header = new RegExp(`^ALTER\\s+TABLE\\s+(${NAME}(?:\\s*\\.\\s*${NAME})?)\\s*`, 'i').exec(statement);
+        if (!header) return statement;
+
+        const tableName = header[1];
+        const table = this.unquote(tableName);
+        let action = statement.slice(header[0].length);
+
+        // ADD [UNIQUE] KEY|INDEX name (cols) -> CREATE [UNIQUE] INDEX name ON table (cols)
+        const index = new RegExp(`^ADD\\s+(UNIQUE\\s+)?(?:KEY|INDEX)\\s+(${NAME})\\s*(\\([\\s\\S]*\\))\\s*$`, 'i').exec(action);
+        if (index) {
+            const columns = this.dropPrefixLengths(this.cleanup(index[3], KEY_CLEANUPS), table, warnings);
+            return `CREATE ${index[1] ? 'UNIQUE ' : ''}INDEX ${index[2]} ON ${tableName} ${columns}`;
+        }
+
+        // DROP INDEX|KEY name -> DROP INDEX name ON table
+        const dropIndex = new RegExp(`^DROP\\s+(?:INDEX|KEY)\\s+(${NAME})\\s*$`, 'i').exec(action);
+        if (dropIndex) return `DROP INDEX ${dropIndex[1]} ON ${tableName}`;
+
+        action = action.replace(/\bDROP\s+FOREIGN\s+KEY\b/gi, 'DROP CONSTRAINT');
+        action = action.replace(/\bDROP\s+PRIMARY\s+KEY\b/gi, () => {
+            warnings.push({
+                rule: 'drop-primary-key',
+                message: `ALTER TABLE ${table} DROP PRIMARY KEY: SQL Server drops the key by its constraint name`,
+                severity: 'warning'
+            });
+            return 'DROP PRIMARY KEY';
+        });
+        action = action.replace(/\bON\s+(DELETE|UPDATE)\s+RESTRICT\b/gi, 'ON $1 NO ACTION');
+        action = this.cleanup(action, KEY_CLEANUPS);
+
+        // MODIFY [COLUMN] c type -> ALTER COLUMN c type
+        action = action.replace(/\bMODIFY\s+(?:COLUMN\s+)?/gi, 'ALTER COLUMN ');
+        if (/\bCHANGE\s+(?:COLUMN\s+)?/i.test(action)) {
+            warnings.push({
+                rule: 'change-column',
+                message: `ALTER TABLE ${table} CHANGE COLUMN: rename with sp_rename and change the type with ALTER COLUMN`,
+                severity: 'error'
+            });
+        }
+
+        // ADD COLUMN a INT AFTER b, ADD COLUMN c INT FIRST -> ADD a INT, c INT
+        action = action.replace(/\s+(?:AFTER\s+(?:\[[^\]]*\]|[\w#@$]+)|FIRST)(?=\s*(?:,|$))/gi, () => {
+            warnings.push({
+                rule: 'column-position',
+                message: `ALTER TABLE ${table}: AFTER/FIRST dropped; SQL Server adds columns at the end`,
+                severity: 'info'
+            });
+            return '';
+        });
+        action = action.replace(/\bADD\s+COLUMN\b/gi, 'ADD');
+        if (/^ADD\s+(?!CONSTRAINT|PRIMARY|UNIQUE|FOREIGN|CHECK|INDEX|KEY)/i.test(action)) {
+            action = action.replace(/,(\s*)ADD\s+(?!CONSTRAINT|PRIMARY|UNIQUE|FOREIGN|CHECK|INDEX|KEY)/gi, ',$1');
+        }
+
+        action = this.cleanup(action, COLUMN_CLEANUPS);
+        action = action.replace(/\s+AUTO_INCREMENT\b(?!\s*=)/gi, () => {
+            warnings.push({
+                rule: 'identity-alter',
+                message: `ALTER TABLE ${table}: AUTO_INCREMENT dropped; SQL Server cannot add IDENTITY to an existing column`,
+                severity: 'warning'
+            });
+            return '';
+        });
+        // ALTER TABLE t AUTO_INCREMENT = 42
+        if (/^AUTO_INCREMENT\s*=?\s*\d+\s*$/i.test(action)) {
+            warnings.push({
+                rule: 'identity-seed',
+                message: `ALTER TABLE ${table} AUTO_INCREMENT: reseed with DBCC CHECKIDENT`,
+                severity: 'info'
+            });
+        }
+
+        return header[0] + action;
+    }
+
+    /**
+     * Drop prefix lengths and index options from CREATE INDEX statements
+     */
+    convertCreateIndexes(code, literals) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        const edits = [];
+
+        for (let i = 0; i < tokens.length - 1; i++) {
+            if (this.tokenizer.upperWord(tokens[i]) !== 'CREATE') continue;
+            const next = this.tokenizer.upperWord(tokens[i + 1]);
+            if (next !== 'INDEX' && !(next === 'UNIQUE' && this.tokenizer.upperWord(tokens[i + 2]) === 'INDEX')) continue;
+
+            const end = this.statementEnd(tokens, i);
+            const last = this.isSymbol(tokens[end], ';') ? end - 1 : end;
+            const start = tokens[i].start;
+            const stop = tokens[last].start + tokens[last].value.length;
+            let statement = this.cleanup(code.slice(start, stop), KEY_CLEANUPS);
+            statement = statement.replace(/\s+(?:ALGORITHM|LOCK)\s*=?\s*\w+/gi, '');
+            edits.push({ start, end: stop, text: this.dropPrefixLengths(statement, null, []) });
+            i = end;
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Convert LIMIT to TOP (n) or ORDER BY ... OFFSET m ROWS FETCH NEXT n ROWS ONLY
+     */
+    convertLimits(code, literals, warnings) {
+        const tokens = this.tokenizer.codeTokens(code, literals);
+        const edits = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            if (this.tokenizer.upperWord(tokens[i]) !== 'LIMIT') continue;
+
+            const limit = this.readLimit(tokens, i);
+            if (!limit) continue;
+            const block = this.findLimitedBlock(tokens, i);
+            if (!block) {
+                warnings.push({
+                    rule: 'limit',
+                    message: `LIMIT ${limit.count} left as written; SQL Server limits rows with TOP or OFFSET ... FETCH`,
+                    severity: 'error',
+                    code,
+                    offset: tokens[i].start
+                });
+                continue;
+            }
+
+            // The LIMIT clause goes with the whitespace before it
+            const clauseStart = tokens[i].start - /\s*$/.exec(code.slice(0, tokens[i].start))[0].length;
+            const clauseEnd = tokens[limit.last].start + tokens[limit.last].value.length;
+            const kind = this.tokenizer.upperWord(tokens[block.start]);
+            const top = /^\d+$/.test(limit.count) ? `TOP ${limit.count} ` : `TOP (${limit.count}) `;
+
+            if (kind === 'SELECT' && limit.offset === null && !block.setOperation) {
+                let after = block.start + 1;
+                if (SELECT_MODIFIERS.includes(this.tokenizer.upperWord(tokens[after]))) after++;
+                edits.push({ start: tokens[after].start, end: tokens[after].start, text: top });
+                edits.push({ start: clauseStart, end: clauseEnd, text: '' });
+            } else if (kind === 'SELECT') {
+                let orderBy = '';
+                if (block.orderBy === null) {
+                    // OFFSET needs an ORDER BY; a set operation can only order by its columns
+                    orderBy = block.setOperation ? ' ORDER BY 1' : ' ORDER BY (SELECT NULL)';
+                    warnings.push({
+                        rule: 'limit-order',
+                        message: `LIMIT ${limit.offset !== null ? `${limit.offset}, ` : ''}${limit.count} without ORDER BY converted with${orderBy}; the rows returned are arbitrary`,
+                        severity: 'warning',
+                        code,
+                        offset: tokens[i].start
+                    });
+                }
+                edits.push({
+                    start: clauseStart,
+                    end: clauseEnd,
+                    text: `${orderBy} OFFSET ${limit.offset !== null ? limit.offset : 0} ROWS FETCH NEXT ${limit.count} ROWS ONLY`
+                });
+            } else {
+                // UPDATE/DELETE TOP (n) cannot be ordered in SQL Server
+                edits.push({ start: tokens[block.start + 1].start, end: tokens[block.start + 1].start, text: `TOP (${limit.count}) ` });
+                const removeFrom = block.orderBy !== null
+                    ? tokens[block.orderBy].start - /\s*$/.exec(code.slice(0, tokens[block.orderBy].start))[0].length
+                    : clauseStart;
+                if (block.orderBy !== null) {
+                    warnings.push({
+                        rule: 'limit-order',
+                        message: `${kind} ... ORDER BY ... LIMIT ${limit.count} converted to ${kind} TOP (${limit.count}) without the ORDER BY; the rows affected are arbitrary`,
+                        severity: 'warning',
+                        code,
+                        offset: tokens[i].start
+                    });
+                }
+                edits.push({ start: removeFrom, end: clauseEnd, text: '' });
+            }
+            i = limit.last;
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Read LIMIT n, LIMIT m, n or LIMIT n OFFSET m
+     * @returns {object|null} - { count, offset, last } with offset null when there is none
+     *   and last the index of the clause's last token
+     */
+    readLimit(tokens, index) {
+        const value = (token) => (token && (['number', 'variable', 'word'].includes(token.type) ||
+            this.isSymbol(token, '?')) ? token.value : null);
+
+        const first = value(tokens[index + 1]);
+        if (first === null) return null;
+        if (this.isSymbol(tokens[index + 2], ',') && value(tokens[index + 3]) !== null) {
+            return { count: tokens[index + 3].value, offset: first, last: index + 3 };
+        }
+        if (this.tokenizer.upperWord(tokens[index + 2]) === 'OFFSET' && value(tokens[index + 3]) !== null) {
+            return { count: first, offset: tokens[index + 3].value, last: index + 3 };
+        }
+        return { count: first, offset: null, last: index + 1 };
+    }
+
+    /**
+     * Find the query a LIMIT belongs to, looking back at the same parenthesis depth
+     * @returns {object|null} - { start, orderBy, setOperation } with the index of its first
+     *   SELECT/UPDATE/DELETE and of its last ORDER BY (or null), or null if there is none
+     */
+    findLimitedBlock(tokens, limitIndex) {
+        const block = { start: null, orderBy: null, setOperation: false };
+        let depth = 0;
+
+        for (let j = limitIndex - 1; j >= 0; j--) {
+            const token = tokens[j];
+            if (this.isSymbol(token, ')')) {
+                depth++;
+                continue;
+            }
+            if (this.isSymbol(token, '(')) {
+                if (depth === 0) break;
+                depth--;
+                continue;
+            }
+            if (depth > 0) continue;
+            if (this.isSymbol(token, ';')) break;
+
+            const word = this.tokenizer.upperWord(token);
+            if (word === 'ORDER' && !block.setOperation && block.orderBy === null) block.orderBy = j;
+            if (SET_OPERATORS.includes(word)) block.setOperation = true;
+            if (word === 'UPDATE' || word === 'DELETE') {
+                block.start = j;
+                break;
+            }
+            if (word === 'SELECT') {
+                block.start = j;
+                // Keep looking back through UNION [ALL] SELECT ...
+                const prev = this.tokenizer.upperWord(tokens[j - 1]);
+                const beforePrev = this.tokenizer.upperWord(tokens[j - 2]);
+                if (!SET_OPERATORS.includes(prev) && !(SELECT_MODIFIERS.includes(prev) && SET_OPERATORS.includes(beforePrev))) break;
+            }
+        }
+
+        return block.start === null ? null : block;
+    }
+
+    /**
+     * Remove prefix lengths from key columns: (name(10), other) -> (name, other)
+     * @param {string|null} table - Table name for the diagnostic, if any
+     */
+    dropPrefixLengths(text, table, warnings) {
+        return text.replace(new RegExp(`(${NAME})\\s*\\(\\s*\\d+\\s*\\)(?=\\s*(?:ASC\\b|DESC\\b)?\\s*[,)])`, 'gi'), (match, name) => {
+            // Keep the arguments of types and functions, e.g. DECIMAL(10) in a CHECK
+            if (!/^\[|^[a-z_][\w$]*$/i.test(name) || /^(?:DECIMAL|NUMERIC|CHAR|VARCHAR|NCHAR|NVARCHAR|BINARY|VARBINARY|FLOAT)$/i.test(name)) {
+                return match;
+            }
+            if (table) {
+                warnings.push({
+                    rule: 'index-prefix',
+                    message: `Key on ${table}: prefix length of ${this.unquote(name)} dropped; SQL Server indexes whole columns of up to 1700 bytes`,
+                    severity: 'info'
+                });
+            }
+            return name;
+        });
+    }
+
+    /**
+     * Write a masked literal back as T-SQL: strings lose their backslash escapes and take
+     * SQL Server quoting, # comments become -- comments
+     * @param {object} token - Token from the literals of mask()
+     * @returns {string} - Output text
+     */
+    render(token) {
+        if (token.converted) return token.value;
+        if (token.type === 'comment') {
+            return token.value.startsWith('#') ? `--${token.value.slice(1)}` : token.value;
+        }
+        if (token.type !== 'string') return token.value;
+
+        const text = this.decode(token);
+        const national = token.unicode || /[^\x00-\x7F]/.test(text);
+        return `${national ? 'N' : ''}'${text.replace(/'/g, '\'\'')}'`;
+    }
+
+    /**
+     * Value of a MySQL string token: '...' or "...", with doubled quotes and backslash escapes
+     */
+    decode(token) {
+        const quoted = token.unicode ? token.value.slice(1) : token.value;
+        const quote = quoted[0];
+        const body = token.unterminated ? quoted.slice(1) : quoted.slice(1, -1);
+        return body.replace(new RegExp(`\\\\([\\s\\S])|${quote}${quote}`, 'g'), (match, escaped) => {
+            if (escaped === undefined) return quote;
+            return ESCAPES[escaped] !== undefined ? ESCAPES[escaped] : escaped;
+        });
+    }
+
+    /**
+     * Find the ; that ends the MySQL statement starting at a token
+     * @returns {number} - Index of the ;, or of the last token before a GO line or the end
+     */
+    statementEnd(tokens, start) {
+        let depth = 0;
+        for (let i = start; i < tokens.length; i++) {
+            if (this.isSymbol(tokens[i], '(')) depth++;
+            if (this.isSymbol(tokens[i], ')')) depth--;
+            if (depth <= 0 && this.isSymbol(tokens[i], ';')) return i;
+            if (i > start && this.tokenizer.upperWord(tokens[i]) === 'GO') return i - 1;
+        }
+        return tokens.length - 1;
+    }
+
+    /**
+     * Split text on commas that are not inside parentheses
+     */
+    splitTopLevel(text) {
+        const parts = [];
+        let depth = 0;
+        let current = '';
+
+        for (const ch of text) {
+            if (ch === '(') depth++;
+            if (ch === ')') depth--;
+            if (ch === ',' && depth === 0) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        parts.push(current);
+
+        return parts;
+    }
+
+    /**
+     * Last part of a name without its brackets, e.g. users for [db].[users]
+     */
+    unquote(name) {
+        const parts = name.match(new RegExp(NAME, 'g')) || [name];
+        return parts[parts.length - 1].replace(/^\[|\]$/g, '');
+    }
+
+    cleanup(text, rules) {
+        return rules.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+    }
+
+    isSymbol(token, value) {
+        return Boolean(token && token.type === 'symbol' && token.value === value);
+    }
+
+    tokenEnd(token) {
+        return token.start + token.value.length;
+    }
+}
+
+module.exports = ReverseConverter;
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SQLConverter = require('./sqlConverter');
+
+/**
+ * Convert MySQL code to T-SQL and return it with the diagnostics
+ */
+function convert(sql) {
+    const converter = new SQLConverter({ from: 'mysql' });
+    return { sql: converter.convertSQL(sql), warnings: converter.warnings };
+}
+
+test('DATE_ADD and DATE_SUB become DATEADD', () => {
+    const { sql, warnings } = convert('SELECT DATE_ADD(`created`, INTERVAL 1 DAY), DATE_SUB(NOW(), INTERVAL 2 HOUR), DATE_SUB(d, INTERVAL n + 1 MONTH) FROM t;');
+    assert.strictEqual(sql, 'SELECT DATEADD(day, 1, [created]), DATEADD(hour, -2, GETDATE()), DATEADD(month, -(n + 1), d) FROM t;');
+    assert.deepStrictEqual(warnings, []);
+});
+
+test('nested DATE_ADD calls are all converted', () => {
+    const { sql } = convert('SELECT DATE_ADD(DATE_ADD(a, INTERVAL 1 DAY), INTERVAL 3 YEAR);');
+    assert.strictEqual(sql, 'SELECT DATEADD(year, 3, DATEADD(day, 1, a));');
+});
+
+test('DATE_ADD with a compound unit is reported', () => {
+    const { sql, warnings } = convert("SELECT DATE_ADD(a, INTERVAL '1:2' DAY_HOUR);");
+    assert.strictEqual(sql, "SELECT DATE_ADD(a, INTERVAL '1:2' DAY_HOUR);");
+    assert.deepStrictEqual(warnings.map(warning => [warning.rule, warning.line, warning.column]), [['date-interval', 1, 8]]);
+});
+
+test('GROUP_CONCAT becomes STRING_AGG', () => {
+    const { sql, warnings } = convert("SELECT GROUP_CONCAT(name ORDER BY name DESC SEPARATOR '; '), GROUP_CONCAT(x) FROM t GROUP BY k;");
+    assert.strictEqual(sql, "SELECT STRING_AGG(name, '; ') WITHIN GROUP (ORDER BY name DESC), STRING_AGG(x, ',') FROM t GROUP BY k;");
+    assert.deepStrictEqual(warnings, []);
+});
+
+test('GROUP_CONCAT DISTINCT with several values is concatenated and reported', () => {
+    const { sql, warnings } = convert("SELECT GROUP_CONCAT(DISTINCT a, '-', b) FROM t;");
+    assert.strictEqual(sql, "SELECT STRING_AGG(CONCAT(a, '-', b), ',') FROM t;");
+    assert.deepStrictEqual(warnings.map(warning => warning.rule), ['group-concat-distinct']);
+});
+
+test('REGEXP and NOT RLIKE are reported where they are written', () => {
+    const { sql, warnings } = convert("SELECT * FROM t\nWHERE name REGEXP '^a' OR name NOT RLIKE 'b';");
+    assert.strictEqual(sql, "SELECT * FROM t\nWHERE name REGEXP '^a' OR name NOT RLIKE 'b';");
+    assert.deepStrictEqual(warnings.map(warning => [warning.rule, warning.severity, warning.line, warning.column]), [
+        ['regexp', 'error', 2, 12],
+        ['regexp', 'error', 2, 32]
+    ]);
+});
@@ -0,0 +1,1577 @@
+const SQLTokenizer = require('./sqlTokenizer');
+const BatchConverter = require('./batchConverter');
+
+const DELIMITER = BatchConverter.ROUTINE_DELIMITER;
+
+const ROUTINE_KINDS = { PROC: 'PROCEDURE', PROCEDURE: 'PROCEDURE', FUNCTION: 'FUNCTION', TRIGGER: 'TRIGGER', VIEW: 'VIEW' };
+
+// MySQL parameters and locals share their namespace with column names, so @names get a prefix
+const PARAMETER_PREFIX = 'p_';
+const VARIABLE_PREFIX = 'v_';
+
+// Label put on a routine body when RETURN has to become LEAVE
+const BODY_LABEL = 'routine_body';
+
+// Words that end an IF or WHILE condition and start the statement it controls
+const STATEMENT_WORDS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'WITH', 'CREATE', 'ALTER', 'DROP', 'TRUNCATE',
+    'DECLARE', 'SET', 'EXEC', 'EXECUTE', 'PRINT', 'IF', 'ELSE', 'WHILE', 'BEGIN', 'END', 'RETURN', 'RAISERROR', 'THROW',
+    'BREAK', 'CONTINUE', 'OPEN', 'CLOSE', 'FETCH', 'DEALLOCATE', 'COMMIT', 'ROLLBACK', 'SAVE', 'WAITFOR', 'GOTO'];
+
+// BEGIN followed by one of these starts a transaction, not a block
+const TRANSACTION_WORDS = ['TRAN', 'TRANSACTION', 'DISTRIBUTED'];
+
+// Words that end the select list of SELECT @x = ...
+const SELECT_CLAUSES = ['FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'UNION', 'EXCEPT', 'INTERSECT', 'LIMIT', 'FOR',
+    'OPTION', 'INTO'];
+
+const JOIN_WORDS = ['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS', 'OUTER', 'APPLY'];
+
+// Words of a query that are not column names, for qualifying columns read from inserted/deleted
+const QUERY_KEYWORDS = ['SELECT', 'DISTINCT', 'ALL', 'TOP', 'AS', 'AND', 'OR', 'NOT', 'XOR', 'NULL', 'IS', 'IN', 'LIKE',
+    'BETWEEN', 'EXISTS', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC',
+    'ON', 'ANY', 'SOME', 'TRUE', 'FALSE', 'COLLATE', 'ESCAPE', 'OVER', 'PARTITION', 'ROWS', 'RANGE', 'LIMIT', 'OFFSET',
+    'INTERVAL', 'MICROSECOND', 'SECOND', 'MINUTE', 'HOUR', 'DAY', 'WEEK', 'MONTH', 'QUARTER', 'YEAR', 'CURRENT_TIMESTAMP',
+    'CURRENT_DATE', 'CURRENT_USER', 'DIV', 'MOD', 'BINARY', 'INTO', 'DUAL', 'NEW', 'OLD'];
+
+const COMPOUND_OPERATORS = ['+=', '-=', '*=', '/=', '%=', '&=', '|=', '^='];
+
+// System functions written as variables, with their MySQL counterpart
+const SYSTEM_VARIABLES = {
+    '@@ROWCOUNT': 'ROW_COUNT()',
+    '@@IDENTITY': 'LAST_INSERT_ID()',
+    '@@SPID': 'CONNECTION_ID()',
+    '@@VERSION': 'VERSION()'
+};
+
+class RoutineConverter {
+    constructor() {
+        this.tokenizer = new SQLTokenizer();
+    }
+
+    /**
+     * Convert procedure, function, trigger and view definitions in masked SQL code
+     * @param {string} code - SQL code with literals and comments masked, after batch conversion
+     * @param {Array<object>} literals - Masked tokens, used to tell comments from strings
+     * @param {Array<object>} warnings - List that receives { rule, message, severity, code, offset } for constructs
+     *   needing review, offset being where the construct, or the statement holding it, starts in code
+     * @returns {string} - Code with routine definitions in MySQL syntax
+     *
+     * Procedures, functions and triggers are found between the DELIMITER lines written by
+     * BatchConverter. Their bodies are rewritten statement by statement, since MySQL needs
+     * every statement terminated and IF/WHILE closed with END IF/END WHILE. EXEC statements
+     * outside routines become CALL statements the same way.
+     */
+    convert(code, literals, warnings = []) {
+        const tokens = this.splitDelimiters(this.tokenizer.codeTokens(code, literals));
+        const edits = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const header = this.readHeader(code, tokens, i);
+            if (!header) {
+                if (this.startsBatchExec(tokens, i)) i = this.convertBatchExec(code, literals, tokens, i, edits, warnings);
+                continue;
+            }
+
+            if (header.kind === 'VIEW') {
+                this.convertView(tokens, header, edits);
+                i = header.nameEnd;
+                continue;
+            }
+
+            // Only whole batches wrapped by BatchConverter are converted, so the routine end is known
+            if (!this.isSymbol(tokens[i - 1], '$')) continue;
+            const end = this.findDelimiter(tokens, header.nameEnd + 1);
+            if (end === -1) {
+                warnings.push({
+                    rule: 'routine-end',
+                    message: `${header.kind} ${header.name}: end of the definition not found; left unconverted`,
+                    severity: 'error',
+                    code,
+                    offset: tokens[i].start
+                });
+                continue;
+            }
+
+            edits.push({
+                start: tokens[i].start,
+                end: this.endOf(tokens[end - 1]),
+                text: this.convertRoutine(code, literals, tokens.slice(0, end), header, warnings)
+            });
+            i = end;
+        }
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Whether token i starts an EXEC statement of its own outside a routine
+     * (not INSERT ... EXEC, IF ... EXEC or EXECUTE AS)
+     */
+    startsBatchExec(tokens, i) {
+        return ['EXEC', 'EXECUTE'].includes(this.tokenizer.upperWord(tokens[i])) && (i === 0 || this.isSymbol(tokens[i - 1], ';')) &&
+            Boolean(tokens[i + 1]) && this.tokenizer.upperWord(tokens[i + 1]) !== 'AS';
+    }
+
+    /**
+     * EXEC proc args outside a routine -> CALL proc(args), as in routine bodies
+     * @returns {number} - Index of the last token of the statement
+     */
+    convertBatchExec(code, literals, tokens, i, edits, warnings) {
+        const warn = (rule, message, severity = 'warning', offset = tokens[i].start) => warnings.push({ rule, message, severity, code, offset });
+        const ctx = this.createContext(code, literals, tokens, { kind: 'BATCH', start: i }, warn, null);
+        const next = this.convertExec(ctx, i, tokens.length - 1);
+        edits.push(...ctx.edits);
+        return next - 1;
+    }
+
+    /**
+     * END$$ and @id$$ tokenize as one word or variable, since $ is a word character in T-SQL;
+     * split the delimiter off
+     */
+    splitDelimiters(tokens) {
+        return tokens.flatMap(token => {
+            if (!['word', 'variable'].includes(token.type) || token.value.length <= DELIMITER.length ||
+                !token.value.endsWith(DELIMITER)) return [token];
+
+            const length = token.value.length - DELIMITER.length;
+            return [{ ...token, value: token.value.slice(0, length) }].concat(DELIMITER.split('').map((value, k) => ({
+                type: 'symbol',
+                value,
+                start: token.start + length + k,
+                line: token.line,
+                column: token.column + length + k
+            })));
+        });
+    }
+
+    /**
+     * Recognize CREATE [OR ALTER] | ALTER PROCEDURE, FUNCTION, TRIGGER or VIEW at the given token
+     * @returns {object|null} - { kind, start, orAlter, replace, keywordIndex, nameStart, nameEnd, name }, or null
+     */
+    readHeader(code, tokens, i) {
+        const word = this.tokenizer.upperWord(tokens[i]);
+        if (word !== 'CREATE' && word !== 'ALTER') return null;
+
+        const orAlter = word === 'CREATE' && this.tokenizer.upperWord(tokens[i + 1]) === 'OR' &&
+            this.tokenizer.upperWord(tokens[i + 2]) === 'ALTER';
+        const keywordIndex = orAlter ? i + 3 : i + 1;
+        const kind = ROUTINE_KINDS[this.tokenizer.upperWord(tokens[keywordIndex])];
+        if (!kind || !tokens[keywordIndex + 1]) return null;
+
+        let nameEnd = keywordIndex + 1;
+        while (this.isSymbol(tokens[nameEnd + 1], '.') && tokens[nameEnd + 2]) nameEnd += 2;
+
+        return {
+            kind,
+            start: i,
+            orAlter,
+            replace: orAlter || word === 'ALTER',
+            keywordIndex,
+            nameStart: keywordIndex + 1,
+            nameEnd,
+            name: code.slice(tokens[keywordIndex + 1].start, this.endOf(tokens[nameEnd]))
+        };
+    }
+
+    /**
+     * Find the routine delimiter closing a wrapped batch, without running into the next batch
+     * @returns {number} - Index of the first token of the delimiter, or -1
+     */
+    findDelimiter(tokens, start) {
+        for (let j = start; j < tokens.length - 1; j++) {
+            if (this.tokenizer.upperWord(tokens[j]) === 'DELIMITER') return -1;
+            if (this.isSymbol(tokens[j], '$') && this.isSymbol(tokens[j + 1], '$') && tokens[j + 1].start === tokens[j].start + 1) {
+                return j;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * CREATE OR ALTER VIEW -> CREATE OR REPLACE VIEW, without WITH SCHEMABINDING and friends
+     */
+    convertView(tokens, header, edits) {
+        if (header.orAlter) {
+            edits.push({ start: tokens[header.start].start, end: this.endOf(tokens[header.keywordIndex - 1]), text: 'CREATE OR REPLACE' });
+        }
+
+        let k = header.nameEnd + 1;
+        if (this.isSymbol(tokens[k], '(')) k = this.tokenizer.findClosingParen(tokens, k) + 1;
+        if (this.tokenizer.upperWord(tokens[k]) === 'WITH') {
+            const as = this.findBodyAs(tokens, k);
+            if (as !== -1) edits.push({ start: this.endOf(tokens[k - 1]), end: tokens[as].start, text: ' ' });
+        }
+    }
+
+    /**
+     * Convert one procedure, function or trigger
+     * @param {Array<object>} tokens - Code tokens up to the end of the routine
+     * @returns {string} - MySQL definition; a trigger on several events becomes one trigger per event
+     */
+    convertRoutine(code, literals, tokens, header, warnings) {
+        const start = tokens[header.start].start;
+        const end = this.endOf(tokens[tokens.length - 1]);
+        const title = `${header.kind.charAt(0)}${header.kind.slice(1).toLowerCase()} ${header.name}`;
+        const warn = (rule, message, severity = 'warning', offset = start) => warnings.push({ rule, message: `${title}: ${message}`, severity, code, offset });
+
+        if (header.kind === 'TRIGGER') {
+            const trigger = this.readTrigger(code, tokens, header);
+            if (!trigger) {
+                warn('ddl-trigger', 'database and server triggers have no MySQL equivalent; left unchanged', 'error');
+                return code.slice(start, end);
+            }
+            if (trigger.insteadOf) {
+                warn('instead-of-trigger', 'INSTEAD OF triggers have no MySQL equivalent; converted to BEFORE, which cannot skip the original statement');
+            }
+            if (trigger.events.length > 1) {
+                warn('trigger-events', `MySQL triggers fire on one event; created one trigger per event (${trigger.events.join(', ')})`);
+            }
+
+            // The body is converted once per event; report what it finds once
+            const reported = new Set();
+            const warnOnce = (rule, message, severity, offset) => {
+                const key = `${rule} ${offset} ${message}`;
+                if (reported.has(key)) return;
+                reported.add(key);
+                warn(rule, message, severity, offset);
+            };
+            return trigger.events.map(event => {
+                const ctx = this.createContext(code, literals, tokens, header, warnOnce, event);
+                this.convertTriggerHeader(ctx, trigger, event);
+                this.convertBody(ctx, trigger.as + 1);
+                return this.render(ctx, start, end);
+            }).join(`${DELIMITER}\n\n`);
+        }
+
+        const ctx = this.createContext(code, literals, tokens, header, warn, null);
+        const bodyStart = header.kind === 'FUNCTION' ? this.convertFunctionHeader(ctx) : this.convertProcedureHeader(ctx);
+        if (bodyStart === -1) return code.slice(start, end);
+
+        this.convertBody(ctx, bodyStart);
+        return this.render(ctx, start, end);
+    }
+
+    /**
+     * State shared by the steps converting one routine; edits use offsets into the whole code.
+     * Warnings are located at position, the start of the parameter, token or statement being converted.
+     */
+    createContext(code, literals, tokens, header, warn, event) {
+        const ctx = {
+            code,
+            literals,
+            tokens,
+            header,
+            warn: (rule, message, severity) => warn(rule, message, severity, ctx.position),
+            position: tokens[header.start].start,
+            event,
+            edits: [],
+            sequence: 0,
+            variables: new Map(),
+            declarations: new Map(),
+            cursors: [],
+            handlers: [],
+            loops: [],
+            loopCount: 0,
+            depth: 0,
+            savepoints: new Set(),
+            needsBodyLabel: false,
+            fetchStatus: false
+        };
+        return ctx;
+    }
+
+    /**
+     * CREATE OR ALTER / ALTER -> DROP ... IF EXISTS followed by CREATE, since MySQL cannot redefine a routine
+     */
+    convertCreate(ctx, name) {
+        const { tokens, header } = ctx;
+        const create = `CREATE ${header.kind}`;
+        const text = header.replace ? `DROP ${header.kind} IF EXISTS ${name}${DELIMITER}\n${create}` : create;
+        this.replaceRange(ctx, tokens[header.start].start, this.endOf(tokens[header.keywordIndex]), text);
+    }
+
+    /**
+     * CREATE PROCEDURE name @a INT, @b INT OUTPUT [WITH ...] AS -> CREATE PROCEDURE name(IN p_a INT, INOUT p_b INT)
+     * @returns {number} - Index of the first body token, or -1 if the header is not understood
+     */
+    convertProcedureHeader(ctx) {
+        const { tokens, header } = ctx;
+        this.convertCreate(ctx, header.name);
+
+        const next = this.convertParameters(ctx, header.nameEnd + 1);
+        const as = this.findBodyAs(tokens, next);
+        if (as === -1) return -1;
+
+        // WITH RECOMPILE, WITH EXECUTE AS ..., FOR REPLICATION and AS itself
+        this.replaceRange(ctx, this.endOf(tokens[next - 1]), this.endOf(tokens[as]), '');
+        return as + 1;
+    }
+
+    /**
+     * CREATE FUNCTION name(@a INT) RETURNS type [WITH ...] AS -> CREATE FUNCTION name(p_a INT) RETURNS type READS SQL DATA
+     * @returns {number} - Index of the first body token, or -1 for table-valued functions
+     */
+    convertFunctionHeader(ctx) {
+        const { tokens, header } = ctx;
+        const next = this.convertParameters(ctx, header.nameEnd + 1);
+        if (this.tokenizer.upperWord(tokens[next]) !== 'RETURNS' || !tokens[next + 1]) return -1;
+
+        if (this.tokenizer.upperWord(tokens[next + 1]) === 'TABLE' || tokens[next + 1].type === 'variable') {
+            ctx.warn('table-valued-function', 'table-valued functions have no MySQL equivalent; left unchanged (consider a view or a procedure)', 'error');
+            return -1;
+        }
+
+        const as = this.findBodyAs(tokens, next + 2);
+        if (as === -1) return -1;
+        const options = this.findWord(tokens, next + 2, 'WITH', as);
+        const typeEnd = options === -1 ? as - 1 : options - 1;
+
+        this.convertCreate(ctx, header.name);
+        // Binary logging refuses functions that do not declare what they do with data
+        this.replaceRange(ctx, this.endOf(tokens[typeEnd]), this.endOf(tokens[as]), '\nREADS SQL DATA');
+        return as + 1;
+    }
+
+    /**
+     * Rewrite a parameter list, parenthesized or not, into MySQL parameters
+     * @param {number} start - Index of the token after the routine name
+     * @returns {number} - Index of the first token after the list
+     */
+    convertParameters(ctx, start) {
+        const { tokens, header } = ctx;
+        const parenthesized = this.isSymbol(tokens[start], '(');
+        const items = [];
+        let itemStart = parenthesized ? start + 1 : start;
+        let depth = 0;
+        let j = itemStart;
+
+        for (; j < tokens.length; j++) {
+            const token = tokens[j];
+            const word = this.tokenizer.upperWord(token);
+            if (this.isSymbol(token, '(')) depth++;
+            if (this.isSymbol(token, ')')) {
+                if (depth === 0) break;
+                depth--;
+            }
+            if (depth > 0) continue;
+
+            // Without parentheses the list ends at the routine options or AS (but not @p AS type)
+            if (!parenthesized && (['WITH', 'FOR', 'RETURNS'].includes(word) || (word === 'AS' && tokens[j - 1].type !== 'variable'))) break;
+            if (this.isSymbol(token, ',')) {
+                items.push([itemStart, j - 1]);
+                itemStart = j + 1;
+            }
+        }
+        if (j > itemStart) items.push([itemStart, j - 1]);
+
+        items.forEach(([a, b]) => {
+            if (tokens[a].type !== 'variable') return;
+            ctx.position = tokens[a].start;
+
+            const name = PARAMETER_PREFIX + tokens[a].value.slice(1);
+            ctx.variables.set(tokens[a].value.toLowerCase(), name);
+
+            // @p [AS] type [= default] [OUT | OUTPUT] [READONLY]
+            const typeStart = this.tokenizer.upperWord(tokens[a + 1]) === 'AS' ? a + 2 : a + 1;
+            let typeEnd = b;
+            let mode = 'IN';
+            let inType = true;
+            for (let k = typeStart; k <= b; k++) {
+                const word = this.tokenizer.upperWord(tokens[k]);
+                const endsType = this.isSymbol(tokens[k], '=') || ['OUT', 'OUTPUT', 'READONLY'].includes(word);
+                if (inType && endsType) {
+                    typeEnd = k - 1;
+                    inType = false;
+                }
+                if (this.isSymbol(tokens[k], '=')) {
+                    ctx.warn('parameter-default', `default value of ${tokens[a].value} dropped; MySQL parameters have no defaults, so callers must pass it`);
+                }
+                if (word === 'OUT' || word === 'OUTPUT') mode = 'INOUT';
+                if (word === 'READONLY') {
+                    ctx.warn('table-valued-parameter', `${tokens[a].value} is a table-valued parameter, which MySQL does not support`);
+                }
+            }
+
+            const type = ctx.code.slice(tokens[typeStart].start, this.endOf(tokens[typeEnd]));
+            const text = (header.kind === 'PROCEDURE' ? `${mode} ` : '') + `${name} ${type}`;
+            this.replaceRange(ctx, tokens[a].start, this.endOf(tokens[b]), text);
+        });
+
+        if (parenthesized) return j + 1;
+
+        // name @a INT -> name(IN p_a INT), keeping a line break before the first parameter
+        if (j > start && !ctx.code.slice(this.endOf(tokens[start - 1]), tokens[start].start).includes('\n')) {
+            this.replaceRange(ctx, this.endOf(tokens[start - 1]), tokens[start].start, '(');
+        } else {
+            this.insert(ctx, this.endOf(tokens[start - 1]), '(');
+        }
+        this.insert(ctx, this.endOf(tokens[j - 1]), ')');
+        return j;
+    }
+
+    /**
+     * Read ON table {FOR | AFTER | INSTEAD OF} events ... AS of a DML trigger
+     * @returns {object|null} - { table, insteadOf, timing, events, as }, or null for DDL triggers
+     */
+    readTrigger(code, tokens, header) {
+        const on = header.nameEnd + 1;
+        if (this.tokenizer.upperWord(tokens[on]) !== 'ON' || ['DATABASE', 'ALL'].includes(this.tokenizer.upperWord(tokens[on + 1]))) {
+            return null;
+        }
+
+        let tableEnd = on + 1;
+        while (this.isSymbol(tokens[tableEnd + 1], '.') && tokens[tableEnd + 2]) tableEnd += 2;
+
+        const as = this.findBodyAs(tokens, tableEnd + 1);
+        if (as === -1) return null;
+
+        const trigger = { table: code.slice(tokens[on + 1].start, this.endOf(tokens[tableEnd])), insteadOf: false, events: [], as };
+        for (let j = tableEnd + 1; j < as; j++) {
+            const word = this.tokenizer.upperWord(tokens[j]);
+            if (word === 'INSTEAD') trigger.insteadOf = true;
+            if (['INSERT', 'UPDATE', 'DELETE'].includes(word) && !trigger.events.includes(word)) trigger.events.push(word);
+        }
+        trigger.timing = trigger.insteadOf ? 'BEFORE' : 'AFTER';
+
+        return trigger.events.length > 0 ? trigger : null;
+    }
+
+    /**
+     * CREATE TRIGGER name ON table AFTER INSERT, UPDATE AS -> CREATE TRIGGER name_insert AFTER INSERT ON table FOR EACH ROW
+     */
+    convertTriggerHeader(ctx, trigger, event) {
+        const { tokens, header } = ctx;
+        let name = header.name;
+
+        if (trigger.events.length > 1) {
+            const last = tokens[header.nameEnd];
+            const suffix = `_${event.toLowerCase()}`;
+            const text = last.type === 'identifier'
+                ? last.value.slice(0, -1) + suffix + last.value.slice(-1)
+                : last.value + suffix;
+            this.replaceRange(ctx, last.start, this.endOf(last), text);
+            name = ctx.code.slice(tokens[header.nameStart].start, last.start) + text;
+        }
+
+        this.convertCreate(ctx, name);
+        this.replaceRange(ctx, this.endOf(tokens[header.nameEnd]), this.endOf(tokens[trigger.as]),
+            ` ${trigger.timing} ${event} ON ${trigger.table} FOR EACH ROW`);
+    }
+
+    /**
+     * Convert a routine body, from the token after AS to the end of the routine
+     *
+     * Variable declarations are moved to the top of the body, where MySQL requires them,
+     * followed by cursors and handlers; initial values stay in place as SET statements.
+     */
+    convertBody(ctx, start) {
+        const { tokens } = ctx;
+        const end = tokens.length - 1;
+        if (start > end) return;
+
+        this.collectVariables(ctx, start, end);
+        this.rewriteTokens(ctx, start, end);
+
+        const outer = this.isBlockBegin(tokens, start) && this.findBlockEnd(tokens, start) === end;
+        const first = outer ? start + 1 : start;
+        const last = outer ? end - 1 : end;
+        this.parseStatements(ctx, first, last);
+
+        const indent = first <= last ? this.indentAt(ctx, first) : '    ';
+        const declarations = [...ctx.declarations.values(), ...ctx.cursors, ...ctx.handlers]
+            .map(declaration => `\n${indent}${declaration}`).join('');
+        const label = ctx.needsBodyLabel ? `${BODY_LABEL}: ` : '';
+        const endLabel = ctx.needsBodyLabel ? ` ${BODY_LABEL}` : '';
+
+        if (outer) {
+            if (label) this.insert(ctx, tokens[start].start, label, true);
+            this.insert(ctx, this.endOf(tokens[start]), declarations);
+            this.insert(ctx, this.endOf(tokens[end]), endLabel);
+        } else {
+            this.insert(ctx, this.endOf(tokens[start - 1]), `\n${label}BEGIN${declarations}`);
+            this.insert(ctx, this.endOf(tokens[end]), `\nEND${endLabel}`);
+        }
+    }
+
+    /**
+     * Give every DECLAREd variable its MySQL name before statements refer to it
+     */
+    collectVariables(ctx, start, end) {
+        const { tokens } = ctx;
+        for (let i = start; i <= end; i++) {
+            if (this.tokenizer.upperWord(tokens[i]) !== 'DECLARE') continue;
+
+            this.splitList(tokens, i + 1, this.statementEnd(ctx, i, end)).forEach(([a]) => {
+                if (tokens[a].type === 'variable') {
+                    ctx.variables.set(tokens[a].value.toLowerCase(), VARIABLE_PREFIX + tokens[a].value.slice(1));
+                }
+            });
+        }
+    }
+
+    /**
+     * Rewrite single names in the body: variables, system functions, temporary tables,
+     * and in triggers the inserted/deleted pseudo tables
+     */
+    rewriteTokens(ctx, start, end) {
+        const { tokens } = ctx;
+        const rows = ctx.header.kind === 'TRIGGER' ? this.findRowAliases(tokens, start, end) : null;
+
+        for (let i = start; i <= end; i++) {
+            const token = tokens[i];
+            const word = this.tokenizer.upperWord(token);
+            const next = tokens[i + 1];
+            ctx.position = token.start;
+
+            if (token.type === 'variable') {
+                const name = token.value.toUpperCase();
+                if (name === '@@FETCH_STATUS') {
+                    // SQL Server sets @@FETCH_STATUS on every FETCH; MySQL signals NOT FOUND instead
+                    if (!ctx.fetchStatus) {
+                        ctx.fetchStatus = true;
+                        this.declare(ctx, 'v_fetch_status', 'INT DEFAULT 0');
+                        ctx.handlers.push('DECLARE CONTINUE HANDLER FOR NOT FOUND SET v_fetch_status = -1;');
+                    }
+                    this.replaceToken(ctx, token, 'v_fetch_status');
+                } else if (SYSTEM_VARIABLES[name]) {
+                    this.replaceToken(ctx, token, SYSTEM_VARIABLES[name]);
+                } else if (name.startsWith('@@')) {
+                    ctx.warn('system-variable', `${token.value} has no MySQL equivalent`);
+                } else if (ctx.variables.has(token.value.toLowerCase())) {
+                    this.replaceToken(ctx, token, ctx.variables.get(token.value.toLowerCase()));
+                }
+                continue;
+            }
+
+            if (word === 'SCOPE_IDENTITY' && this.isSymbol(next, '(')) {
+                this.replaceToken(ctx, token, 'LAST_INSERT_ID');
+            }
+
+            // Error details inside CATCH come from GET DIAGNOSTICS in the handler
+            if ((word === 'ERROR_MESSAGE' || word === 'ERROR_NUMBER') && this.isSymbol(next, '(') && this.isSymbol(tokens[i + 2], ')')) {
+                this.declare(ctx, 'v_error_number', 'INT');
+                this.declare(ctx, 'v_error_message', 'TEXT');
+                this.replaceRange(ctx, token.start, this.endOf(tokens[i + 2]), word === 'ERROR_MESSAGE' ? 'v_error_message' : 'v_error_number');
+                i += 2;
+                continue;
+            }
+            if (['ERROR_SEVERITY', 'ERROR_STATE', 'ERROR_LINE', 'ERROR_PROCEDURE'].includes(word) && this.isSymbol(next, '(')) {
+                ctx.warn('error-function', `${token.value}() has no MySQL equivalent`);
+            }
+
+            // #temp -> temp, CREATE/DROP TABLE #temp -> CREATE/DROP TEMPORARY TABLE temp
+            if (token.type === 'word' && token.value.startsWith('#')) {
+                if (token.value.startsWith('##')) {
+                    ctx.warn('global-temporary-table', `${token.value} is visible to other sessions in SQL Server; MySQL temporary tables are not`);
+                }
+                this.replaceToken(ctx, token, token.value.replace(/^#+/, ''));
+
+                let table = i - 1;
+                if (this.tokenizer.upperWord(tokens[table]) === 'EXISTS' && this.tokenizer.upperWord(tokens[table - 1]) === 'IF') table -= 2;
+                if (this.tokenizer.upperWord(tokens[table]) === 'TABLE' && ['CREATE', 'DROP'].includes(this.tokenizer.upperWord(tokens[table - 1]))) {
+                    this.replaceToken(ctx, tokens[table], 'TEMPORARY TABLE');
+                }
+                if (this.tokenizer.upperWord(tokens[i - 1]) === 'INTO' && this.tokenizer.upperWord(tokens[i - 2]) !== 'INSERT') {
+                    ctx.warn('select-into-table', `SELECT ... INTO ${token.value} creates a table in SQL Server; use CREATE TEMPORARY TABLE ... AS SELECT`);
+                }
+                continue;
+            }
+
+            if (rows) i = this.rewriteTriggerToken(ctx, i, rows);
+        }
+    }
+
+    /**
+     * Map inserted/deleted and their aliases to NEW/OLD
+     * @returns {Map<string, string>} - Lower-case name or alias -> 'NEW' or 'OLD'
+     */
+    findRowAliases(tokens, start, end) {
+        const rows = new Map([['inserted', 'NEW'], ['deleted', 'OLD']]);
+
+        for (let i = start; i <= end; i++) {
+            const row = rows.get((tokens[i].type === 'word' && tokens[i].value.toLowerCase()) || '');
+            if (!row || !['FROM', 'JOIN'].includes(this.tokenizer.upperWord(tokens[i - 1]))) continue;
+
+            const alias = this.readAlias(tokens, i);
+            if (alias !== i) rows.set(tokens[alias].value.toLowerCase(), row);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Index of the alias after a table source ([AS] alias), or the table index itself
+     */
+    readAlias(tokens, table) {
+        const index = this.tokenizer.upperWord(tokens[table + 1]) === 'AS' ? table + 2 : table + 1;
+        const word = this.tokenizer.upperWord(tokens[index]);
+        const isAlias = word && !SELECT_CLAUSES.includes(word) && !JOIN_WORDS.includes(word) &&
+            !STATEMENT_WORDS.includes(word) && !['ON', 'AS', 'WITH'].includes(word);
+        return isAlias ? index : table;
+    }
+
+    /**
+     * Rewrite inserted.col / alias.col, FROM inserted and IF UPDATE(col) for one trigger event
+     * @returns {number} - Index of the last token handled
+     */
+    rewriteTriggerToken(ctx, i, rows) {
+        const { tokens, event } = ctx;
+        const token = tokens[i];
+        const word = this.tokenizer.upperWord(token);
+        const row = token.type === 'word' ? rows.get(token.value.toLowerCase()) : null;
+        const eventTrigger = `${event === 'INSERT' ? 'an' : 'a'} ${event}`;
+
+        if (row && this.isSymbol(tokens[i + 1], '.') && !this.isSymbol(tokens[i - 1], '.')) {
+            if ((row === 'NEW' && event === 'DELETE') || (row === 'OLD' && event === 'INSERT')) {
+                ctx.warn('trigger-row', `${token.value}.${tokens[i + 2].value} refers to ${row}, which does not exist in ${eventTrigger} trigger`);
+            }
+            this.replaceToken(ctx, token, row);
+            return i;
+        }
+
+        // FROM inserted [AS] i: the changed rows become the current row
+        if ((word === 'INSERTED' || word === 'DELETED') && ['FROM', 'JOIN'].includes(this.tokenizer.upperWord(tokens[i - 1]))) {
+            const last = this.readAlias(tokens, i);
+            const joined = this.tokenizer.upperWord(tokens[i - 1]) === 'JOIN' || this.isSymbol(tokens[last + 1], ',') ||
+                JOIN_WORDS.includes(this.tokenizer.upperWord(tokens[last + 1]));
+            if (joined) {
+                ctx.warn('trigger-row-set', `${token.value} is joined as a table; MySQL triggers run once per row, so rewrite the join with NEW/OLD columns`);
+                return last;
+            }
+
+            const query = this.findQueryBounds(tokens, i - 1, last);
+            if (query.star) {
+                ctx.warn('trigger-row-set', `SELECT * FROM ${token.value} cannot be expanded to NEW/OLD columns; list the columns`, 'error');
+                return last;
+            }
+            if ((row === 'NEW' && event === 'DELETE') || (row === 'OLD' && event === 'INSERT')) {
+                ctx.warn('trigger-row', `${token.value} refers to ${row}, which does not exist in ${eventTrigger} trigger`);
+            }
+            // Unqualified columns of the query read the current row
+            for (let k = query.start; k <= query.end; k++) {
+                if (k < i - 1 || k > last) {
+                    if (this.isColumnReference(tokens, k)) this.replaceToken(ctx, tokens[k], `${row}.${tokens[k].value}`);
+                }
+            }
+            this.replaceRange(ctx, token.start, this.endOf(tokens[last]), 'DUAL');
+            return last;
+        }
+
+        // IF UPDATE(col) is true for every column of an INSERT
+        if (word === 'UPDATE' && this.isSymbol(tokens[i + 1], '(') && this.isSymbol(tokens[i + 3], ')')) {
+            const column = tokens[i + 2].value;
+            const text = { INSERT: 'TRUE', UPDATE: `NOT (OLD.${column} <=> NEW.${column})`, DELETE: 'FALSE' }[event];
+            this.replaceRange(ctx, token.start, this.endOf(tokens[i + 3]), text);
+            return i + 3;
+        }
+
+        if (word === 'COLUMNS_UPDATED') {
+            ctx.warn('trigger-columns-updated', 'COLUMNS_UPDATED() has no MySQL equivalent; compare OLD and NEW columns');
+        }
+        return i;
+    }
+
+    /**
+     * Find the query a FROM clause belongs to, at the same parenthesis depth
+     * @param {number} from - Index of FROM
+     * @param {number} last - Index of the last token of the table source
+     * @returns {object} - { start, end, star }: indexes of the tokens after SELECT and of the
+     *   last token of the query, and whether the select list holds a *
+     */
+    findQueryBounds(tokens, from, last) {
+        let start = from;
+        let depth = 0;
+        for (let k = from - 1; k >= 0; k--) {
+            if (this.isSymbol(tokens[k], ')')) depth++;
+            if (this.isSymbol(tokens[k], '(')) {
+                if (depth === 0) break;
+                depth--;
+            }
+            if (depth === 0 && this.tokenizer.upperWord(tokens[k]) === 'SELECT') {
+                start = k + 1;
+                break;
+            }
+        }
+
+        let end = last;
+        depth = 0;
+        for (let k = last + 1; k < tokens.length; k++) {
+            const word = this.tokenizer.upperWord(tokens[k]);
+            if (this.isSymbol(tokens[k], '(')) depth++;
+            if (this.isSymbol(tokens[k], ')')) {
+                if (depth === 0) break;
+                depth--;
+            }
+            if (depth === 0 && (this.isSymbol(tokens[k], ';') || this.isSymbol(tokens[k], '$') ||
+                (STATEMENT_WORDS.includes(word) && word !== 'END') || ['UNION', 'EXCEPT', 'INTERSECT'].includes(word))) break;
+            end = k;
+        }
+
+        const star = tokens.slice(start, from).some((token, k) => this.isSymbol(token, '*') &&
+            (k === 0 || this.isSymbol(tokens[start + k - 1], ',') || this.isSymbol(tokens[start + k - 1], '.')));
+        return { start, end, star };
+    }
+
+    /**
+     * Whether a word is an unqualified column name: not a keyword, function, alias, or part of a dotted name
+     */
+    isColumnReference(tokens, k) {
+        const word = this.tokenizer.upperWord(tokens[k]);
+        if (!word && tokens[k].type !== 'identifier') return false;
+        if (word && QUERY_KEYWORDS.includes(word)) return false;
+        return !this.isSymbol(tokens[k + 1], '(') && !this.isSymbol(tokens[k + 1], '.') && !this.isSymbol(tokens[k - 1], '.') &&
+            this.tokenizer.upperWord(tokens[k - 1]) !== 'AS';
+    }
+
+    /**
+     * Convert the statements between two token indexes (inclusive)
+     */
+    parseStatements(ctx, start, end) {
+        let i = start;
+        while (i <= end) {
+            i = this.parseStatement(ctx, i, end);
+        }
+    }
+
+    /**
+     * Convert the statement starting at the given token
+     * @returns {number} - Index of the token after the statement
+     */
+    parseStatement(ctx, i, end) {
+        const { tokens } = ctx;
+        const token = tokens[i];
+        ctx.position = token.start;
+        const word = this.tokenizer.upperWord(token);
+
+        if (this.isSymbol(token, ';')) return i + 1;
+
+        // name: labels are only targets of GOTO
+        if (token.type === 'word' && this.isSymbol(tokens[i + 1], ':')) {
+            ctx.warn('goto', `label ${token.value} has no MySQL equivalent`);
+            return i + 2;
+        }
+
+        switch (word) {
+            case 'BEGIN': {
+                const next = this.tokenizer.upperWord(tokens[i + 1]);
+                if (next === 'TRY') return this.convertTryCatch(ctx, i, end);
+                if (TRANSACTION_WORDS.includes(next)) return this.convertTransaction(ctx, i, end);
+                return this.convertBlock(ctx, i, end);
+            }
+            case 'IF':
+                return this.convertIf(ctx, i, end);
+            case 'WHILE':
+                return this.convertWhile(ctx, i, end);
+            case 'DECLARE':
+                return this.convertDeclare(ctx, i, end);
+            case 'SET':
+                return this.convertSet(ctx, i, end);
+            case 'SELECT':
+                return this.convertSelect(ctx, i, end);
+            case 'PRINT':
+                return this.convertPrint(ctx, i, end);
+            case 'RAISERROR':
+                return this.convertRaiserror(ctx, i, end);
+            case 'THROW':
+                return this.convertThrow(ctx, i, end);
+            case 'RETURN':
+                return this.convertReturn(ctx, i, end);
+            case 'EXEC':
+            case 'EXECUTE':
+                return this.convertExec(ctx, i, end);
+            case 'FETCH':
+                return this.convertFetch(ctx, i, end);
+            case 'BREAK':
+            case 'CONTINUE':
+                return this.convertLoopControl(ctx, i, end);
+            case 'COMMIT':
+            case 'ROLLBACK':
+            case 'SAVE':
+                return this.convertTransaction(ctx, i, end);
+            case 'WAITFOR':
+                return this.convertWaitfor(ctx, i, end);
+            case 'DEALLOCATE': {
+                // MySQL cursors are released by CLOSE
+                const last = this.statementEnd(ctx, i, end);
+                this.replaceStatement(ctx, i, last, '');
+                return last + 1;
+            }
+            case 'GOTO':
+                ctx.warn('goto', 'GOTO has no MySQL equivalent');
+                return this.terminate(ctx, this.statementEnd(ctx, i, end));
+            default:
+                return this.terminate(ctx, this.statementEnd(ctx, i, end));
+        }
+    }
+
+    /**
+     * BEGIN ... END used as a plain block
+     */
+    convertBlock(ctx, i, end) {
+        const branch = this.parseBranch(ctx, i, end);
+        if (branch.block && !branch.semicolon) this.insert(ctx, this.endOf(ctx.tokens[branch.end]), ';');
+        return branch.next;
+    }
+
+    /**
+     * IF cond stmt [ELSE IF cond stmt ...] [ELSE stmt] -> IF cond THEN ... [ELSEIF ...] [ELSE ...] END IF;
+     */
+    convertIf(ctx, i, end) {
+        const { tokens } = ctx;
+        const indent = this.indentAt(ctx, i);
+        let ifIndex = i;
+
+        for (;;) {
+            const condition = this.conditionEnd(tokens, ifIndex, end);
+            const branch = this.parseBranch(ctx, condition + 1, end);
+            this.openBranch(ctx, condition, branch, ' THEN');
+
+            const elseIndex = branch.next;
+            if (elseIndex > end || this.tokenizer.upperWord(tokens[elseIndex]) !== 'ELSE') {
+                this.closeBranch(ctx, branch, 'END IF', indent);
+                return branch.next;
+            }
+
+            this.closeBranch(ctx, branch, null, indent, tokens[elseIndex]);
+            if (this.tokenizer.upperWord(tokens[elseIndex + 1]) === 'IF') {
+                this.replaceRange(ctx, tokens[elseIndex].start, this.endOf(tokens[elseIndex + 1]), 'ELSEIF');
+                ifIndex = elseIndex + 1;
+                continue;
+            }
+
+            const elseBranch = this.parseBranch(ctx, elseIndex + 1, end);
+            this.openBranch(ctx, elseIndex, elseBranch, '');
+            this.closeBranch(ctx, elseBranch, 'END IF', indent);
+            return elseBranch.next;
+        }
+    }
+
+    /**
+     * WHILE cond stmt -> [label:] WHILE cond DO ... END WHILE [label];
+     */
+    convertWhile(ctx, i, end) {
+        const { tokens } = ctx;
+        const condition = this.conditionEnd(tokens, i, end);
+        const loop = { label: null };
+
+        ctx.loops.push(loop);
+        const branch = this.parseBranch(ctx, condition + 1, end);
+        ctx.loops.pop();
+
+        this.openBranch(ctx, condition, branch, ' DO');
+        this.closeBranch(ctx, branch, loop.label ? `END WHILE ${loop.label}` : 'END WHILE', this.indentAt(ctx, i));
+        if (loop.label) this.insert(ctx, tokens[i].start, `${loop.label}: `, true);
+        return branch.next;
+    }
+
+    /**
+     * BREAK / CONTINUE -> LEAVE / ITERATE of the enclosing loop, which gets a label
+     */
+    convertLoopControl(ctx, i, end) {
+        const last = this.statementEnd(ctx, i, end);
+        const loop = ctx.loops[ctx.loops.length - 1];
+        if (loop) {
+            if (!loop.label) loop.label = `loop_${++ctx.loopCount}`;
+            const keyword = this.tokenizer.upperWord(ctx.tokens[i]) === 'BREAK' ? 'LEAVE' : 'ITERATE';
+            this.replaceToken(ctx, ctx.tokens[i], `${keyword} ${loop.label}`);
+        }
+        return this.terminate(ctx, last);
+    }
+
+    /**
+     * Parse the statement controlled by IF, ELSE or WHILE: a BEGIN ... END block or a single statement
+     * @returns {object} - { block, start, end, semicolon, next } with end as the index of END or the last token
+     */
+    parseBranch(ctx, i, end) {
+        const { tokens } = ctx;
+        if (i > end) return { block: false, end: i - 1, next: i, empty: true };
+
+        ctx.depth++;
+        let branch;
+        if (this.isBlockBegin(tokens, i)) {
+            const blockEnd = Math.min(this.findBlockEnd(tokens, i), end);
+            this.parseStatements(ctx, i + 1, blockEnd - 1);
+            const semicolon = blockEnd < end && this.isSymbol(tokens[blockEnd + 1], ';');
+            branch = { block: true, start: i, end: blockEnd, semicolon, next: blockEnd + (semicolon ? 2 : 1) };
+        } else {
+            const next = this.parseStatement(ctx, i, end);
+            branch = { block: false, start: i, end: next - 1, next };
+        }
+        ctx.depth--;
+
+        return branch;
+    }
+
+    /**
+     * Put THEN/DO after a condition; a BEGIN opening the branch is dropped
+     */
+    openBranch(ctx, head, branch, keyword) {
+        const { tokens } = ctx;
+        if (branch.block) {
+            this.replaceRange(ctx, this.endOf(tokens[head]), this.endOf(tokens[branch.start]), keyword);
+        } else if (keyword) {
+            this.insert(ctx, this.endOf(tokens[head]), keyword);
+        }
+    }
+
+    /**
+     * Close a branch with END IF/END WHILE, or drop the END of a block followed by ELSE
+     * @param {string} indent - Indentation of the IF or WHILE, for a closer on its own line
+     */
+    closeBranch(ctx, branch, closer, indent, elseToken) {
+        const { tokens } = ctx;
+        if (branch.block) {
+            const endToken = tokens[branch.end];
+            if (closer) {
+                this.replaceRange(ctx, endToken.start, this.endOf(endToken), branch.semicolon ? closer : `${closer};`);
+            } else {
+                this.replaceRange(ctx, endToken.start, elseToken.start, '');
+            }
+        } else if (closer && !branch.empty) {
+            // IF x SET y stays on one line, a statement on the next line gets END IF below it
+            const inline = tokens[branch.start].line === tokens[branch.start - 1].line;
+            this.insert(ctx, this.endOf(tokens[branch.end]), inline ? ` ${closer};` : `\n${indent}${closer};`);
+        }
+    }
+
+    /**
+     * BEGIN TRY ... END TRY BEGIN CATCH ... END CATCH -> a block whose EXIT handler runs the CATCH part
+     */
+    convertTryCatch(ctx, i, end) {
+        const { tokens } = ctx;
+        const tryEnd = this.findBlockEnd(tokens, i);
+        const catchBegin = tryEnd + 2;
+        if (catchBegin + 1 > end || this.tokenizer.upperWord(tokens[catchBegin]) !== 'BEGIN' ||
+            this.tokenizer.upperWord(tokens[catchBegin + 1]) !== 'CATCH') {
+            ctx.warn('try-catch', 'BEGIN TRY without BEGIN CATCH is not converted', 'error');
+            return this.terminate(ctx, Math.min(tryEnd + 1, end));
+        }
+
+        const catchEnd = this.findBlockEnd(tokens, catchBegin);
+        const close = catchEnd + 2 <= end && this.isSymbol(tokens[catchEnd + 2], ';') ? catchEnd + 2 : catchEnd + 1;
+
+        ctx.depth++;
+        this.parseStatements(ctx, i + 2, tryEnd - 1);
+        this.parseStatements(ctx, catchBegin + 2, catchEnd - 1);
+        ctx.depth--;
+
+        const indent = this.indentAt(ctx, i);
+        const handler = [];
+        if (tokens.slice(catchBegin + 2, catchEnd).some(token => ['ERROR_MESSAGE', 'ERROR_NUMBER'].includes(this.tokenizer.upperWord(token)))) {
+            handler.push('GET DIAGNOSTICS CONDITION 1 v_error_number = MYSQL_ERRNO, v_error_message = MESSAGE_TEXT;');
+        }
+        if (catchEnd - 1 >= catchBegin + 2) {
+            const body = this.render(ctx, tokens[catchBegin + 2].start, this.endOf(tokens[catchEnd - 1]));
+            handler.push(body.replace(/\n/g, '\n    '));
+        }
+
+        const text = ['BEGIN', `${indent}    DECLARE EXIT HANDLER FOR SQLEXCEPTION`, `${indent}    BEGIN`]
+            .concat(handler.map(line => `${indent}        ${line}`), `${indent}    END;`)
+            .join('\n');
+        this.replaceRange(ctx, tokens[i].start, this.endOf(tokens[i + 1]), text);
+        this.replaceRange(ctx, tokens[tryEnd].start, this.endOf(tokens[close]), 'END;', false);
+        return close + 1;
+    }
+
+    /**
+     * DECLARE @a INT = 1, @b VARCHAR(10) -> hoisted DECLARE v_a INT DEFAULT 1; DECLARE v_b VARCHAR(10);
+     *
+     * Initial values that are not constants, or that belong to a nested block, stay in place
+     * as SET statements. Table variables become temporary tables, cursors are hoisted.
+     */
+    convertDeclare(ctx, i, end) {
+        const { tokens } = ctx;
+        const last = this.statementEnd(ctx, i, end);
+        const stop = this.isSymbol(tokens[last], ';') ? last - 1 : last;
+        const statements = [];
+
+        if (this.tokenizer.upperWord(tokens[i + 2]) === 'CURSOR') {
+            const forIndex = this.findWord(tokens, i + 3, 'FOR', stop);
+            if (forIndex !== -1 && forIndex < stop) {
+                const query = this.render(ctx, tokens[forIndex + 1].start, this.endOf(tokens[stop]));
+                ctx.cursors.push(`DECLARE ${tokens[i + 1].value} CURSOR FOR ${query};`);
+            }
+        } else {
+            this.splitList(tokens, i + 1, last).forEach(([a, b]) => {
+                const name = ctx.variables.get(tokens[a].value.toLowerCase()) || tokens[a].value;
+                const typeStart = this.tokenizer.upperWord(tokens[a + 1]) === 'AS' ? a + 2 : a + 1;
+                if (typeStart > b) return;
+
+                if (this.tokenizer.upperWord(tokens[typeStart]) === 'TABLE') {
+                    const columns = this.render(ctx, tokens[typeStart + 1].start, this.endOf(tokens[b]));
+                    statements.push(`DROP TEMPORARY TABLE IF EXISTS ${name}`, `CREATE TEMPORARY TABLE ${name} ${columns}`);
+                    return;
+                }
+
+                const assign = this.findSymbol(tokens, typeStart, '=', b);
+                const type = ctx.code.slice(tokens[typeStart].start, this.endOf(tokens[assign === -1 ? b : assign - 1]));
+                if (assign === -1 || assign === b) {
+                    this.declare(ctx, name, type);
+                    return;
+                }
+
+                const value = this.render(ctx, tokens[assign + 1].start, this.endOf(tokens[b]));
+                const constant = assign + 1 === b && (['number', 'masked'].includes(tokens[b].type) || this.tokenizer.upperWord(tokens[b]) === 'NULL');
+                if (constant && ctx.depth === 0) {
+                    this.declare(ctx, name, `${type} DEFAULT ${value}`);
+                } else {
+                    this.declare(ctx, name, type);
+                    statements.push(`SET ${name} = ${value}`);
+                }
+            });
+        }
+
+        this.replaceStatement(ctx, i, last, statements.map(statement => `${statement};`).join(`\n${this.indentAt(ctx, i)}`));
+        return last + 1;
+    }
+
+    /**
+     * SET @x += 1 -> SET v_x = v_x + (1)
+     */
+    convertSet(ctx, i, end) {
+        const { tokens } = ctx;
+        const last = this.statementEnd(ctx, i, end);
+        const target = tokens[i + 1];
+        const operator = tokens[i + 2];
+
+        if (target && target.type === 'variable' && operator && operator.type === 'symbol' && COMPOUND_OPERATORS.includes(operator.value)) {
+            const name = ctx.variables.get(target.value.toLowerCase()) || target.value;
+            const stop = this.isSymbol(tokens[last], ';') ? last - 1 : last;
+            this.replaceRange(ctx, operator.start, tokens[i + 3] ? tokens[i + 3].start : this.endOf(operator), `= ${name} ${operator.value.charAt(0)} (`);
+            this.insert(ctx, this.endOf(tokens[stop]), ')');
+        }
+
+        return this.terminate(ctx, last);
+    }
+
+    /**
+     * SELECT @a = x, @b = y FROM ... -> SELECT x, y INTO v_a, v_b FROM ...
+     */
+    convertSelect(ctx, i, end) {
+        const { tokens } = ctx;
+        const last = this.statementEnd(ctx, i, end);
+        let first = i + 1;
+        if (['DISTINCT', 'ALL'].includes(this.tokenizer.upperWord(tokens[first]))) first++;
+
+        const isAssignment = (index) => tokens[index] && tokens[index].type === 'variable' && tokens[index + 1] &&
+            tokens[index + 1].type === 'symbol' && (tokens[index + 1].value === '=' || COMPOUND_OPERATORS.includes(tokens[index + 1].value));
+        if (first > last || !isAssignment(first)) return this.terminate(ctx, last);
+
+        let listEnd = last;
+        let depth = 0;
+        for (let j = first; j <= last; j++) {
+            if (this.isSymbol(tokens[j], '(')) depth++;
+            if (this.isSymbol(tokens[j], ')')) depth--;
+            if (depth === 0 && (SELECT_CLAUSES.includes(this.tokenizer.upperWord(tokens[j])) || this.isSymbol(tokens[j], ';'))) {
+                listEnd = j - 1;
+                break;
+            }
+        }
+
+        const targets = [];
+        this.splitList(tokens, first, listEnd).forEach(([a, b]) => {
+            if (!isAssignment(a) || a + 1 >= b) return;
+            if (tokens[a + 1].value !== '=') {
+                ctx.warn('select-accumulate', `SELECT ${tokens[a].value} ${tokens[a + 1].value} ... accumulates over rows; MySQL SELECT ... INTO needs a single row`);
+            }
+            targets.push(ctx.variables.get(tokens[a].value.toLowerCase()) || tokens[a].value);
+            this.replaceRange(ctx, tokens[a].start, tokens[a + 2].start, '');
+        });
+        if (targets.length > 0) this.insert(ctx, this.endOf(tokens[listEnd]), ` INTO ${targets.join(', ')}`);
+
+        return this.terminate(ctx, last);
+    }
+
+    /**
+     * PRINT msg -> SELECT msg AS message in procedures; dropped elsewhere
+     */
+    convertPrint(ctx, i, end) {
+        const { tokens } = ctx;
+        const last = this.statementEnd(ctx, i, end);
+        const stop = this.isSymbol(tokens[last], ';') ? last - 1 : last;
+        if (stop === i) return this.terminate(ctx, last);
+
+        return this.convertMessage(ctx, i, last, this.render(ctx, tokens[i + 1].start, this.endOf(tokens[stop])));
+    }
+
+    /**
+     * Replace a statement that only informs the client with a result set, where MySQL allows one
+     */
+    convertMessage(ctx, i, last, message) {
+        const { tokens } = ctx;
+        if (ctx.header.kind === 'PROCEDURE') {
+            const stop = this.isSymbol(tokens[last], ';') ? last - 1 : last;
+            this.replaceRange(ctx, tokens[i].start, this.endOf(tokens[stop]), `SELECT ${message} AS message`);
+            return this.terminate(ctx, last);
+        }
+
+        ctx.warn('print', 'informational messages are dropped; MySQL functions and triggers cannot return result sets');
+        this.replaceStatement(ctx, i, last, '');
+        return last + 1;
+    }
+
+    /**
+     * RAISERROR(msg, severity, state) -> SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = msg
+     */
+    convertRaiserror(ctx, i, end) {
+        const { tokens } = ctx;
+        const last = this.statementEnd(ctx, i, end);
+        const stop = this.isSymbol(tokens[last], ';') ? last - 1 : last;
+        if (!this.isSymbol(tokens[i + 1], '(')) {
+            ctx.warn('raiserror', 'RAISERROR without parentheses is not converted', 'error');
+            return this.terminate(ctx, last);
+        }
+
+        const args = this.splitList(tokens, i + 2, this.tokenizer.findClosingParen(tokens, i + 1) - 1);
+        if (args.length === 0) return this.terminate(ctx, last);
+        if (args.length > 3) {
+            ctx.warn('raiserror-arguments', 'RAISERROR substitution arguments are not applied to the message; build it with CONCAT()');
+        }
+
+        // Severity 10 and below only informs the client
+        const severity = args[1] && args[1][0] === args[1][1] ? tokens[args[1][0]] : null;
+        if (severity && severity.type === 'number' && parseInt(severity.value) <= 10) {
+            return this.convertMessage(ctx, i, last, this.render(ctx, tokens[args[0][0]].start, this.endOf(tokens[args[0][1]])));
+        }
+
+        const message = this.messageText(ctx, args[0], i);
+        this.replaceRange(ctx, tokens[i].start, this.endOf(tokens[stop]), `${message.prefix}SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = ${message.value}`);
+        return this.terminate(ctx, last);
+    }
+
+    /**
+     * THROW number, msg, state -> SIGNAL ...; THROW alone inside CATCH -> RESIGNAL
+     */
+    convertThrow(ctx, i, end) {
+        const { tokens } = ctx;
+        const last = this.statementEnd(ctx, i, end);
+        const stop = this.isSymbol(tokens[last], ';') ? last - 1 : last;
+        if (stop === i) {
+            this.replaceToken(ctx, tokens[i], 'RESIGNAL');
+            return this.terminate(ctx, last);
+        }
+
+        const args = this.splitList(tokens, i + 1, stop);
+        if (args.length !== 3) return this.terminate(ctx, last);
+
+        // MYSQL_ERRNO accepts 1-65535; THROW numbers start at 50000
+        const number = args[0][0] === args[0][1] ? tokens[args[0][0]] : null;
+        let errno = '';
+        if (number && number.type === 'number' && parseInt(number.value) <= 65535) {
+            errno = `MYSQL_ERRNO = ${number.value}, `;
+        } else if (number && number.type === 'variable') {
+            errno = `MYSQL_ERRNO = ${this.render(ctx, number.start, this.endOf(number))}, `;
+        } else {
+            ctx.warn('throw-number', `error number ${ctx.code.slice(tokens[args[0][0]].start, this.endOf(tokens[args[0][1]]))} is outside the MySQL range (1-65535) and is dropped`);
+        }
+
+        const message = this.messageText(ctx, args[1], i);
+        this.replaceRange(ctx, tokens[i].start, this.endOf(tokens[stop]), `${message.prefix}SIGNAL SQLSTATE '45000' SET ${errno}MESSAGE_TEXT = ${message.value}`);
+        return this.terminate(ctx, last);
+    }
+
+    /**
+     * MESSAGE_TEXT only accepts a literal or a variable; other expressions are assigned to one first
+     * @returns {object} - { prefix, value } where prefix holds the SET statement, if any
+     */
+    messageText(ctx, [a, b], statement) {
+        const { tokens } = ctx;
+        const value = this.render(ctx, tokens[a].start, this.endOf(tokens[b]));
+
+        if (a === b && ['masked', 'variable'].includes(tokens[a].type)) {
+            return { prefix: '', value };
+        }
+        if (a === b && tokens[a].type === 'number') {
+            ctx.warn('raiserror-message-id', `message ${value} from sys.messages is not available in MySQL`);
+            return { prefix: '', value: `'Error ${value}'` };
+        }
+
+        this.declare(ctx, 'v_signal_message', 'VARCHAR(2048)');
+        return { prefix: `SET v_signal_message = ${value};\n${this.indentAt(ctx, statement)}`, value: 'v_signal_message' };
+    }
+
+    /**
+     * RETURN in a procedure or trigger -> LEAVE of the labelled body
+     */
+    convertReturn(ctx, i, end) {
+        const { tokens } = ctx;
+        const last = this.statementEnd(ctx, i, end);
+        if (ctx.header.kind === 'FUNCTION') return this.terminate(ctx, last);
+
+        const stop = this.isSymbol(tokens[last], ';') ? last - 1 : last;
+        if (stop > i) {
+            ctx.warn('return-value', `RETURN ${ctx.code.slice(tokens[i + 1].start, this.endOf(tokens[stop]))} status codes are not supported; use an OUT parameter`);
+        }
+
+        ctx.needsBodyLabel = true;
+        this.replaceRange(ctx, tokens[i].start, this.endOf(tokens[stop]), `LEAVE ${BODY_LABEL}`);
+        return this.terminate(ctx, last);
+    }
+
+    /**
+     * EXEC proc args -> CALL proc(args); EXEC (@sql) and sp_executesql -> PREPARE/EXECUTE
+     */
+    convertExec(ctx, i, end) {
+        const { tokens } = ctx;
+        const last = this.statementEnd(ctx, i, end);
+        const stop = this.isSymbol(tokens[last], ';') ? last - 1 : last;
+        let k = i + 1;
+
+        if (this.isSymbol(tokens[k], '(')) {
+            const close = this.tokenizer.findClosingParen(tokens, k);
+            return this.convertDynamicSql(ctx, i, last, this.render(ctx, tokens[k + 1].start, this.endOf(tokens[close - 1])));
+        }
+
+        if (tokens[k] && tokens[k].type === 'variable' && this.isSymbol(tokens[k + 1], '=')) {
+            ctx.warn('exec-return-value', `the return status assigned to ${tokens[k].value} is not available in MySQL`);
+            k += 2;
+        }
+        if (k > stop || tokens[k].type === 'variable') return this.terminate(ctx, last);
+
+        let nameEnd = k;
+        while (this.isSymbol(tokens[nameEnd + 1], '.') && nameEnd + 2 <= stop) nameEnd += 2;
+        const name = ctx.code.slice(tokens[k].start, this.endOf(tokens[nameEnd]));
+        const args = nameEnd < stop ? this.splitList(tokens, nameEnd + 1, stop) : [];
+
+        if (/(^|\.)\[?sp_executesql\]?$/i.test(name)) {
+            if (args.length === 0) return this.terminate(ctx, last);
+            if (args.length > 1) {
+                ctx.warn('dynamic-sql-parameters', 'sp_executesql parameters are not passed; use EXECUTE ... USING');
+            }
+            return this.convertDynamicSql(ctx, i, last, this.render(ctx, tokens[args[0][0]].start, this.endOf(tokens[args[0][1]])));
+        }
+
+        let named = false;
+        const values = args.map(([a, b]) => {
+            let first = a;
+            let lastArg = b;
+            if (tokens[a].type === 'variable' && this.isSymbol(tokens[a + 1], '=')) {
+                named = true;
+                first = a + 2;
+            }
+            if (['OUT', 'OUTPUT'].includes(this.tokenizer.upperWord(tokens[lastArg])) && lastArg > first) lastArg--;
+            return this.render(ctx, tokens[first].start, this.endOf(tokens[lastArg]));
+        });
+        if (/(^|\.)\[?sp_\w+\]?$/i.test(name)) {
+            ctx.warn('exec-system-procedure', `${name} is a SQL Server system procedure, which MySQL does not have`, 'error');
+        }
+        if (named) {
+            ctx.warn('exec-named-arguments', `EXEC ${name} passes arguments by name; CALL is positional, so check their order`);
+        }
+
+        this.replaceRange(ctx, tokens[i].start, this.endOf(tokens[stop]), `CALL ${name}(${values.join(', ')})`);
+        return this.terminate(ctx, last);
+    }
+
+    /**
+     * Run a SQL string through a prepared statement, which needs a user variable
+     */
+    convertDynamicSql(ctx, i, last, sql) {
+        const { tokens } = ctx;
+        if (['FUNCTION', 'TRIGGER'].includes(ctx.header.kind)) {
+            ctx.warn('dynamic-sql', 'dynamic SQL is not allowed in MySQL functions and triggers');
+        }
+
+        const stop = this.isSymbol(tokens[last], ';') ? last - 1 : last;
+        const statements = [`SET @dynamic_sql = ${sql}`, 'PREPARE dynamic_stmt FROM @dynamic_sql', 'EXECUTE dynamic_stmt',
+            'DEALLOCATE PREPARE dynamic_stmt'];
+        this.replaceRange(ctx, tokens[i].start, this.endOf(tokens[stop]), statements.join(`;\n${this.indentAt(ctx, i)}`));
+        return this.terminate(ctx, last);
+    }
+
+    /**
+     * FETCH NEXT FROM c INTO @a -> FETCH c INTO v_a
+     */
+    convertFetch(ctx, i, end) {
+        const { tokens } = ctx;
+        const last = this.statementEnd(ctx, i, end);
+        let k = i + 1;
+
+        const direction = this.tokenizer.upperWord(tokens[k]);
+        if (['NEXT', 'PRIOR', 'FIRST', 'LAST', 'ABSOLUTE', 'RELATIVE'].includes(direction)) {
+            if (direction !== 'NEXT') {
+                ctx.warn('fetch-direction', `FETCH ${direction} is not supported; MySQL cursors only move forward`);
+            }
+            k += ['ABSOLUTE', 'RELATIVE'].includes(direction) ? 2 : 1;
+        }
+        if (this.tokenizer.upperWord(tokens[k]) === 'FROM') k++;
+        if (this.tokenizer.upperWord(tokens[k]) === 'GLOBAL') k++;
+        if (k > last || !tokens[k] || tokens[k].type === 'symbol') return this.terminate(ctx, last);
+
+        this.replaceRange(ctx, tokens[i].start, this.endOf(tokens[k]), `FETCH ${tokens[k].value}`);
+        if (ctx.fetchStatus) {
+            this.insert(ctx, tokens[i].start, `SET v_fetch_status = 0;\n${this.indentAt(ctx, i)}`, true);
+        }
+        return this.terminate(ctx, last);
+    }
+
+    /**
+     * BEGIN TRAN -> START TRANSACTION, SAVE TRAN x -> SAVEPOINT x, ROLLBACK TRAN x -> ROLLBACK [TO SAVEPOINT x]
+     */
+    convertTransaction(ctx, i, end) {
+        const { tokens } = ctx;
+        const last = this.statementEnd(ctx, i, end);
+        const stop = this.isSymbol(tokens[last], ';') ? last - 1 : last;
+        const word = this.tokenizer.upperWord(tokens[i]);
+
+        if (['FUNCTION', 'TRIGGER'].includes(ctx.header.kind)) {
+            ctx.warn('transaction', 'MySQL does not allow transaction statements in functions and triggers');
+        }
+
+        // Optional TRAN | TRANSACTION | WORK keyword, then a transaction or savepoint name
+        let k = i + 1;
+        if (this.tokenizer.upperWord(tokens[k]) === 'DISTRIBUTED') k++;
+        if ([...TRANSACTION_WORDS, 'WORK'].includes(this.tokenizer.upperWord(tokens[k]))) k++;
+        const name = k <= stop ? tokens[k].value : null;
+
+        let text;
+        if (word === 'BEGIN') {
+            text = 'START TRANSACTION';
+        } else if (word === 'COMMIT') {
+            text = 'COMMIT';
+        } else if (word === 'SAVE') {
+            if (!name) return this.terminate(ctx, last);
+            ctx.savepoints.add(name.toLowerCase());
+            text = `SAVEPOINT ${name}`;
+        } else {
+            text = name && ctx.savepoints.has(name.toLowerCase()) ? `ROLLBACK TO SAVEPOINT ${name}` : 'ROLLBACK';
+        }
+
+        this.replaceRange(ctx, tokens[i].start, this.endOf(tokens[stop]), text);
+        return this.terminate(ctx, last);
+    }
+
+    /**
+     * WAITFOR DELAY 'hh:mm:ss' -> DO SLEEP(seconds)
+     */
+    convertWaitfor(ctx, i, end) {
+        const { tokens } = ctx;
+        const last = this.statementEnd(ctx, i, end);
+        const delay = tokens[i + 2];
+
+        if (this.tokenizer.upperWord(tokens[i + 1]) === 'DELAY' && delay && delay.type === 'masked') {
+            const match = /^N?'(\d+):(\d+)(?::(\d+(?:\.\d+)?))?'$/i.exec(ctx.literals[delay.index].value);
+            if (match) {
+                const seconds = parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3] || '0');
+                this.replaceRange(ctx, tokens[i].start, this.endOf(delay), `DO SLEEP(${seconds})`);
+                return this.terminate(ctx, last);
+            }
+        }
+
+        ctx.warn('waitfor', 'WAITFOR is only converted for a constant DELAY', 'error');
+        return this.terminate(ctx, last);
+    }
+
+    /**
+     * Find where an IF or WHILE condition ends
+     * @returns {number} - Index of the last token of the condition
+     */
+    conditionEnd(tokens, i, end) {
+        let depth = 0;
+        let caseDepth = 0;
+
+        for (let j = i + 1; j <= end; j++) {
+            const word = this.tokenizer.upperWord(tokens[j]);
+            if (this.isSymbol(tokens[j], '(')) depth++;
+            if (this.isSymbol(tokens[j], ')')) depth--;
+            if (depth !== 0) continue;
+
+            if (word === 'CASE') caseDepth++;
+            else if (word === 'END' && caseDepth > 0) caseDepth--;
+            else if (caseDepth === 0 && j > i + 1 && STATEMENT_WORDS.includes(word) &&
+                !(word === 'UPDATE' && this.isSymbol(tokens[j + 1], '('))) {
+                return j - 1;
+            }
+        }
+
+        return end;
+    }
+
+    /**
+     * Check whether the token opens a BEGIN ... END block (not BEGIN TRY or BEGIN TRAN)
+     */
+    isBlockBegin(tokens, i) {
+        const next = this.tokenizer.upperWord(tokens[i + 1]);
+        return this.tokenizer.upperWord(tokens[i]) === 'BEGIN' && next !== 'TRY' && next !== 'CATCH' && !TRANSACTION_WORDS.includes(next);
+    }
+
+    /**
+     * Find the END matching the BEGIN at the given index
+     */
+    findBlockEnd(tokens, begin) {
+        let depth = 0;
+        for (let j = begin; j < tokens.length; j++) {
+            const word = this.tokenizer.upperWord(tokens[j]);
+            if ((word === 'BEGIN' && !TRANSACTION_WORDS.includes(this.tokenizer.upperWord(tokens[j + 1]))) || word === 'CASE') depth++;
+            if (word === 'END') {
+                depth--;
+                if (depth === 0) return j;
+            }
+        }
+        return tokens.length - 1;
+    }
+
+    /**
+     * Last token of the statement starting at i, never past the end of the enclosing block
+     */
+    statementEnd(ctx, i, end) {
+        return Math.max(i, Math.min(this.tokenizer.findStatementEnd(ctx.tokens, i), end));
+    }
+
+    /**
+     * Add the semicolon MySQL needs after every statement in a routine body
+     * @returns {number} - Index of the token after the statement
+     */
+    terminate(ctx, last) {
+        const token = ctx.tokens[last];
+        if (!this.isSymbol(token, ';')) this.insert(ctx, this.endOf(token), ';');
+        return last + 1;
+    }
+
+    /**
+     * AS that starts a routine body, skipping EXECUTE AS in the options
+     */
+    findBodyAs(tokens, start) {
+        for (let j = start; j < tokens.length; j++) {
+            if (this.isSymbol(tokens[j], '(')) j = this.tokenizer.findClosingParen(tokens, j);
+            else if (this.tokenizer.upperWord(tokens[j]) === 'AS' && this.tokenizer.upperWord(tokens[j - 1]) !== 'EXECUTE') return j;
+        }
+        return -1;
+    }
+
+    /**
+     * Index of a word outside parentheses between two indexes, or -1
+     */
+    findWord(tokens, start, word, end) {
+        for (let j = start; j <= end && j < tokens.length; j++) {
+            if (this.isSymbol(tokens[j], '(')) j = this.tokenizer.findClosingParen(tokens, j);
+            else if (this.tokenizer.upperWord(tokens[j]) === word) return j;
+        }
+        return -1;
+    }
+
+    /**
+     * Index of a symbol outside parentheses between two indexes, or -1
+     */
+    findSymbol(tokens, start, value, end) {
+        for (let j = start; j <= end; j++) {
+            if (this.isSymbol(tokens[j], '(')) j = this.tokenizer.findClosingParen(tokens, j);
+            else if (this.isSymbol(tokens[j], value)) return j;
+        }
+        return -1;
+    }
+
+    /**
+     * Split a comma-separated list into [first, last] token index pairs, ignoring a trailing ';'
+     */
+    splitList(tokens, start, end) {
+        const items = [];
+        const stop = this.isSymbol(tokens[end], ';') ? end - 1 : end;
+        let itemStart = start;
+        let depth = 0;
+
+        for (let j = start; j <= stop; j++) {
+            if (this.isSymbol(tokens[j], '(')) depth++;
+            if (this.isSymbol(tokens[j], ')')) depth--;
+            if (depth === 0 && this.isSymbol(tokens[j], ',')) {
+                if (j > itemStart) items.push([itemStart, j - 1]);
+                itemStart = j + 1;
+            }
+        }
+        if (stop >= itemStart) items.push([itemStart, stop]);
+
+        return items;
+    }
+
+    /**
+     * Add a hoisted local variable declaration, once per name
+     */
+    declare(ctx, name, type) {
+        if (!ctx.declarations.has(name)) {
+            ctx.declarations.set(name, `DECLARE ${name} ${type};`);
+        }
+    }
+
+    /**
+     * Leading whitespace of the line holding the given token
+     */
+    indentAt(ctx, index) {
+        const start = ctx.tokens[index].start;
+        const lineStart = ctx.code.lastIndexOf('\n', start - 1) + 1;
+        return /^[ \t]*/.exec(ctx.code.slice(lineStart, start))[0];
+    }
+
+    /**
+     * Replace a whole statement; an empty replacement alone on its line takes the line with it
+     */
+    replaceStatement(ctx, first, last, text) {
+        let from = ctx.tokens[first].start;
+        let to = this.endOf(ctx.tokens[last]);
+
+        if (text === '') {
+            const lineStart = ctx.code.lastIndexOf('\n', from - 1) + 1;
+            const lineEnd = ctx.code.indexOf('\n', to);
+            if (lineEnd !== -1 && /^[ \t]*$/.test(ctx.code.slice(lineStart, from)) && /^[ \t]*\r?$/.test(ctx.code.slice(to, lineEnd))) {
+                from = lineStart;
+                to = lineEnd + 1;
+            }
+        }
+
+        this.replaceRange(ctx, from, to, text);
+    }
+
+    replaceToken(ctx, token, text) {
+        this.replaceRange(ctx, token.start, this.endOf(token), text);
+    }
+
+    /**
+     * Replace a range of the code, dropping the edits inside it but keeping its comments
+     * @param {boolean} keepComments - False when the range was moved elsewhere with render()
+     */
+    replaceRange(ctx, from, to, text, keepComments = true) {
+        let comments = '';
+        if (keepComments) {
+            ctx.code.slice(from, to).replace(SQLTokenizer.MASK_PATTERN, (placeholder, index) => {
+                const literal = ctx.literals[Number(index)];
+                if (literal.type === 'comment') comments += ` ${placeholder}${literal.value.startsWith('--') ? '\n' : ''}`;
+                return placeholder;
+            });
+        }
+
+        // Insertions at either boundary belong to the neighbouring code
+        ctx.edits = ctx.edits.filter(edit => !(edit.start >= from && edit.end <= to &&
+            !(edit.start === edit.end && (edit.start === from || edit.start === to))));
+        this.addEdit(ctx, from, to, text + comments);
+    }
+
+    /**
+     * Insert text; insertions at the same offset keep their order unless prepended
+     */
+    insert(ctx, offset, text, prepend = false) {
+        if (text) this.addEdit(ctx, offset, offset, text, prepend);
+    }
+
+    addEdit(ctx, start, end, text, prepend = false) {
+        ctx.sequence++;
+        ctx.edits.push({ start, end, text, order: prepend ? -ctx.sequence : ctx.sequence });
+    }
+
+    /**
+     * Text of a range of the code with the edits inside it applied; those edits are used up
+     */
+    render(ctx, from, to) {
+        const inside = new Set(ctx.edits.filter(edit => edit.start >= from && edit.end <= to));
+        ctx.edits = ctx.edits.filter(edit => !inside.has(edit));
+        return this.tokenizer.applyEdits(ctx.code.slice(from, to), [...inside], from);
+    }
+
+    isSymbol(token, value) {
+        return Boolean(token) && token.type === 'symbol' && token.value === value;
+    }
+
+    endOf(token) {
+        return token.start + token.value.length;
+    }
+}
+
+module.exports = RoutineConverter;
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SQLConverter = require('./sqlConverter');
+
+/**
+ * Convert T-SQL and return the output without its header, with the diagnostics
+ */
+function convert(sql) {
+    const converter = new SQLConverter();
+    const output = converter.convertToMySQL(sql);
+    return { sql: output.slice(converter.getHeader().length), diagnostics: converter.getDiagnostics() };
+}
+
+test('procedure parameters and body are converted', () => {
+    const { sql } = convert('CREATE PROCEDURE p1 @id INT AS\nBEGIN\n    SELECT * FROM t WHERE id = @id\nEND\nGO\n');
+    assert.match(sql, /CREATE PROCEDURE p1\(IN p_id INT\)/);
+    assert.match(sql, /WHERE id = p_id;/);
+    assert.match(sql, /END\$\$\nDELIMITER ;/);
+});
+
+test('a routine ending in a variable is converted', () => {
+    const { sql, diagnostics } = convert('CREATE PROCEDURE p4 @id int AS DELETE FROM t WHERE id = @id\nGO\n');
+    assert.match(sql, /CREATE PROCEDURE p4\(IN p_id INT\)\nBEGIN DELETE FROM t WHERE id = p_id;\nEND\$\$/);
+    assert.deepStrictEqual(diagnostics, []);
+});
+
+test('columns read from inserted/deleted become NEW/OLD columns', () => {
+    const { sql } = convert('CREATE TRIGGER trg ON Orders AFTER DELETE AS\n' +
+        "INSERT INTO Audit (Id) SELECT Id FROM deleted WHERE Status <> 'x'\nGO\n");
+    assert.match(sql, /INSERT INTO Audit \(Id\) SELECT OLD\.Id FROM DUAL WHERE OLD\.Status <> 'x';/);
+});
+
+test('SELECT * FROM inserted is reported instead of rewritten', () => {
+    const { sql, diagnostics } = convert('CREATE TRIGGER trg ON Orders AFTER INSERT AS\nINSERT INTO Audit SELECT * FROM inserted\nGO\n');
+    assert.match(sql, /SELECT \* FROM inserted;/);
+    assert.ok(diagnostics.some(diagnostic => diagnostic.rule === 'trigger-row-set' && diagnostic.severity === 'error'));
+});
+
+test('EXEC outside a routine becomes CALL', () => {
+    const { sql, diagnostics } = convert("EXEC dbo.usp_Refresh @a, 'x'\nGO\nEXEC usp_Load @Year = 2024, @Count = @c OUTPUT\nGO\nEXEC sp_rename 'a', 'b'\nGO\n");
+    assert.match(sql, /^CALL usp_Refresh\(@a, 'x'\);$/m);
+    assert.match(sql, /^CALL usp_Load\(2024, @c\);$/m);
+    assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.severity]),
+        [['batch-exec', 'info'], ['batch-exec', 'info'], ['exec-named-arguments', 'warning'], ['exec-system-procedure', 'error']]);
+});
+
+test('INSERT ... EXEC and EXECUTE AS outside a routine are left alone', () => {
+    const { sql } = convert("INSERT INTO T EXEC usp_Rows\nGO\nEXECUTE AS USER = 'bob'\nGO\n");
+    assert.match(sql, /INSERT INTO T EXEC usp_Rows;/);
+    assert.match(sql, /EXECUTE AS USER = 'bob'/);
+    assert.doesNotMatch(sql, /CALL/);
+});
+
+test('a trigger split by event reports its body once', () => {
+    const { diagnostics } = convert('CREATE TRIGGER trg ON Orders AFTER INSERT, UPDATE AS\n' +
+        'INSERT INTO Audit (Id) SELECT Id FROM deleted d JOIN Orders o ON o.Id = 1\nGO\n');
+    assert.deepStrictEqual(diagnostics.map(diagnostic => diagnostic.rule), ['trigger-events', 'trigger-row-set']);
+
+    const { diagnostics: rowDiagnostics } = convert('CREATE TRIGGER trg ON Orders AFTER INSERT, UPDATE AS\nUPDATE T SET x = deleted.x\nGO\n');
+    assert.deepStrictEqual(rowDiagnostics.filter(diagnostic => diagnostic.rule === 'trigger-row').map(diagnostic => diagnostic.message),
+        ['Trigger trg: deleted.x refers to OLD, which does not exist in an INSERT trigger']);
+});
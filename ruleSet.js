@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const StatementFilter = require('./statementFilter');
+
+// Project config files looked up in the working directory, in this order
+const CONFIG_FILES = ['.sqlmysqlrc', '.sqlmysqlrc.json', '.sqlmysqlrc.js'];
+
+/**
+ * Built-in rules, applied after the structural converters in this order.
+ * A rule is either a regex pair { pattern, replacement } or a function { convert }.
+ */
+const DEFAULT_RULES = [
+    { name: 'getdate', pattern: /GETDATE\(\)/g, replacement: 'NOW()' },
+    { name: 'getutcdate', pattern: /GETUTCDATE\(\)/g, replacement: 'UTC_TIMESTAMP()' },
+    { name: 'newid', pattern: /NEWID\(\)/g, replacement: 'UUID()' },
+    { name: 'len', pattern: /\bLEN\(/g, replacement: 'LENGTH(' },
+    { name: 'isnull', pattern: /\bISNULL\(/g, replacement: 'IFNULL(' }
+];
+
+/**
+ * Built-in rules for converting MySQL back to SQL Server, named after the MySQL function
+ */
+const MSSQL_RULES = [
+    { name: 'now', pattern: /\b(?:NOW|SYSDATE|LOCALTIMESTAMP|CURRENT_TIMESTAMP)\s*\(\s*\d*\s*\)/gi, replacement: 'GETDATE()' },
+    { name: 'curdate', pattern: /\b(?:CURDATE|CURRENT_DATE)\s*\(\s*\)/gi, replacement: 'CAST(GETDATE() AS DATE)' },
+    { name: 'utc_timestamp', pattern: /\bUTC_TIMESTAMP\s*\(\s*\d*\s*\)/gi, replacement: 'GETUTCDATE()' },
+    { name: 'uuid', pattern: /\bUUID\s*\(\s*\)/gi, replacement: 'NEWID()' },
+    { name: 'length', pattern: /\b(?:CHAR_LENGTH|CHARACTER_LENGTH|LENGTH)\s*\(/gi, replacement: 'LEN(' },
+    { name: 'ifnull', pattern: /\bIFNULL\s*\(/gi, replacement: 'ISNULL(' }
+];
+
+/**
+ * The named rewrite rules SQLConverter applies to masked code after its structural
+ * converters: the built-in rules, plus rules from a project config file that add to them,
+ * replace them by name, or turn them off.
+ *
+ * Config rules:
+ *   name: required; a built-in name replaces or changes that rule
+ *   pattern, flags, replacement: regex pair; pattern is a RegExp or a string compiled with
+ *     flags (default: g); replacement is a string or a function, as for String.replace()
+ *   convert: function (code, { file, warn }) returning the rewritten code; warn(message,
+ *     severity) adds a diagnostic under the rule's name
+ *   statements: keyword prefixes of the statements the rule applies to, such as
+ *     ["SELECT", "CREATE TABLE"] (default: all text)
+ *   enabled: false turns the rule off
+ *   before, after: name of the rule this one runs before or after (default: new rules run
+ *     last, replaced ones keep their place)
+ *
+ * Rules see code with string literals and comments masked, so they never change text
+ * inside them.
+ */
+class RuleSet {
+    /**
+     * @param {object} options - { rules, disable, target }
+     *   rules: config rules, applied over the built-in ones in order
+     *   disable: names of rules to turn off
+     *   target: mysql (default) starts from DEFAULT_RULES, mssql from MSSQL_RULES
+     */
+    constructor(options = {}) {
+        this.filter = new StatementFilter();
+        const builtIn = options.target === 'mssql' ? MSSQL_RULES : DEFAULT_RULES;
+        this.rules = builtIn.map(rule => ({ ...rule, enabled: true, statements: null }));
+
+        (options.rules || []).forEach((entry, index) => this.addRule(entry, index));
+        (options.disable || []).forEach(name => {
+            this.getRule(name, 'in --disable-rule').enabled = false;
+        });
+    }
+
+    /**
+     * Read a rules config file: JSON, or a JS module exporting the same object. Its rules and
+     * disable lists apply to SQL Server -> MySQL conversions; an optional reverse object with
+     * the same two lists applies to MySQL -> SQL Server ones.
+     * @param {string} file - Path to the file
+     * @returns {object} - { rules, disable, reverse: { rules, disable } }
+     */
+    static load(file) {
+        let config;
+        try {
+            config = file.endsWith('.js')
+                ? require(path.resolve(file))
+                : JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid rules file ${file}: ${error.message}`);
+        }
+        if (!config || typeof config !== 'object' || (config.rules !== undefined && !Array.isArray(config.rules))) {
+            throw new Error(`Invalid rules file ${file}: expected an object with a rules array`);
+        }
+        const reverse = config.reverse || {};
+        if (typeof reverse !== 'object' || (reverse.rules !== undefined && !Array.isArray(reverse.rules))) {
+            throw new Error(`Invalid rules file ${file}: expected reverse to be an object with a rules array`);
+        }
+        return {
+            rules: config.rules || [],
+            disable: config.disable || [],
+            reverse: { rules: reverse.rules || [], disable: reverse.disable || [] }
+        };
+    }
+
+    /**
+     * Find the project config file in a directory
+     * @param {string} directory - Directory to look in (default: the working directory)
+     * @returns {string|null} - Path to the file, or null if there is none
+     */
+    static find(directory = process.cwd()) {
+        const found = CONFIG_FILES.map(name => path.join(directory, name)).find(file => fs.existsSync(file));
+        return found || null;
+    }
+
+    /**
+     * Rule with the given name
+     * @param {string} where - Where the name came from, for the error message
+     */
+    getRule(name, where) {
+        const rule = this.rules.find(candidate => candidate.name === name);
+        if (!rule) {
+            throw new Error(`Unknown rule "${name}" ${where} (known rules: ${this.rules.map(candidate => candidate.name).join(', ')})`);
+        }
+        return rule;
+    }
+
+    /**
+     * Add a config rule, or merge it into the rule of the same name
+     */
+    addRule(entry, index) {
+        if (!entry || typeof entry.name !== 'string' || entry.name === '') {
+            throw new Error(`Rule ${index + 1} has no name`);
+        }
+
+        const existing = this.rules.find(rule => rule.name === entry.name);
+        const rule = existing ? { ...existing } : { name: entry.name, enabled: true, statements: null };
+        if (entry.convert !== undefined || entry.pattern !== undefined) {
+            delete rule.convert;
+            delete rule.pattern;
+            delete rule.replacement;
+        }
+
+        if (entry.convert !== undefined) {
+            if (typeof entry.convert !== 'function') {
+                throw new Error(`Rule "${entry.name}": convert must be a function`);
+            }
+            rule.convert = entry.convert;
+        } else if (entry.pattern !== undefined) {
+            if (entry.replacement === undefined) {
+                throw new Error(`Rule "${entry.name}": pattern needs a replacement`);
+            }
+            try {
+                rule.pattern = entry.pattern instanceof RegExp ? entry.pattern : new RegExp(entry.pattern, entry.flags || 'g');
+            } catch (error) {
+                throw new Error(`Rule "${entry.name}": ${error.message}`);
+            }
+            rule.replacement = entry.replacement;
+        } else if (!existing) {
+            throw new Error(`Rule "${entry.name}" needs a pattern and replacement, or a convert function`);
+        }
+
+        if (entry.enabled !== undefined) rule.enabled = entry.enabled !== false;
+        if (entry.statements !== undefined) rule.statements = this.compileScope(entry);
+
+        // Replaced rules keep their place unless moved
+        const position = existing ? this.rules.indexOf(existing) : this.rules.length;
+        if (existing) this.rules.splice(position, 1);
+        if (entry.before || entry.after) {
+            const target = this.getRule(entry.before || entry.after, `in rule "${entry.name}"`);
+            this.rules.splice(this.rules.indexOf(target) + (entry.before ? 0 : 1), 0, rule);
+        } else {
+            this.rules.splice(position, 0, rule);
+        }
+    }
+
+    /**
+     * Turn the statements option of a rule into a pattern matched against statement text
+     */
+    compileScope(entry) {
+        const prefixes = [].concat(entry.statements || []);
+        if (prefixes.length === 0) return null;
+        const alternatives = prefixes.map(prefix => String(prefix).trim().split(/\s+/)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('\\s+'));
+        return new RegExp(`^(?:${alternatives.join('|')})\\b`, 'i');
+    }
+
+    /**
+     * Regex rules that are turned on, for counting their matches in statistics
+     */
+    patterns() {
+        return this.rules.filter(rule => rule.enabled && rule.pattern).map(rule => rule.pattern);
+    }
+
+    /**
+     * Apply the enabled rules in order
+     * @param {string} code - SQL code with literals and comments masked
+     * @param {object} context - { file, warnings, splitStatements, unmask }
+     *   warnings: list receiving { rule, message, severity } from convert functions
+     *   splitStatements: function splitting code into statements, for rules with a scope
+     *   unmask: function restoring the literals of a statement, to read its type
+     * @returns {string} - Rewritten code
+     */
+    apply(code, context) {
+        return this.rules.filter(rule => rule.enabled).reduce((converted, rule) => {
+            if (!rule.statements) return this.applyRule(rule, converted, context);
+
+            // Rewrite the statements in scope where they are, leaving the text between them alone
+            let result = '';
+            let position = 0;
+            context.splitStatements(converted).forEach(statement => {
+                const start = converted.indexOf(statement, position);
+                if (start < 0) return;
+                const text = this.filter.statementText(context.unmask(statement));
+                result += converted.slice(position, start) +
+                    (rule.statements.test(text) ? this.applyRule(rule, statement, context) : statement);
+                position = start + statement.length;
+            });
+            return result + converted.slice(position);
+        }, code);
+    }
+
+    applyRule(rule, code, context) {
+        if (!rule.convert) return code.replace(rule.pattern, rule.replacement);
+
+        const warn = (message, severity = 'warning') => context.warnings.push({ rule: rule.name, message, severity });
+        const converted = rule.convert(code, { file: context.file, warn });
+        if (typeof converted !== 'string') {
+            throw new Error(`Rule "${rule.name}" did not return a string`);
+        }
+        return converted;
+    }
+}
+
+RuleSet.DEFAULT_RULES = DEFAULT_RULES;
+RuleSet.MSSQL_RULES = MSSQL_RULES;
+RuleSet.CONFIG_FILES = CONFIG_FILES;
+
+module.exports = RuleSet;
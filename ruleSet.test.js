@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RuleSet = require('./ruleSet');
+const SQLConverter = require('./sqlConverter');
+
+const SCRIPT = `CREATE TABLE staging_Orders (Id INT, Note NVARCHAR(20) DEFAULT 'staging_x')
+GO
+INSERT INTO staging_Orders (Note) SELECT Note FROM AuditLog
+GO
+`;
+
+test('config rules rewrite the statements in their scope, outside literals', () => {
+    const converter = new SQLConverter({
+        rules: [
+            { name: 'staging-prefix', pattern: '\\bstaging_', flags: 'gi', replacement: 'stg_', statements: ['CREATE TABLE'] },
+            {
+                name: 'audit-log',
+                convert: (code, { warn }) => {
+                    if (/\bAuditLog\b/.test(code)) warn('AuditLog is going away');
+                    return code;
+                }
+            }
+        ]
+    });
+
+    assert.strictEqual(converter.convertSQL(SCRIPT),
+        'CREATE TABLE stg_Orders (Id INT, Note VARCHAR(20) DEFAULT \'staging_x\') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;\n' +
+        'INSERT INTO staging_Orders (Note) SELECT Note FROM AuditLog;\n');
+    assert.deepStrictEqual(converter.warnings.map(warning => [warning.rule, warning.message]), [['audit-log', 'AuditLog is going away']]);
+});
+
+test('rules replace, move and turn off built-in rules by name', () => {
+    const ruleSet = new RuleSet({
+        rules: [
+            { name: 'getdate', pattern: /GETDATE\(\)/g, replacement: 'CURRENT_TIMESTAMP(3)' },
+            { name: 'first', convert: code => code, before: 'getdate' },
+            { name: 'len', enabled: false }
+        ],
+        disable: ['newid']
+    });
+
+    assert.deepStrictEqual(ruleSet.rules.map(rule => [rule.name, rule.enabled]), [
+        ['first', true],
+        ['getdate', true],
+        ['getutcdate', true],
+        ['newid', false],
+        ['len', false],
+        ['isnull', true]
+    ]);
+    assert.strictEqual(ruleSet.apply('SELECT GETDATE(), LEN(x)', { warnings: [] }), 'SELECT CURRENT_TIMESTAMP(3), LEN(x)');
+    assert.throws(() => new RuleSet({ disable: ['nope'] }), /Unknown rule "nope" in --disable-rule/);
+    assert.throws(() => new RuleSet({ rules: [{ name: 'half', pattern: 'x' }] }), /Rule "half": pattern needs a replacement/);
+});
+
+test('config files are read with their reverse rules and rejected when malformed', (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, '.sqlmysqlrc.json');
+
+    assert.strictEqual(RuleSet.find(directory), null);
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ name: 'x', pattern: 'a', replacement: 'b' }], reverse: { disable: ['now'] } }));
+    assert.strictEqual(RuleSet.find(directory), file);
+    assert.deepStrictEqual(RuleSet.load(file), {
+        rules: [{ name: 'x', pattern: 'a', replacement: 'b' }],
+        disable: [],
+        reverse: { rules: [], disable: ['now'] }
+    });
+
+    fs.writeFileSync(file, JSON.stringify({ rules: {} }));
+    assert.throws(() => RuleSet.load(file), /expected an object with a rules array/);
+    fs.writeFileSync(file, '{ rules: [');
+    assert.throws(() => RuleSet.load(file), /^Error: Invalid rules file .*\.sqlmysqlrc\.json: /);
+});
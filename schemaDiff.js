@@ -0,0 +1,403 @@
+const TableFilter = require('./tableFilter');
+const SchemaParser = require('./schemaParser');
+
+// Integer display widths MySQL 8 no longer reports, except TINYINT(1) for booleans
+const INTEGER_TYPE_PATTERN = /^(tinyint|smallint|mediumint|int|bigint)\((\d+)\)/;
+
+// Foreign key rules InnoDB treats the same way
+const DEFAULT_RULE = 'NO ACTION';
+
+/**
+ * Type as MySQL reports it in information_schema.COLUMNS.COLUMN_TYPE
+ */
+function normalizeType(type) {
+    let normalized = type.toLowerCase()
+        .replace(/\s+/g, ' ')
+        .replace(/\s*([(),])\s*/g, '$1')
+        .replace(/ (?:character set|charset|collate) \S+/g, '')
+        .trim();
+
+    normalized = normalized
+        .replace(/^integer\b/, 'int')
+        .replace(/^bool(?:ean)?$/, 'tinyint(1)')
+        .replace(/^(?:dec|numeric|fixed)\b/, 'decimal')
+        .replace(/^(?:real|double precision)\b/, 'double')
+        .replace(/^(?:national )?n?(?:character varying|varchar)\b/, 'varchar')
+        .replace(/^(?:national )?n?(?:character|char)\b/, 'char')
+        .replace(/^decimal(?=$| )/, 'decimal(10,0)')
+        .replace(/^decimal\((\d+)\)/, 'decimal($1,0)')
+        .replace(/^(char|binary)(?=$| )/, '$1(1)')
+        .replace(/^(datetime|timestamp|time)\(0\)/, '$1')
+        .replace(/^year\(4\)/, 'year');
+
+    const integer = INTEGER_TYPE_PATTERN.exec(normalized);
+    if (integer && !(integer[1] === 'tinyint' && integer[2] === '1')) {
+        normalized = normalized.replace(INTEGER_TYPE_PATTERN, '$1');
+    }
+    return normalized;
+}
+
+/**
+ * Default as one comparable string, null for none
+ */
+function normalizeDefault(value) {
+    if (!value) return null;
+    if (!value.expression) {
+        // 0 and 0.00 are the same number default
+        return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value.value) ? `=${Number(value.value)}` : `=${value.value}`;
+    }
+
+    let expression = value.value.replace(/[\s`]/g, '').toUpperCase();
+    while (/^\(.*\)$/.test(expression)) expression = expression.slice(1, -1);
+    return expression
+        .replace(/^(?:NOW|LOCALTIME|LOCALTIMESTAMP|CURRENT_TIMESTAMP)(?:\(\))?(?=$|\()/, 'CURRENT_TIMESTAMP')
+        .replace(/^CURRENT_TIMESTAMP\(0\)$/, 'CURRENT_TIMESTAMP');
+}
+
+function normalizeRule(rule) {
+    return !rule || rule.toUpperCase() === 'RESTRICT' ? DEFAULT_RULE : rule.toUpperCase();
+}
+
+function quoteName(name) {
+    return `\`${name.replace(/`/g, '``')}\``;
+}
+
+/**
+ * Compares the tables a reference defines (a converted script or another database) with the
+ * tables of the MySQL database, and writes the differences as a report or as the ALTER TABLE
+ * statements that bring the database in line with the reference.
+ *
+ * Types are compared as MySQL reports them, so INTEGER and INT(11), BOOLEAN and TINYINT(1) or
+ * NVARCHAR and VARCHAR are not differences. Names are compared without regard to case. The
+ * index MySQL adds for a foreign key on its own is not reported, and neither are foreign keys
+ * that only differ by name.
+ */
+class SchemaDiff {
+    /**
+     * @param {object} options - { include, exclude } table patterns (see TableFilter)
+     */
+    constructor(options = {}) {
+        this.filter = new TableFilter({ include: options.include, exclude: options.exclude });
+    }
+
+    /**
+     * Compare two schemas
+     * @param {Map} expected - Reference tables by lower-case name
+     * @param {Map} actual - Database tables by lower-case name
+     * @returns {Array<object>} - { kind, table, name, message, expected, actual } differences where
+     *   kind is missing-, extra- or changed- followed by table, column, index or foreign-key, or
+     *   renamed-index; expected and actual hold the definitions compared, null on the side
+     *   that lacks them
+     */
+    compare(expected, actual) {
+        const differences = [];
+        const selected = (table) => this.filter.matches(table.name);
+
+        Array.from(expected.values()).filter(selected).forEach(table => {
+            const other = actual.get(table.name.toLowerCase());
+            if (!other) {
+                differences.push({ kind: 'missing-table', table: table.name, name: table.name, message: 'missing in the database', expected: table, actual: null });
+            } else {
+                differences.push(...this.compareTable(table, other));
+            }
+        });
+
+        Array.from(actual.values()).filter(selected).forEach(table => {
+            if (!expected.has(table.name.toLowerCase())) {
+                differences.push({ kind: 'extra-table', table: table.name, name: table.name, message: 'only in the database', expected: null, actual: table });
+            }
+        });
+
+        return differences;
+    }
+
+    /**
+     * Differences between the two definitions of a table
+     */
+    compareTable(expected, actual) {
+        const differences = [];
+        const add = (kind, name, message, expectedPart, actualPart) => {
+            differences.push({ kind, table: expected.name, name, message, expected: expectedPart, actual: actualPart });
+        };
+
+        const actualColumns = new Map(actual.columns.map(column => [column.name.toLowerCase(), column]));
+        expected.columns.forEach((column, position) => {
+            const other = actualColumns.get(column.name.toLowerCase());
+            if (!other) {
+                add('missing-column', column.name, 'missing in the database', { ...column, after: position > 0 ? expected.columns[position - 1].name : null }, null);
+                return;
+            }
+            const changes = this.compareColumns(column, other);
+            if (changes.length > 0) add('changed-column', column.name, changes.join('; '), column, other);
+        });
+        actual.columns.filter(column => !expected.columns.some(other => other.name.toLowerCase() === column.name.toLowerCase()))
+            .forEach(column => add('extra-column', column.name, 'only in the database', null, column));
+
+        // Foreign keys first: they decide which indexes MySQL created on its own
+        const foreignKeys = this.matchParts(expected.foreignKeys, actual.foreignKeys, foreignKey => this.foreignKeySignature(foreignKey), true);
+        foreignKeys.changed.forEach(([a, b]) => add('changed-foreign-key', a.name, `is ${this.describeForeignKey(b)}, expected ${this.describeForeignKey(a)}`, a, b));
+        foreignKeys.missing.forEach(foreignKey => add('missing-foreign-key', foreignKey.name, 'missing in the database', foreignKey, null));
+        foreignKeys.extra.forEach(foreignKey => add('extra-foreign-key', foreignKey.name, 'only in the database', null, foreignKey));
+
+        // An index MySQL adds for a foreign key on one side is not a difference
+        const implicit = (index, table, otherTable) => !index.unique && table.foreignKeys.some(foreignKey =>
+            this.sameNames(foreignKey.columns, index.columns.map(part => part.name)) &&
+            otherTable.foreignKeys.some(other => this.sameNames(other.columns, foreignKey.columns)));
+
+        const indexes = this.matchParts(expected.indexes, actual.indexes, index => this.indexSignature(index), false);
+        indexes.renamed.forEach(([a, b]) => add('renamed-index', a.name, `is named ${b.name}`, a, b));
+        indexes.changed.forEach(([a, b]) => add('changed-index', a.name, `is ${this.describeIndex(b)}, expected ${this.describeIndex(a)}`, a, b));
+        indexes.missing.filter(index => !implicit(index, expected, actual))
+            .forEach(index => add('missing-index', index.name, 'missing in the database', index, null));
+        indexes.extra.filter(index => !implicit(index, actual, expected))
+            .forEach(index => add('extra-index', index.name, 'only in the database', null, index));
+
+        return differences;
+    }
+
+    /**
+     * How a database column differs from the reference
+     * @returns {Array<string>} - One description per difference
+     */
+    compareColumns(expected, actual) {
+        const changes = [];
+        if (normalizeType(expected.type) !== normalizeType(actual.type)) {
+            changes.push(`type is ${actual.type}, expected ${expected.type}`);
+        }
+        if (expected.nullable !== actual.nullable) {
+            changes.push(actual.nullable ? 'allows NULL, expected NOT NULL' : 'is NOT NULL, expected NULL allowed');
+        }
+        if (normalizeDefault(expected.default) !== normalizeDefault(actual.default)) {
+            changes.push(`default is ${this.describeDefault(actual.default)}, expected ${this.describeDefault(expected.default)}`);
+        }
+        if (expected.autoIncrement !== actual.autoIncrement) {
+            changes.push(actual.autoIncrement ? 'is AUTO_INCREMENT, expected not' : 'is not AUTO_INCREMENT');
+        }
+        if (normalizeDefault(expected.onUpdate && { value: expected.onUpdate, expression: true }) !==
+            normalizeDefault(actual.onUpdate && { value: actual.onUpdate, expression: true })) {
+            changes.push(`ON UPDATE is ${actual.onUpdate || 'not set'}, expected ${expected.onUpdate || 'not set'}`);
+        }
+        return changes;
+    }
+
+    /**
+     * Pair the indexes or foreign keys of both sides by name, then the unpaired ones by definition
+     * @param {boolean} ignoreNames - Treat parts with the same definition as the same part
+     * @returns {object} - { changed, renamed, missing, extra }; changed and renamed hold pairs
+     */
+    matchParts(expected, actual, signature, ignoreNames) {
+        const result = { changed: [], renamed: [], missing: [], extra: [] };
+        const unmatched = new Set(actual);
+
+        const unnamed = [];
+        expected.forEach(part => {
+            const other = actual.find(candidate => unmatched.has(candidate) && candidate.name.toLowerCase() === part.name.toLowerCase());
+            if (other) {
+                unmatched.delete(other);
+                if (signature(part) !== signature(other)) result.changed.push([part, other]);
+            } else {
+                unnamed.push(part);
+            }
+        });
+
+        unnamed.forEach(part => {
+            const other = Array.from(unmatched).find(candidate => signature(candidate) === signature(part));
+            if (!other) {
+                result.missing.push(part);
+                return;
+            }
+            unmatched.delete(other);
+            if (!ignoreNames) result.renamed.push([part, other]);
+        });
+
+        result.extra = Array.from(unmatched);
+        return result;
+    }
+
+    indexSignature(index) {
+        const columns = index.columns.map(part => `${part.name.toLowerCase()}${part.length ? `(${part.length})` : ''}`);
+        return `${index.primary ? 'PRIMARY' : (index.unique ? 'UNIQUE' : index.kind)} (${columns.join(',')})`;
+    }
+
+    foreignKeySignature(foreignKey) {
+        return [
+            foreignKey.columns.join(',').toLowerCase(),
+            foreignKey.referencedTable.toLowerCase(),
+            foreignKey.referencedColumns.join(',').toLowerCase(),
+            normalizeRule(foreignKey.onDelete),
+            normalizeRule(foreignKey.onUpdate)
+        ].join('|');
+    }
+
+    sameNames(a, b) {
+        return a.length === b.length && a.every((name, i) => name.toLowerCase() === b[i].toLowerCase());
+    }
+
+    describeDefault(value) {
+        if (!value) return 'none';
+        return value.expression ? value.value : `'${value.value}'`;
+    }
+
+    describeIndex(index) {
+        const kind = index.primary ? 'PRIMARY KEY' : (index.unique ? 'UNIQUE' : (index.kind === 'BTREE' ? 'INDEX' : index.kind));
+        return `${kind} (${this.keyParts(index)})`;
+    }
+
+    describeForeignKey(foreignKey) {
+        return `(${foreignKey.columns.join(', ')}) -> ${foreignKey.referencedTable} (${foreignKey.referencedColumns.join(', ')}) ` +
+            `ON DELETE ${normalizeRule(foreignKey.onDelete)} ON UPDATE ${normalizeRule(foreignKey.onUpdate)}`;
+    }
+
+    /**
+     * Human-readable report, grouped by table
+     * @param {Array<object>} differences - Differences from compare()
+     * @param {object} labels - { expected, actual } names of the two sides
+     * @returns {string} - Report text
+     */
+    formatReport(differences, labels) {
+        const lines = [`Schema differences between ${labels.expected} (expected) and ${labels.actual}`];
+        if (differences.length === 0) {
+            lines.push('', 'No differences found.');
+            return lines.join('\n');
+        }
+
+        const symbols = { missing: '+', extra: '-', changed: '~', renamed: '~' };
+        const tables = new Map();
+        differences.forEach(difference => {
+            if (!tables.has(difference.table)) tables.set(difference.table, []);
+            tables.get(difference.table).push(difference);
+        });
+
+        tables.forEach((tableDifferences, table) => {
+            lines.push('', table);
+            tableDifferences.forEach(difference => {
+                const [change, ...part] = difference.kind.split('-');
+                const what = part.join(' ');
+                lines.push(what === 'table'
+                    ? `  ${symbols[change]} table ${difference.message}`
+                    : `  ${symbols[change]} ${what} ${difference.name}: ${difference.message}`);
+            });
+        });
+
+        const counts = { missing: 0, extra: 0, changed: 0, renamed: 0 };
+        differences.forEach(difference => { counts[difference.kind.split('-')[0]]++; });
+        lines.push('', `${differences.length} difference(s): ${counts.missing} missing in the database, ` +
+            `${counts.extra} only in the database, ${counts.changed + counts.renamed} changed`);
+        return lines.join('\n');
+    }
+
+    /**
+     * MySQL script that makes the database match the reference. Foreign keys are dropped
+     * first and added last, so the statements in between do not trip over them. Statements
+     * that would lose data (dropping tables and columns) are written commented out.
+     * @param {Array<object>} differences - Differences from compare()
+     * @param {object} labels - { expected, actual } names of the two sides
+     * @returns {string} - Script text
+     */
+    toAlterScript(differences, labels) {
+        const before = [];
+        const main = [];
+        const after = [];
+
+        differences.forEach(difference => {
+            const table = quoteName(difference.table);
+            const { expected, actual } = difference;
+
+            switch (difference.kind) {
+            case 'missing-table':
+                main.push(this.createTable(expected));
+                expected.foreignKeys.forEach(foreignKey => after.push(`ALTER TABLE ${table} ADD ${this.foreignKeyDefinition(foreignKey)};`));
+                break;
+            case 'extra-table':
+                main.push(`-- DROP TABLE ${table};`);
+                break;
+            case 'missing-column':
+                main.push(`ALTER TABLE ${table} ADD COLUMN ${this.columnDefinition(expected)}${expected.after ? ` AFTER ${quoteName(expected.after)}` : ' FIRST'};`);
+                break;
+            case 'extra-column':
+                main.push(`-- ALTER TABLE ${table} DROP COLUMN ${quoteName(actual.name)};`);
+                break;
+            case 'changed-column':
+                main.push(`ALTER TABLE ${table} MODIFY COLUMN ${this.columnDefinition(expected)};`);
+                break;
+            case 'missing-index':
+                main.push(`ALTER TABLE ${table} ADD ${this.indexDefinition(expected)};`);
+                break;
+            case 'extra-index':
+                main.push(`ALTER TABLE ${table} ${this.dropIndex(actual)};`);
+                break;
+            case 'changed-index':
+                main.push(`ALTER TABLE ${table} ${this.dropIndex(actual)}, ADD ${this.indexDefinition(expected)};`);
+                break;
+            case 'renamed-index':
+                main.push(`ALTER TABLE ${table} RENAME INDEX ${quoteName(actual.name)} TO ${quoteName(expected.name)};`);
+                break;
+            case 'missing-foreign-key':
+                after.push(`ALTER TABLE ${table} ADD ${this.foreignKeyDefinition(expected)};`);
+                break;
+            case 'extra-foreign-key':
+                before.push(`ALTER TABLE ${table} DROP FOREIGN KEY ${quoteName(actual.name)};`);
+                break;
+            case 'changed-foreign-key':
+                before.push(`ALTER TABLE ${table} DROP FOREIGN KEY ${quoteName(actual.name)};`);
+                after.push(`ALTER TABLE ${table} ADD ${this.foreignKeyDefinition(expected)};`);
+                break;
+            }
+        });
+
+        const lines = [
+            `-- Brings ${labels.actual} in line with ${labels.expected}`,
+            '-- Statements that would lose data are commented out; review before running',
+            ''
+        ];
+        const statements = [...before, ...main, ...after];
+        if (statements.length === 0) lines.push('-- No differences found');
+        return lines.concat(statements).join('\n') + '\n';
+    }
+
+    createTable(table) {
+        const definitions = table.columns.map(column => this.columnDefinition(column))
+            .concat(table.indexes.map(index => this.indexDefinition(index)));
+        return `CREATE TABLE ${quoteName(table.name)} (\n    ${definitions.join(',\n    ')}\n) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`;
+    }
+
+    columnDefinition(column) {
+        let definition = `${quoteName(column.name)} ${column.type} ${column.nullable ? 'NULL' : 'NOT NULL'}`;
+        if (column.default) {
+            const { value, expression } = column.default;
+            const bare = SchemaParser.BARE_DEFAULT_FUNCTIONS.some(name => new RegExp(`^${name}\\b`, 'i').test(value));
+            if (!expression) {
+                definition += /^[bx]'/i.test(value) ? ` DEFAULT ${value}` : ` DEFAULT '${value.replace(/\\/g, '\\\\').replace(/'/g, '\'\'')}'`;
+            } else {
+                definition += bare ? ` DEFAULT ${value}` : ` DEFAULT (${value})`;
+            }
+        }
+        if (column.autoIncrement) definition += ' AUTO_INCREMENT';
+        if (column.onUpdate) definition += ` ON UPDATE ${column.onUpdate}`;
+        return definition;
+    }
+
+    keyParts(index) {
+        return index.columns.map(part => `${quoteName(part.name)}${part.length ? `(${part.length})` : ''}`).join(', ');
+    }
+
+    indexDefinition(index) {
+        if (index.primary) return `PRIMARY KEY (${this.keyParts(index)})`;
+        const kind = index.unique ? 'UNIQUE KEY' : (index.kind === 'BTREE' ? 'KEY' : `${index.kind} KEY`);
+        return `${kind} ${quoteName(index.name)} (${this.keyParts(index)})`;
+    }
+
+    dropIndex(index) {
+        return index.primary ? 'DROP PRIMARY KEY' : `DROP INDEX ${quoteName(index.name)}`;
+    }
+
+    foreignKeyDefinition(foreignKey) {
+        let definition = `CONSTRAINT ${quoteName(foreignKey.name)} FOREIGN KEY (${foreignKey.columns.map(quoteName).join(', ')}) ` +
+            `REFERENCES ${quoteName(foreignKey.referencedTable)} (${foreignKey.referencedColumns.map(quoteName).join(', ')})`;
+        if (normalizeRule(foreignKey.onDelete) !== DEFAULT_RULE) definition += ` ON DELETE ${normalizeRule(foreignKey.onDelete)}`;
+        if (normalizeRule(foreignKey.onUpdate) !== DEFAULT_RULE) definition += ` ON UPDATE ${normalizeRule(foreignKey.onUpdate)}`;
+        return definition;
+    }
+}
+
+module.exports = SchemaDiff;
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SchemaParser = require('./schemaParser');
+const SchemaDiff = require('./schemaDiff');
+
+const LABELS = { expected: 'schema_mysql.sql', actual: 'shop' };
+
+/**
+ * Tables a script defines; statements are split on semicolons
+ */
+function parse(script) {
+    const parser = new SchemaParser();
+    script.split(';').filter(sql => sql.trim()).forEach(sql => parser.parse(sql));
+    return parser.tables;
+}
+
+const EXPECTED = parse(`
+    CREATE TABLE \`Customers\` (
+        \`Id\` INT NOT NULL AUTO_INCREMENT,
+        \`Email\` VARCHAR(255) NOT NULL,
+        \`Active\` BOOLEAN DEFAULT 1,
+        \`Created\` DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (\`Id\`),
+        UNIQUE KEY \`UX_Email\` (\`Email\`)
+    ) ENGINE=InnoDB;
+    CREATE TABLE \`Orders\` (\`Id\` INT NOT NULL, \`CustomerId\` INT, PRIMARY KEY (\`Id\`));
+    ALTER TABLE \`Orders\` ADD CONSTRAINT \`FK_Orders_Customers\` FOREIGN KEY (\`CustomerId\`) REFERENCES \`Customers\` (\`Id\`);
+    CREATE INDEX \`IX_Orders_Customer\` ON \`Orders\` (\`CustomerId\`);
+`);
+
+test('types, defaults and names are compared the way MySQL reports them', () => {
+    const actual = parse(`
+        CREATE TABLE customers (
+            Id int(11) NOT NULL AUTO_INCREMENT,
+            Email varchar(255) NOT NULL,
+            Active tinyint(1) DEFAULT '1',
+            Created datetime DEFAULT now(),
+            PRIMARY KEY (Id),
+            UNIQUE KEY UX_Email (Email)
+        );
+        CREATE TABLE orders (Id int NOT NULL, CustomerId int, PRIMARY KEY (Id), KEY IX_Orders_Customer (CustomerId),
+            CONSTRAINT orders_ibfk_1 FOREIGN KEY (CustomerId) REFERENCES customers (Id));
+    `);
+
+    assert.deepStrictEqual(new SchemaDiff().compare(EXPECTED, actual), []);
+});
+
+test('drift is reported per table and scripted as ALTER TABLE statements', () => {
+    const actual = parse(`
+        CREATE TABLE Customers (
+            Id int NOT NULL AUTO_INCREMENT,
+            Email varchar(100) NOT NULL,
+            Active tinyint(1) DEFAULT 1,
+            Created datetime DEFAULT CURRENT_TIMESTAMP,
+            Notes text,
+            PRIMARY KEY (Id),
+            UNIQUE KEY UX_Email (Email)
+        );
+        CREATE TABLE Orders (Id int NOT NULL, CustomerId int, PRIMARY KEY (Id), KEY IX_Cust (CustomerId));
+        CREATE TABLE Scratch (Id int);
+    `);
+    const diff = new SchemaDiff();
+    const differences = diff.compare(EXPECTED, actual);
+
+    assert.deepStrictEqual(differences.map(difference => [difference.kind, difference.table, difference.name]), [
+        ['changed-column', 'Customers', 'Email'],
+        ['extra-column', 'Customers', 'Notes'],
+        ['missing-foreign-key', 'Orders', 'FK_Orders_Customers'],
+        ['renamed-index', 'Orders', 'IX_Orders_Customer'],
+        ['extra-table', 'Scratch', 'Scratch']
+    ]);
+    assert.match(diff.formatReport(differences, LABELS), /~ column Email: type is varchar\(100\), expected VARCHAR\(255\)/);
+    assert.deepStrictEqual(diff.toAlterScript(differences, LABELS).split('\n').slice(3), [
+        'ALTER TABLE `Customers` MODIFY COLUMN `Email` VARCHAR(255) NOT NULL;',
+        '-- ALTER TABLE `Customers` DROP COLUMN `Notes`;',
+        'ALTER TABLE `Orders` RENAME INDEX `IX_Cust` TO `IX_Orders_Customer`;',
+        '-- DROP TABLE `Scratch`;',
+        'ALTER TABLE `Orders` ADD CONSTRAINT `FK_Orders_Customers` FOREIGN KEY (`CustomerId`) REFERENCES `Customers` (`Id`);',
+        ''
+    ]);
+});
+
+test('table filters limit the comparison', () => {
+    const differences = new SchemaDiff({ exclude: ['Ord*'] }).compare(EXPECTED, parse('CREATE TABLE Scratch (Id int)'));
+    assert.deepStrictEqual(differences.map(difference => [difference.kind, difference.table]), [
+        ['missing-table', 'Customers'],
+        ['extra-table', 'Scratch']
+    ]);
+});
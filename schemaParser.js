@@ -0,0 +1,520 @@
+const SQLTokenizer = require('./sqlTokenizer');
+
+// Words that end the data type of a column definition and start its attributes
+const COLUMN_ATTRIBUTE_WORDS = ['NOT', 'NULL', 'DEFAULT', 'AUTO_INCREMENT', 'PRIMARY', 'UNIQUE', 'KEY', 'COMMENT',
+    'COLLATE', 'CHARACTER', 'CHARSET', 'ON', 'REFERENCES', 'CHECK', 'CONSTRAINT', 'GENERATED', 'AS', 'VISIBLE',
+    'INVISIBLE', 'SRID', 'STORAGE', 'COLUMN_FORMAT'];
+
+// Words that start a key or constraint rather than a column in a table definition
+const KEY_WORDS = ['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'KEY', 'INDEX', 'FULLTEXT', 'SPATIAL', 'FOREIGN', 'CHECK'];
+
+// Words between CREATE and TABLE or INDEX
+const CREATE_MODIFIER_WORDS = ['TEMPORARY', 'UNIQUE', 'FULLTEXT', 'SPATIAL', 'CLUSTERED', 'NONCLUSTERED'];
+
+// Default expressions that are written without parentheses
+const BARE_DEFAULT_FUNCTIONS = ['CURRENT_TIMESTAMP', 'NOW', 'LOCALTIME', 'LOCALTIMESTAMP', 'CURRENT_DATE', 'CURRENT_TIME'];
+
+/**
+ * Builds the tables a MySQL script defines from its DDL, the way MySQL would end up with them.
+ *
+ * CREATE TABLE, CREATE INDEX, ALTER TABLE (ADD, MODIFY, CHANGE, ALTER COLUMN, DROP, RENAME) and
+ * DROP TABLE are applied in order; every other statement is ignored. Keys and foreign keys
+ * written without a name get the name MySQL would give them.
+ *
+ * Tables come in the same shape as DatabaseManager.getSchema() returns:
+ *   { name, columns, indexes, foreignKeys }
+ *   columns: { name, type, nullable, default, autoIncrement, onUpdate } where default is null
+ *     or { value, expression } and onUpdate the ON UPDATE expression
+ *   indexes: { name, primary, unique, kind, columns: [{ name, length }] } with kind BTREE,
+ *     FULLTEXT or SPATIAL and PRIMARY as the name of the primary key
+ *   foreignKeys: { name, columns, referencedTable, referencedColumns, onDelete, onUpdate }
+ */
+class SchemaParser {
+    constructor() {
+        this.tokenizer = new SQLTokenizer();
+        // Tables by lower-case name
+        this.tables = new Map();
+    }
+
+    /**
+     * Apply every statement of a script
+     * @param {AsyncIterable<object>} statements - { sql } statements, as read by DatabaseManager.readStatements()
+     * @returns {Promise<Map>} - Tables by lower-case name
+     */
+    async parseStatements(statements) {
+        for await (const statement of statements) {
+            this.parse(statement.sql);
+        }
+        return this.tables;
+    }
+
+    /**
+     * Apply one statement
+     * @param {string} sql - Statement without its delimiter
+     */
+    parse(sql) {
+        const tokens = this.tokenizer.tokenize(sql)
+            .filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+        const words = tokens.slice(0, 3).map(token => this.tokenizer.upperWord(token));
+
+        if (words[0] === 'CREATE') {
+            let object = 1;
+            while (CREATE_MODIFIER_WORDS.includes(this.tokenizer.upperWord(tokens[object]))) object++;
+            const leading = tokens.slice(1, object).map(token => this.tokenizer.upperWord(token));
+            if (this.tokenizer.upperWord(tokens[object]) === 'TABLE') {
+                this.parseCreateTable(sql, tokens, object + 1);
+            } else if (this.tokenizer.upperWord(tokens[object]) === 'INDEX') {
+                this.parseCreateIndex(sql, tokens, object + 1, leading);
+            }
+        } else if (words[0] === 'ALTER' && words[1] === 'TABLE') {
+            this.parseAlterTable(sql, tokens, 2);
+        } else if (words[0] === 'DROP' && words[1] === 'TABLE') {
+            let i = 2;
+            if (this.tokenizer.upperWord(tokens[i]) === 'IF') i += 2;
+            this.splitList(tokens, i, tokens.length).forEach(parts => {
+                this.tables.delete(this.readName(parts, 0).name.toLowerCase());
+            });
+        }
+    }
+
+    /**
+     * CREATE [TEMPORARY] TABLE [IF NOT EXISTS] name (definitions) options
+     */
+    parseCreateTable(sql, tokens, start) {
+        let i = start;
+        if (this.tokenizer.upperWord(tokens[i]) === 'IF') i += 3;
+
+        const { name, next } = this.readName(tokens, i);
+        if (!name || !this.isSymbol(tokens[next], '(')) return;
+
+        const table = { name, columns: [], indexes: [], foreignKeys: [] };
+        const close = this.tokenizer.findClosingParen(tokens, next);
+        this.splitList(tokens, next + 1, close).forEach(parts => this.addDefinition(sql, table, parts));
+        this.finishTable(table);
+        this.tables.set(name.toLowerCase(), table);
+    }
+
+    /**
+     * CREATE [UNIQUE|FULLTEXT|SPATIAL] INDEX name ON table (key parts)
+     */
+    parseCreateIndex(sql, tokens, start, leading) {
+        const indexName = this.unquote(tokens[start].value);
+        let i = start + 1;
+        while (tokens[i] && this.tokenizer.upperWord(tokens[i]) !== 'ON') i++;
+
+        const { name, next } = this.readName(tokens, i + 1);
+        const table = name && this.tables.get(name.toLowerCase());
+        if (!table || !this.isSymbol(tokens[next], '(')) return;
+
+        table.indexes.push({
+            name: indexName,
+            primary: false,
+            unique: leading.includes('UNIQUE'),
+            kind: leading.includes('FULLTEXT') ? 'FULLTEXT' : (leading.includes('SPATIAL') ? 'SPATIAL' : 'BTREE'),
+            columns: this.readKeyParts(tokens, next)
+        });
+    }
+
+    /**
+     * ALTER TABLE name specification, specification, ...
+     */
+    parseAlterTable(sql, tokens, start) {
+        const { name, next } = this.readName(tokens, start);
+        const table = name && this.tables.get(name.toLowerCase());
+        if (!table) return;
+
+        this.splitList(tokens, next, tokens.length).forEach(parts => {
+            const action = this.tokenizer.upperWord(parts[0]);
+            let rest = parts.slice(1);
+            const target = this.tokenizer.upperWord(rest[0]);
+
+            if (action === 'ADD') {
+                if (target === 'COLUMN') rest = rest.slice(1);
+                this.addDefinition(sql, table, rest);
+            } else if (action === 'MODIFY' || action === 'CHANGE') {
+                if (target === 'COLUMN') rest = rest.slice(1);
+                const oldName = this.unquote(rest[0].value);
+                if (action === 'CHANGE') rest = rest.slice(1);
+                const index = this.findColumnIndex(table, oldName);
+                if (index !== -1) table.columns[index] = this.parseColumn(sql, table, rest);
+            } else if (action === 'ALTER') {
+                if (target === 'COLUMN') rest = rest.slice(1);
+                const column = table.columns[this.findColumnIndex(table, this.unquote(rest[0].value))];
+                if (!column) return;
+                if (this.tokenizer.upperWord(rest[1]) === 'SET' && this.tokenizer.upperWord(rest[2]) === 'DEFAULT') {
+                    column.default = this.readDefault(sql, rest, 3).value;
+                } else if (this.tokenizer.upperWord(rest[1]) === 'DROP') {
+                    column.default = null;
+                }
+            } else if (action === 'DROP') {
+                this.dropDefinition(table, rest);
+            } else if (action === 'RENAME') {
+                this.renameDefinition(table, rest);
+            }
+        });
+        this.finishTable(table);
+    }
+
+    /**
+     * Add a column, key or constraint definition to a table
+     */
+    addDefinition(sql, table, parts) {
+        let word = this.tokenizer.upperWord(parts[0]);
+        if (!KEY_WORDS.includes(word)) {
+            if (parts.length > 1) table.columns.push(this.parseColumn(sql, table, parts));
+            return;
+        }
+
+        let constraintName = null;
+        let i = 0;
+        if (word === 'CONSTRAINT') {
+            i = 1;
+            if (!KEY_WORDS.includes(this.tokenizer.upperWord(parts[1]))) {
+                constraintName = this.unquote(parts[1].value);
+                i = 2;
+            }
+            word = this.tokenizer.upperWord(parts[i]);
+        }
+
+        if (word === 'CHECK') return;
+
+        if (word === 'FOREIGN') {
+            i += 2;
+            // An index name may follow FOREIGN KEY; the constraint name wins
+            if (!this.isSymbol(parts[i], '(')) {
+                constraintName = constraintName || this.unquote(parts[i].value);
+                i++;
+            }
+            this.addForeignKey(table, constraintName, parts, i);
+            return;
+        }
+
+        const index = {
+            name: null,
+            primary: word === 'PRIMARY',
+            unique: word === 'PRIMARY' || word === 'UNIQUE',
+            kind: word === 'FULLTEXT' ? 'FULLTEXT' : (word === 'SPATIAL' ? 'SPATIAL' : 'BTREE'),
+            columns: []
+        };
+        i++;
+        if (['KEY', 'INDEX'].includes(this.tokenizer.upperWord(parts[i]))) i++;
+        if (!this.isSymbol(parts[i], '(') && this.tokenizer.upperWord(parts[i]) !== 'USING') {
+            index.name = this.unquote(parts[i].value);
+            i++;
+        }
+        while (parts[i] && !this.isSymbol(parts[i], '(')) i++;
+        if (!parts[i]) return;
+
+        index.columns = this.readKeyParts(parts, i);
+        this.addIndex(table, index, index.primary ? 'PRIMARY' : (index.name || constraintName));
+    }
+
+    /**
+     * Parse a column definition: name type [attributes]
+     * @returns {object} - Column, see the class comment
+     */
+    parseColumn(sql, table, parts) {
+        const column = {
+            name: this.unquote(parts[0].value),
+            type: '',
+            nullable: true,
+            default: null,
+            autoIncrement: false,
+            onUpdate: null
+        };
+
+        let i = 1;
+        while (parts[i] && !COLUMN_ATTRIBUTE_WORDS.includes(this.tokenizer.upperWord(parts[i]))) {
+            i = this.isSymbol(parts[i], '(') ? this.tokenizer.findClosingParen(parts, i) + 1 : i + 1;
+        }
+        column.type = this.textOf(sql, parts, 1, i - 1);
+
+        while (i < parts.length) {
+            const word = this.tokenizer.upperWord(parts[i]);
+            if (word === 'NOT' && this.tokenizer.upperWord(parts[i + 1]) === 'NULL') {
+                column.nullable = false;
+                i += 2;
+            } else if (word === 'NULL') {
+                column.nullable = true;
+                i++;
+            } else if (word === 'DEFAULT') {
+                const result = this.readDefault(sql, parts, i + 1);
+                column.default = result.value;
+                i = result.next;
+            } else if (word === 'AUTO_INCREMENT') {
+                column.autoIncrement = true;
+                i++;
+            } else if (word === 'ON' && this.tokenizer.upperWord(parts[i + 1]) === 'UPDATE') {
+                const end = this.isSymbol(parts[i + 3], '(') ? this.tokenizer.findClosingParen(parts, i + 3) : i + 2;
+                column.onUpdate = this.textOf(sql, parts, i + 2, end);
+                i = end + 1;
+            } else if (word === 'PRIMARY' || word === 'KEY') {
+                this.addIndex(table, { primary: true, unique: true, kind: 'BTREE', columns: [{ name: column.name, length: null }] }, 'PRIMARY');
+                i += word === 'PRIMARY' ? 2 : 1;
+            } else if (word === 'UNIQUE') {
+                this.addIndex(table, { primary: false, unique: true, kind: 'BTREE', columns: [{ name: column.name, length: null }] }, null);
+                i += this.tokenizer.upperWord(parts[i + 1]) === 'KEY' ? 2 : 1;
+            } else if (word === 'REFERENCES') {
+                // MySQL ignores foreign keys written on the column
+                break;
+            } else if (word === 'COMMENT' || word === 'COLLATE' || word === 'CHARSET' || word === 'SRID') {
+                i += 2;
+            } else if (word === 'CHARACTER') {
+                i += 3;
+            } else if (this.isSymbol(parts[i], '(')) {
+                i = this.tokenizer.findClosingParen(parts, i) + 1;
+            } else {
+                i++;
+            }
+        }
+
+        return column;
+    }
+
+    /**
+     * Read the value after DEFAULT
+     * @returns {object} - { value, next } where value is null or { value, expression }
+     */
+    readDefault(sql, parts, start) {
+        const token = parts[start];
+        const word = this.tokenizer.upperWord(token);
+
+        if (!token || word === 'NULL') return { value: null, next: start + 1 };
+        if (word === 'TRUE' || word === 'FALSE') {
+            return { value: { value: word === 'TRUE' ? '1' : '0', expression: false }, next: start + 1 };
+        }
+        if (token.type === 'string') {
+            return { value: { value: this.unquoteString(token.value), expression: false }, next: start + 1 };
+        }
+        if (token.type === 'number') {
+            return { value: { value: token.value, expression: false }, next: start + 1 };
+        }
+        if ((this.isSymbol(token, '-') || this.isSymbol(token, '+')) && parts[start + 1] && parts[start + 1].type === 'number') {
+            const value = token.value === '-' ? `-${parts[start + 1].value}` : parts[start + 1].value;
+            return { value: { value, expression: false }, next: start + 2 };
+        }
+        // b'0101' and x'1F' literals
+        if ((word === 'B' || word === 'X') && parts[start + 1] && parts[start + 1].type === 'string' &&
+            parts[start + 1].start === token.start + 1) {
+            return { value: { value: `${token.value}${parts[start + 1].value}`, expression: false }, next: start + 2 };
+        }
+        if (this.isSymbol(token, '(')) {
+            const close = this.tokenizer.findClosingParen(parts, start);
+            return { value: { value: this.textOf(sql, parts, start + 1, close - 1), expression: true }, next: close + 1 };
+        }
+        if (BARE_DEFAULT_FUNCTIONS.includes(word)) {
+            const end = this.isSymbol(parts[start + 1], '(') ? this.tokenizer.findClosingParen(parts, start + 1) : start;
+            return { value: { value: this.textOf(sql, parts, start, end), expression: true }, next: end + 1 };
+        }
+        return { value: { value: token.value, expression: false }, next: start + 1 };
+    }
+
+    /**
+     * FOREIGN KEY (columns) REFERENCES table (columns) [ON DELETE rule] [ON UPDATE rule]
+     */
+    addForeignKey(table, name, parts, open) {
+        const close = this.tokenizer.findClosingParen(parts, open);
+        const columns = this.readKeyParts(parts, open).map(part => part.name);
+        if (this.tokenizer.upperWord(parts[close + 1]) !== 'REFERENCES') return;
+
+        const referenced = this.readName(parts, close + 2);
+        const foreignKey = {
+            name,
+            columns,
+            referencedTable: referenced.name,
+            referencedColumns: this.isSymbol(parts[referenced.next], '(') ? this.readKeyParts(parts, referenced.next).map(part => part.name) : [],
+            onDelete: null,
+            onUpdate: null
+        };
+
+        for (let i = referenced.next; i < parts.length; i++) {
+            if (this.tokenizer.upperWord(parts[i]) !== 'ON') continue;
+            const event = this.tokenizer.upperWord(parts[i + 1]);
+            const action = [this.tokenizer.upperWord(parts[i + 2])];
+            if (action[0] === 'SET' || action[0] === 'NO') action.push(this.tokenizer.upperWord(parts[i + 3]));
+            if (event === 'DELETE') foreignKey.onDelete = action.join(' ');
+            if (event === 'UPDATE') foreignKey.onUpdate = action.join(' ');
+        }
+
+        if (!foreignKey.name) {
+            // MySQL numbers unnamed foreign keys per table
+            let number = 1;
+            while (table.foreignKeys.some(other => other.name.toLowerCase() === `${table.name}_ibfk_${number}`.toLowerCase())) number++;
+            foreignKey.name = `${table.name}_ibfk_${number}`;
+        }
+        table.foreignKeys.push(foreignKey);
+    }
+
+    /**
+     * Add an index, naming it after its first column like MySQL when it has no name
+     */
+    addIndex(table, index, name) {
+        if (index.primary) {
+            table.indexes = table.indexes.filter(other => !other.primary);
+        }
+
+        let indexName = name;
+        if (!indexName) {
+            const base = index.columns[0].name;
+            indexName = base;
+            for (let number = 2; table.indexes.some(other => other.name.toLowerCase() === indexName.toLowerCase()); number++) {
+                indexName = `${base}_${number}`;
+            }
+        }
+        table.indexes.push({ ...index, name: indexName });
+    }
+
+    /**
+     * DROP [COLUMN] name | INDEX name | KEY name | PRIMARY KEY | FOREIGN KEY name | CONSTRAINT name
+     */
+    dropDefinition(table, parts) {
+        const target = this.tokenizer.upperWord(parts[0]);
+        const nameOf = (token) => (token ? this.unquote(token.value).toLowerCase() : null);
+
+        if (target === 'PRIMARY') {
+            table.indexes = table.indexes.filter(index => !index.primary);
+        } else if (target === 'INDEX' || target === 'KEY') {
+            table.indexes = table.indexes.filter(index => index.name.toLowerCase() !== nameOf(parts[1]));
+        } else if (target === 'FOREIGN') {
+            table.foreignKeys = table.foreignKeys.filter(foreignKey => foreignKey.name.toLowerCase() !== nameOf(parts[2]));
+        } else if (target === 'CONSTRAINT' || target === 'CHECK') {
+            const name = nameOf(parts[1]);
+            table.foreignKeys = table.foreignKeys.filter(foreignKey => foreignKey.name.toLowerCase() !== name);
+            table.indexes = table.indexes.filter(index => index.name.toLowerCase() !== name);
+        } else {
+            const name = nameOf(target === 'COLUMN' ? parts[1] : parts[0]);
+            table.columns = table.columns.filter(column => column.name.toLowerCase() !== name);
+            table.indexes.forEach(index => {
+                index.columns = index.columns.filter(part => part.name.toLowerCase() !== name);
+            });
+            table.indexes = table.indexes.filter(index => index.columns.length > 0);
+        }
+    }
+
+    /**
+     * RENAME [TO|AS] name | RENAME COLUMN old TO new | RENAME INDEX|KEY old TO new
+     */
+    renameDefinition(table, parts) {
+        const target = this.tokenizer.upperWord(parts[0]);
+        const oldName = parts[1] ? this.unquote(parts[1].value) : null;
+        const newName = parts[3] ? this.unquote(parts[3].value) : null;
+
+        if (target === 'COLUMN') {
+            const column = table.columns[this.findColumnIndex(table, oldName)];
+            if (!column) return;
+            table.indexes.forEach(index => index.columns.forEach(part => {
+                if (part.name.toLowerCase() === oldName.toLowerCase()) part.name = newName;
+            }));
+            column.name = newName;
+        } else if (target === 'INDEX' || target === 'KEY') {
+            const index = table.indexes.find(other => other.name.toLowerCase() === oldName.toLowerCase());
+            if (index) index.name = newName;
+        } else {
+            const { name } = this.readName(parts, target === 'TO' || target === 'AS' ? 1 : 0);
+            this.tables.delete(table.name.toLowerCase());
+            table.name = name;
+            this.tables.set(name.toLowerCase(), table);
+        }
+    }
+
+    /**
+     * Columns of a primary key are NOT NULL even when not written so
+     */
+    finishTable(table) {
+        const primary = table.indexes.find(index => index.primary);
+        if (!primary) return;
+        primary.columns.forEach(part => {
+            const column = table.columns[this.findColumnIndex(table, part.name)];
+            if (column) column.nullable = false;
+        });
+    }
+
+    /**
+     * Read (column [(length)] [ASC|DESC], ...)
+     * @returns {Array<object>} - { name, length } per key part
+     */
+    readKeyParts(tokens, open) {
+        const close = this.tokenizer.findClosingParen(tokens, open);
+        return this.splitList(tokens, open + 1, close).map(parts => ({
+            name: this.unquote(parts[0].value),
+            length: this.isSymbol(parts[1], '(') && parts[2] && parts[2].type === 'number' ? parseInt(parts[2].value, 10) : null
+        }));
+    }
+
+    /**
+     * Read a name that may be qualified with a database
+     * @returns {object} - { name, next } with the last part of the name, unquoted
+     */
+    readName(tokens, start) {
+        let i = start;
+        let name = null;
+        while (tokens[i] && (tokens[i].type === 'identifier' || tokens[i].type === 'word')) {
+            name = this.unquote(tokens[i].value);
+            i++;
+            if (!this.isSymbol(tokens[i], '.')) break;
+            i++;
+        }
+        return { name, next: i };
+    }
+
+    /**
+     * Split tokens at the commas outside parentheses
+     * @returns {Array<Array<object>>} - Token lists, empty ones left out
+     */
+    splitList(tokens, start, end) {
+        const items = [];
+        let item = [];
+        for (let i = start; i < end; i++) {
+            if (this.isSymbol(tokens[i], ',')) {
+                items.push(item);
+                item = [];
+            } else if (this.isSymbol(tokens[i], '(')) {
+                const close = Math.min(this.tokenizer.findClosingParen(tokens, i), end - 1);
+                item.push(...tokens.slice(i, close + 1));
+                i = close;
+            } else {
+                item.push(tokens[i]);
+            }
+        }
+        items.push(item);
+        return items.filter(parts => parts.length > 0);
+    }
+
+    findColumnIndex(table, name) {
+        return table.columns.findIndex(column => column.name.toLowerCase() === String(name).toLowerCase());
+    }
+
+    /**
+     * Original text from the first to the last of a range of tokens
+     */
+    textOf(sql, tokens, first, last) {
+        if (last < first || !tokens[first]) return '';
+        const end = tokens[last];
+        return sql.slice(tokens[first].start, end.start + end.value.length);
+    }
+
+    /**
+     * Name without its `backticks`, "quotes" or [brackets]
+     */
+    unquote(name) {
+        return /^[[`"]/.test(name) ? name.slice(1, -1) : name;
+    }
+
+    /**
+     * Value of a '...' string with doubled quotes and backslash escapes resolved
+     */
+    unquoteString(value) {
+        return value.replace(/^N/i, '').slice(1, -1).replace(/''/g, '\'').replace(/\\(.)/g, '$1');
+    }
+
+    /**
+     * Whether a token is the given symbol
+     */
+    isSymbol(token, value) {
+        return Boolean(token) && token.type === 'symbol' && token.value === value;
+    }
+}
+
+SchemaParser.BARE_DEFAULT_FUNCTIONS = BARE_DEFAULT_FUNCTIONS;
+
+module.exports = SchemaParser;
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SchemaParser = require('./schemaParser');
+
+/**
+ * Tables a list of statements leaves behind
+ */
+function parse(statements) {
+    const parser = new SchemaParser();
+    statements.forEach(sql => parser.parse(sql));
+    return parser.tables;
+}
+
+test('unnamed keys and foreign keys get the names MySQL gives them', () => {
+    const tables = parse([
+        'CREATE TABLE `Orders` (`Id` INT NOT NULL AUTO_INCREMENT PRIMARY KEY, `CustomerId` INT, `Code` VARCHAR(10), ' +
+            'UNIQUE (`Code`), FOREIGN KEY (`CustomerId`) REFERENCES `Customers` (`Id`) ON DELETE CASCADE)'
+    ]);
+    const orders = tables.get('orders');
+
+    assert.deepStrictEqual(orders.indexes.map(index => [index.name, index.unique]), [['PRIMARY', true], ['Code', true]]);
+    assert.deepStrictEqual(orders.foreignKeys, [{
+        name: 'Orders_ibfk_1',
+        columns: ['CustomerId'],
+        referencedTable: 'Customers',
+        referencedColumns: ['Id'],
+        onDelete: 'CASCADE',
+        onUpdate: null
+    }]);
+    assert.strictEqual(orders.columns[0].autoIncrement, true);
+});
+
+test('ALTER TABLE and DROP TABLE are applied in order', () => {
+    const tables = parse([
+        'CREATE TABLE `Orders` (`Id` INT NOT NULL, `Code` VARCHAR(10) DEFAULT \'x\', ' +
+            '`Stamp` TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP, UNIQUE KEY `UX_Code` (`Code`))',
+        'ALTER TABLE `Orders` MODIFY `Code` VARCHAR(20) NOT NULL, DROP COLUMN `Stamp`, ADD INDEX `IX_Prefix` (`Code`(5))',
+        'ALTER TABLE `Orders` RENAME COLUMN `Code` TO `Reference`',
+        'CREATE TABLE `Temp` (`Id` INT)',
+        'DROP TABLE `Temp`'
+    ]);
+
+    assert.deepStrictEqual(Array.from(tables.keys()), ['orders']);
+    const orders = tables.get('orders');
+    assert.deepStrictEqual(orders.columns.map(column => [column.name, column.type, column.nullable, column.default]), [
+        ['Id', 'INT', false, null],
+        ['Reference', 'VARCHAR(20)', false, null]
+    ]);
+    assert.deepStrictEqual(orders.indexes.map(index => [index.name, index.columns]), [
+        ['UX_Code', [{ name: 'Reference', length: null }]],
+        ['IX_Prefix', [{ name: 'Reference', length: 5 }]]
+    ]);
+});
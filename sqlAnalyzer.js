@@ -0,0 +1,297 @@
+const SQLTokenizer = require('./sqlTokenizer');
+
+const ROUTINE_KINDS = ['PROC', 'PROCEDURE', 'FUNCTION', 'TRIGGER'];
+
+// Methods of the xml type, called as column.value(...), @doc.nodes(...)
+const XML_METHODS = ['VALUE', 'NODES', 'QUERY', 'EXIST', 'MODIFY'];
+
+/**
+ * Constructs the converter cannot translate, or translates with a loss of meaning.
+ * match(tokens, i, state) tells whether the construct starts at token i.
+ */
+const RULES = [
+    {
+        id: 'merge',
+        severity: 'error',
+        message: 'MERGE has no MySQL equivalent',
+        fix: 'Split into INSERT ... ON DUPLICATE KEY UPDATE, UPDATE ... JOIN and DELETE ... JOIN statements',
+        match: (tokens, i, state) => state.word(i) === 'MERGE' && !['JOIN', 'UNION'].includes(state.word(i + 1))
+    },
+    {
+        id: 'cross-apply',
+        severity: 'error',
+        message: 'CROSS APPLY is not supported by MySQL',
+        fix: 'Use JOIN LATERAL (MySQL 8.0.14+) or a plain JOIN when the applied query does not reference the outer row',
+        match: (tokens, i, state) => state.word(i) === 'CROSS' && state.word(i + 1) === 'APPLY'
+    },
+    {
+        id: 'outer-apply',
+        severity: 'error',
+        message: 'OUTER APPLY is not supported by MySQL',
+        fix: 'Use LEFT JOIN LATERAL (...) ON TRUE (MySQL 8.0.14+)',
+        match: (tokens, i, state) => state.word(i) === 'OUTER' && state.word(i + 1) === 'APPLY'
+    },
+    {
+        id: 'pivot',
+        severity: 'error',
+        message: 'PIVOT is not supported by MySQL',
+        fix: 'Rewrite with conditional aggregation: MAX(CASE WHEN key = ... THEN value END) per column, with GROUP BY',
+        match: (tokens, i, state) => state.word(i) === 'PIVOT' && state.isSymbol(i + 1, '(')
+    },
+    {
+        id: 'unpivot',
+        severity: 'error',
+        message: 'UNPIVOT is not supported by MySQL',
+        fix: 'Rewrite as one SELECT per column combined with UNION ALL',
+        match: (tokens, i, state) => state.word(i) === 'UNPIVOT' && state.isSymbol(i + 1, '(')
+    },
+    {
+        id: 'for-xml',
+        severity: 'error',
+        message: 'FOR XML is not supported by MySQL',
+        fix: 'Build the text with GROUP_CONCAT() (FOR XML PATH(\'\') string aggregation) or CONCAT()',
+        match: (tokens, i, state) => state.word(i) === 'FOR' && state.word(i + 1) === 'XML'
+    },
+    {
+        id: 'for-json',
+        severity: 'error',
+        message: 'FOR JSON is not supported by MySQL',
+        fix: 'Build the document with JSON_ARRAYAGG() and JSON_OBJECT()',
+        match: (tokens, i, state) => state.word(i) === 'FOR' && state.word(i + 1) === 'JSON'
+    },
+    {
+        id: 'xml-method',
+        severity: 'error',
+        message: 'xml data type methods are not supported by MySQL',
+        fix: 'Use ExtractValue() and UpdateXML(), or store the document as JSON',
+        match: (tokens, i, state) => state.isSymbol(i, '.') && XML_METHODS.includes(state.word(i + 1)) &&
+            state.isSymbol(i + 2, '(') && tokens[i + 3] && tokens[i + 3].type === 'string'
+    },
+    {
+        id: 'external-data',
+        severity: 'error',
+        message: 'OPENROWSET, OPENQUERY, OPENDATASOURCE, OPENXML and OPENJSON are not supported by MySQL',
+        fix: 'Load external data with LOAD DATA INFILE; read JSON with JSON_TABLE()',
+        match: (tokens, i, state) => ['OPENROWSET', 'OPENQUERY', 'OPENDATASOURCE', 'OPENXML', 'OPENJSON'].includes(state.word(i)) &&
+            state.isSymbol(i + 1, '(')
+    },
+    {
+        id: 'output-clause',
+        severity: 'error',
+        message: 'OUTPUT INSERTED/DELETED is not supported by MySQL',
+        fix: 'Read the affected rows with a separate SELECT; use LAST_INSERT_ID() for generated keys',
+        match: (tokens, i, state) => state.word(i) === 'OUTPUT' && ['INSERTED', 'DELETED'].includes(state.word(i + 1)) &&
+            state.isSymbol(i + 2, '.')
+    },
+    {
+        id: 'cursor',
+        severity: 'error',
+        message: 'MySQL only supports cursors inside procedures, functions and triggers',
+        fix: 'Move the batch into a procedure, or rewrite the loop as a set-based statement',
+        match: (tokens, i, state) => !state.inRoutine && state.word(i) === 'DECLARE' && state.word(i + 2) === 'CURSOR'
+    },
+    {
+        id: 'table-variable',
+        severity: 'error',
+        message: 'MySQL has no table variables',
+        fix: 'Use CREATE TEMPORARY TABLE',
+        match: (tokens, i, state) => !state.inRoutine && state.word(i) === 'DECLARE' &&
+            tokens[i + 1] && tokens[i + 1].type === 'variable' && state.word(i + 2) === 'TABLE'
+    },
+    {
+        id: 'batch-control-flow',
+        severity: 'error',
+        message: 'MySQL only supports IF and WHILE inside procedures, functions and triggers',
+        fix: 'Replace existence checks with CREATE ... IF NOT EXISTS or DROP ... IF EXISTS, or move the logic into a procedure',
+        match: (tokens, i, state) => !state.inRoutine && ['IF', 'WHILE'].includes(state.word(i)) && !isExistsClause(i, state)
+    },
+    {
+        id: 'batch-print',
+        severity: 'error',
+        message: 'PRINT is only converted inside procedures, functions and triggers',
+        fix: 'Use SELECT msg AS message, or remove the statement',
+        match: (tokens, i, state) => !state.inRoutine && state.word(i) === 'PRINT' && !state.isSymbol(i - 1, '.')
+    },
+    {
+        id: 'batch-raiserror',
+        severity: 'error',
+        message: 'RAISERROR and THROW are only converted inside procedures, functions and triggers',
+        fix: 'Use SIGNAL SQLSTATE \'45000\' SET MESSAGE_TEXT = msg, or move the check into a procedure',
+        match: (tokens, i, state) => !state.inRoutine && ['RAISERROR', 'THROW'].includes(state.word(i)) && !state.isSymbol(i - 1, '.')
+    },
+    {
+        id: 'batch-exec',
+        severity: 'info',
+        message: 'EXEC outside a procedure is converted to CALL, which passes its arguments by position',
+        fix: 'Check that the procedure exists in MySQL with its parameters in the same order',
+        match: (tokens, i, state) => !state.inRoutine && ['EXEC', 'EXECUTE'].includes(state.word(i)) &&
+            !state.isSymbol(i + 1, '(') && state.word(i + 1) !== 'AS' && !isInsertExec(i, state) && !isSystemProcedureCall(tokens, i, state)
+    },
+    {
+        id: 'hierarchyid',
+        severity: 'error',
+        message: 'hierarchyid has no MySQL equivalent',
+        fix: 'Store the path as VARCHAR (e.g. /1/3/) or use a parent id column with recursive CTEs',
+        match: (tokens, i, state) => state.word(i) === 'HIERARCHYID'
+    },
+    {
+        id: 'sql-variant',
+        severity: 'warning',
+        message: 'sql_variant is mapped to LONGTEXT; values lose their original type',
+        fix: 'Store the base type in a separate column, or choose a concrete type with --type-map',
+        match: (tokens, i, state) => state.word(i) === 'SQL_VARIANT'
+    },
+    {
+        id: 'spatial-type',
+        severity: 'warning',
+        message: 'geography and geometry map to GEOMETRY; methods such as .STDistance() must be rewritten',
+        fix: 'Use ST_Distance_Sphere(), ST_Contains() and friends, and set an SRID on geography columns',
+        match: (tokens, i, state) => ['GEOGRAPHY', 'GEOMETRY'].includes(state.word(i)) && !state.isSymbol(i - 1, '.')
+    },
+    {
+        id: 'sequence',
+        severity: 'error',
+        message: 'MySQL has no sequences',
+        fix: 'Use an AUTO_INCREMENT column, or a counter table updated with LAST_INSERT_ID(expr)',
+        match: (tokens, i, state) => (state.word(i) === 'SEQUENCE' && ['CREATE', 'ALTER', 'DROP'].includes(state.word(i - 1))) ||
+            (state.word(i) === 'NEXT' && state.word(i + 1) === 'VALUE' && state.word(i + 2) === 'FOR')
+    },
+    {
+        id: 'synonym',
+        severity: 'error',
+        message: 'MySQL has no synonyms',
+        fix: 'Reference the target object directly, or create a view over it',
+        match: (tokens, i, state) => state.word(i) === 'SYNONYM' && ['CREATE', 'DROP'].includes(state.word(i - 1))
+    },
+    {
+        id: 'user-defined-type',
+        severity: 'error',
+        message: 'MySQL has no user-defined types',
+        fix: 'Replace uses of the type with its base type (or add it to --type-map)',
+        match: (tokens, i, state) => state.word(i) === 'TYPE' && ['CREATE', 'DROP'].includes(state.word(i - 1))
+    },
+    {
+        id: 'full-text-predicate',
+        severity: 'error',
+        message: 'CONTAINS, FREETEXT and their table functions are not supported by MySQL',
+        fix: 'Add a FULLTEXT index and use MATCH (...) AGAINST (...)',
+        match: (tokens, i, state) => ['CONTAINS', 'FREETEXT', 'CONTAINSTABLE', 'FREETEXTTABLE'].includes(state.word(i)) &&
+            state.isSymbol(i + 1, '(')
+    },
+    {
+        id: 'temporal-table',
+        severity: 'error',
+        message: 'System-versioned temporal tables are not supported by MySQL',
+        fix: 'Keep history in a separate table maintained by triggers',
+        match: (tokens, i, state) => (state.word(i) === 'FOR' && state.word(i + 1) === 'SYSTEM_TIME') ||
+            (state.word(i) === 'SYSTEM_VERSIONING' && state.isSymbol(i + 1, '='))
+    }
+];
+
+/**
+ * Whether IF at token i is the IF [NOT] EXISTS of a CREATE or DROP statement rather than control flow
+ */
+function isExistsClause(i, state) {
+    const exists = state.word(i + 1) === 'NOT' ? i + 2 : i + 1;
+    return state.word(exists) === 'EXISTS' && !state.isSymbol(exists + 1, '(');
+}
+
+/**
+ * Whether EXEC at token i supplies the rows of an INSERT, which is left as written
+ */
+function isInsertExec(i, state) {
+    for (let j = i - 1; j >= 0; j--) {
+        const word = state.word(j);
+        if (word === 'INSERT') return true;
+        if (state.isSymbol(j, ';') || ['GO', 'VALUES', 'SELECT', 'EXEC', 'EXECUTE', 'BEGIN', 'END'].includes(word)) return false;
+    }
+    return false;
+}
+
+/**
+ * Whether EXEC at token i calls an sp_ system procedure, which the routine converter reports as an error
+ */
+function isSystemProcedureCall(tokens, i, state) {
+    let j = tokens[i + 1] && tokens[i + 1].type === 'variable' && state.isSymbol(i + 2, '=') ? i + 3 : i + 1;
+    while (state.isSymbol(j + 1, '.') && tokens[j + 2]) j += 2;
+    return Boolean(tokens[j]) && /^\[?sp_/i.test(tokens[j].value);
+}
+
+// Longest snippet kept in a diagnostic
+const SNIPPET_LENGTH = 120;
+
+class SQLAnalyzer {
+    constructor() {
+        this.tokenizer = new SQLTokenizer();
+    }
+
+    /**
+     * Find constructs the converter leaves for manual work
+     * @param {string} sql - Original SQL Server text
+     * @param {object} options - { file, line } file name reported and line number of the first line (default 1)
+     * @returns {Array<object>} - Diagnostics { severity, rule, message, file, line, column, snippet, fix }
+     */
+    analyze(sql, options = {}) {
+        const tokens = this.tokenizer.tokenize(sql, { line: options.line || 1 })
+            .filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+        const lines = sql.split('\n');
+        const firstLine = options.line || 1;
+        const diagnostics = [];
+
+        const state = {
+            inRoutine: false,
+            word: (index) => this.tokenizer.upperWord(tokens[index]),
+            isSymbol: (index, value) => Boolean(tokens[index]) && tokens[index].type === 'symbol' && tokens[index].value === value
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            this.trackRoutine(tokens, i, state);
+
+            RULES.forEach(rule => {
+                if (!rule.match(tokens, i, state)) return;
+
+                const token = tokens[i];
+                diagnostics.push({
+                    severity: rule.severity,
+                    rule: rule.id,
+                    message: rule.message,
+                    file: options.file || null,
+                    line: token.line,
+                    column: token.column,
+                    snippet: this.snippet(lines[token.line - firstLine] || ''),
+                    fix: rule.fix
+                });
+            });
+        }
+
+        return diagnostics;
+    }
+
+    /**
+     * Source line shown with a diagnostic, trimmed and cut to SNIPPET_LENGTH
+     */
+    snippet(line) {
+        const text = line.trim();
+        return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}...` : text;
+    }
+
+    /**
+     * Follow whether the token is inside a procedure, function or trigger, where the
+     * routine converter handles cursors and table variables
+     */
+    trackRoutine(tokens, i, state) {
+        const word = state.word(i);
+
+        // GO first on its line ends the batch
+        if (word === 'GO' && (i === 0 || tokens[i - 1].line < tokens[i].line)) {
+            state.inRoutine = false;
+        } else if (['CREATE', 'ALTER'].includes(word)) {
+            const kind = state.word(i + 1) === 'OR' ? state.word(i + 3) : state.word(i + 1);
+            if (ROUTINE_KINDS.includes(kind)) state.inRoutine = true;
+        }
+    }
+}
+
+SQLAnalyzer.RULES = RULES;
+
+module.exports = SQLAnalyzer;
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SQLAnalyzer = require('./sqlAnalyzer');
+
+/**
+ * Analyze SQL Server text and return its findings as [rule, severity, line]
+ */
+function analyze(sql) {
+    return new SQLAnalyzer().analyze(sql).map(finding => [finding.rule, finding.severity, finding.line]);
+}
+
+test('statements of a script generated by SSMS are reported outside routines only', () => {
+    const sql = [
+        'USE [Shop]',
+        'GO',
+        '/****** Object:  Table [dbo].[Orders]    Script Date: 1/2/2024 ******/',
+        'SET ANSI_NULLS ON',
+        'GO',
+        "IF NOT EXISTS (SELECT * FROM sys.objects WHERE object_id = OBJECT_ID(N'[dbo].[Orders]') AND type in (N'U'))",
+        'BEGIN',
+        'CREATE TABLE [dbo].[Orders](',
+        '\t[Id] [int] IDENTITY(1,1) NOT NULL',
+        ') ON [PRIMARY]',
+        'END',
+        'GO',
+        'ALTER PROCEDURE [dbo].[usp_Get] @Id int AS',
+        'BEGIN',
+        "\tIF @Id IS NULL RAISERROR('no id', 16, 1)",
+        "\tPRINT 'ok'",
+        '\tEXEC dbo.usp_Log @Id',
+        'END',
+        'GO',
+        'DROP TABLE IF EXISTS dbo.Tmp',
+        'GO',
+        "PRINT N'Done'",
+        "RAISERROR (N'Stop', 16, 1)",
+        'EXEC dbo.usp_Get @Id = 1',
+        "EXEC sys.sp_rename 'dbo.Orders.Id', 'OrderId', 'COLUMN'",
+        'INSERT INTO dbo.Orders EXEC dbo.usp_Get 1',
+        "EXECUTE AS USER = 'bob'",
+        'WHILE @@ROWCOUNT > 0 DELETE TOP (10) FROM dbo.Orders',
+        'GO'
+    ].join('\n');
+
+    assert.deepStrictEqual(analyze(sql), [
+        ['batch-control-flow', 'error', 6],
+        ['batch-print', 'error', 22],
+        ['batch-raiserror', 'error', 23],
+        ['batch-exec', 'info', 24],
+        ['batch-control-flow', 'error', 28]
+    ]);
+});
+
+test('cursors and table variables are only reported outside routines', () => {
+    const sql = 'DECLARE @t TABLE (Id INT)\nGO\nCREATE PROCEDURE p AS\nDECLARE c CURSOR FOR SELECT 1\nDECLARE @u TABLE (Id INT)\nGO\nDECLARE c CURSOR FOR SELECT 1\n';
+    assert.deepStrictEqual(analyze(sql), [['table-variable', 'error', 1], ['cursor', 'error', 7]]);
+});
@@ -1,70 +1,383 @@
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
+const SQLTokenizer = require('./sqlTokenizer');
+const TypeMapper = require('./typeMapper');
+const DDLConverter = require('./ddlConverter');
+const IndexConverter = require('./indexConverter');
+const BatchConverter = require('./batchConverter');
+const QueryConverter = require('./queryConverter');
+const RoutineConverter = require('./routineConverter');
+const FunctionTranslator = require('./functionTranslator');
+const IdentifierMapper = require('./identifierMapper');
+const LiteralConverter = require('./literalConverter');
+const SQLAnalyzer = require('./sqlAnalyzer');
+const StatementChunker = require('./statementChunker');
+const DependencyOrderer = require('./dependencyOrderer');
+const RuleSet = require('./ruleSet');
+const ReverseConverter = require('./reverseConverter');
+
+// Lines looked ahead when matching converted lines back to source lines
+const ALIGN_WINDOW = 40;
 
 class SQLConverter {
-    constructor() {
-        this.conversions = [
-            // Remove SQL Server schema prefix [dbo].[table] -> table
-            {
-                pattern: /\[dbo\]\.\[(\w+)\]/g,
-                replacement: '$1'
-            },
-            // Convert [column] to column (remove square brackets)
-            {
-                pattern: /\[([^\]]+)\]/g,
-                replacement: '$1'
-            },
-            // Convert GETDATE() to NOW()
-            {
-                pattern: /GETDATE\(\)/g,
-                replacement: 'NOW()'
-            },
-            // Convert GETUTCDATE() to UTC_TIMESTAMP()
-            {
-                pattern: /GETUTCDATE\(\)/g,
-                replacement: 'UTC_TIMESTAMP()'
-            },
-            // Convert NEWID() to UUID()
-            {
-                pattern: /NEWID\(\)/g,
-                replacement: 'UUID()'
-            },
-            // Convert LEN() to LENGTH()
-            {
-                pattern: /\bLEN\(/g,
-                replacement: 'LENGTH('
-            },
-            // Convert ISNULL() to IFNULL()
-            {
-                pattern: /\bISNULL\(/g,
-                replacement: 'IFNULL('
-            },
-            // Convert TOP n to LIMIT n (basic conversion)
-            {
-                pattern: /\bTOP\s+(\d+)\b/gi,
-                replacement: 'LIMIT $1'
+    /**
+     * @param {object} options - { typeMappings, tableOptions, targetDatabase, statementFilter, dependencyOrder, rules, disabledRules,
+     *   schemaMapping, schemaNames, quoteIdentifiers, lowerCaseTableNames, escapeBackslashes, from, to }
+     *   typeMappings: project-specific data type overrides
+     *   tableOptions: table options for CREATE TABLE (default: ENGINE=InnoDB DEFAULT CHARSET=utf8mb4)
+     *   targetDatabase: database USE statements switch to (default: USE statements are removed)
+     *   statementFilter: StatementFilter the converted statements must pass to be written (default: all are)
+     *   dependencyOrder: write the schema in dependency order around the data (see DependencyOrderer)
+     *   rules: rewrite rules added to or replacing the built-in ones (see RuleSet)
+     *   disabledRules: names of rules to turn off
+     *   schemaMapping, schemaNames, quoteIdentifiers, lowerCaseTableNames: how names are written
+     *     (see IdentifierMapper)
+     *   escapeBackslashes: double backslashes in strings (default: true; see LiteralConverter)
+     *   from, to: source and target dialect, mssql and mysql (default) or mysql and mssql to convert
+     *     MySQL back to SQL Server (see ReverseConverter); the other options are for the default direction
+     */
+    constructor(options = {}) {
+        this.from = options.from || 'mssql';
+        this.to = options.to || (this.from === 'mysql' ? 'mssql' : 'mysql');
+        [this.from, this.to].forEach(dialect => {
+            if (!SQLTokenizer.DIALECTS.includes(dialect)) {
+                throw new Error(`Unknown SQL dialect "${dialect}" (expected ${SQLTokenizer.DIALECTS.join(', ')})`);
             }
-        ];
+        });
+        if (this.from === this.to) {
+            throw new Error(`Cannot convert from ${this.from} to itself`);
+        }
+        this.reverse = this.from === 'mysql';
+        if (this.reverse && (options.dependencyOrder || options.statementFilter)) {
+            throw new Error('Dependency order and statement filters only work converting SQL Server to MySQL');
+        }
+
+        // Reads the input; this.tokenizer reads the T-SQL scripts and the converted MySQL output
+        this.sourceTokenizer = new SQLTokenizer({ dialect: this.from });
+        this.tokenizer = new SQLTokenizer();
+        this.typeMapper = new TypeMapper(options.typeMappings, { target: this.to });
+        this.reverseConverter = new ReverseConverter();
+        this.ddlConverter = new DDLConverter({ tableOptions: options.tableOptions });
+        // Reads the column types DDLConverter records to size index keys
+        this.indexConverter = new IndexConverter({ tables: this.ddlConverter.tables, tableOptions: options.tableOptions });
+        this.batchConverter = new BatchConverter({ targetDatabase: options.targetDatabase });
+        this.queryConverter = new QueryConverter();
+        this.functionTranslator = new FunctionTranslator();
+        this.routineConverter = new RoutineConverter();
+        this.identifierMapper = new IdentifierMapper({
+            schemaMapping: options.schemaMapping,
+            schemaNames: options.schemaNames,
+            quoteIdentifiers: options.quoteIdentifiers,
+            lowerCaseTableNames: options.lowerCaseTableNames
+        });
+        this.literalConverter = new LiteralConverter({ escapeBackslashes: options.escapeBackslashes });
+        this.analyzer = new SQLAnalyzer();
+        this.statementFilter = options.statementFilter || null;
+        this.dependencyOrder = Boolean(options.dependencyOrder);
+        // Constructs converted with a loss of meaning, as { rule, message, severity }, located with
+        // line, column and snippet when the converter recorded where; reset per file
+        this.warnings = [];
+        // Unsupported constructs found in the source, with their location; reset per file
+        this.findings = [];
+        // File name reported in diagnostics
+        this.file = null;
+        // { original, converted, stats } of the last convertToMySQL() call, for getConversionStats()
+        this.lastConversion = null;
+        this.ruleSet = new RuleSet({ rules: options.rules, disable: options.disabledRules, target: this.to });
     }
 
     /**
-     * Convert SQL Server syntax to MySQL
+     * Convert SQL Server syntax to MySQL, or MySQL to SQL Server with the from and to options
      * @param {string} sqlContent - The SQL content to convert
+     * @param {string} file - Optional file name reported in diagnostics
      * @returns {string} - Converted MySQL content
      */
-    convertToMySQL(sqlContent) {
-        let converted = sqlContent;
-        
-        // Apply all conversions
-        this.conversions.forEach(conv => {
-            converted = converted.replace(conv.pattern, conv.replacement);
+    convertToMySQL(sqlContent, file = null) {
+        this.startFile(file);
+        const orderer = this.dependencyOrder ? new DependencyOrderer() : null;
+        const header = this.getHeader();
+        const stats = this.createStats();
+        stats.convertedLines += header.split('\n').length - 1;
+
+        // Same chunks as the streaming conversion, so both produce the same output and statistics
+        const converted = this.splitChunks(sqlContent)
+            .map(chunk => {
+                const text = this.convertSQL(chunk.text, chunk.startLine);
+                this.addConversionStats(stats, chunk.text, text);
+                return orderer ? this.passThrough(orderer, text) : text;
+            })
+            .join('');
+
+        let result = header + converted;
+        if (orderer) {
+            const { before, after } = this.finishOrder(orderer);
+            result = header + before + converted + after;
+        }
+        this.lastConversion = { original: sqlContent, converted: result, stats };
+        return result;
+    }
+
+    /**
+     * Hand the statements of converted text to a DependencyOrderer
+     * @returns {string} - The statements it does not hold, to be written in place
+     */
+    passThrough(orderer, sql) {
+        const rest = this.splitStatements(sql).filter(statement => !orderer.add(statement));
+        return rest.length > 0 ? `${rest.join('\n')}\n` : '';
+    }
+
+    /**
+     * Order the statements held by a DependencyOrderer, recording dependency warnings
+     * @returns {object} - { before, after } as text
+     */
+    finishOrder(orderer) {
+        const { before, after, warnings } = orderer.finish();
+        this.warnings.push(...warnings);
+        const join = statements => (statements.length > 0 ? `${statements.join('\n')}\n` : '');
+        return { before: join(before), after: join(after) };
+    }
+
+    /**
+     * Reset the diagnostics collected for the previous file
+     */
+    startFile(file) {
+        this.warnings = [];
+        this.findings = [];
+        this.file = file;
+    }
+
+    /**
+     * Apply the conversion rules to code only, leaving string literals and comments untouched
+     * @param {string} sql - SQL text that does not end inside a literal or comment
+     * @param {number} startLine - Line number of the first line in the file, for diagnostics
+     * @returns {string} - Converted SQL text without header
+     */
+    convertSQL(sql, startLine = 1) {
+        if (this.reverse) return this.convertMySQL(sql, startLine);
+
+        this.findings.push(...this.analyzer.analyze(sql, { file: this.file, line: startLine }));
+
+        const { code, literals } = this.tokenizer.mask(sql);
+        const warningCount = this.warnings.length;
+
+        // Replace GO separators first so every later step sees terminated statements
+        let converted = this.batchConverter.convert(code, literals, this.warnings);
+        // Date casts before their types are mapped
+        converted = this.literalConverter.convert(converted, literals, this.warnings);
+
+        // Map data types before brackets are stripped from [nvarchar](max) and friends
+        converted = this.typeMapper.convertTypes(converted);
+        converted = this.ddlConverter.convert(converted, this.warnings);
+        converted = this.indexConverter.convert(converted, literals, this.warnings);
+        converted = this.queryConverter.convert(converted, literals, this.warnings);
+        converted = this.functionTranslator.convert(converted, literals, this.warnings);
+        // Routine bodies last, once their statements use MySQL types and LIMIT
+        converted = this.routineConverter.convert(converted, literals, this.warnings);
+        // Names last, once every converter has matched the names as written
+        converted = this.identifierMapper.convert(converted, this.warnings);
+
+        // Apply the built-in and project rules
+        converted = this.ruleSet.apply(converted, {
+            file: this.file,
+            warnings: this.warnings,
+            splitStatements: code => this.splitStatements(code),
+            unmask: code => this.tokenizer.unmask(code, literals)
+        });
+
+        converted = this.tokenizer.unmask(converted, literals, token => this.literalConverter.render(token));
+        this.locateWarnings(this.warnings.slice(warningCount), sql, code, literals, startLine);
+        return this.statementFilter ? this.filterStatements(converted) : converted;
+    }
+
+    /**
+     * Convert MySQL code to T-SQL, the reverse of convertSQL()
+     * @param {string} sql - MySQL text that does not end inside a literal or comment
+     * @param {number} startLine - Line number of the first line in the file, for diagnostics
+     * @returns {string} - Converted T-SQL text without header
+     */
+    convertMySQL(sql, startLine = 1) {
+        const { code, literals } = this.sourceTokenizer.mask(sql);
+        const warningCount = this.warnings.length;
+
+        let converted = this.typeMapper.convertTypes(code);
+        converted = this.reverseConverter.convert(converted, literals, this.warnings);
+        converted = this.ruleSet.apply(converted, {
+            file: this.file,
+            warnings: this.warnings,
+            splitStatements: code => this.splitStatements(code),
+            unmask: code => this.sourceTokenizer.unmask(code, literals)
         });
 
-        // Add header comment
-        const header = `-- Converted from SQL Server to MySQL\n-- Generated on: ${new Date().toISOString()}\n-- Use with caution and verify before executing\n\n`;
-        
-        return header + converted;
+        converted = this.sourceTokenizer.unmask(converted, literals, token => this.reverseConverter.render(token));
+        this.locateWarnings(this.warnings.slice(warningCount), sql, code, literals, startLine);
+        return converted;
+    }
+
+    /**
+     * Give the warnings a converter recorded with { code, offset } the line, column and snippet
+     * of the construct in the source. The offset is into the code the converter was reading,
+     * whose lines are matched back to the lines of the masked source.
+     * @param {Array<object>} warnings - Warnings recorded while converting sql
+     * @param {string} sql - Source text
+     * @param {string} code - sql with its literals and comments masked
+     * @param {Array<object>} literals - Masked tokens
+     * @param {number} startLine - Line number of the first line of sql
+     */
+    locateWarnings(warnings, sql, code, literals, startLine) {
+        const located = warnings.filter(warning => warning.code !== undefined);
+        if (located.length === 0) return;
+
+        // Masked comments and strings can span lines: source line index of every masked line
+        const codeLines = code.split('\n');
+        const sourceIndexes = [];
+        let index = 0;
+        codeLines.forEach(line => {
+            sourceIndexes.push(index);
+            index += this.tokenizer.unmask(line, literals).split('\n').length;
+        });
+
+        const sourceLines = sql.split('\n');
+        const readers = new Map();
+        located.forEach(warning => {
+            if (!readers.has(warning.code)) {
+                const lines = warning.code.split('\n');
+                const starts = [0];
+                lines.forEach(line => starts.push(starts[starts.length - 1] + line.length + 1));
+                readers.set(warning.code, { starts, sources: this.alignLines(codeLines, lines) });
+            }
+            const { starts, sources } = readers.get(warning.code);
+
+            let line = 0;
+            while (starts[line + 1] <= warning.offset) line++;
+            const before = this.tokenizer.unmask(warning.code.slice(starts[line], warning.offset), literals);
+            const sourceIndex = sourceIndexes[sources[line]] + before.split('\n').length - 1;
+
+            const sourceLine = sourceLines[sourceIndex] || '';
+            let column = before.length - before.lastIndexOf('\n');
+            // Earlier steps may have rewritten the line: prefer where its word is in the source
+            const word = /^[\w@#$]+/.exec(warning.code.slice(warning.offset));
+            if (word && !before.includes('\n')) column = this.findWord(sourceLine, word[0], column);
+
+            warning.line = startLine + sourceIndex;
+            warning.column = column;
+            warning.snippet = this.analyzer.snippet(sourceLine);
+            delete warning.code;
+            delete warning.offset;
+        });
+    }
+
+    /**
+     * Column of the occurrence of a word in a line nearest to the given column
+     * @returns {number} - 1-based column, or the given column when the word is not in the line
+     */
+    findWord(line, word, column) {
+        const pattern = new RegExp(`(?<![\\w@#$])${word.replace(/\$/g, '\\$')}(?![\\w@#$])`, 'gi');
+        let nearest = column;
+        let match;
+        while ((match = pattern.exec(line)) !== null) {
+            if (nearest === column || Math.abs(match.index + 1 - column) < Math.abs(nearest - column)) nearest = match.index + 1;
+        }
+        return nearest;
+    }
+
+    /**
+     * Match every line of converted code to the source line it came from. Converters rewrite
+     * lines in place, terminate statements and add or remove whole lines, so lines are matched
+     * in order and, where they differ, up to the nearest pair of equal lines.
+     * @param {Array<string>} fromLines - Lines of the masked source
+     * @param {Array<string>} toLines - Lines of the converted code
+     * @returns {Array<number>} - Index in fromLines of every line in toLines
+     */
+    alignLines(fromLines, toLines) {
+        const key = line => line.trim().replace(/;$/, '');
+        const from = fromLines.map(key);
+        const to = toLines.map(key);
+        const sources = [];
+        const last = from.length - 1;
+        let i = 0;
+        let j = 0;
+
+        while (j < to.length) {
+            const skip = from[i] === to[j] ? { from: 0, to: 0 } : this.findEqualLines(from, to, i, j);
+            if (!skip) {
+                sources.push(Math.min(i++, last));
+                j++;
+                continue;
+            }
+            // Changed lines pair up in order; lines only in to belong to the next line of from
+            for (let k = 0; k < skip.to; k++) {
+                sources.push(Math.min(i + Math.min(k, Math.max(skip.from - 1, 0)), last));
+            }
+            i += skip.from;
+            j += skip.to;
+            sources.push(Math.min(i++, last));
+            j++;
+        }
+
+        return sources;
+    }
+
+    /**
+     * Find the nearest pair of equal, non-blank lines after from[i] and to[j]
+     * @returns {object|null} - { from, to } lines to skip on each side, or null
+     */
+    findEqualLines(from, to, i, j) {
+        for (let distance = 1; distance <= ALIGN_WINDOW; distance++) {
+            // Same number of lines on both sides first: lines rewritten in place
+            const middle = Math.floor(distance / 2);
+            for (let delta = 0; delta <= middle + 1; delta++) {
+                for (const skipFrom of [middle + delta, middle - delta]) {
+                    const skipTo = distance - skipFrom;
+                    if (skipFrom < 0 || skipTo < 0 || i + skipFrom >= from.length || j + skipTo >= to.length) continue;
+                    if (from[i + skipFrom] === to[j + skipTo] && /\w/.test(from[i + skipFrom])) {
+                        return { from: skipFrom, to: skipTo };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Keep the converted statements the statement filter accepts
+     * @param {string} sql - Converted SQL text
+     * @returns {string} - The statements kept, one after the other
+     */
+    filterStatements(sql) {
+        const kept = this.splitStatements(sql).filter(statement => this.statementFilter.accepts(statement));
+        return kept.length > 0 ? `${kept.join('\n')}\n` : '';
+    }
+
+    /**
+     * Diagnostics for the last converted file: unsupported constructs in source order,
+     * then constructs the converter rewrote with a loss of meaning
+     * @returns {Array<object>} - { severity, rule, message, file, line, column, snippet, fix } entries;
+     *   line, column, snippet and fix are null where the converter does not know them
+     */
+    getDiagnostics() {
+        // Located warnings in source order, then the others as recorded
+        const order = warning => (warning.line ? [warning.line, warning.column] : [Infinity, 0]);
+        const sorted = this.warnings.slice().sort((a, b) => order(a)[0] - order(b)[0] || order(a)[1] - order(b)[1]);
+        const warnings = sorted.map(warning => ({
+            severity: warning.severity || 'warning',
+            rule: warning.rule,
+            message: warning.message,
+            file: this.file,
+            line: warning.line || null,
+            column: warning.column || null,
+            snippet: warning.snippet || null,
+            fix: warning.fix || null
+        }));
+
+        return this.findings.concat(warnings);
+    }
+
+    /**
+     * Header comment written at the top of every converted file
+     */
+    getHeader() {
+        const direction = this.reverse ? 'MySQL to SQL Server' : 'SQL Server to MySQL';
+        return `-- Converted from ${direction}\n-- Generated on: ${new Date().toISOString()}\n-- Use with caution and verify before executing\n\n`;
     }
 
     /**
@@ -75,7 +388,7 @@ class SQLConverter {
     convertFile(inputFile) {
         try {
             const content = fs.readFileSync(inputFile, 'utf8');
-            return this.convertToMySQL(content);
+            return this.convertToMySQL(content, inputFile);
         } catch (error) {
             throw new Error(`Error reading file ${inputFile}: ${error.message}`);
         }
@@ -111,105 +424,353 @@ class SQLConverter {
         }
     }
 
+    /**
+     * Split SQL text into the chunks the streaming conversion would read
+     * @param {string} sql - SQL Server text
+     * @returns {Array<object>} - { text, startLine } chunks that together make up the text
+     */
+    splitChunks(sql) {
+        const chunker = new StatementChunker({ dialect: this.from });
+        const chunks = [];
+        (sql.match(/[^\n]*\n|[^\n]+$/g) || []).forEach(line => {
+            chunks.push(...chunker.push(line));
+        });
+        chunks.push(...chunker.end());
+        return chunks;
+    }
+
+    /**
+     * Read a SQL file in chunks that end at batch or statement boundaries (see StatementChunker)
+     * @param {string} inputFile - Path to input SQL file
+     * @param {function} onChunk - Called with (text, startLine) for every chunk; returning false, or a
+     *   promise of false, stops reading. Reading waits for returned promises.
+     * @param {function} onProgress - Optional, called with the number of lines read every 10000 lines
+     * @returns {Promise<number>} - Number of lines read
+     */
+    async streamChunks(inputFile, onChunk, onProgress = null) {
+        const chunker = new StatementChunker({ dialect: this.from });
+        const readStream = fs.createReadStream(inputFile, { encoding: 'utf8' });
+        let lineCount = 0;
+        let rest = '';
+
+        // Resolves to false once onChunk asks to stop
+        const emit = async (chunks) => {
+            for (const chunk of chunks) {
+                if (await onChunk(chunk.text, chunk.startLine) === false) return false;
+            }
+            return true;
+        };
+
+        // Lines keep their terminators, so chunks hold the file text exactly
+        for await (const data of readStream) {
+            const lines = (rest + data).split('\n');
+            rest = lines.pop();
+
+            for (const line of lines) {
+                lineCount++;
+                const chunks = chunker.push(line + '\n');
+                // Leaving the loop early closes the stream
+                if (chunks.length > 0 && !(await emit(chunks))) return lineCount;
+
+                if (onProgress && lineCount % 10000 === 0) {
+                    onProgress(lineCount);
+                }
+            }
+        }
+
+        if (rest !== '') {
+            lineCount++;
+            if (!(await emit(chunker.push(rest)))) return lineCount;
+        }
+        await emit(chunker.end());
+
+        return lineCount;
+    }
+
     /**
      * Convert large SQL files using streaming to avoid memory issues
      * @param {string} inputFile - Path to input SQL file
      * @param {string} outputFile - Path to output file
+     * @returns {Promise<object>} - { success, message, stats, diagnostics } with stats shaped like getConversionStats()
      */
     async convertLargeFileStreaming(inputFile, outputFile) {
-        return new Promise((resolve, reject) => {
-            try {
-                const readStream = fs.createReadStream(inputFile, { encoding: 'utf8' });
-                const writeStream = fs.createWriteStream(outputFile, { encoding: 'utf8' });
-                
-                // Write header
-                const header = `-- Converted from SQL Server to MySQL\n-- Generated on: ${new Date().toISOString()}\n-- Use with caution and verify before executing\n\n`;
-                writeStream.write(header);
-                
-                const rl = readline.createInterface({
-                    input: readStream,
-                    crlfDelay: Infinity
-                });
-                
-                let lineCount = 0;
-                let convertedCount = 0;
-                
-                rl.on('line', (line) => {
-                    lineCount++;
-                    let convertedLine = line;
-                    
-                    // Apply conversions line by line
-                    let hasConversions = false;
-                    this.conversions.forEach(conv => {
-                        const beforeConversion = convertedLine;
-                        convertedLine = convertedLine.replace(conv.pattern, conv.replacement);
-                        if (beforeConversion !== convertedLine) {
-                            hasConversions = true;
-                        }
-                    });
-                    
-                    if (hasConversions) {
-                        convertedCount++;
-                    }
-                    
-                    writeStream.write(convertedLine + '\n');
-                    
-                    // Progress indicator for large files
-                    if (lineCount % 10000 === 0) {
-                        process.stdout.write(`\rProcessed ${lineCount} lines...`);
-                    }
-                });
-                
-                rl.on('close', () => {
-                    writeStream.end();
-                    process.stdout.write(`\rProcessed ${lineCount} lines total.\n`);
-                    resolve({
-                        success: true,
-                        message: `Successfully converted ${inputFile} to ${outputFile} (${lineCount} lines processed, ${convertedCount} lines converted)`
-                    });
-                });
-                
-                rl.on('error', (error) => {
-                    writeStream.destroy();
-                    reject(new Error(`Error reading file: ${error.message}`));
-                });
-                
-                writeStream.on('error', (error) => {
-                    rl.close();
-                    reject(new Error(`Error writing file: ${error.message}`));
+        this.startFile(inputFile);
+        const stats = this.createStats();
+        const orderer = this.dependencyOrder ? new DependencyOrderer() : null;
+        // In dependency order the data goes to a side file, as the schema is only written at the end
+        const dataFile = orderer ? `${outputFile}.data.tmp` : null;
+
+        const writeStream = fs.createWriteStream(dataFile || outputFile, { encoding: 'utf8' });
+        let writeError = null;
+        writeStream.on('error', (error) => {
+            writeError = error;
+        });
+
+        // Write header
+        const header = this.getHeader();
+        if (!orderer) writeStream.write(header);
+        stats.convertedLines += header.split('\n').length - 1;
+
+        let lineCount;
+        try {
+            lineCount = await this.streamChunks(inputFile, (text, startLine) => {
+                const converted = this.convertSQL(text, startLine);
+                this.addConversionStats(stats, text, converted);
+                const output = orderer ? this.passThrough(orderer, converted) : converted;
+                if (writeStream.write(output) || writeError) {
+                    return writeError === null;
+                }
+
+                // Let the output catch up before reading on, so memory stays bounded
+                return new Promise(resolve => {
+                    const resume = () => {
+                        writeStream.off('drain', resume);
+                        writeStream.off('error', resume);
+                        resolve(writeError === null);
+                    };
+                    writeStream.on('drain', resume);
+                    writeStream.on('error', resume);
                 });
-                
-            } catch (error) {
-                reject(new Error(`Error processing large file: ${error.message}`));
+            }, (count) => {
+                // Progress indicator for large files
+                process.stdout.write(`\rProcessed ${count} lines...`);
+            });
+        } catch (error) {
+            writeStream.destroy();
+            throw new Error(`Error reading file: ${error.message}`);
+        }
+
+        writeStream.end();
+        await new Promise(resolve => {
+            if (writeStream.destroyed) {
+                resolve();
+            } else {
+                writeStream.on('close', resolve);
             }
         });
+        if (writeError) {
+            throw new Error(`Error writing file: ${writeError.message}`);
+        }
+        if (orderer) {
+            await this.writeOrdered(outputFile, header, orderer, dataFile);
+        }
+
+        process.stdout.write(`\rProcessed ${lineCount} lines total.\n`);
+        return {
+            success: true,
+            message: `Successfully converted ${inputFile} to ${outputFile} (${lineCount} lines processed, ${stats.changedLines} lines converted)`,
+            stats,
+            diagnostics: this.getDiagnostics()
+        };
     }
 
     /**
-     * Get statistics about the conversion
-     * @param {string} originalContent - Original SQL content
-     * @param {string} convertedContent - Converted content
-     * @returns {object} - Conversion statistics
+     * Write the output of a streaming conversion in dependency order: the header and the schema
+     * held by the orderer, the data written to the side file, then the rest of the schema
+     * @param {string} outputFile - Path to output file
+     * @param {string} header - Header comment
+     * @param {DependencyOrderer} orderer - Orderer holding the schema statements
+     * @param {string} dataFile - Side file with the statements written in place, removed afterwards
      */
-    getConversionStats(originalContent, convertedContent) {
-        const stats = {
-            originalLines: originalContent.split('\n').length,
-            convertedLines: convertedContent.split('\n').length,
+    async writeOrdered(outputFile, header, orderer, dataFile) {
+        const { before, after } = this.finishOrder(orderer);
+        const writeStream = fs.createWriteStream(outputFile, { encoding: 'utf8' });
+        const closed = new Promise((resolve, reject) => {
+            writeStream.on('close', resolve);
+            writeStream.on('error', reject);
+        });
+
+        try {
+            writeStream.write(header + before);
+            for await (const data of fs.createReadStream(dataFile, { encoding: 'utf8' })) {
+                if (!writeStream.write(data)) {
+                    await new Promise(resolve => writeStream.once('drain', resolve));
+                }
+            }
+            writeStream.end(after);
+            await closed;
+        } catch (error) {
+            writeStream.destroy();
+            throw new Error(`Error writing file: ${error.message}`);
+        } finally {
+            await fs.promises.unlink(dataFile).catch(() => {});
+        }
+    }
+
+    /**
+     * Convert a SQL file into a directory of files, streaming it like convertLargeFileStreaming()
+     * @param {string} inputFile - Path to input SQL file
+     * @param {OutputSplitter} splitter - Splitter the converted statements are written to
+     * @returns {Promise<object>} - { success, message, stats, diagnostics, manifest }
+     */
+    async convertToDirectory(inputFile, splitter) {
+        this.startFile(inputFile);
+        const stats = this.createStats();
+        // The splitter repeats session statements in every file, so they need not lead the schema
+        const orderer = this.dependencyOrder ? new DependencyOrderer({ holdPrelude: false }) : null;
+
+        let lineCount;
+        try {
+            lineCount = await this.streamChunks(inputFile, async (text, startLine) => {
+                const converted = this.convertSQL(text, startLine);
+                this.addConversionStats(stats, text, converted);
+                for (const statement of this.splitStatements(converted)) {
+                    if (!orderer || !orderer.add(statement)) await splitter.write(statement);
+                }
+            }, (count) => {
+                process.stdout.write(`\rProcessed ${count} lines...`);
+            });
+        } catch (error) {
+            throw new Error(`Error converting file: ${error.message}`);
+        }
+        if (orderer) {
+            const { before, after, warnings } = orderer.finish();
+            this.warnings.push(...warnings);
+            for (const statement of before.concat(after)) {
+                await splitter.write(statement);
+            }
+        }
+        const manifest = await splitter.end(inputFile);
+
+        if (lineCount >= 10000) {
+            process.stdout.write(`\rProcessed ${lineCount} lines total.\n`);
+        }
+        return {
+            success: true,
+            message: `Successfully converted ${inputFile} into ${manifest.files.length} files in ${splitter.directory}`,
+            stats,
+            diagnostics: this.getDiagnostics(),
+            manifest
+        };
+    }
+
+    /**
+     * Convert only the head of a large file, for previews
+     * @param {string} inputFile - Path to input SQL file
+     * @param {number} statementCount - Number of converted statements to return (default: 20)
+     * @returns {Promise<Array<string>>} - The first converted statements; getDiagnostics() covers the text read
+     */
+    async previewLargeFile(inputFile, statementCount = 20) {
+        this.startFile(inputFile);
+        const statements = [];
+
+        await this.streamChunks(inputFile, (text, startLine) => {
+            statements.push(...this.splitStatements(this.convertSQL(text, startLine)));
+            return statements.length < statementCount;
+        });
+
+        return statements.slice(0, statementCount);
+    }
+
+    /**
+     * Split converted MySQL text into statements, keeping DELIMITER blocks together
+     * @param {string} sql - Converted SQL text
+     * @returns {Array<string>} - Statements with their leading comments, without trailing newline
+     */
+    splitStatements(sql) {
+        const statements = [];
+        let current = [];
+        let delimiter = ';';
+        let lexState = null;
+
+        sql.split('\n').forEach(line => {
+            if (current.length === 0 && line.trim() === '') return;
+            current.push(line);
+
+            const startState = lexState;
+            lexState = this.tokenizer.scanState(line + '\n', lexState);
+            if (lexState !== null) return;
+
+            const delimiterLine = startState === null && /^\s*DELIMITER\s+(\S+)/i.exec(line);
+            if (delimiterLine) {
+                delimiter = delimiterLine[1];
+                // DELIMITER ; closes the routine block opened by DELIMITER $$
+                if (delimiter !== ';') return;
+            } else if (delimiter !== ';' || !/;\s*(--.*)?$/.test(line)) {
+                return;
+            }
+
+            statements.push(current.join('\n'));
+            current = [];
+        });
+
+        if (current.some(line => line.trim() !== '')) {
+            statements.push(current.join('\n').replace(/\s+$/, ''));
+        }
+
+        return statements;
+    }
+
+    /**
+     * Empty statistics, in the shape returned by getConversionStats()
+     */
+    createStats() {
+        return {
+            originalLines: 1,
+            convertedLines: 1,
+            changedLines: 0,
             conversionsApplied: []
         };
+    }
 
-        this.conversions.forEach(conv => {
-            const matches = originalContent.match(conv.pattern);
-            if (matches) {
-                stats.conversionsApplied.push({
-                    pattern: conv.pattern.toString(),
-                    count: matches.length
-                });
+    /**
+     * Add a converted piece of text to the statistics
+     * @param {object} stats - Statistics from createStats()
+     * @param {string} original - Original SQL text
+     * @param {string} converted - Converted text, without header
+     */
+    addConversionStats(stats, original, converted) {
+        const originalLines = original.split('\n');
+        const convertedLines = converted.split('\n');
+        stats.originalLines += originalLines.length - 1;
+        stats.convertedLines += convertedLines.length - 1;
+        convertedLines.forEach((line, index) => {
+            if (line !== originalLines[index]) {
+                stats.changedLines++;
+            }
+        });
+
+        // Only count matches in code, not inside string literals or comments
+        const { code } = this.sourceTokenizer.mask(original);
+        this.ruleSet.patterns().forEach(rulePattern => {
+            const matches = code.match(rulePattern);
+            if (!matches) return;
+
+            const pattern = rulePattern.toString();
+            const applied = stats.conversionsApplied.find(entry => entry.pattern === pattern);
+            if (applied) {
+                applied.count += matches.length;
+            } else {
+                stats.conversionsApplied.push({ pattern, count: matches.length });
             }
         });
+    }
+
+    /**
+     * Get statistics about the conversion
+     * @param {string} originalContent - Original SQL content
+     * @param {string} convertedContent - Converted content, as returned by convertToMySQL()
+     * @returns {object} - { originalLines, convertedLines, changedLines, conversionsApplied: [{ pattern, count }] }
+     *
+     * Output of the last convertToMySQL() call was compared chunk by chunk as it was converted,
+     * like in the streaming conversion; other content is compared as a whole.
+     */
+    getConversionStats(originalContent, convertedContent) {
+        const last = this.lastConversion;
+        if (last && last.original === originalContent && last.converted === convertedContent) {
+            return last.stats;
+        }
+
+        const stats = this.createStats();
+
+        // Compare lines after the header, which has no counterpart in the original
+        const headerLines = this.getHeader().split('\n').length - 1;
+        const convertedLines = convertedContent.split('\n');
+        stats.convertedLines += Math.min(headerLines, convertedLines.length - 1);
+        this.addConversionStats(stats, originalContent, convertedLines.slice(headerLines).join('\n'));
 
         return stats;
     }
 }
 
-module.exports = SQLConverter; 
\ No newline at end of file
+module.exports = SQLConverter;
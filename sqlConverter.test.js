@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const SQLConverter = require('./sqlConverter');
+
+/**
+ * Convert T-SQL and return the diagnostics of the converter warnings
+ */
+function warnings(sql) {
+    const converter = new SQLConverter();
+    converter.convertToMySQL(sql, 'test.sql');
+    return converter.getDiagnostics();
+}
+
+test('converter warnings carry the line, column and source line', () => {
+    const [diagnostic] = warnings('SET NOCOUNT ON\nGO\n/* a\n   b */\nSELECT TOP 10 PERCENT a\nFROM t\nGO\n');
+    assert.deepStrictEqual(
+        { rule: diagnostic.rule, file: diagnostic.file, line: diagnostic.line, column: diagnostic.column, snippet: diagnostic.snippet },
+        { rule: 'top-percent', file: 'test.sql', line: 5, column: 8, snippet: 'SELECT TOP 10 PERCENT a' }
+    );
+});
+
+test('warnings are located past lines added and removed by earlier steps', () => {
+    const sql = [
+        'CREATE TABLE [dbo].[T] (',
+        '    [Id] [int] IDENTITY(1, 2) NOT NULL,',
+        '    [Name] [nvarchar](50)',
+        ')',
+        'GO',
+        'CREATE PROCEDURE dbo.p @n [int] = 5',
+        'AS',
+        'BEGIN',
+        '    SELECT @@ERROR',
+        'END',
+        'GO',
+        'SELECT TRY_CAST(x AS int) FROM t'
+    ].join('\n');
+    const located = warnings(sql).map(diagnostic => [diagnostic.rule, diagnostic.line, diagnostic.column]);
+    assert.deepStrictEqual(located, [
+        ['identity-increment', 2, 16],
+        ['parameter-default', 6, 24],
+        ['system-variable', 9, 12],
+        ['try-cast', 12, 8]
+    ]);
+});
+
+test('lines are matched across terminated statements and removed GO lines', () => {
+    const converter = new SQLConverter();
+    assert.deepStrictEqual(converter.alignLines(['a', 'GO', 'b', 'GO'], ['a;', 'b;']), [0, 2]);
+    assert.deepStrictEqual(converter.alignLines(['x', 'y'], ['DELIMITER $$', 'x', 'y$$', 'DELIMITER ;']), [0, 0, 1, 1]);
+});
+
+test('streaming conversion gives the same output, statistics and diagnostics', async () => {
+    const sql = [
+        'SET ANSI_NULLS ON', 'GO',
+        'CREATE TABLE [dbo].[T] (', '    [Id] [int] IDENTITY(1,2) NOT NULL,', '    [Name] [nvarchar](max) NULL', ')', 'GO',
+        'SELECT TOP 10 PERCENT * FROM T', 'GO',
+        "INSERT INTO T (Name) VALUES (N'a", 'GO', "b')", 'GO', ''
+    ].join('\n');
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlconverter-'));
+    const input = path.join(directory, 'input.sql');
+    const output = path.join(directory, 'output.sql');
+    fs.writeFileSync(input, sql);
+
+    try {
+        const memory = new SQLConverter();
+        const converted = memory.convertToMySQL(sql, input);
+        const streamed = await new SQLConverter().convertLargeFileStreaming(input, output);
+
+        const body = (text) => text.split('\n').slice(2).join('\n');
+        assert.strictEqual(body(fs.readFileSync(output, 'utf8')), body(converted));
+        assert.deepStrictEqual(streamed.stats, memory.getConversionStats(sql, converted));
+        assert.deepStrictEqual(streamed.diagnostics, memory.getDiagnostics());
+        assert.deepStrictEqual(streamed.diagnostics.map(diagnostic => [diagnostic.rule, diagnostic.line]), [
+            ['identity-increment', 4],
+            ['top-percent', 8]
+        ]);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('an unknown --report-format stops before anything is converted', () => {
+    const result = spawnSync(process.execPath, [path.join(__dirname, 'index.js'), 'convert', 'missing.sql', '--report-format', 'xml'], {
+        encoding: 'utf8'
+    });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Invalid --report-format value "xml"/);
+});
@@ -0,0 +1,174 @@
+const SQLTokenizer = require('./sqlTokenizer');
+const SQLConverter = require('./sqlConverter');
+
+// Wrappers SSMS writes around typed literals: CAST(N'...' AS DateTime), CONVERT(DateTime, '...', 121)
+const TYPED_LITERAL_WORDS = ['CAST', 'CONVERT'];
+
+/**
+ * Reads the rows of the INSERT statements in a SQL Server script, without a database.
+ *
+ * The script is read in the same statement-aware chunks as the streaming conversion, so
+ * dumps of any size work. Values are returned the way they are written: strings unescaped,
+ * numbers as their text, 0x... as Buffers, and CAST/CONVERT wrappers around literals removed.
+ * A value that is not a literal (a function call, an expression) cannot be read offline and
+ * is reported instead of its row.
+ */
+class SQLDumpReader {
+    constructor() {
+        this.tokenizer = new SQLTokenizer();
+    }
+
+    /**
+     * Read every INSERT of a script
+     * @param {string} inputFile - SQL Server script
+     * @param {function} onRows - Called with (table, columns, rows, error) for every INSERT: table
+     *   is the unquoted name without schema, columns the column list (null when the INSERT has
+     *   none), rows arrays of values; error describes a value that could not be read, with the
+     *   rows read so far
+     * @returns {Promise<number>} - Number of lines read
+     */
+    async read(inputFile, onRows) {
+        const converter = new SQLConverter();
+        return converter.streamChunks(inputFile, (text, startLine) => {
+            const tokens = this.tokenizer.tokenize(text, { line: startLine })
+                .filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+
+            for (let i = 0; i < tokens.length; i++) {
+                if (this.tokenizer.upperWord(tokens[i]) === 'INSERT') {
+                    i = this.readInsert(tokens, i, onRows);
+                }
+            }
+        });
+    }
+
+    /**
+     * Read one INSERT [INTO] table [(columns)] VALUES (...), (...)
+     * @returns {number} - Index of the last token read
+     */
+    readInsert(tokens, start, onRows) {
+        let i = start + 1;
+        if (this.tokenizer.upperWord(tokens[i]) === 'INTO') i++;
+
+        // schema.table or table; the last part names the MySQL table
+        let table = null;
+        while (tokens[i] && (tokens[i].type === 'identifier' || tokens[i].type === 'word')) {
+            if (this.tokenizer.upperWord(tokens[i]) === 'VALUES') break;
+            table = this.unquote(tokens[i].value);
+            i++;
+            if (!this.isSymbol(tokens[i], '.')) break;
+            i++;
+        }
+        if (!table) return start;
+
+        let columns = null;
+        if (this.isSymbol(tokens[i], '(')) {
+            const close = this.tokenizer.findClosingParen(tokens, i);
+            columns = tokens.slice(i + 1, close).filter(token => !this.isSymbol(token, ',')).map(token => this.unquote(token.value));
+            i = close + 1;
+        }
+
+        // INSERT ... SELECT and INSERT ... EXEC carry no literal rows
+        if (this.tokenizer.upperWord(tokens[i]) !== 'VALUES') return i - 1;
+        i++;
+
+        const rows = [];
+        let error = null;
+        while (this.isSymbol(tokens[i], '(')) {
+            const close = this.tokenizer.findClosingParen(tokens, i);
+            const row = this.readRow(tokens, i + 1, close);
+            if (row.error) {
+                error = row.error;
+                break;
+            }
+            rows.push(row.values);
+
+            i = close + 1;
+            if (!this.isSymbol(tokens[i], ',')) break;
+            i++;
+        }
+
+        onRows(table, columns, rows, error);
+        return i - 1;
+    }
+
+    /**
+     * Read the values between the parentheses of a row
+     * @returns {object} - { values } or { error }
+     */
+    readRow(tokens, start, end) {
+        const values = [];
+        let valueStart = start;
+
+        for (let i = start; i <= end; i++) {
+            if (i < end && !this.isSymbol(tokens[i], ',')) {
+                if (this.isSymbol(tokens[i], '(')) i = this.tokenizer.findClosingParen(tokens, i);
+                continue;
+            }
+
+            const value = this.readValue(tokens.slice(valueStart, i));
+            if (value.error) return value;
+            values.push(value.value);
+            valueStart = i + 1;
+        }
+
+        return { values };
+    }
+
+    /**
+     * Value of the tokens of one literal
+     * @returns {object} - { value } or { error }
+     */
+    readValue(tokens) {
+        let parts = tokens;
+
+        // CAST(<literal> AS type) and CONVERT(type, <literal>[, style]) keep the literal
+        const wrapper = this.tokenizer.upperWord(parts[0]);
+        if (TYPED_LITERAL_WORDS.includes(wrapper) && this.isSymbol(parts[1], '(') && this.isSymbol(parts[parts.length - 1], ')')) {
+            const inner = parts.slice(2, -1);
+            if (wrapper === 'CAST') {
+                const as = inner.findIndex(token => this.tokenizer.upperWord(token) === 'AS');
+                parts = as === -1 ? inner : inner.slice(0, as);
+            } else {
+                const commas = inner.map((token, index) => (this.isSymbol(token, ',') ? index : -1)).filter(index => index !== -1);
+                parts = commas.length > 0 ? inner.slice(commas[0] + 1, commas[1]) : inner;
+            }
+        }
+
+        if (parts.length === 1) {
+            const token = parts[0];
+            if (this.tokenizer.upperWord(token) === 'NULL') return { value: null };
+            if (token.type === 'string') {
+                const quoted = token.value.replace(/^N/i, '');
+                return { value: quoted.slice(1, -1).replace(/''/g, '\'') };
+            }
+            if (token.type === 'number') {
+                return /^0x/i.test(token.value)
+                    ? { value: Buffer.from(token.value.slice(2), 'hex') }
+                    : { value: token.value };
+            }
+        }
+        if (parts.length === 2 && (this.isSymbol(parts[0], '-') || this.isSymbol(parts[0], '+')) && parts[1].type === 'number') {
+            return { value: parts[0].value === '-' ? `-${parts[1].value}` : parts[1].value };
+        }
+
+        const token = tokens[0];
+        const text = tokens.map(part => part.value).join(' ');
+        return { error: `line ${token ? token.line : '?'}: ${text.substring(0, 80)} is not a literal` };
+    }
+
+    /**
+     * Name without its [brackets], "quotes" or `backticks`
+     */
+    unquote(name) {
+        return /^[[`"]/.test(name) ? name.slice(1, -1) : name;
+    }
+
+    /**
+     * Whether a token is the given symbol
+     */
+    isSymbol(token, value) {
+        return Boolean(token) && token.type === 'symbol' && token.value === value;
+    }
+}
+
+module.exports = SQLDumpReader;
@@ -0,0 +1,443 @@
+require('dotenv').config();
+const { Connection, Request, TYPES } = require('tedious');
+const chalk = require('chalk');
+
+// Rows buffered from SQL Server before the reader waits for the consumer
+const DEFAULT_READ_BATCH = 1000;
+
+// Types whose size comes from max_length, in bytes; the n types store two bytes per character
+const LENGTH_TYPES = ['char', 'varchar', 'binary', 'varbinary'];
+const UNICODE_LENGTH_TYPES = ['nchar', 'nvarchar'];
+const PRECISION_TYPES = ['decimal', 'numeric'];
+const SCALE_TYPES = ['datetime2', 'time', 'datetimeoffset'];
+
+// Columns read as text, so no precision, time zone or CLR value is lost in the driver
+const READ_EXPRESSIONS = {
+    decimal: (name) => `CONVERT(varchar(50), ${name})`,
+    numeric: (name) => `CONVERT(varchar(50), ${name})`,
+    // Style 2 keeps the four decimals of money
+    money: (name) => `CONVERT(varchar(30), ${name}, 2)`,
+    smallmoney: (name) => `CONVERT(varchar(30), ${name}, 2)`,
+    date: (name) => `CONVERT(varchar(10), ${name}, 23)`,
+    time: (name) => `CONVERT(varchar(16), ${name})`,
+    datetime: (name) => `CONVERT(varchar(27), ${name}, 121)`,
+    smalldatetime: (name) => `CONVERT(varchar(27), ${name}, 121)`,
+    datetime2: (name) => `CONVERT(varchar(27), ${name}, 121)`,
+    // MySQL DATETIME has no offset: values are moved to UTC
+    datetimeoffset: (name) => `CONVERT(varchar(27), CONVERT(datetime2(7), ${name}, 1), 121)`,
+    xml: (name) => `CONVERT(nvarchar(max), ${name})`,
+    sql_variant: (name) => `CONVERT(nvarchar(max), ${name})`,
+    hierarchyid: (name) => `${name}.ToString()`,
+    geography: (name) => `${name}.STAsText()`,
+    geometry: (name) => `${name}.STAsText()`
+};
+
+/**
+ * Quote a name as a [bracketed] T-SQL identifier
+ */
+function quoteName(name) {
+    return `[${name.replace(/\]/g, ']]')}]`;
+}
+
+/**
+ * Reads schema and rows from a live SQL Server database over tedious.
+ *
+ * The connection is configured from MSSQL_* environment variables, the way DatabaseManager
+ * reads DB_* for MySQL. Table definitions come from INFORMATION_SCHEMA and the sys catalog
+ * views and are scripted back as T-SQL, so they convert through the same rules as a script
+ * exported from SSMS.
+ */
+class SQLServerSource {
+    /**
+     * @param {object} overrides - Connection settings merged over the environment
+     */
+    constructor(overrides = {}) {
+        this.connection = null;
+        this.config = {
+            server: process.env.MSSQL_HOST || 'localhost',
+            port: parseInt(process.env.MSSQL_PORT) || 1433,
+            user: process.env.MSSQL_USER || 'sa',
+            password: process.env.MSSQL_PASSWORD,
+            database: process.env.MSSQL_DATABASE,
+            encrypt: process.env.MSSQL_ENCRYPT !== 'false',
+            // Local containers use a self-signed certificate
+            trustServerCertificate: process.env.MSSQL_TRUST_SERVER_CERTIFICATE === 'true',
+            timeout: parseInt(process.env.MSSQL_TIMEOUT) || 60000,
+            ...overrides
+        };
+    }
+
+    /**
+     * Open the connection
+     */
+    async connect() {
+        if (this.connection) {
+            return this.connection;
+        }
+
+        const connection = new Connection({
+            server: this.config.server,
+            authentication: {
+                type: 'default',
+                options: { userName: this.config.user, password: this.config.password }
+            },
+            options: {
+                port: this.config.port,
+                database: this.config.database,
+                encrypt: this.config.encrypt,
+                trustServerCertificate: this.config.trustServerCertificate,
+                requestTimeout: this.config.timeout
+            }
+        });
+
+        try {
+            await new Promise((resolve, reject) => {
+                connection.connect(error => (error ? reject(error) : resolve()));
+            });
+        } catch (error) {
+            console.error(chalk.red('✗ Failed to connect to SQL Server:'), error.message);
+            throw error;
+        }
+
+        this.connection = connection;
+        console.log(chalk.green(`✓ Connected to SQL Server database ${this.config.database || ''}`.trimEnd()));
+        return connection;
+    }
+
+    /**
+     * Run a query and collect its rows
+     * @param {string} sql - T-SQL text
+     * @param {object} params - Values of the @name parameters: numbers as int, everything else as nvarchar
+     * @returns {Promise<Array<object>>} - Rows keyed by column name
+     */
+    async query(sql, params = {}) {
+        const connection = await this.connect();
+
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            const request = new Request(sql, error => (error ? reject(error) : resolve(rows)));
+            Object.keys(params).forEach(name => {
+                const value = params[name];
+                request.addParameter(name, typeof value === 'number' ? TYPES.Int : TYPES.NVarChar, value);
+            });
+            request.on('row', columns => {
+                const row = {};
+                columns.forEach(column => { row[column.metadata.colName] = column.value; });
+                rows.push(row);
+            });
+            connection.execSql(request);
+        });
+    }
+
+    /**
+     * Stream the rows of a query in batches; the server is paused while a batch is consumed
+     * @param {string} sql - T-SQL text
+     * @param {number} batchSize - Rows per batch (default: 1000)
+     * @returns {AsyncGenerator<Array<Array>>} - Batches of rows, each an array of column values
+     */
+    async *readRows(sql, batchSize = DEFAULT_READ_BATCH) {
+        const connection = await this.connect();
+        const batches = [];
+        let rows = [];
+        let done = false;
+        let failure = null;
+        let wake = null;
+
+        const request = new Request(sql, error => {
+            failure = error || null;
+            done = true;
+            if (rows.length > 0) batches.push(rows);
+            rows = [];
+            if (wake) wake();
+        });
+        request.on('row', columns => {
+            rows.push(columns.map(column => column.value));
+            if (rows.length >= batchSize) {
+                batches.push(rows);
+                rows = [];
+                request.pause();
+                if (wake) wake();
+            }
+        });
+        connection.execSql(request);
+
+        try {
+            while (batches.length > 0 || !done) {
+                if (batches.length === 0) {
+                    await new Promise(resolve => { wake = resolve; });
+                    wake = null;
+                    continue;
+                }
+                yield batches.shift();
+                if (!done) request.resume();
+            }
+        } finally {
+            // The consumer stopped early: the connection is only usable again once the request ends
+            if (!done) {
+                connection.cancel();
+                request.resume();
+                while (!done) {
+                    await new Promise(resolve => { wake = resolve; });
+                }
+            }
+        }
+
+        if (failure) {
+            throw failure;
+        }
+    }
+
+    /**
+     * User tables of the database
+     * @returns {Promise<Array<object>>} - { schema, name } in schema and name order
+     */
+    async listTables() {
+        const rows = await this.query(`
+            SELECT TABLE_SCHEMA AS [schema], TABLE_NAME AS [name]
+            FROM INFORMATION_SCHEMA.TABLES
+            WHERE TABLE_TYPE = 'BASE TABLE'
+                AND OBJECTPROPERTY(OBJECT_ID(QUOTENAME(TABLE_SCHEMA) + '.' + QUOTENAME(TABLE_NAME)), 'IsMSShipped') = 0
+            ORDER BY TABLE_SCHEMA, TABLE_NAME
+        `);
+        return rows.map(row => ({ schema: row.schema, name: row.name }));
+    }
+
+    /**
+     * Read the definition of a table from the sys catalog views
+     * @param {object} table - { schema, name }
+     * @returns {Promise<object>} - { schema, name, columns, keys, indexes, checks, foreignKeys, rowCount }
+     *   columns: { name, type, typeName, nullable, identity, seed, increment, defaultDefinition, computed }
+     *   keys: primary key and unique constraints, indexes: other indexes, both as
+     *     { name, primary, constraint, unique, filtered, columns: [{ name, descending }] }
+     *   checks: { name, definition }
+     *   foreignKeys: { name, columns, referencedSchema, referencedTable, referencedColumns, onDelete, onUpdate }
+     */
+    async describeTable(table) {
+        const params = { schema: table.schema, table: table.name };
+        const objectId = 'OBJECT_ID(QUOTENAME(@schema) + \'.\' + QUOTENAME(@table))';
+
+        const columnRows = await this.query(`
+            SELECT c.name, c.max_length, c.precision, c.scale, c.is_nullable, c.is_identity, c.is_computed,
+                CASE WHEN t.is_user_defined = 1 AND t.is_assembly_type = 0 THEN TYPE_NAME(c.system_type_id) ELSE t.name END AS type_name,
+                CONVERT(varchar(40), ic.seed_value) AS seed_value,
+                CONVERT(varchar(40), ic.increment_value) AS increment_value,
+                dc.definition AS default_definition
+            FROM sys.columns c
+            JOIN sys.types t ON t.user_type_id = c.user_type_id
+            LEFT JOIN sys.identity_columns ic ON ic.object_id = c.object_id AND ic.column_id = c.column_id
+            LEFT JOIN sys.default_constraints dc ON dc.object_id = c.default_object_id
+            WHERE c.object_id = ${objectId}
+            ORDER BY c.column_id
+        `, params);
+
+        const indexRows = await this.query(`
+            SELECT i.name, i.is_primary_key, i.is_unique_constraint, i.is_unique, i.has_filter,
+                c.name AS column_name, ic.is_descending_key
+            FROM sys.indexes i
+            JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+            JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+            WHERE i.object_id = ${objectId} AND i.type IN (1, 2) AND i.is_hypothetical = 0
+                AND ic.is_included_column = 0
+            ORDER BY i.index_id, ic.key_ordinal
+        `, params);
+
+        const checks = await this.query(`
+            SELECT name, definition
+            FROM sys.check_constraints
+            WHERE parent_object_id = ${objectId} AND is_disabled = 0
+            ORDER BY name
+        `, params);
+
+        const foreignKeyRows = await this.query(`
+            SELECT fk.name, fk.delete_referential_action_desc, fk.update_referential_action_desc,
+                OBJECT_SCHEMA_NAME(fk.referenced_object_id) AS referenced_schema,
+                OBJECT_NAME(fk.referenced_object_id) AS referenced_table,
+                pc.name AS column_name, rc.name AS referenced_column_name
+            FROM sys.foreign_keys fk
+            JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+            JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+            JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+            WHERE fk.parent_object_id = ${objectId}
+            ORDER BY fk.name, fkc.constraint_column_id
+        `, params);
+
+        const [count] = await this.query(`
+            SELECT SUM(rows) AS row_count
+            FROM sys.partitions
+            WHERE object_id = ${objectId} AND index_id IN (0, 1)
+        `, params);
+
+        const columns = columnRows.map(row => ({
+            name: row.name,
+            typeName: row.type_name,
+            type: this.formatType(row),
+            nullable: row.is_nullable,
+            identity: row.is_identity,
+            seed: row.seed_value,
+            increment: row.increment_value,
+            defaultDefinition: row.default_definition,
+            computed: row.is_computed
+        }));
+
+        const indexes = [];
+        indexRows.forEach(row => {
+            let index = indexes.find(candidate => candidate.name === row.name);
+            if (!index) {
+                index = {
+                    name: row.name,
+                    primary: row.is_primary_key,
+                    constraint: row.is_primary_key || row.is_unique_constraint,
+                    unique: row.is_unique,
+                    filtered: row.has_filter,
+                    columns: []
+                };
+                indexes.push(index);
+            }
+            index.columns.push({ name: row.column_name, descending: row.is_descending_key });
+        });
+
+        const foreignKeys = [];
+        foreignKeyRows.forEach(row => {
+            let foreignKey = foreignKeys.find(candidate => candidate.name === row.name);
+            if (!foreignKey) {
+                foreignKey = {
+                    name: row.name,
+                    columns: [],
+                    referencedSchema: row.referenced_schema,
+                    referencedTable: row.referenced_table,
+                    referencedColumns: [],
+                    onDelete: row.delete_referential_action_desc.replace(/_/g, ' '),
+                    onUpdate: row.update_referential_action_desc.replace(/_/g, ' ')
+                };
+                foreignKeys.push(foreignKey);
+            }
+            foreignKey.columns.push(row.column_name);
+            foreignKey.referencedColumns.push(row.referenced_column_name);
+        });
+
+        return {
+            schema: table.schema,
+            name: table.name,
+            columns,
+            keys: indexes.filter(index => index.constraint),
+            indexes: indexes.filter(index => !index.constraint),
+            checks,
+            foreignKeys,
+            rowCount: parseInt(count && count.row_count) || 0
+        };
+    }
+
+    /**
+     * T-SQL type of a sys.columns row, as SSMS scripts it
+     */
+    formatType(row) {
+        const name = row.type_name;
+        if (LENGTH_TYPES.includes(name)) {
+            return `[${name}](${row.max_length === -1 ? 'max' : row.max_length})`;
+        }
+        if (UNICODE_LENGTH_TYPES.includes(name)) {
+            return `[${name}](${row.max_length === -1 ? 'max' : row.max_length / 2})`;
+        }
+        if (PRECISION_TYPES.includes(name)) {
+            return `[${name}](${row.precision}, ${row.scale})`;
+        }
+        if (SCALE_TYPES.includes(name)) {
+            return `[${name}](${row.scale})`;
+        }
+        if (name === 'float') {
+            return `[float](${row.precision})`;
+        }
+        return `[${name}]`;
+    }
+
+    /**
+     * Script a table as T-SQL: CREATE TABLE with its columns, keys and checks, and a CREATE
+     * INDEX statement per other index. Foreign keys are scripted apart (see scriptForeignKeys).
+     * Computed columns are left out; filtered indexes too, as MySQL has none.
+     * @param {object} definition - Table definition from describeTable()
+     * @param {string} targetName - Table name to create
+     * @returns {string} - T-SQL batches separated by GO
+     */
+    scriptTable(definition, targetName) {
+        const keyColumns = (index) => index.columns
+            .map(column => `${quoteName(column.name)} ${column.descending ? 'DESC' : 'ASC'}`).join(', ');
+
+        const elements = definition.columns.filter(column => !column.computed).map(column => {
+            let element = `${quoteName(column.name)} ${column.type}`;
+            if (column.identity) {
+                element += ` IDENTITY(${column.seed},${column.increment})`;
+            }
+            element += column.nullable ? ' NULL' : ' NOT NULL';
+            if (column.defaultDefinition) {
+                element += ` DEFAULT ${column.defaultDefinition}`;
+            }
+            return element;
+        });
+
+        definition.keys.forEach(key => {
+            const kind = key.primary ? 'PRIMARY KEY' : 'UNIQUE';
+            elements.push(`CONSTRAINT ${quoteName(key.name)} ${kind} (${keyColumns(key)})`);
+        });
+        definition.checks.forEach(check => {
+            elements.push(`CONSTRAINT ${quoteName(check.name)} CHECK ${check.definition}`);
+        });
+
+        const batches = [`CREATE TABLE ${quoteName(targetName)}(\n\t${elements.join(',\n\t')}\n)`];
+        definition.indexes.filter(index => !index.filtered).forEach(index => {
+            batches.push(`CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${quoteName(index.name)} ON ${quoteName(targetName)} (${keyColumns(index)})`);
+        });
+
+        return batches.map(batch => `${batch}\nGO\n`).join('');
+    }
+
+    /**
+     * Script the foreign keys of a table as T-SQL ALTER TABLE statements
+     * @param {object} definition - Table definition from describeTable()
+     * @param {function} targetName - Maps a { schema, name } table to the name it is created under
+     * @returns {string} - T-SQL batches separated by GO
+     */
+    scriptForeignKeys(definition, targetName) {
+        const table = quoteName(targetName(definition));
+
+        return definition.foreignKeys.map(foreignKey => {
+            const referenced = quoteName(targetName({ schema: foreignKey.referencedSchema, name: foreignKey.referencedTable }));
+            let statement = `ALTER TABLE ${table} ADD CONSTRAINT ${quoteName(foreignKey.name)} FOREIGN KEY (${foreignKey.columns.map(quoteName).join(', ')}) ` +
+                `REFERENCES ${referenced} (${foreignKey.referencedColumns.map(quoteName).join(', ')})`;
+            if (foreignKey.onDelete !== 'NO ACTION') statement += ` ON DELETE ${foreignKey.onDelete}`;
+            if (foreignKey.onUpdate !== 'NO ACTION') statement += ` ON UPDATE ${foreignKey.onUpdate}`;
+            return `${statement}\nGO\n`;
+        }).join('');
+    }
+
+    /**
+     * SELECT reading the rows of a table, with the copied columns in order
+     * @param {object} definition - Table definition from describeTable()
+     * @returns {string} - T-SQL query
+     */
+    selectRows(definition) {
+        const list = definition.columns.filter(column => !column.computed).map(column => {
+            const read = READ_EXPRESSIONS[column.typeName];
+            return read ? `${read(quoteName(column.name))} AS ${quoteName(column.name)}` : quoteName(column.name);
+        });
+        return `SELECT ${list.join(', ')} FROM ${quoteName(definition.schema)}.${quoteName(definition.name)}`;
+    }
+
+    /**
+     * Close the connection
+     */
+    async close() {
+        if (this.connection) {
+            const connection = this.connection;
+            this.connection = null;
+            await new Promise(resolve => {
+                connection.on('end', resolve);
+                connection.close();
+            });
+            console.log(chalk.blue('📴 SQL Server connection closed'));
+        }
+    }
+}
+
+SQLServerSource.READ_EXPRESSIONS = READ_EXPRESSIONS;
+
+module.exports = SQLServerSource;
@@ -0,0 +1,505 @@
+// Markers used to stand in for masked literals and comments in code text.
+// They live in the Unicode private use area so no regex rule can match them.
+const MASK_OPEN = '\uE000';
+const MASK_CLOSE = '\uE001';
+const MASK_PATTERN = /\uE000(\d+)\uE001/g;
+
+// Non-ASCII letters are allowed in names, except for the private use area above
+const WORD_START = /[A-Za-z_#\u0080-\uDFFF\uF900-\uFFFF]/;
+const WORD_PART = /[A-Za-z0-9_#$@\u0080-\uDFFF\uF900-\uFFFF]/;
+const MULTI_CHAR_SYMBOLS = ['<>', '!=', '>=', '<=', '!<', '!>', '::', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^='];
+
+// Words that begin a new statement when they appear outside parentheses,
+// unless the surrounding tokens make them part of the current one (see startsStatement)
+const STATEMENT_START_WORDS = ['CREATE', 'ALTER', 'DROP', 'INSERT', 'UPDATE', 'DELETE', 'SELECT', 'WITH', 'MERGE',
+    'TRUNCATE', 'DECLARE', 'SET', 'EXEC', 'EXECUTE', 'PRINT', 'USE', 'GO', 'IF', 'ELSE', 'WHILE', 'BEGIN', 'END',
+    'RETURN', 'RAISERROR', 'THROW', 'GRANT', 'DENY', 'REVOKE', 'BREAK', 'CONTINUE', 'OPEN', 'CLOSE', 'FETCH',
+    'DEALLOCATE', 'COMMIT', 'ROLLBACK', 'SAVE', 'WAITFOR'];
+
+// Words that open control flow when they begin a statement
+const CONTROL_FLOW_WORDS = ['IF', 'WHILE', 'BEGIN', 'ELSE'];
+
+// Words after BEGIN that make it a transaction statement rather than a block
+const TRANSACTION_WORDS = ['TRAN', 'TRANSACTION', 'DISTRIBUTED'];
+
+const OBJECT_WORDS = ['TABLE', 'VIEW', 'PROCEDURE', 'PROC', 'FUNCTION', 'TRIGGER', 'INDEX', 'DATABASE', 'SCHEMA',
+    'TYPE', 'SYNONYM', 'SEQUENCE', 'STATISTICS', 'USER', 'LOGIN', 'ROLE'];
+
+// Source dialects: T-SQL, or MySQL with backslash escapes in strings and # comments
+const DIALECTS = ['mssql', 'mysql'];
+
+class SQLTokenizer {
+    /**
+     * @param {object} options - { dialect } of the text to read: mssql (default) or mysql.
+     *   In MySQL text '...' and "..." are strings with backslash escapes, # starts a comment
+     *   and [ is a plain symbol.
+     */
+    constructor(options = {}) {
+        this.dialect = options.dialect || 'mssql';
+        if (!DIALECTS.includes(this.dialect)) {
+            throw new Error(`Unknown SQL dialect "${this.dialect}" (expected ${DIALECTS.join(', ')})`);
+        }
+        this.mysql = this.dialect === 'mysql';
+    }
+
+    /**
+     * Split T-SQL text into tokens
+     * @param {string} sql - The SQL text to tokenize
+     * @param {object} options - { line, column } of the first character (default 1, 1)
+     * @returns {Array<object>} - Tokens with type, value, start, line and column
+     *
+     * Token types: whitespace, comment, string, identifier, variable, number, word, symbol,
+     * plus `masked` for placeholders left by mask() when tokenizing already-masked code.
+     * A string, comment or bracketed identifier that runs off the end of the input is
+     * returned with `unterminated: true` so callers can wait for more text.
+     */
+    tokenize(sql, options = {}) {
+        const tokens = [];
+        let line = options.line || 1;
+        let column = options.column || 1;
+        let pos = 0;
+
+        while (pos < sql.length) {
+            const start = pos;
+            const token = this.readToken(sql, pos);
+            token.start = start;
+            token.line = line;
+            token.column = column;
+            tokens.push(token);
+
+            // Advance the position counters over the token text
+            const value = token.value;
+            for (let i = 0; i < value.length; i++) {
+                if (value[i] === '\n') {
+                    line++;
+                    column = 1;
+                } else {
+                    column++;
+                }
+            }
+            pos += value.length;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Read a single token starting at the given position
+     * @param {string} sql - The SQL text
+     * @param {number} pos - Start position
+     * @returns {object} - Token without position information
+     */
+    readToken(sql, pos) {
+        const ch = sql[pos];
+        const next = sql[pos + 1];
+
+        if (/\s/.test(ch)) {
+            let end = pos + 1;
+            while (end < sql.length && /\s/.test(sql[end])) end++;
+            return { type: 'whitespace', value: sql.slice(pos, end) };
+        }
+
+        if (ch === MASK_OPEN) {
+            const end = sql.indexOf(MASK_CLOSE, pos);
+            if (end !== -1) {
+                const value = sql.slice(pos, end + 1);
+                return { type: 'masked', value, index: Number(value.slice(1, -1)) };
+            }
+        }
+
+        if ((ch === '-' && next === '-') || (ch === '#' && this.mysql)) {
+            let end = sql.indexOf('\n', pos);
+            if (end === -1) end = sql.length;
+            // Leave a trailing \r with the line break, not the comment
+            if (sql[end - 1] === '\r') end--;
+            return { type: 'comment', value: sql.slice(pos, end) };
+        }
+
+        if (ch === '/' && next === '*') {
+            return this.readBlockComment(sql, pos);
+        }
+
+        if ((ch === 'N' || ch === 'n') && next === '\'') {
+            const token = this.readQuoted(sql, pos + 1, '\'', 'string');
+            token.value = sql[pos] + token.value;
+            token.unicode = true;
+            return token;
+        }
+
+        if (ch === '\'' || (ch === '"' && this.mysql)) {
+            return this.readQuoted(sql, pos, ch, 'string');
+        }
+
+        if (ch === '[' && !this.mysql) {
+            const token = this.readQuoted(sql, pos, ']', 'identifier');
+            token.quote = '[';
+            return token;
+        }
+
+        if (ch === '"' || ch === '`') {
+            const token = this.readQuoted(sql, pos, ch, 'identifier');
+            token.quote = ch;
+            return token;
+        }
+
+        if (ch === '@') {
+            let end = pos + 1;
+            while (end < sql.length && WORD_PART.test(sql[end])) end++;
+            return { type: 'variable', value: sql.slice(pos, end) };
+        }
+
+        if (ch === '0' && (next === 'x' || next === 'X')) {
+            let end = pos + 2;
+            while (end < sql.length && /[0-9A-Fa-f]/.test(sql[end])) end++;
+            return { type: 'number', value: sql.slice(pos, end), hex: true };
+        }
+
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+            const match = /^(\d*\.?\d+|\d+\.)([eE][+-]?\d+)?/.exec(sql.slice(pos, pos + 64));
+            return { type: 'number', value: match[0] };
+        }
+
+        if (WORD_START.test(ch)) {
+            let end = pos + 1;
+            while (end < sql.length && WORD_PART.test(sql[end])) end++;
+            return { type: 'word', value: sql.slice(pos, end) };
+        }
+
+        const pair = sql.slice(pos, pos + 2);
+        if (MULTI_CHAR_SYMBOLS.includes(pair)) {
+            return { type: 'symbol', value: pair };
+        }
+
+        return { type: 'symbol', value: ch };
+    }
+
+    /**
+     * Read a quoted token where the closing quote is escaped by doubling it,
+     * or in MySQL strings also by a backslash
+     */
+    readQuoted(sql, pos, closeQuote, type) {
+        const escapes = this.mysql && type === 'string';
+        let end = pos + 1;
+        while (end < sql.length) {
+            if (escapes && sql[end] === '\\') {
+                end += 2;
+                continue;
+            }
+            if (sql[end] === closeQuote) {
+                if (sql[end + 1] === closeQuote) {
+                    end += 2;
+                    continue;
+                }
+                return { type, value: sql.slice(pos, end + 1) };
+            }
+            end++;
+        }
+        return { type, value: sql.slice(pos), unterminated: true };
+    }
+
+    /**
+     * Read a block comment; T-SQL allows them to nest
+     */
+    readBlockComment(sql, pos) {
+        let depth = 0;
+        let end = pos;
+        while (end < sql.length) {
+            if (sql[end] === '/' && sql[end + 1] === '*') {
+                depth++;
+                end += 2;
+            } else if (sql[end] === '*' && sql[end + 1] === '/') {
+                depth--;
+                end += 2;
+                if (depth === 0) {
+                    return { type: 'comment', value: sql.slice(pos, end) };
+                }
+            } else {
+                end++;
+            }
+        }
+        return { type: 'comment', value: sql.slice(pos), unterminated: true };
+    }
+
+    /**
+     * Check whether the text ends inside a string, comment or quoted identifier
+     * @param {string} sql - The SQL text
+     * @returns {boolean} - True if more text is needed to close the last token
+     */
+    endsInsideToken(sql) {
+        return this.scanState(sql) !== null;
+    }
+
+    /**
+     * Track whether text ends inside a string, block comment or quoted identifier.
+     * Cheaper than tokenize() and resumable, so streams can feed it one line at a time.
+     * @param {string} text - Next piece of SQL text
+     * @param {object|null} state - State returned for the text before it, or null at a token boundary
+     * @returns {object|null} - { close, depth } describing the open token, or null at a token boundary
+     */
+    scanState(text, state = null) {
+        let current = state ? { ...state } : null;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            const next = text[i + 1];
+
+            if (current && current.close === '*/') {
+                if (ch === '/' && next === '*') {
+                    current.depth++;
+                    i++;
+                } else if (ch === '*' && next === '/') {
+                    current.depth--;
+                    i++;
+                    if (current.depth === 0) current = null;
+                }
+            } else if (current) {
+                if (ch === '\\' && this.mysql && current.close !== '`') {
+                    i++;
+                } else if (ch === current.close) {
+                    if (next === current.close) {
+                        i++;
+                    } else {
+                        current = null;
+                    }
+                }
+            } else if ((ch === '-' && next === '-') || (ch === '#' && this.mysql)) {
+                const end = text.indexOf('\n', i);
+                i = end === -1 ? text.length : end;
+            } else if (ch === '/' && next === '*') {
+                current = { close: '*/', depth: 1 };
+                i++;
+            } else if (ch === '\'' || ch === '"' || ch === '`') {
+                current = { close: ch, depth: 0 };
+            } else if (ch === '[' && !this.mysql) {
+                current = { close: ']', depth: 0 };
+            }
+        }
+
+        return current;
+    }
+
+    /**
+     * Find the index of the parenthesis closing the one at the given index
+     * @param {Array<object>} tokens - Tokens to search
+     * @param {number} open - Index of the opening parenthesis
+     * @returns {number} - Index of the closing parenthesis, or the last index if unbalanced
+     */
+    findClosingParen(tokens, open) {
+        let depth = 0;
+        for (let j = open; j < tokens.length; j++) {
+            if (tokens[j].type === 'symbol' && tokens[j].value === '(') depth++;
+            if (tokens[j].type === 'symbol' && tokens[j].value === ')') {
+                depth--;
+                if (depth === 0) return j;
+            }
+        }
+        return tokens.length - 1;
+    }
+
+    /**
+     * Tokenize and keep only the tokens that carry meaning (no whitespace or masked text)
+     * @param {string} code - SQL code, usually with literals and comments masked
+     * @returns {Array<object>} - Significant tokens
+     */
+    significantTokens(code) {
+        return this.tokenize(code).filter(token => token.type !== 'whitespace' && token.type !== 'masked');
+    }
+
+    /**
+     * Tokenize masked code keeping string placeholders but dropping whitespace and comments
+     * @param {string} code - SQL code with literals and comments masked
+     * @param {Array<object>} literals - Tokens returned by mask()
+     * @returns {Array<object>} - Code tokens
+     */
+    codeTokens(code, literals) {
+        return this.tokenize(code).filter(token => token.type !== 'whitespace' &&
+            !(token.type === 'masked' && literals[token.index] && literals[token.index].type === 'comment'));
+    }
+
+    /**
+     * Find where the statement starting at the given token ends
+     * @param {Array<object>} tokens - Significant tokens
+     * @param {number} start - Index of the first token of the statement
+     * @returns {number} - Index of the last token of the statement (including a trailing ';')
+     *
+     * T-SQL does not require semicolons, so a statement also ends before GO, before a
+     * closing parenthesis it did not open, and before a word that starts another statement.
+     */
+    findStatementEnd(tokens, start) {
+        const state = { first: this.upperWord(tokens[start]), depth: 0, caseDepth: 0, seen: new Set() };
+
+        for (let i = start; i < tokens.length; i++) {
+            const token = tokens[i];
+            const word = this.upperWord(token);
+
+            if (token.type === 'symbol') {
+                if (token.value === '(') state.depth++;
+                if (token.value === ')') {
+                    state.depth--;
+                    if (state.depth < 0) return i - 1;
+                }
+                if (token.value === ';' && state.depth === 0) return i;
+                continue;
+            }
+
+            if (word === 'CASE') state.caseDepth++;
+            if (word === 'END' && state.caseDepth > 0) {
+                state.caseDepth--;
+                continue;
+            }
+
+            if (i > start && state.depth === 0 && this.startsStatement(tokens, i, state)) {
+                return i - 1;
+            }
+
+            if (word && state.depth === 0) state.seen.add(word);
+        }
+
+        return tokens.length - 1;
+    }
+
+    /**
+     * Whether a statement of a batch begins with control flow: IF, WHILE, ELSE or a BEGIN
+     * block. BEGIN TRANSACTION and IF EXISTS inside a statement (DROP TABLE IF EXISTS) are not.
+     * @param {Array<object>} tokens - Significant tokens of the batch
+     */
+    hasControlFlow(tokens) {
+        for (let i = 0; i < tokens.length; i = this.findStatementEnd(tokens, i) + 1) {
+            const word = this.upperWord(tokens[i]);
+            if (CONTROL_FLOW_WORDS.includes(word) &&
+                !(word === 'BEGIN' && TRANSACTION_WORDS.includes(this.upperWord(tokens[i + 1])))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Decide whether a statement keyword begins a new statement or is a clause of the current one
+     */
+    startsStatement(tokens, i, state) {
+        const word = this.upperWord(tokens[i]);
+        if (!STATEMENT_START_WORDS.includes(word)) return false;
+
+        const prev = this.upperWord(tokens[i - 1]);
+        const prevSymbol = tokens[i - 1] && tokens[i - 1].type === 'symbol' ? tokens[i - 1].value : null;
+        const next = this.upperWord(tokens[i + 1]);
+        const nextSymbol = tokens[i + 1] && tokens[i + 1].type === 'symbol' ? tokens[i + 1].value : null;
+
+        switch (word) {
+            case 'GO':
+                return true;
+            case 'ALTER':
+            case 'DROP':
+                return !['COLUMN', 'CONSTRAINT', 'PERIOD'].includes(next);
+            case 'INSERT':
+            case 'UPDATE':
+            case 'DELETE':
+                // ON DELETE CASCADE, FOR INSERT, UPDATE (triggers), WHEN MATCHED THEN UPDATE
+                if (state.first === 'WITH' && prevSymbol === ')') return false;
+                return !['ON', 'FOR', 'AFTER', 'OF', 'THEN'].includes(prev) && prevSymbol !== ',';
+            case 'SET':
+                // UPDATE t SET, ON DELETE SET NULL, ALTER DATABASE x SET ..., ALTER TABLE t SET (...)
+                if (nextSymbol === '(' || next === 'NULL' || next === 'DEFAULT' || prev === 'UPDATE') return false;
+                if (state.first === 'ALTER') return false;
+                return !(['UPDATE', 'MERGE'].includes(state.first) && !state.seen.has('SET'));
+            case 'SELECT':
+                if (['UNION', 'ALL', 'EXCEPT', 'INTERSECT', 'FOR', 'AS'].includes(prev)) return false;
+                return !(['INSERT', 'WITH'].includes(state.first) && !state.seen.has('SELECT') && !state.seen.has('VALUES'));
+            case 'EXEC':
+            case 'EXECUTE':
+                if (prev === 'WITH' || prevSymbol === ',') return false;
+                return !(state.first === 'INSERT' && !state.seen.has('SELECT') && !state.seen.has('VALUES'));
+            case 'WITH': {
+                // Only a common table expression starts a statement: WITH name [(cols)] AS (
+                const afterName = tokens[i + 2];
+                const isName = tokens[i + 1] && ['word', 'identifier'].includes(tokens[i + 1].type);
+                return isName && (this.upperWord(afterName) === 'AS' ||
+                    (afterName && afterName.type === 'symbol' && afterName.value === '('));
+            }
+            case 'IF':
+                return !(OBJECT_WORDS.includes(prev) && (next === 'EXISTS' || next === 'NOT'));
+            case 'ELSE':
+                return state.caseDepth === 0;
+            case 'FETCH':
+                return !['ROW', 'ROWS'].includes(prev);
+            case 'ROLLBACK':
+                // ALTER DATABASE ... SET ... WITH ROLLBACK IMMEDIATE
+                return prev !== 'WITH';
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Upper-case value of a word token, or null for any other token
+     */
+    upperWord(token) {
+        return token && token.type === 'word' ? token.value.toUpperCase() : null;
+    }
+
+    /**
+     * Replace string literals and comments with placeholders so rewrite rules only see code
+     * @param {string} sql - The SQL text
+     * @returns {object} - { code, literals } where literals holds the masked tokens
+     */
+    mask(sql) {
+        const literals = [];
+        let code = '';
+
+        this.tokenize(sql).forEach(token => {
+            if (token.type === 'string' || token.type === 'comment') {
+                code += this.addLiteral(literals, token);
+            } else {
+                code += token.value;
+            }
+        });
+
+        return { code, literals };
+    }
+
+    /**
+     * Add a token to the literals of masked code
+     * @param {Array<object>} literals - Tokens returned by mask()
+     * @param {object} token - Token to add, usually a string
+     * @returns {string} - Placeholder standing for the token in the code
+     */
+    addLiteral(literals, token) {
+        literals.push(token);
+        return MASK_OPEN + (literals.length - 1) + MASK_CLOSE;
+    }
+
+    /**
+     * Put masked literals and comments back into code text
+     * @param {string} code - Code text containing placeholders
+     * @param {Array<object>} literals - Tokens returned by mask()
+     * @param {function} render - Optional function mapping a literal token to its output text
+     * @returns {string} - The restored SQL text
+     */
+    unmask(code, literals, render = token => token.value) {
+        return code.replace(MASK_PATTERN, (match, index) => render(literals[Number(index)]));
+    }
+
+    /**
+     * Apply text edits from the end of the text backwards, so earlier offsets stay valid. At one
+     * offset, a replaced range goes before insertions and insertions keep their order.
+     * @param {string} code - Text the edits apply to
+     * @param {Array<object>} edits - { start, end, text, order } with order optional
+     * @param {number} offset - Position of the text in the code the edit offsets refer to
+     * @returns {string} - The edited text
+     */
+    applyEdits(code, edits, offset = 0) {
+        let converted = code;
+        edits.slice()
+            .sort((a, b) => b.start - a.start || b.end - a.end || (b.order || 0) - (a.order || 0))
+            .forEach(edit => {
+                converted = converted.slice(0, edit.start - offset) + edit.text + converted.slice(edit.end - offset);
+            });
+        return converted;
+    }
+}
+
+SQLTokenizer.MASK_PATTERN = MASK_PATTERN;
+SQLTokenizer.DIALECTS = DIALECTS;
+
+module.exports = SQLTokenizer;
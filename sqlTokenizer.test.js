@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SQLTokenizer = require('./sqlTokenizer');
+
+const tokenizer = new SQLTokenizer();
+
+test('mask keeps strings and comments out of the code', () => {
+    const { code, literals } = tokenizer.mask("SELECT 'GETDATE()', N'x' -- GETDATE()\nFROM [t]");
+    assert.strictEqual(code.includes('GETDATE'), false);
+    assert.deepStrictEqual(literals.map(token => token.type), ['string', 'string', 'comment']);
+    assert.strictEqual(literals[1].unicode, true);
+    assert.strictEqual(tokenizer.unmask(code, literals), "SELECT 'GETDATE()', N'x' -- GETDATE()\nFROM [t]");
+});
+
+test('doubled quotes stay inside strings and bracketed names', () => {
+    const tokens = tokenizer.significantTokens("SELECT 'it''s', [a]]b] FROM t");
+    assert.deepStrictEqual(tokens.map(token => token.value), ['SELECT', "'it''s'", ',', '[a]]b]', 'FROM', 't']);
+});
+
+test('nested block comments are one token', () => {
+    const tokens = tokenizer.tokenize('/* a /* b */ c */SELECT 1');
+    assert.strictEqual(tokens[0].type, 'comment');
+    assert.strictEqual(tokens[0].value, '/* a /* b */ c */');
+});
+
+test('scanState resumes across lines', () => {
+    let state = tokenizer.scanState("INSERT INTO t VALUES ('line one\n");
+    assert.notStrictEqual(state, null);
+    state = tokenizer.scanState("line two');\n", state);
+    assert.strictEqual(state, null);
+    assert.strictEqual(tokenizer.endsInsideToken('/* open'), true);
+});
+
+test('findStatementEnd ends undelimited T-SQL statements before the next one', () => {
+    const tokens = tokenizer.significantTokens('UPDATE t SET a = 1 WHERE b = 2 SELECT 1');
+    const end = tokenizer.findStatementEnd(tokens, 0);
+    assert.strictEqual(tokens[end + 1].value, 'SELECT');
+});
+
+test('mysql dialect reads backslash escapes, double-quoted strings and # comments', () => {
+    const mysql = new SQLTokenizer({ dialect: 'mysql' });
+    const { literals } = mysql.mask("SELECT 'a\\'b', \"c\" # note\n");
+    assert.deepStrictEqual(literals.map(token => token.value), ["'a\\'b'", '"c"', '# note']);
+    // The escaped quote does not close the string
+    assert.notStrictEqual(mysql.scanState("'a\\'"), null);
+    assert.throws(() => new SQLTokenizer({ dialect: 'oracle' }), /Unknown SQL dialect/);
+});
+
+test('applyEdits applies replacements before insertions at the same offset', () => {
+    const edits = [
+        { start: 7, end: 7, text: '(', order: 1 },
+        { start: 7, end: 8, text: 'b' },
+        { start: 7, end: 7, text: '[', order: 0 },
+        { start: 9, end: 9, text: ')' }
+    ];
+    assert.strictEqual(tokenizer.applyEdits('SELECT a', edits), 'SELECT [(b)');
+    assert.strictEqual(tokenizer.applyEdits('a', [{ start: 10, end: 11, text: 'x' }], 10), 'x');
+    assert.strictEqual(edits[0].text, '(');
+});
@@ -0,0 +1,142 @@
+const SQLTokenizer = require('./sqlTokenizer');
+
+// Characters buffered before a batch is cut at a statement boundary
+const CHUNK_SIZE = 1024 * 1024;
+
+// GO [count] [-- comment] alone on its line
+const GO_LINE = /^\s*GO(\s+\d+)?\s*(--.*)?$/i;
+
+// MySQL DELIMITER $$ ... DELIMITER ; around routines
+const DELIMITER_LINE = /^\s*DELIMITER\s+(\S+)\s*$/i;
+
+const MODULE_KINDS = ['PROC', 'PROCEDURE', 'FUNCTION', 'TRIGGER', 'VIEW'];
+
+/**
+ * Cuts SQL Server text, fed one line at a time, into chunks that convert on their own.
+ *
+ * Every GO batch ends a chunk. A batch larger than the chunk size is cut before a statement
+ * that starts a line, so memory stays bounded by the chunk size plus the longest statement.
+ * Batches that are a procedure, function, trigger or view, or hold statements that begin
+ * with control flow, are only terminated at their end by BatchConverter, so they are kept
+ * whole up to their GO.
+ *
+ * MySQL text has no GO: there a DELIMITER ; line ends a chunk, and the routines between
+ * DELIMITER $$ and DELIMITER ; are kept whole instead.
+ *
+ * The in-memory and streaming conversions both convert these chunks, which makes their
+ * output identical for the same input.
+ */
+class StatementChunker {
+    /**
+     * @param {object} options - { chunkSize, dialect }
+     *   chunkSize: characters buffered before a batch is cut (default: 1 MiB)
+     *   dialect: dialect of the text, for its strings and comments (default: mssql; see SQLTokenizer)
+     */
+    constructor(options = {}) {
+        this.tokenizer = new SQLTokenizer({ dialect: options.dialect });
+        this.chunkSize = options.chunkSize || CHUNK_SIZE;
+        this.pending = '';
+        this.startLine = 1;
+        this.lineCount = 0;
+        this.lexState = null;
+        // The current batch holds a module or control flow and is only cut at its GO
+        this.wholeBatch = false;
+        // Buffer length at which the next cut is tried
+        this.nextCut = this.chunkSize;
+    }
+
+    /**
+     * Add the next line
+     * @param {string} line - Line with its terminator (only the last line of the input may lack one)
+     * @returns {Array<object>} - Chunks completed by the line, as { text, startLine }
+     */
+    push(line) {
+        const chunks = [];
+
+        if (this.pending === '') {
+            this.startLine = this.lineCount + 1;
+        }
+        this.pending += line;
+        this.lineCount++;
+
+        // Never cut inside a string, comment or quoted identifier
+        this.lexState = this.tokenizer.scanState(line, this.lexState);
+        if (this.lexState !== null) return chunks;
+
+        const text = line.replace(/\r?\n$/, '');
+        const delimiter = this.tokenizer.mysql ? DELIMITER_LINE.exec(text) : null;
+        if (delimiter && delimiter[1] !== ';') {
+            this.wholeBatch = true;
+        } else if (GO_LINE.test(text) || delimiter) {
+            // A GO or DELIMITER ; line ends the batch, which is converted whole
+            chunks.push(this.take(this.pending.length));
+            this.wholeBatch = false;
+            this.nextCut = this.chunkSize;
+        } else if (!this.wholeBatch && this.pending.length >= this.nextCut) {
+            const cut = this.findCut();
+            if (cut > 0) {
+                chunks.push(this.take(cut));
+            }
+            // Also after a failed attempt, so a long statement is not tokenized on every line
+            this.nextCut = this.pending.length + this.chunkSize;
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Flush the text left at the end of the input
+     * @returns {Array<object>} - The last chunk, if any, as { text, startLine }
+     */
+    end() {
+        return this.pending === '' ? [] : [this.take(this.pending.length)];
+    }
+
+    /**
+     * Find where the buffered batch can be cut: the start of the line holding the last
+     * statement that begins a line. That statement and the ones after it stay buffered,
+     * as the last of them may still continue on the next line.
+     * @returns {number} - Offset in the buffer, or 0 when it cannot be cut
+     */
+    findCut() {
+        const tokens = this.tokenizer.tokenize(this.pending)
+            .filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+        const upper = (index) => this.tokenizer.upperWord(tokens[index]);
+
+        const first = upper(0) === 'CREATE' && upper(1) === 'OR' ? 3 : 1;
+        const keepsWhole = !this.tokenizer.mysql && (this.tokenizer.hasControlFlow(tokens) ||
+            (['CREATE', 'ALTER'].includes(upper(0)) && MODULE_KINDS.includes(upper(first))));
+        if (keepsWhole) {
+            this.wholeBatch = true;
+            return 0;
+        }
+
+        let cut = 0;
+        // Statements whose first tokens are among the last ones may still change meaning
+        for (let i = 0; i + 2 < tokens.length; i = Math.max(i, this.tokenizer.findStatementEnd(tokens, i)) + 1) {
+            if (i === 0) continue;
+
+            const lineStart = this.pending.lastIndexOf('\n', tokens[i].start - 1) + 1;
+            if (/^[ \t]*$/.test(this.pending.slice(lineStart, tokens[i].start))) {
+                cut = lineStart;
+            }
+        }
+
+        return cut;
+    }
+
+    /**
+     * Remove the first characters of the buffer as a chunk
+     */
+    take(length) {
+        const text = this.pending.slice(0, length);
+        const chunk = { text, startLine: this.startLine };
+        this.pending = this.pending.slice(length);
+        this.startLine += (text.match(/\n/g) || []).length;
+        return chunk;
+    }
+}
+
+StatementChunker.CHUNK_SIZE = CHUNK_SIZE;
+
+module.exports = StatementChunker;
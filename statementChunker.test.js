@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StatementChunker = require('./statementChunker');
+
+/**
+ * Feed text to a chunker line by line and collect its chunks
+ */
+function chunk(sql, options) {
+    const chunker = new StatementChunker(options);
+    const chunks = [];
+    (sql.match(/[^\n]*\n|[^\n]+$/g) || []).forEach(line => chunks.push(...chunker.push(line)));
+    chunks.push(...chunker.end());
+    return chunks;
+}
+
+test('GO lines end chunks, but not inside a string', () => {
+    const sql = "SELECT 1\nGO\nSELECT 'a\nGO\nb'\nGO\nSELECT 3";
+    assert.deepStrictEqual(chunk(sql), [
+        { text: 'SELECT 1\nGO\n', startLine: 1 },
+        { text: "SELECT 'a\nGO\nb'\nGO\n", startLine: 3 },
+        { text: 'SELECT 3', startLine: 7 }
+    ]);
+});
+
+test('a long batch is cut before statements that start a line', () => {
+    const sql = [0, 1, 2].map(i => `INSERT INTO T VALUES (${i},\n  'x')`).join('\n') + '\nGO\n';
+    const chunks = chunk(sql, { chunkSize: 30 });
+    assert.deepStrictEqual(chunks.map(piece => piece.startLine), [1, 3, 5]);
+    assert.strictEqual(chunks.map(piece => piece.text).join(''), sql);
+    assert.ok(chunks.every(piece => /^INSERT INTO T VALUES \(\d,\n {2}'x'\)\n/.test(piece.text)));
+});
+
+test('a batch holding a procedure is kept whole up to its GO', () => {
+    const sql = 'CREATE PROCEDURE p AS\nBEGIN\n  SELECT 1\n  SELECT 2\n  SELECT 3\nEND\nGO\nSELECT 4\n';
+    assert.deepStrictEqual(chunk(sql, { chunkSize: 10 }).map(piece => piece.text), [
+        'CREATE PROCEDURE p AS\nBEGIN\n  SELECT 1\n  SELECT 2\n  SELECT 3\nEND\nGO\n',
+        'SELECT 4\n'
+    ]);
+});
+
+test('MySQL routines between DELIMITER lines are kept whole', () => {
+    const sql = 'DELIMITER $$\nCREATE PROCEDURE p()\nBEGIN\n  SELECT 1;\nEND$$\nDELIMITER ;\nSELECT 2;\n';
+    assert.deepStrictEqual(chunk(sql, { dialect: 'mysql', chunkSize: 10 }), [
+        { text: 'DELIMITER $$\nCREATE PROCEDURE p()\nBEGIN\n  SELECT 1;\nEND$$\nDELIMITER ;\n', startLine: 1 },
+        { text: 'SELECT 2;\n', startLine: 7 }
+    ]);
+});
+
+test('transactions and IF EXISTS inside statements do not keep a batch whole', () => {
+    const rows = [0, 1, 2, 3].map(i => `INSERT INTO T VALUES (${i})`);
+    const sql = ['BEGIN TRANSACTION', 'DROP TABLE IF EXISTS T', 'CREATE TABLE T (Id INT)', ...rows, 'COMMIT TRANSACTION'].join('\n') + '\n';
+    const chunks = chunk(sql, { chunkSize: 40 });
+    assert.ok(chunks.length > 4, `${chunks.length} chunks`);
+    assert.strictEqual(chunks.map(piece => piece.text).join(''), sql);
+});
+
+test('a batch with IF or a BEGIN block at the start of a statement is kept whole', () => {
+    const sql = 'INSERT INTO T VALUES (1)\nIF @@ROWCOUNT = 0\nBEGIN\n  INSERT INTO T VALUES (2)\n  INSERT INTO T VALUES (3)\nEND\nGO\n';
+    assert.deepStrictEqual(chunk(sql, { chunkSize: 10 }).map(piece => piece.text), [sql]);
+});
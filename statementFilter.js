@@ -0,0 +1,145 @@
+const TableFilter = require('./tableFilter');
+
+// A table name in MySQL text: `quoted`, "quoted" or plain, optionally database-qualified
+const NAME = '(?:`[^`]+`|"[^"]+"|[\\w$]+)';
+
+// Statements that work on one table, capturing its name
+const TABLE_STATEMENT = new RegExp('^\\s*(?:' + [
+    'INSERT\\s+(?:(?:LOW_PRIORITY|DELAYED|HIGH_PRIORITY|IGNORE)\\s+)*(?:INTO\\s+)?',
+    'REPLACE\\s+(?:(?:LOW_PRIORITY|DELAYED)\\s+)?(?:INTO\\s+)?',
+    'UPDATE\\s+(?:(?:LOW_PRIORITY|IGNORE)\\s+)*',
+    'DELETE\\s+(?:(?:LOW_PRIORITY|QUICK|IGNORE)\\s+)*FROM\\s+',
+    '(?:CREATE|DROP)\\s+(?:TEMPORARY\\s+)?TABLE\\s+(?:IF\\s+(?:NOT\\s+)?EXISTS\\s+)?',
+    'ALTER\\s+(?:IGNORE\\s+)?TABLE\\s+',
+    'TRUNCATE\\s+(?:TABLE\\s+)?',
+    `CREATE\\s+(?:UNIQUE\\s+|FULLTEXT\\s+|SPATIAL\\s+)?INDEX\\s+${NAME}\\s+ON\\s+`,
+    `CREATE\\s+(?:DEFINER\\s*=\\s*\\S+\\s+)?TRIGGER\\s+${NAME}(?:\\s*\\.\\s*${NAME})?\\s+(?:BEFORE|AFTER)\\s+(?:INSERT|UPDATE|DELETE)\\s+ON\\s+`,
+    'LOCK\\s+TABLES?\\s+',
+    'LOAD\\s+DATA\\s+.*?\\bINTO\\s+TABLE\\s+'
+].join('|') + `)(${NAME}(?:\\s*\\.\\s*${NAME})?)`, 'is');
+
+// Statements that carry rows rather than schema, as mysqldump writes them around INSERTs
+const DATA_STATEMENT = /^(?:INSERT|REPLACE|UPDATE|DELETE|TRUNCATE|LOAD\s+DATA|(?:UN)?LOCK\s+TABLES?|ALTER\s+TABLE\s+\S+\s+(?:DISABLE|ENABLE)\s+KEYS)\b/i;
+
+// Session settings and transaction control, which both modes keep
+const SESSION_STATEMENT = /^(?:SET|USE|START\s+TRANSACTION|BEGIN|COMMIT|ROLLBACK|SAVEPOINT|RELEASE\s+SAVEPOINT)\b/i;
+
+// Kinds of objects, checked in order on the statement text without leading comments
+const OBJECT_TYPES = [
+    { type: 'foreign-keys', pattern: /^ALTER\s+TABLE\s+\S+\s+ADD\s+(?:CONSTRAINT\s+\S+\s+)?FOREIGN\s+KEY\b/i },
+    { type: 'indexes', pattern: /^(?:CREATE\s+(?:UNIQUE\s+|FULLTEXT\s+|SPATIAL\s+)?INDEX|DROP\s+INDEX)\b|^ALTER\s+TABLE\s+\S+\s+ADD\s+(?:CONSTRAINT\s+\S+\s+)?(?:UNIQUE|FULLTEXT|SPATIAL|INDEX|KEY)\b/i },
+    { type: 'views', pattern: /^(?:CREATE\s+(?:OR\s+REPLACE\s+)?(?:ALGORITHM\s*=\s*\w+\s+)?(?:DEFINER\s*=\s*\S+\s+)?(?:SQL\s+SECURITY\s+\w+\s+)?VIEW|DROP\s+VIEW)\b/i },
+    { type: 'functions', pattern: /^(?:CREATE\s+(?:DEFINER\s*=\s*\S+\s+)?(?:AGGREGATE\s+)?FUNCTION|DROP\s+FUNCTION)\b/i },
+    { type: 'procedures', pattern: /^(?:CREATE\s+(?:DEFINER\s*=\s*\S+\s+)?PROCEDURE|DROP\s+PROCEDURE)\b/i },
+    { type: 'triggers', pattern: /^(?:CREATE\s+(?:DEFINER\s*=\s*\S+\s+)?TRIGGER|DROP\s+TRIGGER)\b/i },
+    { type: 'tables', pattern: /^(?:(?:CREATE|ALTER|DROP)\s+(?:TEMPORARY\s+)?TABLE|RENAME\s+TABLE)\b/i }
+];
+
+/**
+ * Selects the MySQL statements a conversion writes or a load runs, for --schema-only,
+ * --data-only, --include-tables and --exclude-tables.
+ *
+ * Statements are schema (CREATE, ALTER, DROP, views and routines), data (INSERT, UPDATE,
+ * DELETE and the LOCK TABLES and DISABLE KEYS statements around them) or session statements
+ * (SET, USE, transactions), which every mode keeps. Table patterns apply to the statements
+ * that work on one table, including triggers; the others are kept.
+ */
+class StatementFilter {
+    /**
+     * @param {object} options - { schemaOnly, dataOnly, include, exclude }
+     *   include, exclude: table patterns (see TableFilter)
+     */
+    constructor(options = {}) {
+        if (options.schemaOnly && options.dataOnly) {
+            throw new Error('--schema-only and --data-only cannot be combined');
+        }
+        this.schemaOnly = Boolean(options.schemaOnly);
+        this.dataOnly = Boolean(options.dataOnly);
+        this.tables = new TableFilter({ include: options.include, exclude: options.exclude });
+        // Statements left out so far
+        this.filteredCount = 0;
+    }
+
+    /**
+     * Whether every statement is kept
+     */
+    isEmpty() {
+        return !this.schemaOnly && !this.dataOnly && this.tables.isEmpty();
+    }
+
+    /**
+     * Text of a statement from its first keyword: without leading comments, a DELIMITER line
+     * or the /*!40000 ... *\/ wrapper of versioned comments
+     */
+    statementText(sql) {
+        let text = sql;
+        for (;;) {
+            const rest = text
+                .replace(/^\s+/, '')
+                .replace(/^(?:--|#)[^\n]*(?:\n|$)/, '')
+                .replace(/^\/\*(?!!)[\s\S]*?\*\//, '')
+                .replace(/^DELIMITER[ \t]+\S+[^\n]*(?:\n|$)/i, '');
+            if (rest === text) break;
+            text = rest;
+        }
+        const versioned = /^\/\*!\d*\s*([\s\S]*?)\s*\*\/\s*;?\s*$/.exec(text);
+        return versioned ? versioned[1] : text;
+    }
+
+    /**
+     * Kind of a statement
+     * @returns {string} - schema, data or session
+     */
+    kindOf(sql) {
+        const text = this.statementText(sql);
+        if (text === '' || SESSION_STATEMENT.test(text)) return 'session';
+        return DATA_STATEMENT.test(text) ? 'data' : 'schema';
+    }
+
+    /**
+     * Kind of object a schema statement defines
+     * @returns {string} - foreign-keys, indexes, views, functions, procedures, triggers, tables or other
+     */
+    objectTypeOf(sql) {
+        const text = this.statementText(sql);
+        const match = OBJECT_TYPES.find(entry => entry.pattern.test(text));
+        return match ? match.type : 'other';
+    }
+
+    /**
+     * Name of the table a statement works on
+     * @returns {string|null} - Lower-case name without quotes, database-qualified when written
+     *   so, or null for other statements
+     */
+    tableOf(sql) {
+        const match = TABLE_STATEMENT.exec(this.statementText(sql));
+        if (!match) return null;
+        return match[1].split(/\s*\.\s*/).map(part => part.replace(/^[`"]|[`"]$/g, '')).join('.').toLowerCase();
+    }
+
+    /**
+     * Whether a statement is kept; counts the ones that are not
+     * @param {string} sql - MySQL statement, with or without its delimiter and leading comments
+     */
+    accepts(sql) {
+        if (this.isEmpty()) return true;
+
+        const kind = this.kindOf(sql);
+        let accepted = !(this.schemaOnly && kind === 'data') && !(this.dataOnly && kind === 'schema');
+
+        if (accepted && !this.tables.isEmpty()) {
+            const table = this.tableOf(sql);
+            if (table) {
+                const parts = table.split('.');
+                accepted = this.tables.matches(parts[parts.length - 1], parts.length > 1 ? parts[0] : null);
+            }
+        }
+
+        if (!accepted) this.filteredCount++;
+        return accepted;
+    }
+}
+
+StatementFilter.TABLE_STATEMENT = TABLE_STATEMENT;
+
+module.exports = StatementFilter;
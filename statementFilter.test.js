@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StatementFilter = require('./statementFilter');
+const SQLConverter = require('./sqlConverter');
+
+const SCRIPT = `CREATE TABLE [dbo].[Orders] ([Id] INT NOT NULL)
+GO
+CREATE TABLE [dbo].[AuditLog] ([Id] INT NOT NULL)
+GO
+SET IDENTITY_INSERT [dbo].[Orders] ON
+INSERT [dbo].[Orders] ([Id]) VALUES (1)
+INSERT [dbo].[AuditLog] ([Id]) VALUES (1)
+GO
+`;
+
+/**
+ * Convert the script with a filter built from the given options
+ */
+function convert(options) {
+    const filter = new StatementFilter(options);
+    return { code: new SQLConverter({ statementFilter: filter }).convertSQL(SCRIPT), filtered: filter.filteredCount };
+}
+
+test('statements are told apart as schema, data and session statements', () => {
+    const filter = new StatementFilter();
+
+    assert.strictEqual(filter.kindOf('-- Orders\nCREATE TABLE `Orders` (`Id` INT)'), 'schema');
+    assert.strictEqual(filter.kindOf('/*!40000 ALTER TABLE `Orders` DISABLE KEYS */;'), 'data');
+    assert.strictEqual(filter.kindOf('LOCK TABLES `Orders` WRITE'), 'data');
+    assert.strictEqual(filter.kindOf('SET FOREIGN_KEY_CHECKS = 0'), 'session');
+    assert.strictEqual(filter.objectTypeOf('ALTER TABLE `Orders` ADD CONSTRAINT `FK` FOREIGN KEY (`CustomerId`) REFERENCES `Customers` (`Id`)'), 'foreign-keys');
+    assert.strictEqual(filter.objectTypeOf('CREATE DEFINER=`root`@`%` PROCEDURE `Refresh`() BEGIN END'), 'procedures');
+    assert.strictEqual(filter.tableOf('INSERT IGNORE INTO `shop`.`Orders` VALUES (1)'), 'shop.orders');
+    assert.strictEqual(filter.tableOf('CREATE TRIGGER `trg` AFTER INSERT ON `Orders` FOR EACH ROW SET @n = 1'), 'orders');
+});
+
+test('--schema-only and --data-only keep one kind of statement', () => {
+    assert.deepStrictEqual(convert({ schemaOnly: true }), {
+        code: 'CREATE TABLE Orders (Id INT NOT NULL) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;\n' +
+            'CREATE TABLE AuditLog (Id INT NOT NULL) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;\n',
+        filtered: 2
+    });
+    assert.deepStrictEqual(convert({ dataOnly: true }), {
+        code: 'INSERT Orders (Id) VALUES (1);\nINSERT AuditLog (Id) VALUES (1);\n',
+        filtered: 2
+    });
+    assert.throws(() => new StatementFilter({ schemaOnly: true, dataOnly: true }), /cannot be combined/);
+});
+
+test('table patterns apply to schema and data statements alike', () => {
+    assert.deepStrictEqual(convert({ exclude: 'audit*' }), {
+        code: 'CREATE TABLE Orders (Id INT NOT NULL) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;\nINSERT Orders (Id) VALUES (1);\n',
+        filtered: 2
+    });
+    assert.strictEqual(new StatementFilter({ include: 'Orders' }).accepts('SET NAMES utf8mb4'), true);
+});
@@ -0,0 +1,208 @@
+// DELIMITER $$ line written around procedures, functions and triggers
+const DELIMITER_PATTERN = /^[ \t]*DELIMITER[ \t]+(\S+)[^\n]*$/i;
+
+// Statements whose BEGIN ... END bodies hold ';' that do not end them
+const ROUTINE_PATTERN = /^CREATE\s+(?:OR\s+REPLACE\s+)?(?:DEFINER\s*=\s*\S+\s+)?(?:AGGREGATE\s+)?(?:PROCEDURE|FUNCTION|TRIGGER|EVENT)\b/i;
+
+// END IF, END WHILE, ... close blocks that were not counted
+const UNCOUNTED_BLOCKS = ['IF', 'WHILE', 'LOOP', 'REPEAT'];
+
+// Words that name the block an END closes: END CASE, END IF, ...
+const BLOCK_NAMES = ['CASE'].concat(UNCOUNTED_BLOCKS);
+
+/**
+ * Splits MySQL text, fed one line at a time, into the statements the mysql client would send.
+ *
+ * Understands '...' and "..." strings with backslash escapes, `quoted` identifiers, --, # and
+ * block comments, DELIMITER directives, and BEGIN ... END bodies of procedures, functions,
+ * triggers and events written without a DELIMITER. Versioned comments (/*!40101 ... *\/) are
+ * statements of their own; other comments between statements are dropped.
+ */
+class StatementSplitter {
+    /**
+     * @param {object} start - { offset, line, delimiter } to continue reading from a statement
+     *   boundary recorded earlier (default: the start of the input)
+     */
+    constructor(start = {}) {
+        this.delimiter = start.delimiter || ';';
+        // Line number of the last line read; a resumed read starts inside the recorded line
+        this.lineCount = start.line ? start.line - 1 : 0;
+        // Byte offset in the input of the line being read
+        this.offset = start.offset || 0;
+        // Closing text of the open string, identifier or block comment, null outside them
+        this.state = null;
+        this.resetStatement();
+    }
+
+    /**
+     * Forget the statement read so far
+     */
+    resetStatement() {
+        // Statement text from its first significant character
+        this.text = '';
+        this.startLine = null;
+        // Open BEGIN and CASE blocks
+        this.depth = 0;
+        this.routine = null;
+        // The next word names the block the previous END closed
+        this.skipWord = false;
+    }
+
+    /**
+     * Add the next line
+     * @param {string} line - Line with its terminator (only the last line of the input may lack one)
+     * @returns {Array<object>} - Statements completed by the line, as { sql, line, end } without the
+     *   delimiter; line is where the statement starts and end the { offset, line, delimiter } to
+     *   continue reading from after it
+     */
+    push(line) {
+        this.lineCount++;
+        const statements = [];
+
+        // DELIMITER is a client directive, recognized on its own line between statements
+        if (this.state === null && this.text === '') {
+            const directive = DELIMITER_PATTERN.exec(line.replace(/\r?\n$/, ''));
+            if (directive) {
+                this.delimiter = directive[1];
+                this.offset += Buffer.byteLength(line);
+                return statements;
+            }
+        }
+
+        // Start of the part of the line that belongs to the current statement, -1 before it starts
+        let segment = this.text === '' ? -1 : 0;
+        const begin = (index) => {
+            if (segment < 0) {
+                segment = index;
+                this.startLine = this.lineCount;
+            }
+        };
+
+        let i = 0;
+        while (i < line.length) {
+            const ch = line[i];
+
+            if (this.state === '*/') {
+                const end = line.indexOf('*/', i);
+                if (end === -1) break;
+                this.state = null;
+                i = end + 2;
+                continue;
+            }
+
+            if (this.state !== null) {
+                if (ch === '\\' && this.state !== '`') {
+                    i += 2;
+                } else if (ch === this.state && line[i + 1] === ch) {
+                    i += 2;
+                } else {
+                    if (ch === this.state) this.state = null;
+                    i++;
+                }
+                continue;
+            }
+
+            // Inside a routine body ';' only ends the statement once every block is closed
+            if (line.startsWith(this.delimiter, i) && (this.depth === 0 || this.delimiter !== ';')) {
+                i += this.delimiter.length;
+                if (segment >= 0) {
+                    this.text += line.slice(segment, i - this.delimiter.length);
+                    statements.push(this.finish(this.offset + Buffer.byteLength(line.slice(0, i))));
+                }
+                segment = -1;
+                continue;
+            }
+
+            if ((ch === '-' && line[i + 1] === '-') || ch === '#') {
+                break;
+            }
+
+            if (ch === '/' && line[i + 1] === '*') {
+                if (line[i + 2] === '!') begin(i);
+                this.state = '*/';
+                i += 2;
+                continue;
+            }
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            begin(i);
+            if (ch === '\'' || ch === '"' || ch === '`') {
+                this.state = ch;
+                i++;
+            } else if (/[A-Za-z_]/.test(ch)) {
+                let j = i + 1;
+                while (j < line.length && /[\w$]/.test(line[j]) && !line.startsWith(this.delimiter, j)) j++;
+                this.trackBlock(line.slice(i, j).toUpperCase(), line.slice(j), () => this.text + line.slice(segment, i));
+                i = j;
+            } else {
+                i++;
+            }
+        }
+
+        if (segment >= 0) {
+            this.text += line.slice(segment);
+        }
+        this.offset += Buffer.byteLength(line);
+
+        return statements;
+    }
+
+    /**
+     * Flush the statement left at the end of the input, which may lack its delimiter
+     * @returns {Array<object>} - The last statement, if any, as { sql, line, end }
+     */
+    end() {
+        return this.text.trim() === '' ? [] : [this.finish(this.offset)];
+    }
+
+    /**
+     * Follow BEGIN ... END and CASE ... END nesting
+     * @param {string} word - Upper-case word
+     * @param {string} rest - Text after the word on its line
+     * @param {function} readText - Returns the statement text before the word
+     */
+    trackBlock(word, rest, readText) {
+        if (this.skipWord) {
+            this.skipWord = false;
+            return;
+        }
+
+        if (word === 'CASE') {
+            this.depth++;
+        } else if (word === 'BEGIN') {
+            // BEGIN alone starts a transaction outside stored programs
+            if (this.routine === null) {
+                this.routine = ROUTINE_PATTERN.test(readText());
+            }
+            if (this.routine) this.depth++;
+        } else if (word === 'END' && this.depth > 0) {
+            const next = /^\s*(\w+)/.exec(rest);
+            if (!next || !UNCOUNTED_BLOCKS.includes(next[1].toUpperCase())) {
+                this.depth--;
+            }
+            this.skipWord = Boolean(next) && BLOCK_NAMES.includes(next[1].toUpperCase());
+        }
+    }
+
+    /**
+     * Complete the current statement
+     * @param {number} offset - Byte offset just after it
+     */
+    finish(offset) {
+        const statement = {
+            sql: this.text.trim(),
+            line: this.startLine,
+            end: { offset, line: this.lineCount, delimiter: this.delimiter }
+        };
+        this.resetStatement();
+        return statement;
+    }
+}
+
+StatementSplitter.DELIMITER_PATTERN = DELIMITER_PATTERN;
+
+module.exports = StatementSplitter;
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const StatementSplitter = require('./statementSplitter');
+
+/**
+ * Split text the way db:load reads it, one line at a time
+ */
+function split(text) {
+    const splitter = new StatementSplitter();
+    const statements = [];
+    (text.match(/[^\n]*\n|[^\n]+$/g) || []).forEach(line => statements.push(...splitter.push(line)));
+    statements.push(...splitter.end());
+    return statements.map(statement => statement.sql);
+}
+
+test('statements end at semicolons outside strings and comments', () => {
+    assert.deepStrictEqual(split("INSERT INTO t VALUES ('a;b', 'it\\'s');\n-- c;\nSELECT 1;\n"),
+        ["INSERT INTO t VALUES ('a;b', 'it\\'s')", 'SELECT 1']);
+});
+
+test('DELIMITER blocks are one statement', () => {
+    assert.deepStrictEqual(split('DELIMITER $$\nCREATE PROCEDURE p() BEGIN SELECT 1; END$$\nDELIMITER ;\nSELECT 2;\n'),
+        ['CREATE PROCEDURE p() BEGIN SELECT 1; END', 'SELECT 2']);
+});
+
+test('END CASE closes its block in a routine without DELIMITER', () => {
+    const statements = split('CREATE PROCEDURE p() BEGIN\n  CASE WHEN 1 THEN SELECT 1; END CASE;\n  SELECT 2;\nEND;\nSELECT 3;\n');
+    assert.strictEqual(statements.length, 2);
+    assert.strictEqual(statements[1], 'SELECT 3');
+});
+
+test('END IF and END WHILE do not close the routine body', () => {
+    const statements = split('CREATE PROCEDURE p() BEGIN\n  IF 1 THEN SELECT 1; END IF;\n  WHILE 0 DO SELECT 2; END WHILE;\nEND;\nSELECT 3;\n');
+    assert.deepStrictEqual(statements.slice(1), ['SELECT 3']);
+});
@@ -0,0 +1,56 @@
+/**
+ * Selects tables by name from --include-tables and --exclude-tables lists.
+ *
+ * Each list holds comma-separated patterns matched without regard to case, where * stands for
+ * any run of characters. A pattern with a dot (sales.*) matches schema.table, one without a
+ * dot matches the table name in any schema. A table is selected when it matches an include
+ * pattern (or there are none) and no exclude pattern.
+ */
+class TableFilter {
+    /**
+     * @param {object} options - { include, exclude } as comma-separated strings or arrays of patterns
+     */
+    constructor(options = {}) {
+        this.include = this.parsePatterns(options.include);
+        this.exclude = this.parsePatterns(options.exclude);
+    }
+
+    /**
+     * Compile a list of patterns
+     * @returns {Array<object>} - { qualified, regex } per pattern
+     */
+    parsePatterns(list) {
+        if (!list) return [];
+
+        const patterns = Array.isArray(list) ? list : list.split(',');
+        return patterns.map(pattern => pattern.trim()).filter(Boolean).map(pattern => ({
+            qualified: pattern.includes('.'),
+            regex: new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i')
+        }));
+    }
+
+    /**
+     * Whether no pattern was given, so every table is selected
+     */
+    isEmpty() {
+        return this.include.length === 0 && this.exclude.length === 0;
+    }
+
+    /**
+     * Whether a table is selected
+     * @param {string} name - Table name
+     * @param {string} schema - Schema or database name, if any
+     */
+    matches(name, schema = null) {
+        const test = (pattern) => (pattern.qualified
+            ? schema !== null && pattern.regex.test(`${schema}.${name}`)
+            : pattern.regex.test(name));
+
+        if (this.include.length > 0 && !this.include.some(test)) {
+            return false;
+        }
+        return !this.exclude.some(test);
+    }
+}
+
+module.exports = TableFilter;
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TableFilter = require('./tableFilter');
+
+test('include and exclude patterns match table names without regard to case', () => {
+    const filter = new TableFilter({ include: 'Order*, customers', exclude: ['*_archive'] });
+
+    assert.strictEqual(filter.matches('OrderLines'), true);
+    assert.strictEqual(filter.matches('Customers'), true);
+    assert.strictEqual(filter.matches('orders_archive'), false);
+    assert.strictEqual(filter.matches('Products'), false);
+});
+
+test('patterns with a dot only match schema-qualified names', () => {
+    const filter = new TableFilter({ exclude: 'audit.*' });
+
+    assert.strictEqual(filter.matches('Log', 'audit'), false);
+    assert.strictEqual(filter.matches('Log', 'dbo'), true);
+    assert.strictEqual(filter.matches('Log'), true);
+    assert.strictEqual(new TableFilter().isEmpty(), true);
+});
@@ -0,0 +1,461 @@
+const SQLTokenizer = require('./sqlTokenizer');
+
+// MySQL supports at most 6 digits of fractional seconds; SQL Server defaults to 7
+const fractionalSeconds = (args) => Math.min(args.length > 0 ? parseInt(args[0]) : 7, 6);
+
+/**
+ * Default SQL Server -> MySQL type mappings.
+ * Keys are lower-case SQL Server type names, optionally with their arguments
+ * (e.g. 'nvarchar(max)'), which take precedence over the bare name.
+ * Values are either a MySQL type string or a function receiving the argument list.
+ * A string without parentheses keeps the original arguments, so 'nvarchar(50)'
+ * mapped through 'VARCHAR' becomes 'VARCHAR(50)'; $1, $2 insert single arguments.
+ */
+const DEFAULT_TYPE_MAPPINGS = {
+    // Exact and approximate numerics
+    'bigint': 'BIGINT',
+    'int': 'INT',
+    'smallint': 'SMALLINT',
+    'tinyint': 'TINYINT UNSIGNED',
+    'bit': 'TINYINT(1)',
+    'decimal': 'DECIMAL',
+    'numeric': 'DECIMAL',
+    'money': 'DECIMAL(19,4)',
+    'smallmoney': 'DECIMAL(10,4)',
+    'float': (args) => (args.length > 0 && parseInt(args[0]) <= 24 ? 'FLOAT' : 'DOUBLE'),
+    'real': 'FLOAT',
+
+    // Date and time
+    'date': 'DATE',
+    'time': (args) => `TIME(${fractionalSeconds(args)})`,
+    'datetime': 'DATETIME(3)',
+    'smalldatetime': 'DATETIME',
+    'datetime2': (args) => `DATETIME(${fractionalSeconds(args)})`,
+    'datetimeoffset': (args) => `DATETIME(${fractionalSeconds(args)})`,
+
+    // Character strings
+    'char': 'CHAR',
+    'varchar': 'VARCHAR',
+    'varchar(max)': 'LONGTEXT',
+    'nchar': 'CHAR',
+    'nvarchar': 'VARCHAR',
+    'nvarchar(max)': 'LONGTEXT',
+    'text': 'LONGTEXT',
+    'ntext': 'LONGTEXT',
+    'sysname': 'VARCHAR(128)',
+
+    // Binary strings
+    'binary': 'BINARY',
+    'varbinary': 'VARBINARY',
+    'varbinary(max)': 'LONGBLOB',
+    'image': 'LONGBLOB',
+    'rowversion': 'BINARY(8)',
+    'timestamp': 'BINARY(8)',
+
+    // Other types
+    'uniqueidentifier': 'CHAR(36)',
+    'xml': 'LONGTEXT',
+    'sql_variant': 'LONGTEXT',
+    'geography': 'GEOMETRY',
+    'geometry': 'GEOMETRY'
+};
+
+// A type that drops the arguments of the MySQL one, such as the display width of INT(11)
+const fixed = (type) => () => type;
+
+// SQL Server strings hold at most 4000 national or 8000 binary characters unless declared MAX
+const sized = (type, limit) => (args) => {
+    const length = args.length > 0 ? parseInt(args[0]) : 1;
+    return `${type}(${length > limit ? 'MAX' : length})`;
+};
+
+/**
+ * MySQL -> SQL Server type mappings, for converting MySQL code back (see SQLConverter).
+ * Same form as the defaults; a key may also name a type followed by a modifier word, as in
+ * 'int unsigned', which then takes precedence over the bare type. Display widths such as
+ * INT(11) are dropped, and strings become national types, as MySQL tables are utf8mb4.
+ */
+const MSSQL_TYPE_MAPPINGS = {
+    // Exact and approximate numerics; unsigned types widen to hold their range
+    'tinyint': fixed('SMALLINT'),
+    'tinyint(1)': 'BIT',
+    'tinyint unsigned': fixed('TINYINT'),
+    'smallint': fixed('SMALLINT'),
+    'smallint unsigned': fixed('INT'),
+    'mediumint': fixed('INT'),
+    'mediumint unsigned': fixed('INT'),
+    'int': fixed('INT'),
+    'int unsigned': fixed('BIGINT'),
+    'integer': fixed('INT'),
+    'integer unsigned': fixed('BIGINT'),
+    'bigint': fixed('BIGINT'),
+    'bigint unsigned': 'DECIMAL(20,0)',
+    'bool': fixed('BIT'),
+    'boolean': fixed('BIT'),
+    'bit': (args) => (args.length === 0 || parseInt(args[0]) === 1 ? 'BIT' : `BINARY(${Math.ceil(parseInt(args[0]) / 8)})`),
+    'decimal': 'DECIMAL',
+    'dec': 'DECIMAL',
+    'numeric': 'DECIMAL',
+    'float': fixed('REAL'),
+    'double': fixed('FLOAT'),
+    'real': fixed('FLOAT'),
+    // CAST(x AS SIGNED [INTEGER])
+    'signed': fixed('BIGINT'),
+    'signed integer': fixed('BIGINT'),
+    'unsigned': fixed('BIGINT'),
+    'unsigned integer': fixed('BIGINT'),
+
+    // Date and time
+    'date': fixed('DATE'),
+    'time': (args) => `TIME(${args.length > 0 ? args[0] : 0})`,
+    'datetime': (args) => `DATETIME2(${args.length > 0 ? args[0] : 0})`,
+    'timestamp': (args) => `DATETIME2(${args.length > 0 ? args[0] : 0})`,
+    'year': fixed('SMALLINT'),
+
+    // Character strings
+    'char': sized('NCHAR', 4000),
+    'varchar': sized('NVARCHAR', 4000),
+    'tinytext': 'NVARCHAR(255)',
+    'text': 'NVARCHAR(MAX)',
+    'mediumtext': 'NVARCHAR(MAX)',
+    'longtext': 'NVARCHAR(MAX)',
+    'json': 'NVARCHAR(MAX)',
+    'enum': 'NVARCHAR(255)',
+    'set': 'NVARCHAR(MAX)',
+
+    // Binary strings
+    'binary': sized('BINARY', 8000),
+    'varbinary': sized('VARBINARY', 8000),
+    'tinyblob': 'VARBINARY(255)',
+    'blob': 'VARBINARY(MAX)',
+    'mediumblob': 'VARBINARY(MAX)',
+    'longblob': 'VARBINARY(MAX)',
+
+    // Spatial types
+    'geometry': fixed('GEOMETRY'),
+    'point': fixed('GEOMETRY'),
+    'linestring': fixed('GEOMETRY'),
+    'polygon': fixed('GEOMETRY'),
+    'multipoint': fixed('GEOMETRY'),
+    'multilinestring': fixed('GEOMETRY'),
+    'multipolygon': fixed('GEOMETRY'),
+    'geometrycollection': fixed('GEOMETRY')
+};
+
+// MySQL CAST(x AS CHAR) and CAST(x AS BINARY) have no length limit
+const MSSQL_CAST_MAPPINGS = {
+    'char': (args) => (args.length > 0 ? sized('NVARCHAR', 4000)(args) : 'NVARCHAR(MAX)'),
+    'binary': (args) => (args.length > 0 ? sized('VARBINARY', 8000)(args) : 'VARBINARY(MAX)')
+};
+
+// MySQL CAST/CONVERT only accept a subset of column types
+const CAST_TYPES = [
+    [/^(VARCHAR|CHAR)\b(\(\d+\))?$/, (m) => `CHAR${m[2] || ''}`],
+    [/^(TINY|MEDIUM|LONG)?TEXT$/, () => 'CHAR'],
+    [/^(BIG|SMALL|MEDIUM)?INT$/, () => 'SIGNED'],
+    [/^TINYINT( UNSIGNED|\(1\))$/, () => 'UNSIGNED'],
+    [/^(VAR)?BINARY\b(\(\d+\))?$/, (m) => `BINARY${m[2] || ''}`],
+    [/^(TINY|MEDIUM|LONG)?BLOB$/, () => 'BINARY']
+];
+
+// Words that start a table element which is not a column definition
+const TABLE_CONSTRAINT_KEYWORDS = ['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'INDEX', 'PERIOD'];
+
+// Words that end an ALTER TABLE ... ADD column list
+const STATEMENT_KEYWORDS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'ALTER', 'DROP', 'GO', 'SET',
+    'DECLARE', 'EXEC', 'EXECUTE', 'IF', 'BEGIN', 'END', 'PRINT', 'USE', 'RETURN', 'WHILE', 'MERGE', 'TRUNCATE'];
+
+class TypeMapper {
+    /**
+     * @param {object} overrides - Project-specific mappings merged over the defaults
+     * @param {object} options - { target } dialect types are mapped to: mysql (default) or
+     *   mssql, which maps MySQL types with MSSQL_TYPE_MAPPINGS
+     */
+    constructor(overrides = {}, options = {}) {
+        this.target = options.target || 'mysql';
+        this.tokenizer = new SQLTokenizer({ dialect: this.target === 'mssql' ? 'mysql' : 'mssql' });
+        this.mappings = { ...(this.target === 'mssql' ? MSSQL_TYPE_MAPPINGS : DEFAULT_TYPE_MAPPINGS) };
+        this.castMappings = this.target === 'mssql' ? MSSQL_CAST_MAPPINGS : {};
+
+        Object.keys(overrides).forEach(key => {
+            this.mappings[this.mappingKey(key)] = overrides[key];
+        });
+    }
+
+    /**
+     * Key a type is looked up by: lower case, words one space apart and no spaces around
+     * arguments, so 'INT  UNSIGNED' and 'decimal(18, 2)' read as 'int unsigned' and 'decimal(18,2)'
+     */
+    mappingKey(type) {
+        return type.trim().toLowerCase().replace(/\s+/g, ' ').replace(/\s*([(),])\s*/g, '$1');
+    }
+
+    /**
+     * Map a single SQL Server type to MySQL, or a MySQL type to SQL Server
+     * @param {string} name - Type name without brackets (e.g. 'nvarchar')
+     * @param {Array<string>} args - Type arguments (e.g. ['max'] or ['18', '2'])
+     * @returns {string|null} - MySQL type, or null if the type has no mapping
+     */
+    mapType(name, args = []) {
+        const lowerName = name.toLowerCase();
+        const fullName = args.length > 0 ? `${lowerName}(${args.join(',').toLowerCase()})` : lowerName;
+        const mapping = this.mappings[fullName] !== undefined ? this.mappings[fullName] : this.mappings[lowerName];
+
+        if (mapping === undefined || mapping === null) {
+            return null;
+        }
+
+        if (typeof mapping === 'function') {
+            return mapping(args);
+        }
+
+        if (/\$\d/.test(mapping)) {
+            return mapping.replace(/\$(\d)/g, (match, index) => args[Number(index) - 1] || '');
+        }
+
+        if (args.length > 0 && !mapping.includes('(') && this.mappings[fullName] === undefined) {
+            return `${mapping}(${args.join(',')})`;
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Narrow a mapped MySQL column type to one accepted by CAST/CONVERT
+     * @param {string} mysqlType - MySQL column type (e.g. 'VARCHAR(50)')
+     * @returns {string} - Cast target type (e.g. 'CHAR(50)')
+     */
+    toCastType(mysqlType) {
+        for (const [pattern, build] of CAST_TYPES) {
+            const match = pattern.exec(mysqlType);
+            if (match) {
+                return build(match);
+            }
+        }
+        return mysqlType;
+    }
+
+    /**
+     * Rewrite every type reference found in masked SQL code
+     * @param {string} code - SQL code with literals and comments masked
+     * @returns {string} - Code with SQL Server types replaced by MySQL types
+     *
+     * Types are recognized in CREATE TABLE and table variable column definitions,
+     * ALTER TABLE ADD / ALTER COLUMN, CAST/CONVERT, variable or parameter declarations
+     * and function return types.
+     */
+    convertTypes(code) {
+        const tokens = this.tokenizer.significantTokens(code);
+        const positions = this.findTypePositions(tokens);
+        const edits = [];
+
+        positions.forEach((context, index) => {
+            const spec = this.readTypeSpec(tokens, index);
+            if (!spec) return;
+
+            const castMapping = context === 'cast' ? this.castMappings[spec.name.toLowerCase()] : undefined;
+            let mapped = castMapping ? castMapping(spec.args) : this.mapType(spec.name, spec.args);
+            // SQL Server casts take column types, MySQL ones only some of them
+            if (mapped && context === 'cast' && this.target === 'mysql') {
+                mapped = this.toCastType(mapped);
+            } else if (!mapped && context === 'cast' && this.target === 'mysql') {
+                // Types MySQL already knows may still need narrowing (e.g. CAST(x AS int))
+                const narrowed = this.toCastType(spec.name.toUpperCase());
+                mapped = narrowed !== spec.name.toUpperCase() ? narrowed : null;
+            }
+            if (mapped) {
+                edits.push({ start: spec.start, end: spec.end, text: mapped });
+            }
+        });
+
+        return this.tokenizer.applyEdits(code, edits);
+    }
+
+    /**
+     * Find the indexes of tokens that start a data type
+     * @param {Array<object>} tokens - Significant tokens (no whitespace or masked text)
+     * @returns {Map<number, string>} - Token index -> context ('cast' or 'declaration')
+     */
+    findTypePositions(tokens) {
+        const positions = new Map();
+        const upper = (index) => (tokens[index] && tokens[index].type === 'word' ? tokens[index].value.toUpperCase() : null);
+        const isSymbol = (index, value) => tokens[index] && tokens[index].type === 'symbol' && tokens[index].value === value;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const word = upper(i);
+
+            // CAST(expr AS type) and TRY_CAST(expr AS type)
+            if ((word === 'CAST' || word === 'TRY_CAST') && isSymbol(i + 1, '(')) {
+                const close = this.tokenizer.findClosingParen(tokens, i + 1);
+                let depth = 0;
+                for (let j = i + 2; j < close; j++) {
+                    if (isSymbol(j, '(')) depth++;
+                    if (isSymbol(j, ')')) depth--;
+                    if (depth === 0 && upper(j) === 'AS') {
+                        positions.set(j + 1, 'cast');
+                        break;
+                    }
+                }
+            }
+
+            // CONVERT(type, expr [, style]) and TRY_CONVERT(...); MySQL has CONVERT(expr, type)
+            if ((word === 'CONVERT' || word === 'TRY_CONVERT') && isSymbol(i + 1, '(')) {
+                if (this.target === 'mysql') {
+                    positions.set(i + 2, 'cast');
+                } else {
+                    const close = this.tokenizer.findClosingParen(tokens, i + 1);
+                    let depth = 0;
+                    for (let j = i + 2; j < close; j++) {
+                        if (isSymbol(j, '(')) depth++;
+                        if (isSymbol(j, ')')) depth--;
+                        if (depth === 0 && isSymbol(j, ',')) {
+                            positions.set(j + 1, 'cast');
+                            break;
+                        }
+                    }
+                }
+            }
+
+            // DECLARE @x [AS] type and procedure parameters @p type
+            if (tokens[i].type === 'variable') {
+                const typeIndex = upper(i + 1) === 'AS' ? i + 2 : i + 1;
+                const spec = this.readTypeSpec(tokens, typeIndex);
+                if (spec && this.mapType(spec.name, spec.args) !== null) {
+                    positions.set(typeIndex, 'declaration');
+                }
+            }
+
+            // CREATE FUNCTION ... RETURNS type
+            if (word === 'RETURNS') {
+                const spec = this.readTypeSpec(tokens, i + 1);
+                if (spec && this.mapType(spec.name, spec.args) !== null) {
+                    positions.set(i + 1, 'declaration');
+                }
+            }
+
+            // CREATE TABLE name (...), DECLARE @t TABLE (...), RETURNS @t TABLE (...)
+            if (word === 'TABLE') {
+                let open = i + 1;
+                if (upper(i - 1) === 'CREATE' || upper(i - 2) === 'CREATE') {
+                    // Skip MySQL's IF NOT EXISTS and a possibly qualified table name
+                    open = upper(i + 1) === 'IF' && upper(i + 2) === 'NOT' && upper(i + 3) === 'EXISTS' ? i + 5 : i + 2;
+                    while (isSymbol(open, '.')) open += 2;
+                }
+                if (isSymbol(open, '(')) {
+                    this.findColumnDefinitions(tokens, open).forEach(index => positions.set(index, 'declaration'));
+                }
+            }
+
+            // ALTER TABLE name ALTER COLUMN col type, and MySQL's MODIFY [COLUMN] col type
+            if (word === 'ALTER' && upper(i + 1) === 'COLUMN') {
+                positions.set(i + 3, 'declaration');
+            }
+            if (word === 'MODIFY' && this.target === 'mssql') {
+                positions.set(upper(i + 1) === 'COLUMN' ? i + 3 : i + 2, 'declaration');
+            }
+
+            // ALTER TABLE name ADD [COLUMN] col type [, col type ...]
+            if (word === 'ADD' && !TABLE_CONSTRAINT_KEYWORDS.includes(upper(i + 1)) && upper(i + 1) !== 'DEFAULT') {
+                let start = upper(i + 1) === 'COLUMN' && this.target === 'mssql' ? i + 2 : i + 1;
+                let depth = 0;
+                for (let j = start; j < tokens.length; j++) {
+                    if (isSymbol(j, '(')) depth++;
+                    if (isSymbol(j, ')')) depth--;
+                    if (depth < 0 || isSymbol(j, ';') || STATEMENT_KEYWORDS.includes(upper(j))) break;
+                    if (j === start || (depth === 0 && isSymbol(j - 1, ','))) {
+                        if (!TABLE_CONSTRAINT_KEYWORDS.includes(upper(j)) && upper(j + 1) !== 'AS') {
+                            positions.set(j + 1, 'declaration');
+                        }
+                    }
+                }
+            }
+        }
+
+        return positions;
+    }
+
+    /**
+     * Find the type positions of the column definitions inside a table body
+     * @param {Array<object>} tokens - Significant tokens
+     * @param {number} open - Index of the opening parenthesis
+     * @returns {Array<number>} - Token indexes of column types
+     */
+    findColumnDefinitions(tokens, open) {
+        const positions = [];
+        const close = this.tokenizer.findClosingParen(tokens, open);
+        let depth = 0;
+        let elementStart = open + 1;
+
+        for (let j = open + 1; j <= close; j++) {
+            const token = tokens[j];
+            if (token.type === 'symbol' && token.value === '(') depth++;
+            if (token.type === 'symbol' && token.value === ')') depth--;
+
+            const endOfElement = depth < 0 || (depth === 0 && token.type === 'symbol' && token.value === ',');
+            if (endOfElement) {
+                const first = tokens[elementStart];
+                const second = tokens[elementStart + 1];
+                const isColumn = first && (first.type === 'word' || first.type === 'identifier') &&
+                    !(first.type === 'word' && TABLE_CONSTRAINT_KEYWORDS.includes(first.value.toUpperCase())) &&
+                    !(second && second.type === 'word' && second.value.toUpperCase() === 'AS');
+
+                if (isColumn && elementStart + 1 < j) {
+                    positions.push(elementStart + 1);
+                }
+                elementStart = j + 1;
+            }
+        }
+
+        return positions;
+    }
+
+    /**
+     * Read a type name and its optional argument list
+     * @param {Array<object>} tokens - Significant tokens
+     * @param {number} index - Index of the type name token
+     * @returns {object|null} - { name, args, start, end } with character offsets, or null
+     */
+    readTypeSpec(tokens, index) {
+        const token = tokens[index];
+        if (!token || (token.type !== 'word' && !(token.type === 'identifier' && token.quote === '['))) {
+            return null;
+        }
+
+        const name = token.type === 'identifier' ? token.value.slice(1, -1) : token.value;
+        let end = token.start + token.value.length;
+        let last = index;
+        const args = [];
+
+        const open = tokens[index + 1];
+        if (open && open.type === 'symbol' && open.value === '(') {
+            let j = index + 2;
+            while (tokens[j] && !(tokens[j].type === 'symbol' && tokens[j].value === ')')) {
+                const arg = tokens[j];
+                if (arg.type !== 'number' && !(arg.type === 'word' && arg.value.toLowerCase() === 'max') &&
+                    !(arg.type === 'symbol' && arg.value === ',')) {
+                    // Not a type argument list (e.g. a function call)
+                    return { name, args, start: token.start, end };
+                }
+                if (arg.type !== 'symbol') args.push(arg.value);
+                j++;
+            }
+            if (tokens[j]) {
+                end = tokens[j].start + 1;
+            }
+            last = j;
+        }
+
+        // A modifier with a mapping of its own: INT(10) UNSIGNED, SIGNED INTEGER
+        const modifier = tokens[last + 1];
+        if (modifier && modifier.type === 'word' && this.mappings[this.mappingKey(`${name} ${modifier.value}`)] !== undefined) {
+            return { name: `${name} ${modifier.value}`, args, start: token.start, end: modifier.start + modifier.value.length };
+        }
+
+        return { name, args, start: token.start, end };
+    }
+}
+
+TypeMapper.DEFAULT_TYPE_MAPPINGS = DEFAULT_TYPE_MAPPINGS;
+TypeMapper.MSSQL_TYPE_MAPPINGS = MSSQL_TYPE_MAPPINGS;
+
+module.exports = TypeMapper;
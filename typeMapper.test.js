@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TypeMapper = require('./typeMapper');
+
+test('SQL Server column types map to MySQL types', () => {
+    const mapper = new TypeMapper();
+    const code = 'CREATE TABLE t (id uniqueidentifier, name nvarchar(max), at datetime2(3), flag bit, price money)';
+    assert.strictEqual(mapper.convertTypes(code),
+        'CREATE TABLE t (id CHAR(36), name LONGTEXT, at DATETIME(3), flag TINYINT(1), price DECIMAL(19,4))');
+});
+
+test('override keys are read with their spaces normalized', () => {
+    const mapper = new TypeMapper({ 'INT   UNSIGNED': 'INT', 'decimal(18, 2)': 'DECIMAL(12,2)' }, { target: 'mssql' });
+    assert.strictEqual(mapper.mappingKey(' Decimal (18 , 2) '), 'decimal(18,2)');
+    assert.strictEqual(mapper.convertTypes('CREATE TABLE t (a INT UNSIGNED, b decimal(18,2))'), 'CREATE TABLE t (a INT, b DECIMAL(12,2))');
+});
+
+test('override keys with a modifier match types written across lines', () => {
+    const mapper = new TypeMapper({ 'int unsigned': 'INT' }, { target: 'mssql' });
+    assert.strictEqual(mapper.convertTypes('CREATE TABLE t (a int\n    unsigned NOT NULL)'), 'CREATE TABLE t (a INT NOT NULL)');
+});